@@ -20,6 +20,12 @@ CREATE TYPE order_status AS ENUM (
 CREATE TYPE package_priority AS ENUM ('STANDARD', 'HIGH', 'URGENT');
 CREATE TYPE delivery_status AS ENUM ('PENDING', 'OUT_FOR_DELIVERY', 'DELIVERED', 'FAILED', 'ATTEMPTED');
 CREATE TYPE driver_status AS ENUM ('ACTIVE', 'INACTIVE', 'ON_BREAK', 'OFF_DUTY');
+CREATE TYPE saga_status AS ENUM ('RUNNING', 'RETRY_SCHEDULED', 'COMPENSATING', 'COMPLETED', 'COMPENSATED');
+CREATE TYPE webhook_delivery_status AS ENUM ('PENDING', 'RETRYING', 'DELIVERED', 'DEAD');
+CREATE TYPE notification_channel AS ENUM ('EMAIL', 'SMS');
+CREATE TYPE notification_delivery_status AS ENUM ('SENDING', 'SENT', 'FAILED');
+CREATE TYPE import_batch_status AS ENUM ('PROCESSING', 'COMPLETED');
+CREATE TYPE import_row_status AS ENUM ('REJECTED', 'QUEUED', 'CREATED', 'FAILED');
 
 -- Clients table (CMS data)
 CREATE TABLE clients (
@@ -232,17 +238,245 @@ CREATE TABLE order_events (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Sagas table (one distributed transaction per order)
+CREATE TABLE sagas (
+    order_id VARCHAR(50) PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+    status saga_status NOT NULL DEFAULT 'RUNNING',
+    current_step VARCHAR(50),
+    order_data JSONB NOT NULL, -- Order payload needed to resume the saga
+    owner_instance VARCHAR(100), -- Order service instance driving the saga
+    next_retry_at TIMESTAMP WITH TIME ZONE, -- When a RETRY_SCHEDULED saga is due to retry current_step
+    cancel_requested_at TIMESTAMP WITH TIME ZONE, -- Set when the client cancels the order
+    cancel_reason TEXT,
+    trace_parent VARCHAR(55), -- W3C traceparent of the saga's first run, continued when it resumes
+    
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Saga log table (append-only record of step starts, results and compensations)
+CREATE TABLE saga_log (
+    id BIGSERIAL PRIMARY KEY,
+    order_id VARCHAR(50) NOT NULL REFERENCES sagas(order_id) ON DELETE CASCADE,
+    entry_type VARCHAR(50) NOT NULL, -- 'STEP_STARTED', 'STEP_COMPLETED', 'COMPENSATION_COMPLETED', ...
+    step_name VARCHAR(50),
+    payload JSONB,
+    owner_instance VARCHAR(100),
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Outbox table (Kafka events written in the transaction of the change they announce)
+CREATE TABLE outbox_events (
+    id BIGSERIAL PRIMARY KEY, -- Events are published in this order
+    event_id UUID NOT NULL UNIQUE, -- Carried by the event; consumers de-duplicate by it
+    topic VARCHAR(255) NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    order_id VARCHAR(50),
+    payload JSONB NOT NULL,
+    headers JSONB NOT NULL DEFAULT '{}', -- Kafka message headers, e.g. traceparent
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    published_at TIMESTAMP WITH TIME ZONE -- NULL until the outbox relay has published the event
+);
+
+-- Processed events table (events each Kafka consumer group has handled)
+CREATE TABLE processed_events (
+    consumer_group VARCHAR(100) NOT NULL,
+    event_id UUID NOT NULL,
+    
+    processed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    PRIMARY KEY (consumer_group, event_id)
+);
+
+-- Dead-lettered events table (messages a Kafka consumer gave up on, archived from the <topic>.DLQ topics)
+CREATE TABLE dead_letter_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    dlq_topic VARCHAR(255) NOT NULL,
+    dlq_partition INTEGER NOT NULL,
+    dlq_offset BIGINT NOT NULL,
+    original_topic VARCHAR(255) NOT NULL,
+    original_partition INTEGER,
+    original_offset BIGINT,
+    consumer_group VARCHAR(100) NOT NULL, -- Group whose handler failed
+    event_id UUID,
+    event_type VARCHAR(100),
+    order_id VARCHAR(50),
+    message_key TEXT,
+    message_value TEXT, -- Raw message, which may not be valid JSON
+    headers JSONB NOT NULL DEFAULT '{}', -- Original message headers, without the dlq-* ones
+    attempts INTEGER NOT NULL,
+    error_name VARCHAR(255),
+    error_message TEXT,
+    
+    failed_at TIMESTAMP WITH TIME ZONE,
+    dead_lettered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    redriven_at TIMESTAMP WITH TIME ZONE, -- Last time it was published on its original topic again
+    redrive_count INTEGER NOT NULL DEFAULT 0,
+    
+    UNIQUE(dlq_topic, dlq_partition, dlq_offset)
+);
+
+-- Webhook subscriptions table (per-client order event callbacks)
+CREATE TABLE webhook_subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id VARCHAR(50) NOT NULL REFERENCES clients(id),
+    url TEXT NOT NULL,
+    event_types TEXT[] NOT NULL DEFAULT '{}', -- Empty means every event type
+    secret VARCHAR(255) NOT NULL, -- HMAC-SHA256 signing secret
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Webhook deliveries table (one row per event and subscription)
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_key VARCHAR(64) NOT NULL, -- Event ID (hash of the Kafka message without one), guards against redelivery
+    event_type VARCHAR(100) NOT NULL,
+    order_id VARCHAR(50),
+    payload JSONB NOT NULL,
+    
+    status webhook_delivery_status NOT NULL DEFAULT 'PENDING',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_status_code INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(subscription_id, event_key)
+);
+
+-- Webhook delivery attempts table (one row per HTTP call)
+CREATE TABLE webhook_delivery_attempts (
+    id BIGSERIAL PRIMARY KEY,
+    delivery_id UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    attempt_number INTEGER NOT NULL,
+    status_code INTEGER,
+    error TEXT,
+    duration_ms INTEGER,
+    
+    attempted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Webhook dead letters table (deliveries that exhausted their retries)
+CREATE TABLE webhook_dead_letters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    delivery_id UUID NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_type VARCHAR(100) NOT NULL,
+    order_id VARCHAR(50),
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL,
+    last_error TEXT,
+    
+    dead_lettered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    replayed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Notification recipients table (per-client email and SMS contacts)
+CREATE TABLE notification_recipients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    client_id VARCHAR(50) NOT NULL REFERENCES clients(id),
+    channel notification_channel NOT NULL,
+    address VARCHAR(255) NOT NULL, -- Email address or E.164 phone number
+    language VARCHAR(10) NOT NULL DEFAULT 'en', -- Template language
+    event_types TEXT[] NOT NULL DEFAULT '{}', -- Empty means every event type with a template
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Notification deliveries table (one row per event and recipient, so that a redelivered event is not sent twice)
+CREATE TABLE notification_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    recipient_id UUID NOT NULL REFERENCES notification_recipients(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(100) NOT NULL,
+    order_id VARCHAR(50),
+    
+    status notification_delivery_status NOT NULL DEFAULT 'SENDING',
+    attempts INTEGER NOT NULL DEFAULT 1,
+    provider_message_id VARCHAR(255), -- ID given by the SMTP server or SMS provider
+    last_error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(recipient_id, event_id)
+);
+
+-- Idempotency keys table (replayable responses of order submissions)
+CREATE TABLE idempotency_keys (
+    id BIGSERIAL PRIMARY KEY,
+    client_id VARCHAR(50) NOT NULL,
+    idempotency_key VARCHAR(255), -- NULL when the request had no Idempotency-Key header
+    order_id VARCHAR(50) NOT NULL UNIQUE, -- Detects resubmitted order IDs
+    request_hash CHAR(64) NOT NULL, -- SHA-256 of the canonical request body
+    response_status INTEGER, -- NULL while the submission is in progress
+    response_body JSONB,
+    locked_until TIMESTAMP WITH TIME ZONE, -- Lease of the request processing the submission
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    
+    UNIQUE(client_id, idempotency_key)
+);
+
+-- Order import batches table (bulk order submissions)
+CREATE TABLE order_import_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    format VARCHAR(20) NOT NULL, -- json, ndjson or csv
+    status import_batch_status NOT NULL DEFAULT 'PROCESSING',
+    total_rows INTEGER NOT NULL,
+    total_orders INTEGER NOT NULL,
+    client_id VARCHAR(50) REFERENCES clients(id), -- Client that submitted the batch; NULL for operator imports
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Order import rows table (result of every input row of a batch)
+CREATE TABLE order_import_rows (
+    id BIGSERIAL PRIMARY KEY,
+    batch_id UUID NOT NULL REFERENCES order_import_batches(id) ON DELETE CASCADE,
+    row_number INTEGER NOT NULL, -- Array position, or line number for JSON Lines and CSV
+    order_id VARCHAR(50),
+    status import_row_status NOT NULL,
+    errors JSONB, -- [{ path, message }]
+    
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    UNIQUE(batch_id, row_number)
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_orders_client_id ON orders(client_id);
 CREATE INDEX idx_orders_status ON orders(status);
 CREATE INDEX idx_orders_assigned_driver ON orders(assigned_driver_id);
-CREATE INDEX idx_orders_submitted_at ON orders(submitted_at);
+CREATE INDEX idx_orders_submitted_at ON orders(submitted_at, id);
+CREATE INDEX idx_orders_updated_at ON orders(updated_at, id);
 
 CREATE INDEX idx_packages_order_id ON packages(order_id);
 CREATE INDEX idx_packages_sku ON packages(sku);
+CREATE INDEX idx_packages_sku_search ON packages USING GIN (to_tsvector('simple', sku));
 
 CREATE INDEX idx_delivery_addresses_order_id ON delivery_addresses(order_id);
 CREATE INDEX idx_delivery_addresses_location ON delivery_addresses(latitude, longitude);
+CREATE INDEX idx_delivery_addresses_search ON delivery_addresses USING GIN (to_tsvector('simple', address));
 
 CREATE INDEX idx_drivers_status ON drivers(status);
 CREATE INDEX idx_drivers_location ON drivers(current_latitude, current_longitude);
@@ -261,6 +495,31 @@ CREATE INDEX idx_order_events_order_id ON order_events(order_id);
 CREATE INDEX idx_order_events_type ON order_events(event_type);
 CREATE INDEX idx_order_events_timestamp ON order_events(timestamp);
 
+CREATE INDEX idx_sagas_status_updated ON sagas(status, updated_at);
+CREATE INDEX idx_saga_log_order_id ON saga_log(order_id, id);
+CREATE INDEX idx_sagas_next_retry ON sagas(next_retry_at) WHERE status = 'RETRY_SCHEDULED';
+
+CREATE INDEX idx_outbox_events_unpublished ON outbox_events(id) WHERE published_at IS NULL;
+CREATE INDEX idx_outbox_events_order_id ON outbox_events(order_id, id);
+CREATE INDEX idx_outbox_events_published_at ON outbox_events(published_at) WHERE published_at IS NOT NULL;
+CREATE INDEX idx_processed_events_processed_at ON processed_events(processed_at);
+
+CREATE INDEX idx_dead_letter_events_dead_lettered_at ON dead_letter_events(dead_lettered_at);
+CREATE INDEX idx_dead_letter_events_order_id ON dead_letter_events(order_id);
+
+CREATE INDEX idx_webhook_subscriptions_client_id ON webhook_subscriptions(client_id) WHERE active;
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status IN ('PENDING', 'RETRYING');
+CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at);
+CREATE INDEX idx_webhook_delivery_attempts_delivery ON webhook_delivery_attempts(delivery_id, id);
+CREATE INDEX idx_webhook_dead_letters_subscription ON webhook_dead_letters(subscription_id, dead_lettered_at);
+
+CREATE UNIQUE INDEX idx_notification_recipients_address ON notification_recipients(client_id, channel, address) WHERE active;
+CREATE INDEX idx_notification_deliveries_order_id ON notification_deliveries(order_id);
+
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+CREATE INDEX idx_order_import_rows_batch_order ON order_import_rows(batch_id, order_id);
+
 -- Create triggers for updating timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -289,3 +548,31 @@ CREATE TRIGGER update_delivery_manifests_updated_at
 CREATE TRIGGER update_delivery_stops_updated_at 
     BEFORE UPDATE ON delivery_stops 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_sagas_updated_at 
+    BEFORE UPDATE ON sagas 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_subscriptions_updated_at 
+    BEFORE UPDATE ON webhook_subscriptions 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_deliveries_updated_at 
+    BEFORE UPDATE ON webhook_deliveries 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_notification_recipients_updated_at 
+    BEFORE UPDATE ON notification_recipients 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_notification_deliveries_updated_at 
+    BEFORE UPDATE ON notification_deliveries 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_order_import_batches_updated_at 
+    BEFORE UPDATE ON order_import_batches 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_order_import_rows_updated_at 
+    BEFORE UPDATE ON order_import_rows 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
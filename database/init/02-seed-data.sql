@@ -35,6 +35,11 @@ INSERT INTO drivers (
  'ACTIVE', '06:00', '16:00',
  6.8406, 79.9045, NOW());
 
+-- Insert test notification recipients (ABC Electronics ops team)
+INSERT INTO notification_recipients (client_id, channel, address, language, event_types) VALUES
+('CLIENT-001', 'EMAIL', 'ops@abc-electronics.lk', 'en', '{}'),
+('CLIENT-001', 'SMS', '+94771112233', 'si', '{ORDER_FAILED,ORDER_DELIVERED}');
+
 -- Function to create a sample order with all related data
 CREATE OR REPLACE FUNCTION create_sample_order(
     p_order_id VARCHAR(50),
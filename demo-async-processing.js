@@ -9,6 +9,10 @@ const axios = require("axios");
 
 const ORDER_SERVICE_URL = "http://localhost:4000";
 
+// The order service requires a bearer token: a client token for CLIENT-001
+// or an admin token (see Authentication in the README)
+axios.defaults.headers.common.Authorization = `Bearer ${process.env.SWIFTTRACK_TOKEN}`;
+
 async function demonstrateAsyncProcessing() {
   console.log("🚀 SwiftTrack Asynchronous Order Processing Demo");
   console.log("================================================");
@@ -0,0 +1,328 @@
+import jwt from "jsonwebtoken";
+import { getLogger } from "@swifttrack/logger";
+
+const logger = getLogger("@swifttrack/auth");
+
+// Callers authenticate with a JWT signed with AUTH_JWT_SECRET (HS256). Its
+// roles claim lists what the caller is; each role grants permissions:
+//
+//   client       its own client's orders and order events (clientId claim)
+//   driver       its own manifest and deliveries (driverId claim)
+//   dispatcher   reads every client's orders, every manifest and the
+//                service health; changes nothing
+//   admin        everything; for operators
+//
+// A token may hold several roles, e.g. ["dispatcher", "admin"].
+
+export const ROLES = {
+  CLIENT: "client",
+  DRIVER: "driver",
+  DISPATCHER: "dispatcher",
+  ADMIN: "admin",
+} as const;
+
+export type Role = (typeof ROLES)[keyof typeof ROLES];
+
+export const PERMISSIONS = {
+  // Orders, imports, webhooks and notification recipients
+  READ_ORDERS: "orders:read",
+  WRITE_ORDERS: "orders:write",
+  // Driver manifests, delivery status updates and proof of delivery
+  READ_MANIFESTS: "manifests:read",
+  WRITE_MANIFESTS: "manifests:write",
+  // Service health, dead letters, circuit recovery and driver registration
+  READ_OPERATIONS: "operations:read",
+  WRITE_OPERATIONS: "operations:write",
+  // Real-time order events
+  SUBSCRIBE_EVENTS: "events:subscribe",
+} as const;
+
+export type Permission = (typeof PERMISSIONS)[keyof typeof PERMISSIONS];
+
+const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  client: [
+    PERMISSIONS.READ_ORDERS,
+    PERMISSIONS.WRITE_ORDERS,
+    PERMISSIONS.SUBSCRIBE_EVENTS,
+  ],
+  driver: [PERMISSIONS.READ_MANIFESTS, PERMISSIONS.WRITE_MANIFESTS],
+  dispatcher: [
+    PERMISSIONS.READ_ORDERS,
+    PERMISSIONS.READ_MANIFESTS,
+    PERMISSIONS.READ_OPERATIONS,
+    PERMISSIONS.SUBSCRIBE_EVENTS,
+  ],
+  admin: Object.values(PERMISSIONS),
+};
+
+// Roles that act on every client and driver rather than their own
+const UNSCOPED_ROLES: Role[] = [ROLES.DISPATCHER, ROLES.ADMIN];
+
+export interface Identity {
+  subject: string | null;
+  roles: Role[];
+  clientId: string | null;
+  driverId: string | null;
+}
+
+export interface TokenOptions {
+  // A zeit/ms string or seconds, e.g. "8h"
+  expiresIn?: string | number;
+}
+
+function isNonEmptyString(value: unknown): value is string {
+  return typeof value === "string" && value.length > 0;
+}
+
+function isRole(value: unknown): value is Role {
+  return Object.values(ROLES).includes(value as Role);
+}
+
+// Identity from token claims. Tokens issued before roles lists carry a
+// single role claim instead.
+function toIdentity(claims: Record<string, unknown>): Identity {
+  const roles = Array.isArray(claims.roles) ? claims.roles : [claims.role];
+  if (roles.length === 0 || !roles.every(isRole)) {
+    throw new jwt.JsonWebTokenError("token has no valid roles");
+  }
+
+  const identity: Identity = {
+    subject: isNonEmptyString(claims.sub) ? claims.sub : null,
+    roles: [...new Set(roles)],
+    clientId: isNonEmptyString(claims.clientId) ? claims.clientId : null,
+    driverId: isNonEmptyString(claims.driverId) ? claims.driverId : null,
+  };
+  if (identity.roles.includes(ROLES.CLIENT) && !identity.clientId) {
+    throw new jwt.JsonWebTokenError("client token has no clientId");
+  }
+  if (identity.roles.includes(ROLES.DRIVER) && !identity.driverId) {
+    throw new jwt.JsonWebTokenError("driver token has no driverId");
+  }
+  return identity;
+}
+
+/**
+ * Sign a token for an identity. Throws for unknown roles, or a client or
+ * driver identity without its clientId or driverId.
+ */
+export function issueToken(
+  identity: Partial<Identity> & { roles: Role[] },
+  secret: string,
+  { expiresIn = "8h" }: TokenOptions = {}
+) {
+  const { subject, roles, clientId, driverId } = toIdentity({
+    sub: identity.subject,
+    roles: identity.roles,
+    clientId: identity.clientId,
+    driverId: identity.driverId,
+  });
+
+  return jwt.sign(
+    {
+      roles,
+      ...(clientId && { clientId }),
+      ...(driverId && { driverId }),
+    },
+    secret,
+    {
+      algorithm: "HS256",
+      expiresIn: expiresIn as jwt.SignOptions["expiresIn"],
+      ...(subject && { subject }),
+    }
+  );
+}
+
+/**
+ * Identity of a caller from their token. Throws for an invalid or expired
+ * token, or one without valid roles.
+ */
+export function verifyToken(token: string, secret: string) {
+  const claims = jwt.verify(token, secret, { algorithms: ["HS256"] });
+  if (typeof claims === "string") {
+    throw new jwt.JsonWebTokenError("token has no claims");
+  }
+  return toIdentity(claims);
+}
+
+export function hasPermission(identity: Identity, permission: Permission) {
+  return identity.roles.some((role) =>
+    ROLE_PERMISSIONS[role].includes(permission)
+  );
+}
+
+function isUnscoped(identity: Identity) {
+  return identity.roles.some((role) => UNSCOPED_ROLES.includes(role));
+}
+
+/**
+ * Client whose orders a caller with orders:read reads; null when it reads
+ * every client's
+ */
+export function clientScope(identity: Identity) {
+  return isUnscoped(identity) ? null : identity.clientId;
+}
+
+/**
+ * Driver whose manifest a caller with manifests:read reads; null when it
+ * reads every driver's
+ */
+export function driverScope(identity: Identity) {
+  return isUnscoped(identity) ? null : identity.driverId;
+}
+
+/**
+ * Whether a caller may change the data of clientId
+ */
+export function canActForClient(identity: Identity, clientId: string) {
+  return (
+    identity.roles.includes(ROLES.ADMIN) ||
+    (identity.roles.includes(ROLES.CLIENT) && identity.clientId === clientId)
+  );
+}
+
+/**
+ * Whether a caller may change the manifest of driverId
+ */
+export function canActForDriver(identity: Identity, driverId: string) {
+  return (
+    identity.roles.includes(ROLES.ADMIN) ||
+    (identity.roles.includes(ROLES.DRIVER) && identity.driverId === driverId)
+  );
+}
+
+// The parts of Express requests and responses the middleware uses
+interface AuthRequest {
+  method: string;
+  path: string;
+  ip?: string;
+  get(name: string): string | undefined;
+  identity?: Identity;
+}
+
+interface AuthResponse {
+  set(name: string, value: string): unknown;
+  status(code: number): { json(body: unknown): unknown };
+}
+
+type Next = (error?: unknown) => void;
+
+function bearerToken(header: string | undefined) {
+  const [scheme, token] = (header || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+function forbidden(res: AuthResponse, permission: Permission) {
+  res.status(403).json({
+    error: "Forbidden",
+    message: `Requires the ${permission} permission`,
+  });
+}
+
+/**
+ * Express middleware setting req.identity from the bearer token. Requests
+ * to publicPaths pass without one; others without a valid token get 401.
+ */
+export function authenticate(
+  secret: string | undefined,
+  { publicPaths = [] }: { publicPaths?: string[] } = {}
+) {
+  const open = new Set(publicPaths);
+
+  return (req: AuthRequest, res: AuthResponse, next: Next) => {
+    if (open.has(req.path)) {
+      return next();
+    }
+
+    try {
+      const token = bearerToken(req.get("Authorization"));
+      if (!token || !secret) {
+        throw new Error(token ? "No secret configured" : "No bearer token");
+      }
+      req.identity = verifyToken(token, secret);
+    } catch (error) {
+      logger.warn(`Request refused: ${(error as Error).message}`, {
+        method: req.method,
+        path: req.path,
+        ip: req.ip,
+      });
+      res.set("WWW-Authenticate", "Bearer");
+      res.status(401).json({
+        error: "Unauthorized",
+        message: "A valid bearer token is required",
+      });
+      return;
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware refusing callers without permission with 403
+ */
+export function requirePermission(permission: Permission) {
+  return (req: AuthRequest, res: AuthResponse, next: Next) => {
+    if (req.identity && hasPermission(req.identity, permission)) {
+      return next();
+    }
+    forbidden(res, permission);
+  };
+}
+
+/**
+ * Express middleware requiring the read permission for GET and HEAD
+ * requests and the write permission for any other method
+ */
+export function requireAccess({
+  read,
+  write,
+}: {
+  read: Permission;
+  write: Permission;
+}) {
+  return (req: AuthRequest, res: AuthResponse, next: Next) => {
+    const permission = ["GET", "HEAD"].includes(req.method) ? read : write;
+    if (req.identity && hasPermission(req.identity, permission)) {
+      return next();
+    }
+    forbidden(res, permission);
+  };
+}
+
+// The parts of a Socket.IO socket the middleware uses
+interface AuthSocket {
+  id: string;
+  handshake: { auth?: { token?: unknown }; address?: string };
+  data: { identity?: Identity };
+}
+
+/**
+ * Socket.IO middleware setting socket.data.identity from the token passed in
+ * the handshake, io(url, { auth: { token } }). Sockets without a valid token,
+ * or without permission when one is given, are refused with Unauthorized.
+ */
+export function authenticateSocket(
+  secret: string | undefined,
+  { permission }: { permission?: Permission } = {}
+) {
+  return (socket: AuthSocket, next: (error?: Error) => void) => {
+    try {
+      const token = socket.handshake.auth?.token;
+      if (typeof token !== "string" || !token || !secret) {
+        throw new Error(token ? "No secret configured" : "No token");
+      }
+      const identity = verifyToken(token, secret);
+      if (permission && !hasPermission(identity, permission)) {
+        throw new Error(`Token lacks the ${permission} permission`);
+      }
+      socket.data.identity = identity;
+      next();
+    } catch (error) {
+      logger.warn(`Socket connection refused`, {
+        socketId: socket.id,
+        clientIP: socket.handshake.address,
+        error: (error as Error).message,
+      });
+      next(new Error("Unauthorized"));
+    }
+  };
+}
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+import { parseArgs } from "util";
+import { issueToken, type Role } from "./index.js";
+
+// Sign a token with AUTH_JWT_SECRET, e.g.
+//
+//   swifttrack-issue-token --role dispatcher --role admin --subject ops
+//   swifttrack-issue-token --role client --client-id CLIENT-001
+//   swifttrack-issue-token --role driver --driver-id DRV-001 --expires-in 12h
+
+const { values } = parseArgs({
+  options: {
+    role: { type: "string", multiple: true, default: [] },
+    subject: { type: "string" },
+    "client-id": { type: "string" },
+    "driver-id": { type: "string" },
+    "expires-in": { type: "string", default: "8h" },
+  },
+});
+
+const secret = process.env.AUTH_JWT_SECRET;
+if (!secret) {
+  console.error("AUTH_JWT_SECRET is not set");
+  process.exit(1);
+}
+
+try {
+  console.log(
+    issueToken(
+      {
+        roles: values.role as Role[],
+        subject: values.subject,
+        clientId: values["client-id"],
+        driverId: values["driver-id"],
+      },
+      secret,
+      { expiresIn: values["expires-in"] }
+    )
+  );
+} catch (error) {
+  console.error(`Cannot issue token: ${(error as Error).message}`);
+  process.exit(1);
+}
@@ -1,6 +1,10 @@
+import crypto from "crypto";
 import pg from "pg";
+import { getLogger } from "@swifttrack/logger";
 const { Pool } = pg;
 
+const logger = getLogger("@swifttrack/database");
+
 /**
  * SwiftTrack Database Client
  * Provides connection pooling and query utilities for PostgreSQL database
@@ -15,7 +19,7 @@ export class DatabaseClient {
     });
 
     this.pool.on("error", (err) => {
-      console.error("Unexpected error on idle client", err);
+      logger.error("Unexpected error on idle client", { error: err });
     });
   }
 
@@ -27,7 +31,7 @@ export class DatabaseClient {
     try {
       const result = await this.pool.query(text, params);
       const duration = Date.now() - start;
-      console.log("Database query executed", {
+      logger.debug("Database query executed", {
         query: text.substring(0, 100) + "...",
         duration,
         rows: result.rowCount,
@@ -35,7 +39,7 @@ export class DatabaseClient {
       return result;
     } catch (error) {
       const duration = Date.now() - start;
-      console.error("Database query failed", {
+      logger.error("Database query failed", {
         query: text.substring(0, 100) + "...",
         duration,
         error: error.message,
@@ -82,6 +86,123 @@ export class DatabaseClient {
   }
 }
 
+/**
+ * Convert a delivery address (string or address object) to the stored text form
+ */
+export function formatDeliveryAddress(addr) {
+  if (typeof addr === "string") {
+    return addr;
+  }
+  if (addr && typeof addr === "object") {
+    return `${addr.street || ""}, ${addr.city || ""}, ${
+      addr.postalCode || ""
+    }, ${addr.country || ""}`
+      .replace(/,\s*,/g, ",")
+      .replace(/^,\s*|,\s*$/g, "");
+  }
+  return "Unknown Address";
+}
+
+/**
+ * Columns orders can be listed by; each is indexed together with the order ID
+ */
+export const ORDER_SORT_COLUMNS = ["submitted_at", "updated_at", "id"];
+
+/**
+ * Insert the packages of an order
+ */
+async function insertPackages(client, orderId, packages) {
+  for (const pkg of packages) {
+    // Convert dimensions object to string format if needed
+    let dimensionsString = null;
+    if (pkg.dimensions && typeof pkg.dimensions === "object") {
+      const { length, width, height } = pkg.dimensions;
+      if (length && width && height) {
+        dimensionsString = `${length} x ${width} x ${height}`;
+      }
+    } else if (typeof pkg.dimensions === "string") {
+      dimensionsString = pkg.dimensions;
+    }
+
+    const packageParams = [
+      orderId,
+      pkg.sku,
+      pkg.description,
+      pkg.quantity,
+      pkg.priority || "STANDARD",
+      pkg.weight || 1.0,
+      dimensionsString,
+    ];
+
+    logger.debug("Inserting package", { orderId, package: pkg });
+
+    await client.query(
+      `
+      INSERT INTO packages (order_id, sku, description, quantity, priority, weight_kg, dimensions_cm)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `,
+      packageParams
+    );
+  }
+}
+
+/**
+ * Insert the delivery addresses of an order as stops in the given sequence
+ */
+async function insertDeliveryAddresses(
+  client,
+  orderId,
+  deliveryAddresses,
+  specialInstructions
+) {
+  for (let i = 0; i < deliveryAddresses.length; i++) {
+    const addr = deliveryAddresses[i];
+
+    await client.query(
+      `
+      INSERT INTO delivery_addresses (order_id, address, stop_sequence, special_instructions, latitude, longitude)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `,
+      [
+        orderId,
+        formatDeliveryAddress(addr),
+        i + 1,
+        specialInstructions || null,
+        addr && typeof addr === "object" ? addr.latitude || null : null,
+        addr && typeof addr === "object" ? addr.longitude || null : null,
+      ]
+    );
+  }
+}
+
+/**
+ * Write events to the outbox within the transaction of the change they
+ * announce. Each entry is { topic, event, headers }; the event is stored with
+ * a generated eventId, by which consumers recognise redeliveries, and with
+ * the clientId of its order, by which they route it to the client.
+ */
+async function insertOutboxEvents(client, outboxEvents) {
+  for (const { topic, event, headers = {} } of outboxEvents) {
+    const eventId = crypto.randomUUID();
+    await client.query(
+      `
+      INSERT INTO outbox_events (event_id, topic, event_type, order_id, payload, headers)
+      SELECT $1, $2, $3, $4::varchar, $5::jsonb || jsonb_strip_nulls(
+        jsonb_build_object('clientId', (SELECT client_id FROM orders WHERE id = $4::varchar))
+      ), $6
+    `,
+      [
+        eventId,
+        topic,
+        event.eventType,
+        event.orderId || null,
+        JSON.stringify({ eventId, ...event }),
+        JSON.stringify(headers),
+      ]
+    );
+  }
+}
+
 /**
  * Order Repository - handles all order-related database operations
  */
@@ -91,12 +212,12 @@ export class OrderRepository {
   }
 
   /**
-   * Create a new order with packages and delivery addresses
+   * Create a new order with packages and delivery addresses, together with
+   * the outbox events announcing it
    */
-  async createOrder(orderData) {
+  async createOrder(orderData, outboxEvents = []) {
     return await this.db.transaction(async (client) => {
-      console.log("=== DATABASE DEBUG - ORDER CREATION ===");
-      console.log("Order Data:", JSON.stringify(orderData, null, 2));
+      logger.debug("Creating order", { orderId: orderData.id, orderData });
 
       // Insert order
       const orderQuery = `
@@ -113,88 +234,16 @@ export class OrderRepository {
         orderData.deliveryAddresses.length,
       ];
 
-      console.log(
-        "Order params:",
-        orderParams.map((p, i) => `${i}: ${typeof p} = ${JSON.stringify(p)}`)
-      );
-
       const orderResult = await client.query(orderQuery, orderParams);
 
-      // Insert packages
-      console.log("=== INSERTING PACKAGES ===");
-      for (const pkg of orderData.packages) {
-        console.log("Package data:", JSON.stringify(pkg, null, 2));
-
-        // Convert dimensions object to string format if needed
-        let dimensionsString = null;
-        if (pkg.dimensions && typeof pkg.dimensions === "object") {
-          const { length, width, height } = pkg.dimensions;
-          if (length && width && height) {
-            dimensionsString = `${length} x ${width} x ${height}`;
-          }
-        } else if (typeof pkg.dimensions === "string") {
-          dimensionsString = pkg.dimensions;
-        }
-
-        const packageParams = [
-          orderData.id,
-          pkg.sku,
-          pkg.description,
-          pkg.quantity,
-          pkg.priority || "STANDARD",
-          pkg.weight || 1.0,
-          dimensionsString,
-        ];
-
-        console.log(
-          "Package params:",
-          packageParams.map(
-            (p, i) => `${i}: ${typeof p} = ${JSON.stringify(p)}`
-          )
-        );
-
-        await client.query(
-          `
-          INSERT INTO packages (order_id, sku, description, quantity, priority, weight_kg, dimensions_cm)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
-        `,
-          packageParams
-        );
-      }
-
-      // Insert delivery addresses
-      for (let i = 0; i < orderData.deliveryAddresses.length; i++) {
-        const addr = orderData.deliveryAddresses[i];
-
-        // Convert address object to string if needed
-        let addressString;
-        if (typeof addr === "string") {
-          addressString = addr;
-        } else if (addr && typeof addr === "object") {
-          addressString = `${addr.street || ""}, ${addr.city || ""}, ${
-            addr.postalCode || ""
-          }, ${addr.country || ""}`
-            .replace(/,\s*,/g, ",")
-            .replace(/^,\s*|,\s*$/g, "");
-        } else {
-          addressString = "Unknown Address";
-        }
-
-        await client.query(
-          `
-          INSERT INTO delivery_addresses (order_id, address, stop_sequence, special_instructions, latitude, longitude)
-          VALUES ($1, $2, $3, $4, $5, $6)
-        `,
-          [
-            orderData.id,
-            addressString,
-            i + 1,
-            orderData.specialInstructions || null,
-            addr && typeof addr === "object" ? addr.latitude || null : null,
-            addr && typeof addr === "object" ? addr.longitude || null : null,
-          ]
-        );
-      }
+      await insertPackages(client, orderData.id, orderData.packages);
+      await insertDeliveryAddresses(
+        client,
+        orderData.id,
+        orderData.deliveryAddresses,
+        orderData.specialInstructions
+      );
+      await insertOutboxEvents(client, outboxEvents);
 
       // Insert order event
       await client.query(
@@ -215,19 +264,16 @@ export class OrderRepository {
   }
 
   /**
-   * Update order status and stage-specific data
+   * Update order status and stage-specific data, together with the outbox
+   * events announcing the change
    */
-  async updateOrderStatus(orderId, status, updateData = {}) {
-    console.log(`=== UPDATE ORDER STATUS: ${status} ===`);
-    console.log("Update Data:", JSON.stringify(updateData, null, 2));
-
+  async updateOrderStatus(orderId, status, updateData = {}, outboxEvents = []) {
     let updateFields = ["status = $2", "updated_at = NOW()"];
     let values = [orderId, status];
     let paramIndex = 3;
 
     // Add stage-specific updates
     if (status === "CMS_VERIFIED" && updateData.cms) {
-      console.log("=== CMS UPDATE DEBUG ===");
       updateFields.push(`contract_id = $${paramIndex++}`);
       updateFields.push(`billing_status = $${paramIndex++}`);
       updateFields.push(`estimated_cost = $${paramIndex++}`);
@@ -237,15 +283,10 @@ export class OrderRepository {
         updateData.cms.billingStatus,
         updateData.cms.estimatedCost,
       ];
-      console.log(
-        "CMS Values:",
-        cmsValues.map((v, i) => `${i}: ${typeof v} = ${JSON.stringify(v)}`)
-      );
       values.push(...cmsValues);
     }
 
     if (status === "WMS_REGISTERED" && updateData.wms) {
-      console.log("=== WMS UPDATE DEBUG ===");
       updateFields.push(`warehouse_package_id = $${paramIndex++}`);
       updateFields.push(`warehouse_location = $${paramIndex++}`);
       updateFields.push(`estimated_ready_time = $${paramIndex++}`);
@@ -255,10 +296,6 @@ export class OrderRepository {
         updateData.wms.warehouseLocation,
         updateData.wms.estimatedReadyTime,
       ];
-      console.log(
-        "WMS Values:",
-        wmsValues.map((v, i) => `${i}: ${typeof v} = ${JSON.stringify(v)}`)
-      );
       values.push(...wmsValues);
     }
 
@@ -277,19 +314,6 @@ export class OrderRepository {
         optimizedStopsCount = optimizedStopsCount.length;
       }
 
-      console.log("=== ROS UPDATE DEBUG ===");
-      console.log("ROS Update Data:", JSON.stringify(updateData.ros, null, 2));
-      console.log(
-        "optimizedStopsCount:",
-        optimizedStopsCount,
-        typeof optimizedStopsCount
-      );
-      console.log(
-        "etaMinutes:",
-        updateData.ros.etaMinutes,
-        typeof updateData.ros.etaMinutes
-      );
-
       const rosValues = [
         updateData.ros.routeId,
         updateData.ros.assignedDriver,
@@ -299,11 +323,6 @@ export class OrderRepository {
         updateData.ros.etaMinutes,
       ];
 
-      console.log(
-        "ROS values:",
-        rosValues.map((v, i) => `${i}: ${typeof v} = ${JSON.stringify(v)}`)
-      );
-
       values.push(...rosValues);
     }
     if (status === "READY_FOR_DELIVERY") {
@@ -314,16 +333,158 @@ export class OrderRepository {
       ", "
     )} WHERE id = $1 RETURNING *`;
 
-    console.log("=== FINAL SQL EXECUTION DEBUG ===");
-    console.log("Query:", query);
-    console.log(
-      "Values:",
-      values.map((v, i) => `${i}: ${typeof v} = ${JSON.stringify(v)}`)
-    );
+    logger.debug("Updating order status", {
+      orderId,
+      status,
+      fields: updateFields,
+      updateData,
+    });
+
+    return await this.db.transaction(async (client) => {
+      const result = await client.query(query, values);
+
+      // Insert order event
+      await client.query(
+        `
+        INSERT INTO order_events (order_id, event_type, event_data, source_service)
+        VALUES ($1, $2, $3, $4)
+      `,
+        [
+          orderId,
+          `ORDER_${status}`,
+          JSON.stringify({ status, ...updateData, timestamp: new Date() }),
+          "order-service",
+        ]
+      );
+      await insertOutboxEvents(client, outboxEvents);
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Replace the packages, delivery addresses and/or special instructions of
+   * an order before dispatch and record every change as an ORDER_AMENDED
+   * audit event. The special instructions are stored with every stop.
+   */
+  async amendOrder(orderId, amendment, changes, amendmentInfo = {}) {
+    const { packages, deliveryAddresses, specialInstructions } = amendment;
+
+    return await this.db.transaction(async (client) => {
+      if (packages) {
+        await client.query("DELETE FROM packages WHERE order_id = $1", [
+          orderId,
+        ]);
+        await insertPackages(client, orderId, packages);
+      }
+
+      if (deliveryAddresses) {
+        // Stops are updated in place because delivery stops reference them
+        const existing = await client.query(
+          "SELECT id FROM delivery_addresses WHERE order_id = $1 ORDER BY stop_sequence",
+          [orderId]
+        );
+
+        for (let i = 0; i < deliveryAddresses.length; i++) {
+          const addr = deliveryAddresses[i];
+          const addressParams = [
+            formatDeliveryAddress(addr),
+            i + 1,
+            specialInstructions || null,
+            addr && typeof addr === "object" ? addr.latitude || null : null,
+            addr && typeof addr === "object" ? addr.longitude || null : null,
+          ];
+
+          if (i < existing.rows.length) {
+            await client.query(
+              `
+              UPDATE delivery_addresses
+              SET address = $2, stop_sequence = $3, special_instructions = $4,
+                  latitude = $5, longitude = $6
+              WHERE id = $1
+            `,
+              [existing.rows[i].id, ...addressParams]
+            );
+          } else {
+            await client.query(
+              `
+              INSERT INTO delivery_addresses (order_id, address, stop_sequence, special_instructions, latitude, longitude)
+              VALUES ($1, $2, $3, $4, $5, $6)
+            `,
+              [orderId, ...addressParams]
+            );
+          }
+        }
+
+        // Drop removed stops along with the pending deliveries planned for them
+        const removedIds = existing.rows
+          .slice(deliveryAddresses.length)
+          .map((row) => row.id);
+        if (removedIds.length > 0) {
+          await client.query(
+            "DELETE FROM delivery_stops WHERE delivery_address_id = ANY($1) AND status = 'PENDING'",
+            [removedIds]
+          );
+          await client.query(
+            "DELETE FROM delivery_addresses WHERE id = ANY($1)",
+            [removedIds]
+          );
+        }
+      } else if (specialInstructions !== undefined) {
+        await client.query(
+          "UPDATE delivery_addresses SET special_instructions = $2 WHERE order_id = $1",
+          [orderId, specialInstructions || null]
+        );
+      }
+
+      const result = await client.query(
+        `
+        UPDATE orders
+        SET total_packages = COALESCE($2, total_packages),
+            total_delivery_addresses = COALESCE($3, total_delivery_addresses),
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `,
+        [
+          orderId,
+          packages ? packages.length : null,
+          deliveryAddresses ? deliveryAddresses.length : null,
+        ]
+      );
+
+      for (const change of changes) {
+        await client.query(
+          `
+          INSERT INTO order_events (order_id, event_type, event_data, source_service)
+          VALUES ($1, $2, $3, $4)
+        `,
+          [
+            orderId,
+            "ORDER_AMENDED",
+            JSON.stringify({
+              ...amendmentInfo,
+              ...change,
+              timestamp: new Date(),
+            }),
+            "order-service",
+          ]
+        );
+      }
 
-    const result = await this.db.query(query, values);
+      return result.rows[0];
+    });
+  }
 
-    // Insert order event
+  /**
+   * Record an event in the order audit trail without changing the order status
+   */
+  async recordOrderEvent(
+    orderId,
+    eventType,
+    eventData = {},
+    sourceService = "order-service"
+  ) {
     await this.db.query(
       `
       INSERT INTO order_events (order_id, event_type, event_data, source_service)
@@ -331,13 +492,22 @@ export class OrderRepository {
     `,
       [
         orderId,
-        `ORDER_${status}`,
-        JSON.stringify({ status, ...updateData, timestamp: new Date() }),
-        "order-service",
+        eventType,
+        JSON.stringify({ ...eventData, timestamp: new Date() }),
+        sourceService,
       ]
     );
+  }
 
-    return result.rows[0];
+  /**
+   * Get the client an order belongs to, or null for an unknown order
+   */
+  async getOrderClientId(orderId) {
+    const result = await this.db.query(
+      "SELECT client_id FROM orders WHERE id = $1",
+      [orderId]
+    );
+    return result.rows[0]?.client_id ?? null;
   }
 
   /**
@@ -378,17 +548,131 @@ export class OrderRepository {
   }
 
   /**
-   * Get all orders with basic client information
+   * List one page of orders matching the given filters, using keyset
+   * pagination on (sort column, id). Returns up to `limit` orders, whether
+   * more follow, and the number of matching orders per status.
    */
-  async getAllOrders() {
-    const query = `
-      SELECT o.*, c.name as client_name
+  async listOrders(options = {}) {
+    const {
+      statuses = [],
+      clientId = null,
+      priorities = [],
+      assignedDriver = null,
+      submittedFrom = null,
+      submittedBefore = null,
+      search = null,
+      sort = "submitted_at",
+      direction = "desc",
+      limit = 50,
+      after = null,
+    } = options;
+
+    if (!ORDER_SORT_COLUMNS.includes(sort)) {
+      throw new Error(`Unsupported sort column: ${sort}`);
+    }
+    const descending = direction === "desc";
+
+    const values = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    const conditions = [];
+    if (statuses.length > 0) {
+      conditions.push(`o.status = ANY(${param(statuses)}::order_status[])`);
+    }
+    if (clientId) {
+      conditions.push(`o.client_id = ${param(clientId)}`);
+    }
+    if (priorities.length > 0) {
+      conditions.push(
+        `o.priority = ANY(${param(priorities)}::package_priority[])`
+      );
+    }
+    if (assignedDriver) {
+      conditions.push(`o.assigned_driver_id = ${param(assignedDriver)}`);
+    }
+    if (submittedFrom) {
+      conditions.push(`o.submitted_at >= ${param(submittedFrom)}`);
+    }
+    if (submittedBefore) {
+      conditions.push(`o.submitted_at < ${param(submittedBefore)}`);
+    }
+    if (search) {
+      const query = `plainto_tsquery('simple', ${param(search)})`;
+      conditions.push(`o.id IN (
+        SELECT p.order_id FROM packages p
+        WHERE to_tsvector('simple', p.sku) @@ ${query}
+        UNION
+        SELECT a.order_id FROM delivery_addresses a
+        WHERE to_tsvector('simple', a.address) @@ ${query}
+      )`);
+    }
+
+    const filterCount = values.length;
+    const where = (extra = []) => {
+      const all = [...conditions, ...extra];
+      return all.length > 0 ? `WHERE ${all.join(" AND ")}` : "";
+    };
+
+    const countResult = await this.db.query(
+      `
+      SELECT o.status, COUNT(*)::int AS count
+      FROM orders o
+      ${where()}
+      GROUP BY o.status
+    `,
+      values.slice(0, filterCount)
+    );
+
+    // Continue after the last order of the previous page. Sort values are
+    // compared as text round-tripped through Postgres to keep microseconds.
+    const keyset = [];
+    if (after) {
+      const comparison = descending ? "<" : ">";
+      if (sort === "id") {
+        keyset.push(`o.id ${comparison} ${param(after.id)}`);
+      } else {
+        keyset.push(
+          `(o.${sort}, o.id) ${comparison} (${param(
+            after.value
+          )}::timestamptz, ${param(after.id)})`
+        );
+      }
+    }
+
+    const orderDirection = descending ? "DESC" : "ASC";
+    const orderBy =
+      sort === "id"
+        ? `o.id ${orderDirection}`
+        : `o.${sort} ${orderDirection}, o.id ${orderDirection}`;
+
+    const pageResult = await this.db.query(
+      `
+      SELECT o.*, o.${sort}::text AS cursor_value, c.name AS client_name
       FROM orders o
       JOIN clients c ON o.client_id = c.id
-      ORDER BY o.created_at DESC
-    `;
-    const result = await this.db.query(query);
-    return result.rows;
+      ${where(keyset)}
+      ORDER BY ${orderBy}
+      LIMIT ${param(limit + 1)}
+    `,
+      values
+    );
+
+    const statusCounts = {};
+    let totalCount = 0;
+    for (const row of countResult.rows) {
+      statusCounts[row.status] = row.count;
+      totalCount += row.count;
+    }
+
+    return {
+      orders: pageResult.rows.slice(0, limit),
+      hasMore: pageResult.rows.length > limit,
+      totalCount,
+      statusCounts,
+    };
   }
 
   /**
@@ -431,51 +715,1371 @@ export class OrderRepository {
 }
 
 /**
- * Driver Repository - handles driver-related database operations
+ * Saga Repository - persists the saga log of distributed order transactions
  */
-export class DriverRepository {
+export class SagaRepository {
   constructor(dbClient) {
     this.db = dbClient;
   }
 
   /**
-   * Get driver by ID
+   * Start (or restart) the saga for an order and record the SAGA_STARTED entry.
+   * traceParent is kept so that later runs of the saga continue its trace.
+   * Returns null when the order was cancelled before its saga started.
    */
-  async getDriverById(driverId) {
-    const result = await this.db.query("SELECT * FROM drivers WHERE id = $1", [
-      driverId,
-    ]);
-    return result.rows[0] || null;
+  async startSaga(orderId, orderData, ownerInstance, traceParent = null) {
+    return await this.db.transaction(async (client) => {
+      const result = await client.query(
+        `
+        INSERT INTO sagas (order_id, status, order_data, owner_instance, trace_parent)
+        VALUES ($1, 'RUNNING', $2, $3, $4)
+        ON CONFLICT (order_id) DO UPDATE
+        SET status = 'RUNNING',
+            current_step = NULL,
+            order_data = EXCLUDED.order_data,
+            owner_instance = EXCLUDED.owner_instance,
+            trace_parent = EXCLUDED.trace_parent,
+            next_retry_at = NULL,
+            started_at = NOW(),
+            finished_at = NULL
+        WHERE sagas.cancel_requested_at IS NULL
+        RETURNING *
+      `,
+        [orderId, JSON.stringify(orderData), ownerInstance, traceParent]
+      );
+
+      // The order was cancelled before its saga could start
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        `
+        INSERT INTO saga_log (order_id, entry_type, payload, owner_instance)
+        VALUES ($1, 'SAGA_STARTED', $2, $3)
+      `,
+        [orderId, JSON.stringify({ timestamp: new Date() }), ownerInstance]
+      );
+
+      return result.rows[0];
+    });
   }
 
   /**
-   * Update driver location
+   * Append an entry to the saga log, optionally moving the saga to a new status
    */
-  async updateDriverLocation(driverId, latitude, longitude) {
-    const result = await this.db.query(
-      `
-      UPDATE drivers 
-      SET current_latitude = $2, current_longitude = $3, location_updated_at = NOW()
-      WHERE id = $1
-      RETURNING *
-    `,
-      [driverId, latitude, longitude]
-    );
+  async recordEntry(orderId, entryType, options = {}) {
+    const {
+      stepName = null,
+      payload = null,
+      status = null,
+      ownerInstance,
+    } = options;
 
-    return result.rows[0];
+    return await this.db.transaction(async (client) => {
+      await client.query(
+        `
+        INSERT INTO saga_log (order_id, entry_type, step_name, payload, owner_instance)
+        VALUES ($1, $2, $3, $4, $5)
+      `,
+        [
+          orderId,
+          entryType,
+          stepName,
+          payload === null ? null : JSON.stringify(payload),
+          ownerInstance || null,
+        ]
+      );
+
+      const result = await client.query(
+        `
+        UPDATE sagas
+        SET status = COALESCE($2::saga_status, status),
+            current_step = COALESCE($3, current_step),
+            finished_at = CASE WHEN $2 IN ('COMPLETED', 'COMPENSATED') THEN NOW() ELSE finished_at END,
+            updated_at = NOW()
+        WHERE order_id = $1
+        RETURNING *
+      `,
+        [orderId, status, stepName]
+      );
+
+      return result.rows[0];
+    });
   }
 
   /**
-   * Get driver's delivery manifest for a specific date
+   * Park the saga until nextRetryAt, when the scheduler retries stepName
    */
-  async getDriverManifest(driverId, date = null) {
-    const dateFilter = date || new Date().toISOString().split("T")[0];
+  async scheduleRetry(orderId, stepName, nextRetryAt, options = {}) {
+    const { payload = null, ownerInstance } = options;
 
-    console.log(
-      `getDriverManifest called with driverId: ${driverId}, date: ${dateFilter}`
-    );
+    return await this.db.transaction(async (client) => {
+      await client.query(
+        `
+        INSERT INTO saga_log (order_id, entry_type, step_name, payload, owner_instance)
+        VALUES ($1, 'STEP_RETRY_SCHEDULED', $2, $3, $4)
+      `,
+        [
+          orderId,
+          stepName,
+          payload === null ? null : JSON.stringify(payload),
+          ownerInstance || null,
+        ]
+      );
 
-    // Query orders directly assigned to this driver
+      const result = await client.query(
+        `
+        UPDATE sagas
+        SET status = 'RETRY_SCHEDULED',
+            current_step = $2,
+            next_retry_at = $3,
+            updated_at = NOW()
+        WHERE order_id = $1
+        RETURNING *
+      `,
+        [orderId, stepName, nextRetryAt]
+      );
+
+      if (result.rows.length === 0) {
+        throw new Error(`Saga for order ${orderId} not found`);
+      }
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Claim sagas whose scheduled retry is due and move them back to RUNNING.
+   * Pass orderId to claim a single saga. Rows locked by another instance are
+   * skipped, so each retry is executed by exactly one instance.
+   */
+  async claimDueRetries(ownerInstance, options = {}) {
+    const { orderId = null, limit = 50 } = options;
+
+    const result = await this.db.query(
+      `
+      UPDATE sagas
+      SET status = 'RUNNING',
+          owner_instance = $1,
+          next_retry_at = NULL,
+          updated_at = NOW()
+      WHERE order_id IN (
+        SELECT order_id FROM sagas
+        WHERE status = 'RETRY_SCHEDULED'
+          AND next_retry_at <= NOW()
+          AND ($2::varchar IS NULL OR order_id = $2)
+        ORDER BY next_retry_at ASC
+        LIMIT $3
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `,
+      [ownerInstance, orderId, limit]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Flag the saga of an order as cancelled. The instance driving the saga
+   * picks the flag up before its next step. Returns null when the order has
+   * no saga yet.
+   */
+  async requestCancellation(orderId, reason) {
+    const result = await this.db.query(
+      `
+      UPDATE sagas
+      SET cancel_requested_at = COALESCE(cancel_requested_at, NOW()),
+          cancel_reason = COALESCE(cancel_reason, $2),
+          updated_at = NOW()
+      WHERE order_id = $1
+      RETURNING *
+    `,
+      [orderId, reason]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record a saga that was cancelled before it started, so that a late
+   * start event does not run it. Returns null when the saga has already
+   * been started.
+   */
+  async createCancelledSaga(orderId, orderData, reason, ownerInstance) {
+    const result = await this.db.query(
+      `
+      INSERT INTO sagas (order_id, status, order_data, owner_instance,
+                         cancel_requested_at, cancel_reason, finished_at)
+      VALUES ($1, 'COMPENSATED', $2, $3, NOW(), $4, NOW())
+      ON CONFLICT (order_id) DO NOTHING
+      RETURNING *
+    `,
+      [orderId, JSON.stringify(orderData), ownerInstance, reason]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Take over a cancelled saga that no instance is driving, i.e. one that is
+   * waiting for a retry or has already completed, and move it to COMPENSATING
+   */
+  async claimForCancellation(orderId, ownerInstance) {
+    const result = await this.db.query(
+      `
+      UPDATE sagas
+      SET status = 'COMPENSATING',
+          owner_instance = $2,
+          next_retry_at = NULL,
+          finished_at = NULL,
+          updated_at = NOW()
+      WHERE order_id = $1
+        AND cancel_requested_at IS NOT NULL
+        AND status IN ('RETRY_SCHEDULED', 'COMPLETED')
+      RETURNING *
+    `,
+      [orderId, ownerInstance]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Take over an idle saga (waiting for a retry or completed) so that its
+   * order can be amended, and move it back to RUNNING
+   */
+  async claimForAmendment(orderId, ownerInstance) {
+    const result = await this.db.query(
+      `
+      UPDATE sagas
+      SET status = 'RUNNING',
+          owner_instance = $2,
+          next_retry_at = NULL,
+          finished_at = NULL,
+          updated_at = NOW()
+      WHERE order_id = $1
+        AND cancel_requested_at IS NULL
+        AND status IN ('RETRY_SCHEDULED', 'COMPLETED')
+      RETURNING *
+    `,
+      [orderId, ownerInstance]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Replace the order payload the saga runs with and log the amendment
+   */
+  async amendOrderData(orderId, orderData, options = {}) {
+    const { payload = null, ownerInstance } = options;
+
+    return await this.db.transaction(async (client) => {
+      await client.query(
+        `
+        INSERT INTO saga_log (order_id, entry_type, payload, owner_instance)
+        VALUES ($1, 'ORDER_AMENDED', $2, $3)
+      `,
+        [
+          orderId,
+          payload === null ? null : JSON.stringify(payload),
+          ownerInstance || null,
+        ]
+      );
+
+      const result = await client.query(
+        `
+        UPDATE sagas
+        SET order_data = $2, updated_at = NOW()
+        WHERE order_id = $1
+        RETURNING *
+      `,
+        [orderId, JSON.stringify(orderData)]
+      );
+
+      return result.rows[0];
+    });
+  }
+
+  /**
+   * Get the saga record for an order
+   */
+  async getSaga(orderId) {
+    const result = await this.db.query(
+      "SELECT * FROM sagas WHERE order_id = $1",
+      [orderId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get the saga log entries for an order in the order they were written
+   */
+  async getSagaLog(orderId) {
+    const result = await this.db.query(
+      "SELECT * FROM saga_log WHERE order_id = $1 ORDER BY id ASC",
+      [orderId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Claim unfinished sagas for recovery by this instance.
+   * A saga is claimable once it has not been touched for staleAfterMs, or
+   * immediately when includeOwned is set and it belongs to ownerInstance
+   * (i.e. the previous run of this instance died while driving it).
+   */
+  async claimUnfinishedSagas(ownerInstance, options = {}) {
+    const { staleAfterMs = 120000, includeOwned = false, limit = 50 } = options;
+
+    const result = await this.db.query(
+      `
+      UPDATE sagas
+      SET owner_instance = $1, updated_at = NOW()
+      WHERE order_id IN (
+        SELECT order_id FROM sagas
+        WHERE status IN ('RUNNING', 'COMPENSATING')
+          AND (
+            updated_at < NOW() - ($2::int * INTERVAL '1 millisecond')
+            OR ($3 AND owner_instance = $1)
+          )
+        ORDER BY updated_at ASC
+        LIMIT $4
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `,
+      [ownerInstance, staleAfterMs, includeOwned, limit]
+    );
+
+    return result.rows;
+  }
+}
+
+/**
+ * Webhook Repository - client webhook subscriptions and their deliveries
+ */
+export class WebhookRepository {
+  constructor(dbClient) {
+    this.db = dbClient;
+  }
+
+  /**
+   * Register a webhook subscription for a client
+   */
+  async createSubscription({ clientId, url, eventTypes = [], secret }) {
+    const result = await this.db.query(
+      `
+      INSERT INTO webhook_subscriptions (client_id, url, event_types, secret)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `,
+      [clientId, url, eventTypes, secret]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * List webhook subscriptions, optionally for a single client. Signing
+   * secrets are never returned.
+   */
+  async listSubscriptions(clientId = null) {
+    const result = await this.db.query(
+      `
+      SELECT id, client_id, url, event_types, active, created_at, updated_at
+      FROM webhook_subscriptions
+      WHERE ($1::varchar IS NULL OR client_id = $1)
+      ORDER BY created_at DESC
+    `,
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a webhook subscription by ID, optionally only if it belongs to
+   * clientId
+   */
+  async getSubscription(subscriptionId, { clientId = null } = {}) {
+    const result = await this.db.query(
+      `
+      SELECT * FROM webhook_subscriptions
+      WHERE id = $1 AND ($2::varchar IS NULL OR client_id = $2)
+    `,
+      [subscriptionId, clientId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Stop delivering events to a webhook subscription, optionally only if it
+   * belongs to clientId
+   */
+  async deactivateSubscription(subscriptionId, { clientId = null } = {}) {
+    const result = await this.db.query(
+      `
+      UPDATE webhook_subscriptions
+      SET active = FALSE
+      WHERE id = $1 AND ($2::varchar IS NULL OR client_id = $2)
+      RETURNING id, client_id, url, event_types, active, created_at, updated_at
+    `,
+      [subscriptionId, clientId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the active subscriptions of the order's client that want the event
+   */
+  async findSubscriptionsForOrderEvent(orderId, eventType) {
+    const result = await this.db.query(
+      `
+      SELECT s.*
+      FROM webhook_subscriptions s
+      JOIN orders o ON o.client_id = s.client_id
+      WHERE o.id = $1
+        AND s.active
+        AND (cardinality(s.event_types) = 0 OR $2 = ANY(s.event_types))
+    `,
+      [orderId, eventType]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Queue an event for delivery to a subscription. Returns null when the
+   * event has already been queued for it (e.g. a redelivered Kafka message).
+   */
+  async enqueueDelivery({
+    subscriptionId,
+    eventKey,
+    eventType,
+    orderId,
+    payload,
+  }) {
+    const result = await this.db.query(
+      `
+      INSERT INTO webhook_deliveries (subscription_id, event_key, event_type, order_id, payload)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (subscription_id, event_key) DO NOTHING
+      RETURNING *
+    `,
+      [subscriptionId, eventKey, eventType, orderId, JSON.stringify(payload)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Claim deliveries that are due. Claimed deliveries are leased for leaseMs
+   * so that no other instance sends them at the same time.
+   */
+  async claimDueDeliveries({ leaseMs = 30000, limit = 20 } = {}) {
+    const result = await this.db.query(
+      `
+      UPDATE webhook_deliveries d
+      SET next_attempt_at = NOW() + ($1::int * INTERVAL '1 millisecond')
+      FROM webhook_subscriptions s
+      WHERE s.id = d.subscription_id
+        AND d.id IN (
+          SELECT wd.id FROM webhook_deliveries wd
+          JOIN webhook_subscriptions ws ON ws.id = wd.subscription_id
+          WHERE wd.status IN ('PENDING', 'RETRYING')
+            AND wd.next_attempt_at <= NOW()
+            AND ws.active
+          ORDER BY wd.next_attempt_at ASC
+          LIMIT $2
+          FOR UPDATE OF wd SKIP LOCKED
+        )
+      RETURNING d.*, s.url, s.secret
+    `,
+      [leaseMs, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Record a delivery attempt and its outcome. A DEAD outcome also parks the
+   * delivery in the dead-letter table.
+   */
+  async recordAttempt(deliveryId, attempt, outcome) {
+    const { statusCode = null, error = null, durationMs = null } = attempt;
+    const { status, nextAttemptAt = null } = outcome;
+
+    return await this.db.transaction(async (client) => {
+      await client.query(
+        `
+        INSERT INTO webhook_delivery_attempts (delivery_id, attempt_number, status_code, error, duration_ms)
+        VALUES ($1, (SELECT COUNT(*) + 1 FROM webhook_delivery_attempts WHERE delivery_id = $1), $2, $3, $4)
+      `,
+        [deliveryId, statusCode, error, durationMs]
+      );
+
+      const result = await client.query(
+        `
+        UPDATE webhook_deliveries
+        SET status = $2::webhook_delivery_status,
+            attempts = attempts + 1,
+            next_attempt_at = $3,
+            last_status_code = $4,
+            last_error = $5,
+            delivered_at = CASE WHEN $2::webhook_delivery_status = 'DELIVERED' THEN NOW() ELSE delivered_at END
+        WHERE id = $1
+        RETURNING *
+      `,
+        [deliveryId, status, nextAttemptAt, statusCode, error]
+      );
+      const delivery = result.rows[0];
+
+      if (status === "DEAD") {
+        await client.query(
+          `
+          INSERT INTO webhook_dead_letters (delivery_id, subscription_id, event_type, order_id, payload, attempts, last_error)
+          VALUES ($1, $2, $3, $4, $5, $6, $7)
+        `,
+          [
+            delivery.id,
+            delivery.subscription_id,
+            delivery.event_type,
+            delivery.order_id,
+            JSON.stringify(delivery.payload),
+            delivery.attempts,
+            error,
+          ]
+        );
+      }
+
+      return delivery;
+    });
+  }
+
+  /**
+   * List the deliveries of a subscription with their attempts, newest first
+   */
+  async listDeliveries(subscriptionId, { status = null, limit = 50 } = {}) {
+    const result = await this.db.query(
+      `
+      SELECT d.*,
+             COALESCE(
+               json_agg(a ORDER BY a.id) FILTER (WHERE a.id IS NOT NULL),
+               '[]'
+             ) AS attempt_log
+      FROM webhook_deliveries d
+      LEFT JOIN webhook_delivery_attempts a ON a.delivery_id = d.id
+      WHERE d.subscription_id = $1
+        AND ($2::webhook_delivery_status IS NULL OR d.status = $2)
+      GROUP BY d.id
+      ORDER BY d.created_at DESC
+      LIMIT $3
+    `,
+      [subscriptionId, status, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * List dead-lettered deliveries that have not been replayed
+   */
+  async listDeadLetters({
+    subscriptionId = null,
+    clientId = null,
+    limit = 50,
+  } = {}) {
+    const result = await this.db.query(
+      `
+      SELECT * FROM webhook_dead_letters
+      WHERE replayed_at IS NULL
+        AND ($1::uuid IS NULL OR subscription_id = $1)
+        AND (
+          $3::varchar IS NULL
+          OR subscription_id IN (
+            SELECT id FROM webhook_subscriptions WHERE client_id = $3
+          )
+        )
+      ORDER BY dead_lettered_at DESC
+      LIMIT $2
+    `,
+      [subscriptionId, limit, clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Queue a delivery to be sent again with a fresh retry budget, whatever
+   * its current status, and mark its dead letter as replayed. With clientId,
+   * only a delivery to one of that client's webhooks is replayed.
+   */
+  async replayDelivery(deliveryId, { clientId = null } = {}) {
+    return await this.db.transaction(async (client) => {
+      const result = await client.query(
+        `
+        UPDATE webhook_deliveries
+        SET status = 'PENDING',
+            attempts = 0,
+            next_attempt_at = NOW()
+        WHERE id = $1
+          AND (
+            $2::varchar IS NULL
+            OR subscription_id IN (
+              SELECT id FROM webhook_subscriptions WHERE client_id = $2
+            )
+          )
+        RETURNING *
+      `,
+        [deliveryId, clientId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        `
+        UPDATE webhook_dead_letters
+        SET replayed_at = NOW()
+        WHERE delivery_id = $1 AND replayed_at IS NULL
+      `,
+        [deliveryId]
+      );
+
+      return result.rows[0];
+    });
+  }
+}
+
+/**
+ * Notification Repository - per-client email and SMS recipients and the
+ * notifications sent to them
+ */
+export class NotificationRepository {
+  constructor(dbClient) {
+    this.db = dbClient;
+  }
+
+  /**
+   * Register an email or SMS recipient for a client
+   */
+  async createRecipient({
+    clientId,
+    channel,
+    address,
+    language = "en",
+    eventTypes = [],
+  }) {
+    const result = await this.db.query(
+      `
+      INSERT INTO notification_recipients (client_id, channel, address, language, event_types)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `,
+      [clientId, channel, address, language, eventTypes]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * List notification recipients, optionally for a single client
+   */
+  async listRecipients(clientId = null) {
+    const result = await this.db.query(
+      `
+      SELECT * FROM notification_recipients
+      WHERE ($1::varchar IS NULL OR client_id = $1)
+      ORDER BY created_at DESC
+    `,
+      [clientId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get a recipient by ID, optionally only if it belongs to clientId
+   */
+  async getRecipient(recipientId, { clientId = null } = {}) {
+    const result = await this.db.query(
+      `
+      SELECT * FROM notification_recipients
+      WHERE id = $1 AND ($2::varchar IS NULL OR client_id = $2)
+    `,
+      [recipientId, clientId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Stop sending notifications to a recipient, optionally only if it belongs
+   * to clientId
+   */
+  async deactivateRecipient(recipientId, { clientId = null } = {}) {
+    const result = await this.db.query(
+      `
+      UPDATE notification_recipients
+      SET active = FALSE
+      WHERE id = $1 AND ($2::varchar IS NULL OR client_id = $2)
+      RETURNING *
+    `,
+      [recipientId, clientId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find the active recipients of the order's client that want the event
+   */
+  async findRecipientsForOrderEvent(orderId, eventType) {
+    const result = await this.db.query(
+      `
+      SELECT r.*
+      FROM notification_recipients r
+      JOIN orders o ON o.client_id = r.client_id
+      WHERE o.id = $1
+        AND r.active
+        AND (cardinality(r.event_types) = 0 OR $2 = ANY(r.event_types))
+    `,
+      [orderId, eventType]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Claim sending an event to a recipient. Returns null when it has already
+   * been sent, or is being sent and the claim is younger than leaseMs; a
+   * failed send can be claimed again.
+   */
+  async claimDelivery(
+    { recipientId, eventId, eventType, orderId },
+    { leaseMs = 300000 } = {}
+  ) {
+    const result = await this.db.query(
+      `
+      INSERT INTO notification_deliveries (recipient_id, event_id, event_type, order_id)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (recipient_id, event_id) DO UPDATE
+      SET status = 'SENDING', attempts = notification_deliveries.attempts + 1
+      WHERE notification_deliveries.status = 'FAILED'
+        OR (
+          notification_deliveries.status = 'SENDING'
+          AND notification_deliveries.updated_at < NOW() - $5 * INTERVAL '1 millisecond'
+        )
+      RETURNING *
+    `,
+      [recipientId, eventId, eventType, orderId, leaseMs]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record the outcome of a claimed delivery: SENT with the provider's
+   * message ID, or FAILED with the error
+   */
+  async recordDelivery(
+    deliveryId,
+    { status, providerMessageId = null, error = null }
+  ) {
+    const result = await this.db.query(
+      `
+      UPDATE notification_deliveries
+      SET status = $2::notification_delivery_status,
+          provider_message_id = $3,
+          last_error = $4,
+          sent_at = CASE
+            WHEN $2::notification_delivery_status = 'SENT' THEN NOW()
+            ELSE sent_at
+          END
+      WHERE id = $1
+      RETURNING *
+    `,
+      [deliveryId, status, providerMessageId, error]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List the notifications of a recipient, newest first
+   */
+  async listDeliveries(recipientId, { limit = 50 } = {}) {
+    const result = await this.db.query(
+      `
+      SELECT * FROM notification_deliveries
+      WHERE recipient_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2
+    `,
+      [recipientId, limit]
+    );
+    return result.rows;
+  }
+}
+
+/**
+ * Idempotency Repository - remembers order submissions so that retried
+ * requests get the original response instead of creating the order twice
+ */
+export class IdempotencyRepository {
+  constructor(dbClient) {
+    this.db = dbClient;
+  }
+
+  /**
+   * Claim a submission for an order ID and optional idempotency key. Returns
+   * { claimed: true, record } for a new submission, otherwise the earlier
+   * submission that holds the key (preferred) or the order ID.
+   */
+  async claimSubmission({
+    clientId,
+    idempotencyKey = null,
+    orderId,
+    requestHash,
+    ttlMs,
+    lockMs,
+  }) {
+    return await this.db.transaction(async (client) => {
+      // Expired submissions no longer hold their key or order ID
+      await client.query(
+        `
+        DELETE FROM idempotency_keys
+        WHERE expires_at <= NOW()
+          AND (order_id = $1 OR (client_id = $2 AND idempotency_key = $3))
+      `,
+        [orderId, clientId, idempotencyKey]
+      );
+
+      const inserted = await client.query(
+        `
+        INSERT INTO idempotency_keys (
+          client_id, idempotency_key, order_id, request_hash, locked_until, expires_at
+        )
+        VALUES (
+          $1, $2, $3, $4,
+          NOW() + ($5::int * INTERVAL '1 millisecond'),
+          NOW() + ($6::int * INTERVAL '1 millisecond')
+        )
+        ON CONFLICT DO NOTHING
+        RETURNING *
+      `,
+        [clientId, idempotencyKey, orderId, requestHash, lockMs, ttlMs]
+      );
+
+      if (inserted.rows.length > 0) {
+        return { claimed: true, record: inserted.rows[0] };
+      }
+
+      const existing = await client.query(
+        `
+        SELECT * FROM idempotency_keys
+        WHERE (client_id = $2 AND idempotency_key = $3) OR order_id = $1
+        ORDER BY (idempotency_key = $3) DESC NULLS LAST
+        LIMIT 1
+      `,
+        [orderId, clientId, idempotencyKey]
+      );
+
+      return { claimed: false, record: existing.rows[0] || null };
+    });
+  }
+
+  /**
+   * Take over an in-progress submission whose lease has run out, e.g. because
+   * the request processing it failed or its instance died
+   */
+  async takeOverSubmission(submissionId, lockMs) {
+    const result = await this.db.query(
+      `
+      UPDATE idempotency_keys
+      SET locked_until = NOW() + ($2::int * INTERVAL '1 millisecond')
+      WHERE id = $1
+        AND response_status IS NULL
+        AND locked_until <= NOW()
+      RETURNING *
+    `,
+      [submissionId, lockMs]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store the response of a submission so that it can be replayed
+   */
+  async saveResponse(submissionId, responseStatus, responseBody) {
+    const result = await this.db.query(
+      `
+      UPDATE idempotency_keys
+      SET response_status = $2,
+          response_body = $3,
+          locked_until = NULL
+      WHERE id = $1
+      RETURNING *
+    `,
+      [submissionId, responseStatus, JSON.stringify(responseBody)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * End the lease of a submission without a response, so that the next
+   * retry can take it over straight away
+   */
+  async releaseSubmission(submissionId) {
+    await this.db.query(
+      "UPDATE idempotency_keys SET locked_until = NOW() WHERE id = $1",
+      [submissionId]
+    );
+  }
+
+  /**
+   * Forget a submission that did not create its order
+   */
+  async deleteSubmission(submissionId) {
+    await this.db.query("DELETE FROM idempotency_keys WHERE id = $1", [
+      submissionId,
+    ]);
+  }
+
+  /**
+   * Delete expired submissions, returning how many were removed
+   */
+  async purgeExpired() {
+    const result = await this.db.query(
+      "DELETE FROM idempotency_keys WHERE expires_at <= NOW()"
+    );
+    return result.rowCount;
+  }
+}
+
+/**
+ * Outbox Repository - order events waiting to be published to Kafka
+ */
+export class OutboxRepository {
+  constructor(dbClient) {
+    this.db = dbClient;
+  }
+
+  /**
+   * Write events to the outbox that do not go with any other change
+   */
+  async addEvents(outboxEvents) {
+    await this.db.transaction((client) =>
+      insertOutboxEvents(client, outboxEvents)
+    );
+  }
+
+  /**
+   * Hand the oldest unpublished events, in the order they were written, to
+   * publish and mark them as published once it resolves. Only one relay
+   * publishes at a time across all instances; resolves with the number of
+   * events published, 0 when another relay is busy. A failed publish is
+   * recorded on the events and rethrown.
+   */
+  async publishPending(publish, { limit = 100 } = {}) {
+    let publishError = null;
+
+    const published = await this.db.transaction(async (client) => {
+      const lock = await client.query(
+        "SELECT pg_try_advisory_xact_lock(hashtext('swifttrack.outbox_relay')) AS acquired"
+      );
+      if (!lock.rows[0].acquired) {
+        return 0;
+      }
+
+      const pending = await client.query(
+        `
+        SELECT * FROM outbox_events
+        WHERE published_at IS NULL
+        ORDER BY id ASC
+        LIMIT $1
+      `,
+        [limit]
+      );
+      if (pending.rows.length === 0) {
+        return 0;
+      }
+
+      const ids = pending.rows.map((row) => row.id);
+      try {
+        await publish(pending.rows);
+      } catch (error) {
+        publishError = error;
+        await client.query(
+          `
+          UPDATE outbox_events
+          SET attempts = attempts + 1, last_error = $2
+          WHERE id = ANY($1)
+        `,
+          [ids, error.message]
+        );
+        return 0;
+      }
+
+      await client.query(
+        `
+        UPDATE outbox_events
+        SET attempts = attempts + 1, last_error = NULL, published_at = NOW()
+        WHERE id = ANY($1)
+      `,
+        [ids]
+      );
+      return ids.length;
+    });
+
+    if (publishError) {
+      throw publishError;
+    }
+    return published;
+  }
+
+  /**
+   * Events of an order in the order they are published, for replaying the
+   * ones a client missed. afterEventId starts after that event (from the
+   * first retained event when it is unknown, e.g. purged), since after that
+   * time; clientId limits them to the orders of that client. Events are kept
+   * for the outbox retention. Only published events are listed: the others
+   * still reach consumers and subscribers live, and would arrive twice.
+   */
+  async listOrderEvents(
+    orderId,
+    { afterEventId = null, since = null, clientId = null, limit = 500 } = {}
+  ) {
+    const result = await this.db.query(
+      `
+      SELECT payload, created_at, published_at FROM outbox_events
+      WHERE order_id = $1
+        AND published_at IS NOT NULL
+        AND id > COALESCE(
+          (SELECT id FROM outbox_events WHERE event_id = $2::uuid AND order_id = $1),
+          0
+        )
+        AND ($3::timestamptz IS NULL OR created_at > $3)
+        AND ($4::text IS NULL OR payload->>'clientId' = $4)
+      ORDER BY id ASC
+      LIMIT $5
+    `,
+      [orderId, afterEventId, since, clientId, limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Number of unpublished events and the time the oldest one was written
+   */
+  async getBacklog() {
+    const result = await this.db.query(`
+      SELECT COUNT(*)::int AS pending, MIN(created_at) AS oldest_created_at
+      FROM outbox_events
+      WHERE published_at IS NULL
+    `);
+    return result.rows[0];
+  }
+
+  /**
+   * Delete events published more than retentionMs ago, returning how many
+   * were removed
+   */
+  async purgePublished(retentionMs) {
+    const result = await this.db.query(
+      `
+      DELETE FROM outbox_events
+      WHERE published_at < NOW() - ($1::bigint * INTERVAL '1 millisecond')
+    `,
+      [retentionMs]
+    );
+    return result.rowCount;
+  }
+}
+
+/**
+ * Processed Event Repository - event IDs each consumer group has handled,
+ * so that redelivered events are skipped
+ */
+export class ProcessedEventRepository {
+  constructor(dbClient) {
+    this.db = dbClient;
+  }
+
+  /**
+   * Claim an event for a consumer group. Returns false when the group has
+   * already processed (or is processing) the event.
+   */
+  async claim(consumerGroup, eventId) {
+    const result = await this.db.query(
+      `
+      INSERT INTO processed_events (consumer_group, event_id)
+      VALUES ($1, $2)
+      ON CONFLICT (consumer_group, event_id) DO NOTHING
+    `,
+      [consumerGroup, eventId]
+    );
+    return result.rowCount === 1;
+  }
+
+  /**
+   * Give up a claim after the event failed, so that its redelivery is handled
+   */
+  async release(consumerGroup, eventId) {
+    await this.db.query(
+      "DELETE FROM processed_events WHERE consumer_group = $1 AND event_id = $2",
+      [consumerGroup, eventId]
+    );
+  }
+
+  /**
+   * Forget events processed more than retentionMs ago, returning how many
+   * were removed
+   */
+  async purgeProcessed(retentionMs) {
+    const result = await this.db.query(
+      `
+      DELETE FROM processed_events
+      WHERE processed_at < NOW() - ($1::bigint * INTERVAL '1 millisecond')
+    `,
+      [retentionMs]
+    );
+    return result.rowCount;
+  }
+}
+
+/**
+ * Dead Letter Repository - Kafka messages that consumers gave up on, kept
+ * for inspection and re-driving
+ */
+export class DeadLetterRepository {
+  constructor(dbClient) {
+    this.db = dbClient;
+  }
+
+  /**
+   * Archive a message read from a dead-letter topic. Returns null when it has
+   * already been archived (e.g. a redelivered DLQ message).
+   */
+  async archive(deadLetter) {
+    const result = await this.db.query(
+      `
+      INSERT INTO dead_letter_events (
+        dlq_topic, dlq_partition, dlq_offset, original_topic, original_partition,
+        original_offset, consumer_group, event_id, event_type, order_id,
+        message_key, message_value, headers, attempts, error_name,
+        error_message, failed_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      ON CONFLICT (dlq_topic, dlq_partition, dlq_offset) DO NOTHING
+      RETURNING *
+    `,
+      [
+        deadLetter.dlqTopic,
+        deadLetter.dlqPartition,
+        deadLetter.dlqOffset,
+        deadLetter.originalTopic,
+        deadLetter.originalPartition,
+        deadLetter.originalOffset,
+        deadLetter.consumerGroup,
+        deadLetter.eventId,
+        deadLetter.eventType,
+        deadLetter.orderId,
+        deadLetter.messageKey,
+        deadLetter.messageValue,
+        JSON.stringify(deadLetter.headers),
+        deadLetter.attempts,
+        deadLetter.errorName,
+        deadLetter.errorMessage,
+        deadLetter.failedAt,
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * List dead letters, newest first. redriven filters on whether they have
+   * been re-driven (null for all).
+   */
+  async listDeadLetters({
+    consumerGroup = null,
+    orderId = null,
+    redriven = null,
+    limit = 50,
+  } = {}) {
+    const result = await this.db.query(
+      `
+      SELECT * FROM dead_letter_events
+      WHERE ($1::text IS NULL OR consumer_group = $1)
+        AND ($2::text IS NULL OR order_id = $2)
+        AND ($3::boolean IS NULL OR (redriven_at IS NOT NULL) = $3)
+      ORDER BY dead_lettered_at DESC
+      LIMIT $4
+    `,
+      [consumerGroup, orderId, redriven, limit]
+    );
+    return result.rows;
+  }
+
+  async getDeadLetter(deadLetterId) {
+    const result = await this.db.query(
+      "SELECT * FROM dead_letter_events WHERE id = $1",
+      [deadLetterId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record that a dead letter was published on its original topic again
+   */
+  async markRedriven(deadLetterId) {
+    const result = await this.db.query(
+      `
+      UPDATE dead_letter_events
+      SET redriven_at = NOW(), redrive_count = redrive_count + 1
+      WHERE id = $1
+      RETURNING *
+    `,
+      [deadLetterId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+/**
+ * Order Import Repository - bulk order batches and their per-row results
+ */
+export class OrderImportRepository {
+  constructor(dbClient) {
+    this.db = dbClient;
+  }
+
+  /**
+   * Create a batch together with the result of each of its input rows.
+   * clientId is the client that submitted it, if it was not an operator.
+   */
+  async createBatch({ format, totalOrders, rows, clientId = null }) {
+    return await this.db.transaction(async (client) => {
+      const result = await client.query(
+        `
+        INSERT INTO order_import_batches (format, total_rows, total_orders, client_id)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `,
+        [format, rows.length, totalOrders, clientId]
+      );
+      const batch = result.rows[0];
+
+      await client.query(
+        `
+        INSERT INTO order_import_rows (batch_id, row_number, order_id, status, errors)
+        SELECT $1, *
+        FROM unnest($2::int[], $3::varchar[], $4::import_row_status[], $5::jsonb[])
+      `,
+        [
+          batch.id,
+          rows.map((row) => row.rowNumber),
+          rows.map((row) => row.orderId ?? null),
+          rows.map((row) => row.status),
+          rows.map((row) => (row.errors ? JSON.stringify(row.errors) : null)),
+        ]
+      );
+
+      return batch;
+    });
+  }
+
+  /**
+   * Set the status of the queued rows of a batch that belong to the given
+   * orders
+   */
+  async updateOrderRows(batchId, orderIds, status, errors = null) {
+    await this.db.query(
+      `
+      UPDATE order_import_rows
+      SET status = $3, errors = $4
+      WHERE batch_id = $1 AND order_id = ANY($2) AND status = 'QUEUED'
+    `,
+      [batchId, orderIds, status, errors ? JSON.stringify(errors) : null]
+    );
+  }
+
+  /**
+   * Mark a batch as completed once all of its orders have been processed
+   */
+  async completeBatch(batchId) {
+    const result = await this.db.query(
+      `
+      UPDATE order_import_batches
+      SET status = 'COMPLETED', completed_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `,
+      [batchId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get a batch with its rows, including the current status of the orders
+   * the batch created. With clientId, only a batch that client submitted.
+   */
+  async getBatch(batchId, { clientId = null } = {}) {
+    const batchResult = await this.db.query(
+      `
+      SELECT * FROM order_import_batches
+      WHERE id = $1 AND ($2::varchar IS NULL OR client_id = $2)
+    `,
+      [batchId, clientId]
+    );
+    if (batchResult.rows.length === 0) {
+      return null;
+    }
+
+    const rowsResult = await this.db.query(
+      `
+      SELECT r.row_number, r.order_id, r.status, r.errors,
+             o.status AS order_status
+      FROM order_import_rows r
+      LEFT JOIN orders o ON o.id = r.order_id AND r.status = 'CREATED'
+      WHERE r.batch_id = $1
+      ORDER BY r.row_number
+    `,
+      [batchId]
+    );
+
+    return { ...batchResult.rows[0], rows: rowsResult.rows };
+  }
+}
+
+/**
+ * Driver Repository - handles driver-related database operations
+ */
+export class DriverRepository {
+  constructor(dbClient) {
+    this.db = dbClient;
+  }
+
+  /**
+   * Get driver by ID
+   */
+  async getDriverById(driverId) {
+    const result = await this.db.query("SELECT * FROM drivers WHERE id = $1", [
+      driverId,
+    ]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Update driver location
+   */
+  async updateDriverLocation(driverId, latitude, longitude) {
+    const result = await this.db.query(
+      `
+      UPDATE drivers 
+      SET current_latitude = $2, current_longitude = $3, location_updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `,
+      [driverId, latitude, longitude]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Get driver's delivery manifest for a specific date
+   */
+  async getDriverManifest(driverId, date = null) {
+    const dateFilter = date || new Date().toISOString().split("T")[0];
+
+    // Query orders directly assigned to this driver
     const ordersQuery = `
       SELECT o.id, o.client_id, o.status, o.priority, o.estimated_delivery_time, 
              o.route_id, o.assigned_driver_id, o.assigned_vehicle_id, o.created_at,
@@ -488,18 +2092,16 @@ export class DriverRepository {
       ORDER BY o.created_at
     `;
 
-    console.log(`Executing query: ${ordersQuery}`);
-    console.log(`With parameters: [${driverId}, ${dateFilter}]`);
-
     const ordersResult = await this.db.query(ordersQuery, [
       driverId,
       dateFilter,
     ]);
 
-    console.log(`Query returned ${ordersResult.rows.length} orders`);
-
     if (ordersResult.rows.length === 0) {
-      console.log(`No orders found for driver ${driverId} on ${dateFilter}`);
+      logger.debug("No orders found for driver manifest", {
+        driverId,
+        date: dateFilter,
+      });
       return null;
     }
 
@@ -550,7 +2152,11 @@ export class DriverRepository {
       });
     }
 
-    console.log(`Created manifest with ${manifest.total_stops} stops`);
+    logger.debug("Created driver manifest", {
+      driverId,
+      date: dateFilter,
+      stops: manifest.total_stops,
+    });
     return manifest;
   }
 
@@ -623,9 +2229,15 @@ export class DriverRepository {
   }
 
   /**
-   * Simple method to update order status directly (for driver status updates)
+   * Simple method to update order status directly (for driver status updates),
+   * together with the outbox events announcing it
    */
-  async updateOrderDeliveryStatus(orderId, status, updateData = {}) {
+  async updateOrderDeliveryStatus(
+    orderId,
+    status,
+    updateData = {},
+    outboxEvents = []
+  ) {
     return await this.db.transaction(async (client) => {
       // Update order status in main orders table
       const orderUpdateQuery = `
@@ -659,6 +2271,7 @@ export class DriverRepository {
           "driver-service",
         ]
       );
+      await insertOutboxEvents(client, outboxEvents);
 
       return orderResult.rows[0];
     });
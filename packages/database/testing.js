@@ -0,0 +1,52 @@
+import crypto from "crypto";
+import { readFileSync, readdirSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DatabaseClient } from "./index.js";
+
+// Scratch databases for the services' tests. TEST_DATABASE_URL points to a
+// PostgreSQL server the tests may create databases on; tests that need one
+// are skipped without it.
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+const INIT_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../database/init"
+);
+
+/**
+ * Create a database with the SwiftTrack schema and seed data. Resolves with
+ * { db, drop }; drop() closes db and drops the database.
+ */
+export async function createTestDatabase() {
+  const name = `swifttrack_test_${crypto.randomBytes(6).toString("hex")}`;
+  const server = new DatabaseClient(TEST_DATABASE_URL);
+  await server.query(`CREATE DATABASE ${name}`);
+
+  const url = new URL(TEST_DATABASE_URL);
+  url.pathname = `/${name}`;
+  const db = new DatabaseClient(url.toString());
+
+  try {
+    for (const file of readdirSync(INIT_DIR).sort()) {
+      if (path.extname(file) === ".sql") {
+        await db.query(readFileSync(path.join(INIT_DIR, file), "utf8"));
+      }
+    }
+  } catch (error) {
+    await db.close();
+    await server.query(`DROP DATABASE ${name}`);
+    await server.close();
+    throw error;
+  }
+
+  return {
+    db,
+    async drop() {
+      await db.close();
+      await server.query(`DROP DATABASE ${name}`);
+      await server.close();
+    },
+  };
+}
@@ -1,4 +1,10 @@
-import { Kafka, Producer, Partitioners } from "kafkajs";
+import {
+  EachMessagePayload,
+  IHeaders,
+  Kafka,
+  Partitioners,
+  Producer,
+} from "kafkajs";
 import { getLogger } from "@swifttrack/logger";
 
 const logger = getLogger("@swifttrack/kafka-client", "info");
@@ -117,5 +123,174 @@ export abstract class BaseProducer<T> {
   }
 }
 
+// Dead-lettering: a message whose handler keeps failing is published to the
+// dead-letter topic of its topic, with the failure in dlq-* headers, so that
+// it can be inspected and re-driven instead of blocking or vanishing.
+
+export const DEAD_LETTER_SUFFIX = ".DLQ";
+
+export const DEAD_LETTER_HEADERS = {
+  originalTopic: "dlq-original-topic",
+  originalPartition: "dlq-original-partition",
+  originalOffset: "dlq-original-offset",
+  consumerGroup: "dlq-consumer-group",
+  attempts: "dlq-attempts",
+  errorName: "dlq-error-name",
+  errorMessage: "dlq-error-message",
+  failedAt: "dlq-failed-at",
+} as const;
+
+// Resolved by a retryWithDeadLetter handler for a dead-lettered message
+export const DEAD_LETTERED = Symbol("dead-lettered");
+
+export interface DeadLetterOptions {
+  groupId: string;
+  // Attempts before the message is dead-lettered, including the first one
+  maxAttempts?: number;
+  // Delay before the first retry; doubled for every further retry
+  retryDelayMs?: number;
+  maxRetryDelayMs?: number;
+  // Errors for which retrying is pointless, e.g. an unparseable message, are
+  // dead-lettered at once
+  isRetriable?: (error: Error) => boolean;
+}
+
+export function deadLetterTopic(topic: string) {
+  return `${topic}${DEAD_LETTER_SUFFIX}`;
+}
+
+function headerValue(value: IHeaders[string]) {
+  const first = Array.isArray(value) ? value[0] : value;
+  return first === undefined ? undefined : first.toString();
+}
+
+/**
+ * The failure recorded on a dead-lettered message, read from its headers
+ */
+export function deadLetterInfo(headers: IHeaders = {}) {
+  const info = Object.fromEntries(
+    Object.entries(DEAD_LETTER_HEADERS).map(([field, header]) => [
+      field,
+      headerValue(headers[header]),
+    ])
+  ) as Record<keyof typeof DEAD_LETTER_HEADERS, string | undefined>;
+  return {
+    ...info,
+    originalPartition: Number(info.originalPartition),
+    attempts: Number(info.attempts),
+  };
+}
+
+/**
+ * Headers of a dead-lettered message without the dlq-* headers, to publish
+ * it on its original topic again
+ */
+export function originalHeaders(headers: IHeaders = {}) {
+  const dlqHeaders = new Set<string>(Object.values(DEAD_LETTER_HEADERS));
+  return Object.fromEntries(
+    Object.entries(headers)
+      .filter(([name]) => !dlqHeaders.has(name))
+      .map(([name, value]) => [name, headerValue(value)])
+  ) as Record<string, string>;
+}
+
+const defaultIsRetriable = (error: Error) =>
+  !(error instanceof SyntaxError) &&
+  (error as Error & { retriable?: boolean }).retriable !== false;
+
+// Wait ms, sending heartbeats so that the group does not consider the
+// consumer dead during a long backoff
+async function backoff(ms: number, heartbeat: () => Promise<void>) {
+  const deadline = Date.now() + ms;
+  while (Date.now() < deadline) {
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.min(3000, deadline - Date.now()))
+    );
+    await heartbeat();
+  }
+}
+
+/**
+ * Wrap an eachMessage handler with bounded retries. When every attempt has
+ * failed, or the error is not retriable, the message is published to
+ * <topic>.DLQ and the wrapped handler resolves with DEAD_LETTERED; otherwise
+ * with the handler's result. Fails only if the dead-letter publish fails, so
+ * that kafkajs redelivers the message rather than losing it.
+ */
+export function retryWithDeadLetter<T>(
+  producer: Producer,
+  handler: (payload: EachMessagePayload) => Promise<T>,
+  options: DeadLetterOptions
+) {
+  const {
+    groupId,
+    maxAttempts = 5,
+    retryDelayMs = 1000,
+    maxRetryDelayMs = 30000,
+    isRetriable = defaultIsRetriable,
+  } = options;
+
+  return async (
+    payload: EachMessagePayload
+  ): Promise<T | typeof DEAD_LETTERED> => {
+    const { topic, partition, message, heartbeat } = payload;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await handler(payload);
+      } catch (caught) {
+        const error = caught as Error;
+        const details = {
+          topic,
+          partition,
+          offset: message.offset,
+          groupId,
+          attempt,
+          error: error.message,
+        };
+
+        if (attempt < maxAttempts && isRetriable(error)) {
+          const delay = Math.min(
+            retryDelayMs * Math.pow(2, attempt - 1),
+            maxRetryDelayMs
+          );
+          logger.warn(
+            `Message handler failed, retrying in ${delay}ms`,
+            details
+          );
+          await backoff(delay, heartbeat);
+          continue;
+        }
+
+        await producer.send({
+          topic: deadLetterTopic(topic),
+          messages: [
+            {
+              key: message.key,
+              value: message.value,
+              headers: {
+                ...message.headers,
+                [DEAD_LETTER_HEADERS.originalTopic]: topic,
+                [DEAD_LETTER_HEADERS.originalPartition]: String(partition),
+                [DEAD_LETTER_HEADERS.originalOffset]: message.offset,
+                [DEAD_LETTER_HEADERS.consumerGroup]: groupId,
+                [DEAD_LETTER_HEADERS.attempts]: String(attempt),
+                [DEAD_LETTER_HEADERS.errorName]: error.name,
+                [DEAD_LETTER_HEADERS.errorMessage]: error.message,
+                [DEAD_LETTER_HEADERS.failedAt]: new Date().toISOString(),
+              },
+            },
+          ],
+        });
+        logger.error(
+          `Message dead-lettered to ${deadLetterTopic(topic)}`,
+          details
+        );
+        return DEAD_LETTERED;
+      }
+    }
+  };
+}
+
 // Export the KafkaClient class
 export { KafkaClient };
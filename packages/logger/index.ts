@@ -1,28 +1,213 @@
 import winston from "winston";
+import { traceLogFields } from "@swifttrack/tracing";
+
+// Configuration, all optional:
+//
+//   LOG_FORMAT          "text" (one line per entry) or "json"; defaults to
+//                       json in production and text elsewhere
+//   LOG_LEVEL           level of every logger
+//   LOG_LEVELS          per-logger levels, e.g. "cms-adapter=debug,
+//                       @swifttrack/database=warn"; wins over LOG_LEVEL
+//   LOG_FILE            also write JSON entries to this file, rotated once
+//                       it reaches LOG_FILE_MAX_SIZE bytes, keeping
+//                       LOG_FILE_MAX_FILES files
+//   LOG_REDACT_KEYS     extra metadata keys to redact, comma-separated
+//
+// Without LOG_LEVEL or LOG_LEVELS a logger uses the level passed to
+// getLogger, or the default of its environment (NODE_ENV).
+
+const ENVIRONMENT_LEVELS: Record<string, string> = {
+  production: "info",
+  test: "warn",
+};
+
+export const REDACTED = "[REDACTED]";
+
+// Metadata keys holding personal data: addresses, phone numbers and names
+const SENSITIVE_KEY_PATTERNS = [
+  /address/i,
+  /phone|mobile|msisdn/i,
+  /^(customer|recipient|contact|driver|full|first|last)_?name$/i,
+  /^e-?mail$/i,
+];
+
+// Fields of a log entry set by the logger itself
+const ENTRY_FIELDS = new Set([
+  "level",
+  "message",
+  "service",
+  "timestamp",
+  "traceId",
+  "spanId",
+]);
+
+const MAX_REDACTION_DEPTH = 10;
+
+function parseList(value: string | undefined) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+const extraSensitiveKeys = new Set(
+  parseList(process.env.LOG_REDACT_KEYS).map((key) => key.toLowerCase())
+);
+
+const moduleLevels = Object.fromEntries(
+  parseList(process.env.LOG_LEVELS).map((entry) => {
+    const separator = entry.lastIndexOf("=");
+    return [
+      entry.slice(0, separator).trim(),
+      entry.slice(separator + 1).trim(),
+    ];
+  })
+);
+
+function isSensitiveKey(key: string) {
+  return (
+    extraSensitiveKeys.has(key.toLowerCase()) ||
+    SENSITIVE_KEY_PATTERNS.some((pattern) => pattern.test(key))
+  );
+}
+
+/**
+ * Copy of value with the personal data replaced by REDACTED. Counts and
+ * flags under a sensitive key (e.g. deliveryAddresses: 2) are kept.
+ */
+export function redact(
+  value: unknown,
+  key = "",
+  depth = 0,
+  seen = new WeakSet<object>()
+): unknown {
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (key && isSensitiveKey(key)) {
+    return typeof value === "number" || typeof value === "boolean"
+      ? value
+      : REDACTED;
+  }
+  if (typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `<Buffer ${value.length} bytes>`;
+  }
+  if (seen.has(value) || depth >= MAX_REDACTION_DEPTH) {
+    return "[Truncated]";
+  }
+  seen.add(value);
+
+  const copy = Array.isArray(value)
+    ? value.map((item) => redact(item, key, depth + 1, seen))
+    : Object.fromEntries(
+        Object.entries(value).map(([entryKey, entryValue]) => [
+          entryKey,
+          redact(entryValue, entryKey, depth + 1, seen),
+        ])
+      );
+  seen.delete(value);
+  return copy;
+}
+
+// Tags the entry with the span active when it was logged
+const traceFormat = winston.format((info) => {
+  const trace = traceLogFields();
+  if (trace) {
+    info.traceId = trace.traceId;
+    info.spanId = trace.spanId;
+  }
+  return info;
+});
+
+// Redacts the metadata in place on the entry; the caller's objects are copied
+const redactFormat = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (!ENTRY_FIELDS.has(key)) {
+      info[key] = redact(info[key], key);
+    }
+  }
+  return info;
+});
+
+function metadataOf(info: winston.Logform.TransformableInfo) {
+  return Object.fromEntries(
+    Object.entries(info).filter(([key]) => !ENTRY_FIELDS.has(key))
+  );
+}
+
+const textFormat = winston.format.printf((info) => {
+  const { level, message, service, traceId, spanId } = info;
+  const timestamp = new Date(info.timestamp as string).toLocaleString("en-US", {
+    timeZone: "Asia/Colombo",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hour12: false,
+  });
+  const trace = traceId ? ` [trace=${traceId} span=${spanId}]` : "";
+  const metadata = metadataOf(info);
+  const details =
+    Object.keys(metadata).length > 0 ? ` ${JSON.stringify(metadata)}` : "";
+  return `[${timestamp}] [${level}] [${service}]${trace}: ${message}${details}`;
+});
+
+function outputFormat() {
+  const format =
+    process.env.LOG_FORMAT ||
+    (process.env.NODE_ENV === "production" ? "json" : "text");
+  return format === "json" ? winston.format.json() : textFormat;
+}
+
+// One file transport per process, shared by its loggers, so that they rotate
+// the same file
+let fileTransport: winston.transport | null = null;
+
+function getFileTransport() {
+  if (!fileTransport && process.env.LOG_FILE) {
+    fileTransport = new winston.transports.File({
+      filename: process.env.LOG_FILE,
+      maxsize: parseInt(process.env.LOG_FILE_MAX_SIZE || "") || 10485760,
+      maxFiles: parseInt(process.env.LOG_FILE_MAX_FILES || "") || 5,
+      tailable: true,
+      format: winston.format.json(),
+    });
+    // Each logger adds a listener to the shared transport
+    fileTransport.setMaxListeners(0);
+  }
+  return fileTransport;
+}
+
+export const getLogger = (service: string, level?: string) => {
+  const file = getFileTransport();
 
-export const getLogger = (service: string, level = "debug") => {
   return winston.createLogger({
-    level: level,
+    level:
+      moduleLevels[service] ||
+      process.env.LOG_LEVEL ||
+      level ||
+      ENVIRONMENT_LEVELS[process.env.NODE_ENV || ""] ||
+      "debug",
     defaultMeta: { service },
     format: winston.format.combine(
-      winston.format.timestamp({
-        format: () => {
-          return new Date().toLocaleString("en-US", {
-            timeZone: "Asia/Colombo",
-            year: "numeric",
-            month: "2-digit",
-            day: "2-digit",
-            hour: "2-digit",
-            minute: "2-digit",
-            second: "2-digit",
-            hour12: false,
-          });
-        },
-      }),
-      winston.format.printf(({ level, message, timestamp, service }) => {
-        return `[${timestamp}] [${level}] [${service}]: ${message}`;
-      })
+      traceFormat(),
+      redactFormat(),
+      winston.format.timestamp()
     ),
-    transports: [new winston.transports.Console()],
+    transports: [
+      new winston.transports.Console({ format: outputFormat() }),
+      ...(file ? [file] : []),
+    ],
   });
 };
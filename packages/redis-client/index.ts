@@ -64,4 +64,5 @@ class RedisClient {
   }
 }
 
+export { RedisClient };
 export default RedisClient;
@@ -0,0 +1,509 @@
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { performance } from "perf_hooks";
+
+// W3C Trace Context: traceparent = version-traceId-parentId-flags
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const INVALID_TRACE_ID = "0".repeat(32);
+const INVALID_SPAN_ID = "0".repeat(16);
+
+const MAX_QUEUED_SPANS = 2048;
+const MAX_EXPORT_BATCH = 256;
+
+export type SpanKind =
+  | "INTERNAL"
+  | "SERVER"
+  | "CLIENT"
+  | "PRODUCER"
+  | "CONSUMER";
+export type AttributeValue = string | number | boolean;
+export type Attributes = Record<string, AttributeValue | null | undefined>;
+
+// OTLP enum values
+const OTLP_SPAN_KINDS: Record<SpanKind, number> = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5,
+};
+const OTLP_STATUS_CODES = { UNSET: 0, OK: 1, ERROR: 2 };
+
+export interface TraceContext {
+  traceId: string;
+  spanId: string;
+  sampled: boolean;
+}
+
+export interface SpanOptions {
+  kind?: SpanKind;
+  attributes?: Attributes;
+  // Parent span or traceparent header; defaults to the active span
+  parent?: Span | string | string[] | Buffer | null;
+}
+
+export interface FinishedSpan {
+  traceId: string;
+  spanId: string;
+  parentSpanId: string | null;
+  name: string;
+  kind: SpanKind;
+  service: string;
+  startTime: number;
+  endTime: number;
+  attributes: Record<string, AttributeValue>;
+  status: { code: keyof typeof OTLP_STATUS_CODES; message?: string };
+  events: {
+    name: string;
+    time: number;
+    attributes: Record<string, AttributeValue>;
+  }[];
+}
+
+export interface SpanExporter {
+  export(spans: FinishedSpan[]): Promise<void>;
+}
+
+/**
+ * Parse a traceparent header; null when it is missing or malformed
+ */
+export function parseTraceparent(
+  header: string | Buffer | string[] | null | undefined
+): TraceContext | null {
+  const value = Array.isArray(header) ? header[0] : header;
+  if (!value) {
+    return null;
+  }
+  const match = TRACEPARENT_PATTERN.exec(value.toString().trim().toLowerCase());
+  if (!match || match[1] === INVALID_TRACE_ID || match[2] === INVALID_SPAN_ID) {
+    return null;
+  }
+  return {
+    traceId: match[1],
+    spanId: match[2],
+    sampled: (parseInt(match[3], 16) & 1) === 1,
+  };
+}
+
+export function formatTraceparent({ traceId, spanId, sampled }: TraceContext) {
+  return `00-${traceId}-${spanId}-${sampled ? "01" : "00"}`;
+}
+
+// Wall clock time in milliseconds with sub-millisecond precision
+function nowMs() {
+  return performance.timeOrigin + performance.now();
+}
+
+function cleanAttributes(attributes: Attributes = {}) {
+  const clean: Record<string, AttributeValue> = {};
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value !== null && value !== undefined) {
+      clean[key] = value;
+    }
+  }
+  return clean;
+}
+
+export class Span {
+  readonly traceId: string;
+  readonly spanId: string;
+  readonly parentSpanId: string | null;
+  readonly sampled: boolean;
+  readonly kind: SpanKind;
+  readonly startTime = nowMs();
+  name: string;
+  private attributes: Record<string, AttributeValue>;
+  private status: FinishedSpan["status"] = { code: "UNSET" };
+  private events: FinishedSpan["events"] = [];
+  private ended = false;
+
+  constructor(name: string, parent: TraceContext | null, options: SpanOptions) {
+    this.name = name;
+    this.kind = options.kind || "INTERNAL";
+    this.traceId = parent?.traceId || crypto.randomBytes(16).toString("hex");
+    this.spanId = crypto.randomBytes(8).toString("hex");
+    this.parentSpanId = parent?.spanId || null;
+    this.sampled = parent ? parent.sampled : true;
+    this.attributes = cleanAttributes(options.attributes);
+  }
+
+  context(): TraceContext {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      sampled: this.sampled,
+    };
+  }
+
+  traceparent() {
+    return formatTraceparent(this.context());
+  }
+
+  setAttributes(attributes: Attributes) {
+    Object.assign(this.attributes, cleanAttributes(attributes));
+    return this;
+  }
+
+  setStatus(code: "OK" | "ERROR", message?: string) {
+    this.status = { code, message };
+    return this;
+  }
+
+  recordError(error: Error) {
+    this.events.push({
+      name: "exception",
+      time: nowMs(),
+      attributes: cleanAttributes({
+        "exception.type": error.name,
+        "exception.message": error.message,
+        "exception.stacktrace": error.stack,
+      }),
+    });
+    return this.setStatus("ERROR", error.message);
+  }
+
+  end() {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    if (this.sampled) {
+      processor?.enqueue({
+        traceId: this.traceId,
+        spanId: this.spanId,
+        parentSpanId: this.parentSpanId,
+        name: this.name,
+        kind: this.kind,
+        service: processor.serviceName,
+        startTime: this.startTime,
+        endTime: nowMs(),
+        attributes: this.attributes,
+        status: this.status,
+        events: this.events,
+      });
+    }
+  }
+}
+
+// Shared through globalThis so that every copy of this package loaded in a
+// process sees the same active span
+const STORAGE_KEY = Symbol.for("@swifttrack/tracing.context");
+const globalStore = globalThis as unknown as Record<
+  symbol,
+  AsyncLocalStorage<Span> | undefined
+>;
+const storage = (globalStore[STORAGE_KEY] ||= new AsyncLocalStorage<Span>());
+
+export function activeSpan(): Span | undefined {
+  return storage.getStore();
+}
+
+export function startSpan(name: string, options: SpanOptions = {}) {
+  const { parent } = options;
+  const parentContext =
+    parent instanceof Span
+      ? parent.context()
+      : parent !== undefined && parent !== null
+      ? parseTraceparent(parent)
+      : activeSpan()?.context() || null;
+  return new Span(name, parentContext, options);
+}
+
+/**
+ * Run fn with span as the active span
+ */
+export function runWithSpan<T>(span: Span, fn: () => T): T {
+  return storage.run(span, fn);
+}
+
+/**
+ * Run fn inside a new span that ends when fn settles. A thrown error marks
+ * the span as failed and is rethrown.
+ */
+export async function traceSpan<T>(
+  name: string,
+  options: SpanOptions,
+  fn: (span: Span) => T | Promise<T>
+): Promise<T> {
+  const span = startSpan(name, options);
+  try {
+    return await runWithSpan(span, () => fn(span));
+  } catch (error) {
+    span.recordError(error as Error);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+/**
+ * Headers carrying the active span to the next hop ({} without one)
+ */
+export function traceHeaders(): Record<string, string> {
+  const span = activeSpan();
+  return span ? { traceparent: span.traceparent() } : {};
+}
+
+/**
+ * IDs of the active span for log lines; null without one
+ */
+export function traceLogFields() {
+  const span = activeSpan();
+  return span ? { traceId: span.traceId, spanId: span.spanId } : null;
+}
+
+interface TracedRequest {
+  method: string;
+  path?: string;
+  url?: string;
+  originalUrl?: string;
+  baseUrl?: string;
+  route?: { path?: string };
+  headers: Record<string, string | string[] | undefined>;
+}
+
+interface TracedResponse {
+  statusCode: number;
+  setHeader(name: string, value: string): unknown;
+  on(event: "finish" | "close", listener: () => void): unknown;
+}
+
+/**
+ * Express middleware running each request in a SERVER span. The span
+ * continues the trace of an incoming traceparent header or starts a new one,
+ * and its trace ID is returned in the X-Trace-Id response header.
+ */
+export function traceHttpRequests() {
+  return (req: TracedRequest, res: TracedResponse, next: () => void) => {
+    const span = startSpan(`${req.method} ${req.path || req.url}`, {
+      kind: "SERVER",
+      // A missing or malformed header starts a new trace
+      parent: req.headers.traceparent || undefined,
+      attributes: {
+        "http.request.method": req.method,
+        "url.path": req.originalUrl || req.url,
+        "user_agent.original": req.headers["user-agent"] as string,
+      },
+    });
+    res.setHeader("X-Trace-Id", span.traceId);
+
+    const finish = () => {
+      // The route is only known once the request has been routed
+      if (req.route?.path) {
+        span.name = `${req.method} ${req.baseUrl || ""}${req.route.path}`;
+      }
+      span.setAttributes({ "http.response.status_code": res.statusCode });
+      if (res.statusCode >= 500) {
+        span.setStatus("ERROR");
+      }
+      span.end();
+    };
+    res.on("finish", finish);
+    res.on("close", finish);
+
+    runWithSpan(span, next);
+  };
+}
+
+// Queues finished spans and hands them to the exporters in batches
+class BatchSpanProcessor {
+  private queue: FinishedSpan[] = [];
+  private dropped = 0;
+  private exporting: Promise<void> | null = null;
+
+  constructor(
+    readonly serviceName: string,
+    private exporters: SpanExporter[],
+    intervalMs: number
+  ) {
+    setInterval(() => this.flush(), intervalMs).unref();
+    process.once("beforeExit", () => this.flush());
+  }
+
+  enqueue(span: FinishedSpan) {
+    if (this.queue.length >= MAX_QUEUED_SPANS) {
+      this.dropped++;
+      return;
+    }
+    this.queue.push(span);
+    if (this.queue.length >= MAX_EXPORT_BATCH) {
+      this.flush();
+    }
+  }
+
+  flush(): Promise<void> {
+    if (this.exporting || this.queue.length === 0) {
+      return this.exporting || Promise.resolve();
+    }
+    const batch = this.queue.splice(0, MAX_EXPORT_BATCH);
+    this.exporting = Promise.all(
+      this.exporters.map((exporter) =>
+        exporter.export(batch).catch((error) => {
+          console.warn(
+            `[@swifttrack/tracing] Failed to export ${batch.length} spans: ${error.message}`
+          );
+        })
+      )
+    ).then(() => {
+      this.exporting = null;
+      if (this.dropped > 0) {
+        console.warn(
+          `[@swifttrack/tracing] Dropped ${this.dropped} spans, export queue full`
+        );
+        this.dropped = 0;
+      }
+    });
+    return this.exporting;
+  }
+}
+
+/**
+ * Appends spans to a file, one JSON object per line
+ */
+export class FileSpanExporter implements SpanExporter {
+  constructor(private filePath: string) {
+    fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+  }
+
+  async export(spans: FinishedSpan[]) {
+    const lines = spans.map((span) =>
+      JSON.stringify({
+        ...span,
+        startTime: new Date(span.startTime).toISOString(),
+        endTime: new Date(span.endTime).toISOString(),
+        durationMs: Math.round((span.endTime - span.startTime) * 1000) / 1000,
+      })
+    );
+    await fs.promises.appendFile(this.filePath, lines.join("\n") + "\n");
+  }
+}
+
+function toUnixNano(ms: number) {
+  return (BigInt(Math.round(ms * 1000)) * 1000n).toString();
+}
+
+function toOtlpAttributes(attributes: Record<string, AttributeValue>) {
+  return Object.entries(attributes).map(([key, value]) => ({
+    key,
+    value:
+      typeof value === "boolean"
+        ? { boolValue: value }
+        : typeof value === "number"
+        ? Number.isInteger(value)
+          ? { intValue: value }
+          : { doubleValue: value }
+        : { stringValue: String(value) },
+  }));
+}
+
+/**
+ * Sends spans to an OpenTelemetry collector (or Jaeger) over OTLP/HTTP JSON
+ */
+export class OtlpHttpSpanExporter implements SpanExporter {
+  private url: string;
+
+  constructor(endpoint: string, private timeoutMs = 5000) {
+    this.url = `${endpoint.replace(/\/+$/, "")}/v1/traces`;
+  }
+
+  async export(spans: FinishedSpan[]) {
+    const byService = new Map<string, FinishedSpan[]>();
+    for (const span of spans) {
+      byService.set(span.service, [
+        ...(byService.get(span.service) || []),
+        span,
+      ]);
+    }
+
+    const body = {
+      resourceSpans: [...byService].map(([service, serviceSpans]) => ({
+        resource: {
+          attributes: toOtlpAttributes({ "service.name": service }),
+        },
+        scopeSpans: [
+          {
+            scope: { name: "@swifttrack/tracing" },
+            spans: serviceSpans.map((span) => ({
+              traceId: span.traceId,
+              spanId: span.spanId,
+              parentSpanId: span.parentSpanId || undefined,
+              name: span.name,
+              kind: OTLP_SPAN_KINDS[span.kind],
+              startTimeUnixNano: toUnixNano(span.startTime),
+              endTimeUnixNano: toUnixNano(span.endTime),
+              attributes: toOtlpAttributes(span.attributes),
+              events: span.events.map((event) => ({
+                name: event.name,
+                timeUnixNano: toUnixNano(event.time),
+                attributes: toOtlpAttributes(event.attributes),
+              })),
+              status: {
+                code: OTLP_STATUS_CODES[span.status.code],
+                message: span.status.message,
+              },
+            })),
+          },
+        ],
+      })),
+    };
+
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`${this.url} answered ${response.status}`);
+    }
+  }
+}
+
+let processor: BatchSpanProcessor | null = null;
+
+/**
+ * Start exporting the spans of this process. TRACE_EXPORTER selects the
+ * exporters as a comma-separated list of "file" (TRACE_FILE) and "otlp"
+ * (OTEL_EXPORTER_OTLP_ENDPOINT); without it spans are only used to
+ * propagate the trace context and tag log lines.
+ */
+export function initTracing(serviceName: string) {
+  const exporters: SpanExporter[] = [];
+  const selected = (process.env.TRACE_EXPORTER || "none")
+    .split(",")
+    .map((name) => name.trim().toLowerCase());
+
+  if (selected.includes("file")) {
+    exporters.push(
+      new FileSpanExporter(
+        process.env.TRACE_FILE || `./traces/${serviceName}.jsonl`
+      )
+    );
+  }
+  if (selected.includes("otlp")) {
+    exporters.push(
+      new OtlpHttpSpanExporter(
+        process.env.OTEL_EXPORTER_OTLP_ENDPOINT || "http://localhost:4318"
+      )
+    );
+  }
+
+  processor =
+    exporters.length > 0
+      ? new BatchSpanProcessor(
+          serviceName,
+          exporters,
+          parseInt(process.env.TRACE_EXPORT_INTERVAL_MS || "") || 2000
+        )
+      : null;
+  return exporters.length > 0;
+}
+
+/**
+ * Export the spans still queued, e.g. before shutting down
+ */
+export function flushTraces() {
+  return processor ? processor.flush() : Promise.resolve();
+}
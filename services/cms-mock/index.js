@@ -1,9 +1,30 @@
 import express from "express";
+import { readFileSync } from "fs";
+import { XMLBuilder, XMLParser } from "fast-xml-parser";
 import { getLogger } from "@swifttrack/logger";
+import { initTracing, traceHttpRequests } from "@swifttrack/tracing";
 
 const logger = getLogger("cms-mock");
+initTracing("cms-mock");
 const app = express();
+// Continue the trace of the calling adapter
+app.use(traceHttpRequests());
 app.use(express.json());
+app.use(express.text({ type: ["text/xml", "application/soap+xml"] }));
+
+const SOAP_ENVELOPE_NAMESPACE = "http://schemas.xmlsoap.org/soap/envelope/";
+const CMS_NAMESPACE = "http://swiftlogistics.lk/cms/v1";
+const WSDL = readFileSync(new URL("./cms.wsdl", import.meta.url), "utf8");
+const WSDL_SERVICE_LOCATION = "http://localhost:5001/verify";
+
+const soapParser = new XMLParser({
+  removeNSPrefix: true,
+  ignoreAttributes: true,
+  parseTagValue: false,
+  trimValues: true,
+  isArray: (name) => name === "Package" || name === "Address",
+});
+const soapBuilder = new XMLBuilder({ ignoreAttributes: false, format: true });
 
 // Mock client database for Swift Logistics
 const clients = {
@@ -41,6 +62,16 @@ const clients = {
   },
 };
 
+// Credit held against verified contracts, keyed by contract ID
+const creditHolds = {};
+
+// Total credit currently held for a client
+function getHeldCredit(clientId) {
+  return Object.values(creditHolds)
+    .filter((hold) => hold.clientId === clientId && hold.status === "HELD")
+    .reduce((sum, hold) => sum + hold.amount, 0);
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
   logger.info(
@@ -56,20 +87,128 @@ app.use((req, res, next) => {
   next();
 });
 
-// Simulate SOAP/XML endpoint for contract verification
+// Read the fields of a cms:VerifyContractRequest envelope, in the shape of a
+// JSON verification request
+function parseVerifyContractRequest(xml) {
+  const document = soapParser.parse(xml, true);
+  const request = document?.Envelope?.Body?.VerifyContractRequest;
+  if (!request) {
+    throw new Error("soap:Body does not contain a cms:VerifyContractRequest");
+  }
+
+  return {
+    orderId: request.OrderId,
+    clientId: request.ClientId,
+    priority: request.Priority,
+    packages: (request.PackageList?.Package || []).map((pkg) => ({
+      sku: pkg.SKU,
+      description: pkg.Description,
+      quantity: Number(pkg.Quantity),
+      priority: pkg.Priority,
+    })),
+    deliveryAddresses: request.DeliveryAddresses?.Address || [],
+  };
+}
+
+function soapEnvelope(body) {
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    soapBuilder.build({
+      "soap:Envelope": {
+        "@_xmlns:soap": SOAP_ENVELOPE_NAMESPACE,
+        "@_xmlns:cms": CMS_NAMESPACE,
+        "soap:Body": body,
+      },
+    })
+  );
+}
+
+// SOAP 1.1 reports faults with HTTP 500, whatever the cause
+function sendSoapFault(res, faultCode, faultString, detail) {
+  res
+    .status(500)
+    .type("text/xml; charset=utf-8")
+    .send(
+      soapEnvelope({
+        "soap:Fault": {
+          faultcode: `soap:${faultCode}`,
+          faultstring: faultString,
+          ...(detail && { detail: { "cms:VerificationFault": detail } }),
+        },
+      })
+    );
+}
+
+// WSDL of the verification service, pointing at the host it was fetched from
+function sendWsdl(req, res) {
+  res
+    .type("text/xml; charset=utf-8")
+    .send(
+      WSDL.replace(
+        WSDL_SERVICE_LOCATION,
+        `${req.protocol}://${req.get("host")}/verify`
+      )
+    );
+}
+
+app.get("/wsdl", sendWsdl);
+app.get("/verify", (req, res) => {
+  if (req.query.wsdl === undefined) {
+    return res.status(405).json({
+      ok: false,
+      message: "CMS Legacy: POST a VerifyContractRequest, or GET /verify?wsdl",
+    });
+  }
+  sendWsdl(req, res);
+});
+
+// Contract verification. SOAP 1.1 envelopes (text/xml) are answered with a
+// cms:VerifyContractResponse or a soap:Fault; JSON requests are still
+// answered with JSON.
 app.post("/verify", async (req, res) => {
   const startTime = Date.now();
-  const { orderId, clientId, packages, deliveryAddresses, priority } = req.body;
-
-  console.log("=== CMS DEBUG INFO ===");
-  console.log("Full request body:", JSON.stringify(req.body, null, 2));
-  console.log("Extracted clientId:", clientId);
-  console.log("ClientId type:", typeof clientId);
-  console.log("ClientId length:", clientId?.length);
-  console.log("Available clients:", Object.keys(clients));
-  console.log("Client exists check:", !!clients[clientId]);
-  console.log("Direct lookup result:", clients[clientId]);
-  console.log("========================");
+  const soapRequest = !!req.is(["text/xml", "application/soap+xml"]);
+
+  let request = req.body;
+  if (soapRequest) {
+    try {
+      request = parseVerifyContractRequest(req.body);
+    } catch (error) {
+      logger.warn(`CMS Legacy System - Malformed SOAP request`, {
+        error: error.message,
+      });
+      return sendSoapFault(
+        res,
+        "Client",
+        `CMS Legacy: Malformed VerifyContractRequest: ${error.message}`
+      );
+    }
+  }
+
+  const { clientId, packages, deliveryAddresses, priority } = request;
+  // JSON callers may forward the order itself, which carries its ID as "id"
+  const orderId = request.orderId || request.id;
+
+  // Verification failures become a soap:Fault for SOAP callers
+  const reject = (status, failure) => {
+    if (!soapRequest) {
+      return res.status(status).json(failure);
+    }
+    sendSoapFault(res, failure.soapFault, failure.message, {
+      "cms:ErrorCode": failure.error,
+      "cms:ClientId": clientId,
+      "cms:EstimatedCost": failure.estimatedCost,
+      "cms:CreditLimit": failure.creditLimit,
+      "cms:AvailableCredit": failure.availableCredit,
+    });
+  };
+
+  logger.debug("Contract verification request", {
+    request,
+    clientId,
+    clientKnown: Boolean(clients[clientId]),
+    availableClients: Object.keys(clients),
+  });
 
   logger.info(`CMS Legacy System - Processing contract verification`, {
     orderId,
@@ -97,7 +236,7 @@ app.post("/verify", async (req, res) => {
       clientId,
       reason: "Client ID not in legacy CMS database",
     });
-    return res.status(404).json({
+    return reject(404, {
       ok: false,
       message: "CMS Legacy: Client not found in system",
       error: "INVALID_CLIENT_ID",
@@ -113,7 +252,7 @@ app.post("/verify", async (req, res) => {
       clientStatus: client.status,
       reason: "Client account is not active",
     });
-    return res.status(403).json({
+    return reject(403, {
       ok: false,
       message: "CMS Legacy: Client account suspended",
       error: "CLIENT_SUSPENDED",
@@ -130,7 +269,7 @@ app.post("/verify", async (req, res) => {
       contractExpiry: client.contractExpiry,
       reason: "Client contract has expired",
     });
-    return res.status(403).json({
+    return reject(403, {
       ok: false,
       message: "CMS Legacy: Contract expired",
       error: "CONTRACT_EXPIRED",
@@ -147,25 +286,39 @@ app.post("/verify", async (req, res) => {
     deliveryDistanceCost +
     priorityCost;
 
-  // Check credit limit
-  if (estimatedCost > client.creditLimit) {
+  // Check credit limit (minus credit already held by other orders)
+  const availableCredit = client.creditLimit - getHeldCredit(clientId);
+  if (estimatedCost > availableCredit) {
     logger.warn(`CMS Legacy System - Credit limit exceeded`, {
       orderId,
       clientId,
       estimatedCost,
       creditLimit: client.creditLimit,
+      availableCredit,
       reason: "Order cost exceeds client credit limit",
     });
-    return res.status(402).json({
+    return reject(402, {
       ok: false,
       message: "CMS Legacy: Credit limit exceeded",
       error: "CREDIT_LIMIT_EXCEEDED",
       estimatedCost,
       creditLimit: client.creditLimit,
+      availableCredit,
       soapFault: "Payment.InsufficientCredit",
     });
   }
 
+  // Hold the estimated cost against the client's credit until the order is
+  // billed or the contract is cancelled
+  creditHolds[contractId] = {
+    contractId,
+    orderId,
+    clientId,
+    amount: estimatedCost,
+    status: "HELD",
+    heldAt: new Date().toISOString(),
+  };
+
   // Successful verification
   const duration = Date.now() - startTime;
   const response = {
@@ -177,7 +330,7 @@ app.post("/verify", async (req, res) => {
       status: client.status,
       contractType: client.contractType,
       creditLimit: client.creditLimit,
-      remainingCredit: client.creditLimit - estimatedCost,
+      remainingCredit: availableCredit - estimatedCost,
       billingCycle: client.billingCycle,
     },
     billingStatus: "APPROVED",
@@ -197,13 +350,97 @@ app.post("/verify", async (req, res) => {
     clientName: client.name,
     contractType: client.contractType,
     estimatedCost,
-    remainingCredit: client.creditLimit - estimatedCost,
+    remainingCredit: availableCredit - estimatedCost,
     duration,
   });
 
-  // Simulate XML response format (but return JSON for simplicity)
-  res.set("Content-Type", "application/json"); // In real SOAP, this would be application/soap+xml
-  res.json(response);
+  if (!soapRequest) {
+    return res.json(response);
+  }
+
+  res.type("text/xml; charset=utf-8").send(
+    soapEnvelope({
+      "cms:VerifyContractResponse": {
+        "cms:Status": "SUCCESS",
+        "cms:Message": response.message,
+        "cms:ContractId": contractId,
+        "cms:BillingStatus": response.billingStatus,
+        "cms:EstimatedCost": estimatedCost,
+        "cms:ClientDetails": {
+          "cms:Name": client.name,
+          "cms:Status": client.status,
+          "cms:ContractType": client.contractType,
+          "cms:CreditLimit": client.creditLimit,
+          "cms:RemainingCredit": response.clientDetails.remainingCredit,
+          "cms:BillingCycle": client.billingCycle,
+        },
+        "cms:VerificationDetails": {
+          "cms:VerifiedAt": response.verificationDetails.verifiedAt,
+          "cms:VerificationMethod": "SOAP_XML_LEGACY",
+          "cms:SystemVersion": "CMS_v2.1.4",
+          "cms:ContractValidUntil": client.contractExpiry,
+        },
+      },
+    })
+  );
+});
+
+// Cancel a verified contract and release its credit hold (saga compensation).
+// Accepts the contract ID returned by /verify, or the order ID when the
+// verification response never reached the caller.
+app.post("/contracts/:contractId/cancel", async (req, res) => {
+  const { contractId } = req.params;
+  const reason = req.body?.reason || "Order cancelled";
+
+  // Simulate legacy system processing delay
+  await new Promise((r) => setTimeout(r, Math.random() * 200 + 100));
+
+  const hold =
+    creditHolds[contractId] ||
+    Object.values(creditHolds)
+      .filter((h) => h.orderId === contractId)
+      .sort((a, b) => b.heldAt.localeCompare(a.heldAt))[0];
+
+  if (!hold) {
+    logger.warn(`CMS Legacy System - Contract not found for cancellation`, {
+      contractId,
+    });
+    return res.status(404).json({
+      ok: false,
+      message: "CMS Legacy: Contract not found",
+      error: "CONTRACT_NOT_FOUND",
+      soapFault: "Contract.NotFound",
+    });
+  }
+
+  const alreadyReleased = hold.status === "RELEASED";
+  if (!alreadyReleased) {
+    hold.status = "RELEASED";
+    hold.releasedAt = new Date().toISOString();
+    hold.releaseReason = reason;
+  }
+
+  logger.info(`CMS Legacy System - Contract cancelled, credit hold released`, {
+    contractId: hold.contractId,
+    orderId: hold.orderId,
+    clientId: hold.clientId,
+    releasedAmount: hold.amount,
+    alreadyReleased,
+    reason,
+  });
+
+  res.json({
+    ok: true,
+    message: alreadyReleased
+      ? "CMS Legacy: Contract already cancelled"
+      : "CMS Legacy: Contract cancelled and credit hold released",
+    contractId: hold.contractId,
+    orderId: hold.orderId,
+    contractStatus: "CANCELLED",
+    releasedAmount: hold.amount,
+    alreadyReleased,
+    releasedAt: hold.releasedAt,
+  });
 });
 
 // Legacy system health endpoint
@@ -217,6 +454,9 @@ app.get("/health", (req, res) => {
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
     clientCount: Object.keys(clients).length,
+    activeCreditHolds: Object.values(creditHolds).filter(
+      (h) => h.status === "HELD"
+    ).length,
   });
 });
 
@@ -238,8 +478,15 @@ app.get("/status", (req, res) => {
 app.listen(5001, () => {
   logger.info("Swift Logistics CMS Legacy Mock Service started", {
     port: 5001,
-    protocol: "SOAP/XML (simulated as REST)",
-    endpoints: ["/verify", "/health", "/status"],
+    protocol: "SOAP 1.1/XML",
+    endpoints: [
+      "/verify",
+      "/verify?wsdl",
+      "/wsdl",
+      "/contracts/:contractId/cancel",
+      "/health",
+      "/status",
+    ],
     clientsLoaded: Object.keys(clients).length,
     environment: process.env.NODE_ENV || "development",
     systemVersion: "CMS_v2.1.4",
@@ -0,0 +1,89 @@
+import { appendFile } from "fs/promises";
+import crypto from "crypto";
+import nodemailer from "nodemailer";
+
+// Channels notifications are sent over. Each has
+// send(address, { subject, text }) resolving to { messageId }.
+
+/**
+ * Email Channel - sends emails through an SMTP server
+ */
+export class EmailChannel {
+  constructor({ host, port = 587, secure = false, user, pass, from }) {
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+    });
+  }
+
+  async send(address, { subject, text }) {
+    const info = await this.transport.sendMail({
+      from: this.from,
+      to: address,
+      subject,
+      text,
+    });
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * SMS Channel - sends text messages through an SMS provider
+ */
+export class SmsChannel {
+  constructor(provider) {
+    this.provider = provider;
+  }
+
+  async send(address, { text }) {
+    return this.provider.send({ to: address, body: text });
+  }
+}
+
+// SMS providers by name. A provider has send({ to, body }) resolving to
+// { messageId }; its factory is called with the environment to read its
+// settings from.
+const smsProviders = new Map();
+
+export function registerSmsProvider(name, factory) {
+  smsProviders.set(name, factory);
+}
+
+export function createSmsProvider(name, env = process.env) {
+  const factory = smsProviders.get(name);
+  if (!factory) {
+    throw new Error(
+      `Unknown SMS provider ${name}; available: ${[...smsProviders.keys()].join(
+        ", "
+      )}`
+    );
+  }
+  return factory(env);
+}
+
+/**
+ * File SMS Provider - appends each message to a file as a JSON line instead
+ * of sending it, for development and tests
+ */
+export class FileSmsProvider {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async send({ to, body }) {
+    const messageId = crypto.randomUUID();
+    await appendFile(
+      this.filePath,
+      JSON.stringify({ messageId, to, body, sentAt: new Date() }) + "\n"
+    );
+    return { messageId };
+  }
+}
+
+registerSmsProvider(
+  "file",
+  (env) => new FileSmsProvider(env.SMS_FILE || "sms-outbox.jsonl")
+);
@@ -1,30 +1,218 @@
 import dotenv from "dotenv";
-import { Kafka, logLevel } from "kafkajs";
+import { Kafka, logLevel, Partitioners } from "kafkajs";
 import { createServer } from "http";
 import { Server as SocketIOServer } from "socket.io";
+import client from "prom-client";
 import { getLogger } from "@swifttrack/logger";
+import { initTracing, traceSpan } from "@swifttrack/tracing";
+import {
+  DatabaseClient,
+  NotificationRepository,
+  OutboxRepository,
+} from "@swifttrack/database";
+import { DEAD_LETTERED, retryWithDeadLetter } from "@swifttrack/kafka-client";
+import { PERMISSIONS, authenticateSocket, clientScope } from "@swifttrack/auth";
+import {
+  SubscriptionError,
+  eventRooms,
+  replayOptions,
+  subscriptionRoom,
+} from "./subscriptions.js";
+import { EventReplayer } from "./replay.js";
+import { EmailChannel, SmsChannel, createSmsProvider } from "./channels.js";
+import { DEFAULT_TEMPLATES_DIR, loadTemplates } from "./templates.js";
+import { ChannelNotifier } from "./notifier.js";
 
 dotenv.config();
 const logger = getLogger("notification-service");
+initTracing("notification-service");
 const PORT = process.env.PORT || 3002;
+// Secret the Socket.IO tokens are signed with (HS256); without it every
+// connection is refused
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET;
 
-const httpServer = createServer();
+// Prometheus metrics, served by GET /metrics
+const metricsRegister = new client.Registry();
+metricsRegister.setDefaultLabels({ service: "notification-service" });
+client.collectDefaultMetrics({ register: metricsRegister });
+
+const kafkaMessagesConsumed = new client.Counter({
+  name: "swifttrack_kafka_messages_consumed_total",
+  help: "Kafka messages handled by the consumers",
+  labelNames: ["topic", "group", "outcome"],
+  registers: [metricsRegister],
+});
+
+const notificationsSent = new client.Counter({
+  name: "swifttrack_notifications_sent_total",
+  help: "Email and SMS notifications by channel, event type and outcome",
+  labelNames: ["channel", "event_type", "outcome"],
+  registers: [metricsRegister],
+});
+
+const socketConnections = new client.Gauge({
+  name: "swifttrack_socket_connections",
+  help: "Connected Socket.IO clients",
+  registers: [metricsRegister],
+});
+
+// Socket.IO answers its own requests; everything else ends up here
+async function handleHttpRequest(req, res) {
+  if (req.method === "GET" && req.url.split("?")[0] === "/metrics") {
+    try {
+      res.setHeader("Content-Type", metricsRegister.contentType);
+      res.end(await metricsRegister.metrics());
+    } catch (error) {
+      logger.error("Failed to collect metrics", { error: error.message });
+      res.statusCode = 500;
+      res.end(error.message);
+    }
+    return;
+  }
+  res.statusCode = 404;
+  res.end();
+}
+
+const httpServer = createServer(handleHttpRequest);
 const io = new SocketIOServer(httpServer, {
   cors: { origin: "*" },
 });
 
 let connectedClients = 0;
 
+// Missed events are replayed from the order service's outbox table
+const dbClient = new DatabaseClient(process.env.DATABASE_URL);
+const replayer = new EventReplayer(io, new OutboxRepository(dbClient), {
+  maxEvents: parseInt(process.env.NOTIFICATION_REPLAY_MAX_EVENTS) || 500,
+});
+
+// Email goes over SMTP when SMTP_HOST is set, SMS through the provider named
+// by SMS_PROVIDER; a channel that is not configured is skipped
+const notificationChannels = {};
+if (process.env.SMTP_HOST) {
+  notificationChannels.EMAIL = new EmailChannel({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.EMAIL_FROM || "SwiftTrack <notifications@swifttrack.lk>",
+  });
+}
+if (process.env.SMS_PROVIDER) {
+  notificationChannels.SMS = new SmsChannel(
+    createSmsProvider(process.env.SMS_PROVIDER)
+  );
+}
+
+const notifier = new ChannelNotifier(
+  new NotificationRepository(dbClient),
+  notificationChannels,
+  loadTemplates(
+    process.env.NOTIFICATION_TEMPLATES_DIR || DEFAULT_TEMPLATES_DIR
+  ),
+  logger,
+  {
+    onOutcome: (channel, eventType, outcome) =>
+      notificationsSent.inc({ channel, event_type: eventType, outcome }),
+  }
+);
+
+// Callers pass their token in the handshake: io(url, { auth: { token } }).
+// Only client users, dispatchers and admins receive order events.
+io.use(
+  authenticateSocket(AUTH_JWT_SECRET, {
+    permission: PERMISSIONS.SUBSCRIBE_EVENTS,
+  })
+);
+
+// Handle a subscribe or unsubscribe request; ack receives { ok, room } or
+// { ok: false, error, message }. A subscription with lastEventId or since
+// first receives the order's missed events, and its ack reports how many
+// were replayed.
+async function handleSubscription(socket, action, request, ack) {
+  const { identity } = socket.data;
+  const reply = typeof ack === "function" ? ack : () => {};
+  try {
+    const room = subscriptionRoom(identity, request);
+    const replay = action === "subscribe" ? replayOptions(request) : null;
+
+    let replayed = {};
+    if (replay) {
+      replayed = await replayMissedEvents(socket, room, request.orderId, {
+        ...replay,
+        // Client users only ever receive events of their own orders
+        clientId: clientScope(identity),
+      });
+    } else if (action === "subscribe") {
+      socket.join(room);
+    } else {
+      socket.leave(room);
+    }
+
+    logger.info(`Socket ${action}d`, {
+      socketId: socket.id,
+      room,
+      roles: identity.roles,
+      clientId: identity.clientId,
+      ...replayed,
+    });
+    reply({ ok: true, room, ...replayed });
+  } catch (error) {
+    if (!(error instanceof SubscriptionError)) {
+      throw error;
+    }
+    logger.warn(`Socket ${action} refused`, {
+      socketId: socket.id,
+      roles: identity.roles,
+      clientId: identity.clientId,
+      request,
+      error: error.message,
+    });
+    reply({ ok: false, error: error.code, message: error.message });
+  }
+}
+
+// Replay the missed events of an order; the socket is left subscribed only
+// when the replay succeeds
+async function replayMissedEvents(socket, room, orderId, options) {
+  try {
+    return await replayer.replay(socket, room, orderId, options);
+  } catch (error) {
+    socket.leave(room);
+    logger.error(`Failed to replay missed events`, {
+      socketId: socket.id,
+      orderId,
+      error: error.message,
+    });
+    throw new SubscriptionError(
+      "Missed events could not be replayed; subscribe again",
+      "REPLAY_FAILED"
+    );
+  }
+}
+
 io.on("connection", (socket) => {
   connectedClients++;
+  socketConnections.set(connectedClients);
   logger.info(`New client connected`, {
     socketId: socket.id,
     totalClients: connectedClients,
     clientIP: socket.handshake.address,
+    roles: socket.data.identity.roles,
+    clientId: socket.data.identity.clientId,
   });
 
+  socket.on("subscribe", (request, ack) =>
+    handleSubscription(socket, "subscribe", request, ack)
+  );
+  socket.on("unsubscribe", (request, ack) =>
+    handleSubscription(socket, "unsubscribe", request, ack)
+  );
+
   socket.on("disconnect", () => {
     connectedClients--;
+    socketConnections.set(connectedClients);
     logger.info(`Client disconnected`, {
       socketId: socket.id,
       totalClients: connectedClients,
@@ -38,6 +226,156 @@ const kafka = new Kafka({
   logLevel: logLevel.NOTHING,
 });
 const consumer = kafka.consumer({ groupId: "notif-group" });
+// Email and SMS are sent by a group of their own, so that a slow SMTP server
+// does not hold back the real-time updates
+const channelConsumer = kafka.consumer({ groupId: "notif-channels-group" });
+// Publishes the events the consumer gives up on to the dead-letter topic
+const producer = kafka.producer({
+  createPartitioner: Partitioners.DefaultPartitioner,
+});
+
+// A message that keeps failing is retried with exponential backoff, then
+// dead-lettered; an unparseable one is dead-lettered at once
+const CONSUMER_MAX_ATTEMPTS = parseInt(process.env.CONSUMER_MAX_ATTEMPTS) || 5;
+const CONSUMER_RETRY_DELAY_MS =
+  parseInt(process.env.CONSUMER_RETRY_DELAY_MS) || 1000;
+
+// Events are published at least once. The IDs of the most recent events
+// broadcast are remembered so that a redelivered event is not broadcast
+// twice; an event that failed is not, so that it can be re-driven.
+const DEDUPE_WINDOW = parseInt(process.env.NOTIFICATION_DEDUPE_WINDOW) || 10000;
+const recentEventIds = new Set();
+
+function isDuplicateEvent(eventId) {
+  return Boolean(eventId) && recentEventIds.has(eventId);
+}
+
+function rememberEvent(eventId) {
+  if (!eventId) {
+    return;
+  }
+  recentEventIds.add(eventId);
+  if (recentEventIds.size > DEDUPE_WINDOW) {
+    recentEventIds.delete(recentEventIds.values().next().value);
+  }
+}
+
+// Send an order event to the subscribed clients; resolves with false
+// for an event already broadcast
+async function broadcastEvent({ topic, partition, message }) {
+  const event = JSON.parse(message.value?.toString());
+
+  if (isDuplicateEvent(event.eventId)) {
+    logger.debug(`Skipping already broadcast event`, {
+      eventId: event.eventId,
+      eventType: event.eventType,
+      orderId: event.orderId,
+    });
+    return false;
+  }
+
+  logger.info(`Received order event`, {
+    eventType: event.eventType,
+    orderId: event.orderId,
+    topic,
+    partition,
+    offset: message.offset,
+    timestamp: event.timestamp,
+  });
+
+  // Only sockets subscribed to the order, its client or the dispatch feed
+  // receive it; a socket in several of these rooms receives it once
+  const rooms = eventRooms(event);
+  replayer.emit(rooms, event);
+
+  if (event.eventType === "ORDER_CANCELLED") {
+    logger.info(`Forwarded order cancellation`, {
+      orderId: event.orderId,
+      reason: event.data?.reason,
+    });
+  }
+
+  logger.debug(`Sent event to subscribed clients`, {
+    eventType: event.eventType,
+    orderId: event.orderId,
+    rooms,
+  });
+
+  rememberEvent(event.eventId);
+  return true;
+}
+
+const handleWithRetries = retryWithDeadLetter(producer, broadcastEvent, {
+  groupId: "notif-group",
+  maxAttempts: CONSUMER_MAX_ATTEMPTS,
+  retryDelayMs: CONSUMER_RETRY_DELAY_MS,
+});
+
+// Send the email and SMS notifications of an order event
+async function notifyEvent({ message }) {
+  await notifier.notify(JSON.parse(message.value?.toString()));
+  return true;
+}
+
+const notifyWithRetries = retryWithDeadLetter(producer, notifyEvent, {
+  groupId: "notif-channels-group",
+  maxAttempts: CONSUMER_MAX_ATTEMPTS,
+  retryDelayMs: CONSUMER_RETRY_DELAY_MS,
+});
+
+function consumedOutcome(handled) {
+  if (handled === DEAD_LETTERED) {
+    return "dead_lettered";
+  }
+  return handled ? "success" : "duplicate";
+}
+
+// eachMessage handler of a consumer group. Each message is handled in a span
+// continuing the producer's trace, and its outcome is counted.
+function consumeWith(groupId, handle) {
+  return (payload) => {
+    const { topic, partition, message } = payload;
+    return traceSpan(
+      `${topic} process`,
+      {
+        kind: "CONSUMER",
+        parent: message.headers?.traceparent,
+        attributes: {
+          "messaging.system": "kafka",
+          "messaging.destination.name": topic,
+          "messaging.consumer.group.name": groupId,
+          "messaging.kafka.offset": Number(message.offset),
+        },
+      },
+      async () => {
+        let handled;
+        try {
+          handled = await handle(payload);
+        } catch (error) {
+          // Dead-lettering failed; kafkajs redelivers the message
+          kafkaMessagesConsumed.inc({
+            topic,
+            group: groupId,
+            outcome: "failure",
+          });
+          logger.error("Failed to dead-letter Kafka message", {
+            error: error.message,
+            topic,
+            partition,
+            offset: message.offset,
+            groupId,
+          });
+          throw error;
+        }
+        kafkaMessagesConsumed.inc({
+          topic,
+          group: groupId,
+          outcome: consumedOutcome(handled),
+        });
+      }
+    );
+  };
+}
 
 (async () => {
   try {
@@ -45,8 +383,13 @@ const consumer = kafka.consumer({ groupId: "notif-group" });
       kafkaBrokers: process.env.KAFKA_BROKERS,
       topic: process.env.ORDER_EVENTS_TOPIC,
     });
+    if (!AUTH_JWT_SECRET) {
+      logger.warn("AUTH_JWT_SECRET is not set; every socket is refused");
+    }
 
     await consumer.connect();
+    await channelConsumer.connect();
+    await producer.connect();
     logger.info("Connected to Kafka successfully");
 
     await consumer.subscribe({
@@ -56,43 +399,18 @@ const consumer = kafka.consumer({ groupId: "notif-group" });
     logger.info(`Subscribed to topic: ${process.env.ORDER_EVENTS_TOPIC}`);
 
     await consumer.run({
-      eachMessage: async ({ topic, partition, message, heartbeat }) => {
-        try {
-          const event = JSON.parse(message.value.toString());
-
-          logger.info(`Received order event`, {
-            eventType: event.eventType,
-            orderId: event.orderId,
-            topic,
-            partition,
-            offset: message.offset,
-            timestamp: event.timestamp,
-          });
+      eachMessage: consumeWith("notif-group", handleWithRetries),
+    });
 
-          // Broadcast to all connected WebSocket clients
-          io.emit("orderUpdate", event);
-
-          logger.debug(
-            `Broadcasted event to ${connectedClients} connected clients`,
-            {
-              eventType: event.eventType,
-              orderId: event.orderId,
-              clientCount: connectedClients,
-            }
-          );
-
-          // Call heartbeat to ensure the consumer stays alive
-          await heartbeat();
-        } catch (parseError) {
-          logger.error("Failed to parse Kafka message", {
-            error: parseError.message,
-            rawMessage: message.value.toString(),
-            topic,
-            partition,
-            offset: message.offset,
-          });
-        }
-      },
+    await channelConsumer.subscribe({
+      topic: process.env.ORDER_EVENTS_TOPIC,
+      fromBeginning: false,
+    });
+    await channelConsumer.run({
+      eachMessage: consumeWith("notif-channels-group", notifyWithRetries),
+    });
+    logger.info("Email and SMS notifications enabled", {
+      channels: Object.keys(notificationChannels),
     });
 
     httpServer.listen(PORT, () => {
@@ -0,0 +1,113 @@
+import { renderTemplate, templatedEventTypes } from "./templates.js";
+
+/**
+ * Channel Notifier - sends the email and SMS notifications of an order event
+ * to the recipients of the order's client. Each send is claimed in
+ * PostgreSQL first, so a redelivered event is only sent to the recipients it
+ * has not reached yet.
+ */
+export class ChannelNotifier {
+  constructor(notificationRepo, channels, templates, logger, options = {}) {
+    this.notificationRepo = notificationRepo;
+    // Recipient channel (EMAIL, SMS) -> channel; unconfigured ones are absent
+    this.channels = channels;
+    this.templates = templates;
+    this.logger = logger;
+    this.eventTypes = new Set(templatedEventTypes(templates));
+    // Called with (channel, eventType, outcome) for every recipient
+    this.onOutcome = options.onOutcome || (() => {});
+  }
+
+  /**
+   * Notify the recipients of an event. Every recipient is tried; if any send
+   * failed the call then fails, so that a retry resends only the failed ones.
+   */
+  async notify(event) {
+    if (
+      !event.eventId ||
+      !event.orderId ||
+      !this.eventTypes.has(event.eventType)
+    ) {
+      return;
+    }
+
+    const recipients = await this.notificationRepo.findRecipientsForOrderEvent(
+      event.orderId,
+      event.eventType
+    );
+
+    let failed = 0;
+    for (const recipient of recipients) {
+      if (!(await this.send(recipient, event))) {
+        failed++;
+      }
+    }
+
+    if (failed > 0) {
+      throw new Error(
+        `${failed} of ${recipients.length} notifications for ${event.eventType} failed`
+      );
+    }
+  }
+
+  // Send the event to one recipient; resolves with false when the send failed
+  async send(recipient, event) {
+    const details = {
+      recipientId: recipient.id,
+      channel: recipient.channel,
+      eventType: event.eventType,
+      orderId: event.orderId,
+    };
+
+    const channel = this.channels[recipient.channel];
+    const message = renderTemplate(
+      this.templates,
+      recipient.language,
+      recipient.channel.toLowerCase(),
+      event
+    );
+    if (!channel || !message) {
+      this.logger.warn(
+        `No ${recipient.channel} channel or template; skipping`,
+        details
+      );
+      this.onOutcome(recipient.channel, event.eventType, "skipped");
+      return true;
+    }
+
+    const delivery = await this.notificationRepo.claimDelivery({
+      recipientId: recipient.id,
+      eventId: event.eventId,
+      eventType: event.eventType,
+      orderId: event.orderId,
+    });
+    if (!delivery) {
+      this.logger.debug(`Notification already sent`, details);
+      this.onOutcome(recipient.channel, event.eventType, "duplicate");
+      return true;
+    }
+
+    try {
+      const { messageId } = await channel.send(recipient.address, message);
+      await this.notificationRepo.recordDelivery(delivery.id, {
+        status: "SENT",
+        providerMessageId: messageId,
+      });
+      this.logger.info(`Notification sent`, { ...details, messageId });
+      this.onOutcome(recipient.channel, event.eventType, "sent");
+      return true;
+    } catch (error) {
+      this.logger.error(`Notification failed`, {
+        ...details,
+        attempt: delivery.attempts,
+        error: error.message,
+      });
+      this.onOutcome(recipient.channel, event.eventType, "failed");
+      await this.notificationRepo.recordDelivery(delivery.id, {
+        status: "FAILED",
+        error: error.message,
+      });
+      return false;
+    }
+  }
+}
@@ -0,0 +1,377 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { mkdir, mkdtemp, readFile, rm } from "node:fs/promises";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { NotificationRepository } from "@swifttrack/database";
+import {
+  TEST_DATABASE_URL,
+  createTestDatabase,
+} from "@swifttrack/database/testing.js";
+import { EmailChannel, FileSmsProvider, SmsChannel } from "./channels.js";
+import { ChannelNotifier } from "./notifier.js";
+import { loadTemplates } from "./templates.js";
+
+const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+function decodeQuotedPrintable(text) {
+  return Buffer.from(
+    text
+      .replace(/=\r\n/g, "")
+      .replace(/=([0-9A-F]{2})/gi, (_, hex) =>
+        String.fromCharCode(parseInt(hex, 16))
+      ),
+    "latin1"
+  ).toString();
+}
+
+// Decode RFC 2047 encoded words; adjacent words may split one character
+function decodeHeader(value) {
+  return value.replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=\s*)+/gi, (words) =>
+    Buffer.concat(
+      [...words.matchAll(/=\?[^?]+\?([BQ])\?([^?]*)\?=/gi)].map(
+        ([, encoding, text]) =>
+          encoding.toUpperCase() === "B"
+            ? Buffer.from(text, "base64")
+            : Buffer.from(decodeQuotedPrintable(text.replace(/_/g, " ")))
+      )
+    ).toString()
+  );
+}
+
+function parseMessage(raw) {
+  const split = raw.indexOf("\r\n\r\n");
+  const headers = {};
+  for (const line of raw
+    .slice(0, split)
+    .replace(/\r\n[ \t]+/g, " ")
+    .split("\r\n")) {
+    const colon = line.indexOf(":");
+    headers[line.slice(0, colon).toLowerCase()] = line.slice(colon + 1).trim();
+  }
+
+  let body = raw.slice(split + 4);
+  if (headers["content-transfer-encoding"] === "base64") {
+    body = Buffer.from(body, "base64").toString();
+  } else if (headers["content-transfer-encoding"] === "quoted-printable") {
+    body = decodeQuotedPrintable(body);
+  }
+  return {
+    subject: decodeHeader(headers.subject),
+    text: body.replace(/\r\n/g, "\n").trimEnd(),
+  };
+}
+
+// Local SMTP server keeping every message it is given
+async function startSmtpSink() {
+  const sink = { messages: [] };
+  sink.server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = { to: [] };
+    let data = null;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    socket.setEncoding("utf8");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data) {
+          if (line === ".") {
+            sink.messages.push({
+              ...envelope,
+              ...parseMessage(data.join("\r\n")),
+            });
+            envelope = { to: [] };
+            data = null;
+            reply("250 Queued");
+          } else {
+            data.push(line.startsWith(".") ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "MAIL") {
+          envelope.from = line.match(/<(.*)>/)[1];
+          reply("250 OK");
+        } else if (command === "RCPT") {
+          envelope.to.push(line.match(/<(.*)>/)[1]);
+          reply("250 OK");
+        } else if (command === "DATA") {
+          data = [];
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (command === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else {
+          reply("250 localhost");
+        }
+      }
+    });
+    reply("220 localhost SMTP sink");
+  });
+  await new Promise((resolve) => sink.server.listen(0, "127.0.0.1", resolve));
+  sink.port = sink.server.address().port;
+  sink.close = () => new Promise((resolve) => sink.server.close(resolve));
+  return sink;
+}
+
+async function readSmsFile(filePath) {
+  const content = await readFile(filePath, "utf8").catch(() => "");
+  return content
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+describe("notification channels", () => {
+  let sink;
+  let dir;
+
+  before(async () => {
+    sink = await startSmtpSink();
+    dir = await mkdtemp(path.join(os.tmpdir(), "swifttrack-sms-"));
+  });
+
+  after(async () => {
+    await sink?.close();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test("emails are sent over SMTP", async () => {
+    const email = new EmailChannel({
+      host: "127.0.0.1",
+      port: sink.port,
+      from: "SwiftTrack <notifications@swifttrack.lk>",
+    });
+    const { messageId } = await email.send("ops@client.lk", {
+      subject: "ඇණවුම ORD-1 බෙදා හරින ලදී",
+      text: "Line one\nLine two",
+    });
+
+    assert.ok(messageId);
+    assert.equal(sink.messages.length, 1);
+    assert.deepEqual(sink.messages[0], {
+      from: "notifications@swifttrack.lk",
+      to: ["ops@client.lk"],
+      subject: "ඇණවුම ORD-1 බෙදා හරින ලදී",
+      text: "Line one\nLine two",
+    });
+  });
+
+  test("the file SMS provider appends a JSON line per message", async () => {
+    const filePath = path.join(dir, "sms.jsonl");
+    const sms = new SmsChannel(new FileSmsProvider(filePath));
+    const first = await sms.send("+94771234567", { text: "first" });
+    const second = await sms.send("+94777654321", { text: "second" });
+
+    const messages = await readSmsFile(filePath);
+    assert.deepEqual(
+      messages.map(({ messageId, to, body }) => ({ messageId, to, body })),
+      [
+        { messageId: first.messageId, to: "+94771234567", body: "first" },
+        { messageId: second.messageId, to: "+94777654321", body: "second" },
+      ]
+    );
+  });
+});
+
+describe(
+  "channel notifier",
+  { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL is not set" },
+  () => {
+    const ORDER_ID = "ORD-2025-002";
+    let database;
+    let notificationRepo;
+    let sink;
+    let dir;
+    let recipients;
+
+    before(async () => {
+      database = await createTestDatabase();
+      notificationRepo = new NotificationRepository(database.db);
+      sink = await startSmtpSink();
+      dir = await mkdtemp(path.join(os.tmpdir(), "swifttrack-sms-"));
+
+      // Replace the seeded recipients of CLIENT-001, the client of
+      // ORD-2025-002; there are no "ta" templates, so that recipient falls
+      // back to English
+      for (const recipient of await notificationRepo.listRecipients(
+        "CLIENT-001"
+      )) {
+        await notificationRepo.deactivateRecipient(recipient.id);
+      }
+      recipients = {
+        sinhalaEmail: await notificationRepo.createRecipient({
+          clientId: "CLIENT-001",
+          channel: "EMAIL",
+          address: "si@client.lk",
+          language: "si",
+        }),
+        fallbackEmail: await notificationRepo.createRecipient({
+          clientId: "CLIENT-001",
+          channel: "EMAIL",
+          address: "ta@client.lk",
+          language: "ta",
+        }),
+        sinhalaSms: await notificationRepo.createRecipient({
+          clientId: "CLIENT-001",
+          channel: "SMS",
+          address: "+94771234567",
+          language: "si",
+        }),
+      };
+    });
+
+    after(async () => {
+      await sink?.close();
+      await rm(dir, { recursive: true, force: true });
+      await database?.drop();
+    });
+
+    // Notifier sending SMS to smsFile; outcomes collects what it reports
+    function createNotifier(smsFile, outcomes) {
+      return new ChannelNotifier(
+        notificationRepo,
+        {
+          EMAIL: new EmailChannel({
+            host: "127.0.0.1",
+            port: sink.port,
+            from: "SwiftTrack <notifications@swifttrack.lk>",
+          }),
+          SMS: new SmsChannel(new FileSmsProvider(smsFile)),
+        },
+        loadTemplates(),
+        silentLogger,
+        {
+          onOutcome: (channel, eventType, outcome) =>
+            outcomes.push(`${channel} ${outcome}`),
+        }
+      );
+    }
+
+    function deliveredEvent() {
+      return {
+        eventId: crypto.randomUUID(),
+        eventType: "ORDER_DELIVERED",
+        orderId: ORDER_ID,
+        data: { deliveredAt: "2025-08-01 10:30" },
+      };
+    }
+
+    async function deliveryOf(recipient, event) {
+      const deliveries = await notificationRepo.listDeliveries(recipient.id);
+      return deliveries.find(({ event_id }) => event_id === event.eventId);
+    }
+
+    test("events are rendered in the recipient's language and sent once", async () => {
+      const smsFile = path.join(dir, "rendered.jsonl");
+      const outcomes = [];
+      const notifier = createNotifier(smsFile, outcomes);
+      const event = deliveredEvent();
+      sink.messages = [];
+
+      await notifier.notify(event);
+
+      const byRecipient = Object.fromEntries(
+        sink.messages.map((message) => [message.to[0], message])
+      );
+      assert.equal(sink.messages.length, 2);
+      assert.equal(
+        byRecipient["si@client.lk"].subject,
+        `ඇණවුම ${ORDER_ID} බෙදා හරින ලදී`
+      );
+      assert.equal(
+        byRecipient["si@client.lk"].text,
+        `ඔබගේ ඇණවුම ${ORDER_ID} 2025-08-01 10:30 දින බෙදා හරින ලදී.\n\n` +
+          "SwiftTrack Logistics සමඟ ගනුදෙනු කිරීම ගැන ස්තූතියි."
+      );
+      assert.equal(
+        byRecipient["ta@client.lk"].subject,
+        `Order ${ORDER_ID} has been delivered`
+      );
+      assert.equal(
+        byRecipient["ta@client.lk"].text,
+        `Your order ${ORDER_ID} was delivered on 2025-08-01 10:30.\n\n` +
+          "Thank you for shipping with SwiftTrack Logistics."
+      );
+
+      const sms = await readSmsFile(smsFile);
+      assert.equal(sms.length, 1);
+      assert.equal(sms[0].to, "+94771234567");
+      assert.equal(sms[0].body, `SwiftTrack: ඇණවුම ${ORDER_ID} බෙදා හරින ලදී.`);
+
+      for (const recipient of Object.values(recipients)) {
+        const delivery = await deliveryOf(recipient, event);
+        assert.equal(delivery.status, "SENT", recipient.address);
+        assert.equal(delivery.attempts, 1);
+        assert.ok(delivery.provider_message_id);
+      }
+      assert.equal(
+        (await deliveryOf(recipients.sinhalaSms, event)).provider_message_id,
+        sms[0].messageId
+      );
+
+      // A redelivered event is claimed by nobody and sent to nobody
+      await notifier.notify(event);
+      assert.equal(sink.messages.length, 2);
+      assert.equal((await readSmsFile(smsFile)).length, 1);
+      assert.deepEqual(outcomes.sort(), [
+        "EMAIL duplicate",
+        "EMAIL duplicate",
+        "EMAIL sent",
+        "EMAIL sent",
+        "SMS duplicate",
+        "SMS sent",
+      ]);
+    });
+
+    test("a failed channel fails the event and is the only one retried", async () => {
+      // The SMS file's directory is missing until the retry
+      const smsDir = path.join(dir, "missing");
+      const smsFile = path.join(smsDir, "sms.jsonl");
+      const outcomes = [];
+      const notifier = createNotifier(smsFile, outcomes);
+      const event = deliveredEvent();
+      sink.messages = [];
+
+      await assert.rejects(notifier.notify(event), {
+        message: "1 of 3 notifications for ORDER_DELIVERED failed",
+      });
+      assert.equal(sink.messages.length, 2);
+      const failed = await deliveryOf(recipients.sinhalaSms, event);
+      assert.equal(failed.status, "FAILED");
+      assert.match(failed.last_error, /ENOENT/);
+
+      await mkdir(smsDir);
+      await notifier.notify(event);
+
+      assert.equal(sink.messages.length, 2);
+      const sms = await readSmsFile(smsFile);
+      assert.equal(sms.length, 1);
+      const retried = await deliveryOf(recipients.sinhalaSms, event);
+      assert.equal(retried.status, "SENT");
+      assert.equal(retried.attempts, 2);
+      assert.equal(retried.provider_message_id, sms[0].messageId);
+      assert.deepEqual(outcomes.sort(), [
+        "EMAIL duplicate",
+        "EMAIL duplicate",
+        "EMAIL sent",
+        "EMAIL sent",
+        "SMS failed",
+        "SMS sent",
+      ]);
+    });
+  }
+);
@@ -0,0 +1,107 @@
+import { eventNames } from "./subscriptions.js";
+
+// Sockets replaying missed events are in this room, which live events skip.
+// The live events they would have received meanwhile are buffered and sent
+// after the replay, so that a client receives its events in order.
+export const REPLAYING_ROOM = "replaying";
+
+/**
+ * Event Replayer - sends an order's missed events to a socket that
+ * subscribes again, before its live events resume. The history is read from
+ * the outbox, where published order events are kept for the outbox
+ * retention.
+ */
+export class EventReplayer {
+  constructor(io, outboxRepo, options = {}) {
+    this.io = io;
+    this.outboxRepo = outboxRepo;
+    this.maxEvents = options.maxEvents || 500;
+    // Socket ID -> { buffer, replayedEventIds, pending, done }
+    this.replays = new Map();
+  }
+
+  /**
+   * Send an event to the sockets in rooms, holding it back for the sockets
+   * still replaying
+   */
+  emit(rooms, event) {
+    for (const eventName of eventNames(event)) {
+      this.io.to(rooms).except(REPLAYING_ROOM).emit(eventName, event);
+    }
+
+    for (const [socketId, replay] of this.replays) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket && rooms.some((room) => socket.rooms.has(room))) {
+        replay.buffer.push(event);
+      }
+    }
+  }
+
+  /**
+   * Join room and send the events of orderId after afterEventId or since,
+   * then the live events that arrived in the meantime. Replays of the same
+   * socket run one after the other. Resolves with { replayed, hasMore };
+   * hasMore is set when more than maxEvents were missed.
+   */
+  replay(socket, room, orderId, { afterEventId, since, clientId }) {
+    let replay = this.replays.get(socket.id);
+    if (!replay) {
+      replay = {
+        buffer: [],
+        replayedEventIds: new Set(),
+        pending: 0,
+        done: Promise.resolve(),
+      };
+      this.replays.set(socket.id, replay);
+      socket.join(REPLAYING_ROOM);
+    }
+    replay.pending++;
+    socket.join(room);
+
+    const sent = replay.done.then(() =>
+      this.sendHistory(socket, replay, orderId, {
+        afterEventId,
+        since,
+        clientId,
+      })
+    );
+    replay.done = sent
+      .catch(() => {})
+      .then(() => {
+        replay.pending--;
+        if (replay.pending === 0) {
+          this.resume(socket, replay);
+        }
+      });
+    return replay.done.then(() => sent);
+  }
+
+  async sendHistory(socket, replay, orderId, options) {
+    const rows = await this.outboxRepo.listOrderEvents(orderId, {
+      ...options,
+      limit: this.maxEvents,
+    });
+
+    for (const { payload: event } of rows) {
+      replay.replayedEventIds.add(event.eventId);
+      for (const eventName of eventNames(event)) {
+        socket.emit(eventName, event);
+      }
+    }
+    return { replayed: rows.length, hasMore: rows.length === this.maxEvents };
+  }
+
+  // Send the buffered live events that were not part of the replay, and
+  // deliver live events to the socket directly again
+  resume(socket, replay) {
+    this.replays.delete(socket.id);
+    for (const event of replay.buffer) {
+      if (!replay.replayedEventIds.has(event.eventId)) {
+        for (const eventName of eventNames(event)) {
+          socket.emit(eventName, event);
+        }
+      }
+    }
+    socket.leave(REPLAYING_ROOM);
+  }
+}
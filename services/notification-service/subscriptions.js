@@ -0,0 +1,152 @@
+import { clientScope } from "@swifttrack/auth";
+
+// Socket.IO subscriptions to order events. Callers authenticate with a token
+// (see @swifttrack/auth) and subscribe to rooms:
+//
+//   dispatch                    every event; dispatchers and admins only
+//   client:<clientId>           every event of a client's orders
+//   order:<orderId>             one order, for dispatchers and admins
+//   client:<clientId>:order:<orderId>
+//                               one order, for a client user
+//
+// A client user's order room is scoped by the clientId of their token, and
+// events are only sent to the order room of the client they belong to, so a
+// client can never receive the orders of another client.
+
+export const DISPATCH_ROOM = "dispatch";
+
+// IDs are encoded so that no ID can be crafted to name another room
+export const clientRoom = (clientId) =>
+  `client:${encodeURIComponent(clientId)}`;
+
+export const orderRoom = (orderId, clientId = null) => {
+  const room = `order:${encodeURIComponent(orderId)}`;
+  return clientId ? `${clientRoom(clientId)}:${room}` : room;
+};
+
+export class SubscriptionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "SubscriptionError";
+    this.code = code;
+  }
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.length > 0;
+}
+
+/**
+ * Room for a subscription request ({ orderId }, { clientId } or
+ * { feed: "dispatch" }) made by identity. Throws a SubscriptionError when the
+ * request is invalid or the identity may not subscribe to it.
+ */
+export function subscriptionRoom(identity, request = {}) {
+  const { orderId, clientId, feed } = request || {};
+  const ownClientId = clientScope(identity);
+  const isDispatcher = ownClientId === null;
+
+  if (feed !== undefined) {
+    if (feed !== DISPATCH_ROOM) {
+      throw new SubscriptionError(`Unknown feed ${feed}`, "INVALID_REQUEST");
+    }
+    if (!isDispatcher) {
+      throw new SubscriptionError(
+        "The dispatch feed is only available to dispatchers and admins",
+        "FORBIDDEN"
+      );
+    }
+    return DISPATCH_ROOM;
+  }
+
+  if (clientId !== undefined) {
+    if (!isNonEmptyString(clientId)) {
+      throw new SubscriptionError("Invalid clientId", "INVALID_REQUEST");
+    }
+    if (!isDispatcher && clientId !== ownClientId) {
+      throw new SubscriptionError(
+        "Cannot subscribe to the orders of another client",
+        "FORBIDDEN"
+      );
+    }
+    return clientRoom(clientId);
+  }
+
+  if (orderId !== undefined) {
+    if (!isNonEmptyString(orderId)) {
+      throw new SubscriptionError("Invalid orderId", "INVALID_REQUEST");
+    }
+    return orderRoom(orderId, ownClientId);
+  }
+
+  throw new SubscriptionError(
+    "Subscribe to an orderId, a clientId or the dispatch feed",
+    "INVALID_REQUEST"
+  );
+}
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Replay options of a subscription request: { orderId, lastEventId } or
+ * { orderId, since } asks for the order's events after that event or time.
+ * Null when the request does not ask for a replay.
+ */
+export function replayOptions(request = {}) {
+  const { orderId, lastEventId, since } = request || {};
+  if (lastEventId === undefined && since === undefined) {
+    return null;
+  }
+
+  if (orderId === undefined) {
+    throw new SubscriptionError(
+      "Missed events can only be replayed for an orderId",
+      "INVALID_REQUEST"
+    );
+  }
+  if (
+    lastEventId !== undefined &&
+    !(typeof lastEventId === "string" && UUID_PATTERN.test(lastEventId))
+  ) {
+    throw new SubscriptionError("Invalid lastEventId", "INVALID_REQUEST");
+  }
+  if (since !== undefined && Number.isNaN(Date.parse(since))) {
+    throw new SubscriptionError(
+      "since must be an ISO timestamp",
+      "INVALID_REQUEST"
+    );
+  }
+
+  return {
+    afterEventId: lastEventId ?? null,
+    since: since === undefined ? null : new Date(since),
+  };
+}
+
+/**
+ * Rooms an order event is sent to. Events without a client, such as circuit
+ * breaker changes, only go to the dispatch feed.
+ */
+export function eventRooms(event) {
+  const rooms = [DISPATCH_ROOM];
+  if (event.orderId) {
+    rooms.push(orderRoom(event.orderId));
+  }
+  if (event.clientId) {
+    rooms.push(clientRoom(event.clientId));
+    if (event.orderId) {
+      rooms.push(orderRoom(event.orderId, event.clientId));
+    }
+  }
+  return rooms;
+}
+
+// Socket.IO events an order event is sent as. Cancellations are also sent on
+// their own channel so that clients can react without filtering every order
+// update.
+export function eventNames(event) {
+  return event.eventType === "ORDER_CANCELLED"
+    ? ["orderUpdate", "orderCancelled"]
+    : ["orderUpdate"];
+}
@@ -0,0 +1,78 @@
+import { readFileSync, readdirSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+// Email and SMS templates, one <language>.json file per language mapping
+// event types to { email: { subject, text }, sms: { text } }. Placeholders
+// such as {{orderId}} or {{data.manifest.estimatedDelivery}} are paths into
+// the order event. Only the event types with a template in the default
+// language are sent as notifications.
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const DEFAULT_TEMPLATES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "templates"
+);
+
+/**
+ * Load the templates of every language in dir: language -> event type ->
+ * channel -> template
+ */
+export function loadTemplates(dir = DEFAULT_TEMPLATES_DIR) {
+  const templates = new Map();
+  for (const file of readdirSync(dir)) {
+    if (path.extname(file) === ".json") {
+      templates.set(
+        path.basename(file, ".json"),
+        JSON.parse(readFileSync(path.join(dir, file), "utf8"))
+      );
+    }
+  }
+
+  if (!templates.has(DEFAULT_LANGUAGE)) {
+    throw new Error(`No ${DEFAULT_LANGUAGE}.json templates in ${dir}`);
+  }
+  return templates;
+}
+
+/**
+ * Event types notifications are sent for
+ */
+export function templatedEventTypes(templates) {
+  return Object.keys(templates.get(DEFAULT_LANGUAGE));
+}
+
+function lookup(event, keyPath) {
+  const value = keyPath
+    .split(".")
+    .reduce((current, key) => current?.[key], event);
+  return value === undefined || value === null || typeof value === "object"
+    ? ""
+    : String(value);
+}
+
+function fill(text, event) {
+  return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, keyPath) =>
+    lookup(event, keyPath)
+  );
+}
+
+/**
+ * Render the channel ("email" or "sms") template of an event in language,
+ * falling back to the default language. Returns { subject, text }, or
+ * null when the event type has no template for the channel.
+ */
+export function renderTemplate(templates, language, channel, event) {
+  const template =
+    templates.get(language)?.[event.eventType]?.[channel] ||
+    templates.get(DEFAULT_LANGUAGE)[event.eventType]?.[channel];
+  if (!template) {
+    return null;
+  }
+
+  return {
+    subject: template.subject ? fill(template.subject, event) : null,
+    text: fill(template.text, event),
+  };
+}
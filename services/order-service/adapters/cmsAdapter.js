@@ -1,4 +1,55 @@
 import axios from "axios";
+import { XMLParser } from "fast-xml-parser";
+import { formatDeliveryAddress } from "@swifttrack/database";
+import { getLogger } from "@swifttrack/logger";
+import { traceHeaders, traceSpan } from "@swifttrack/tracing";
+
+const logger = getLogger("cms-adapter");
+
+const SOAP_ENVELOPE_NAMESPACE = "http://schemas.xmlsoap.org/soap/envelope/";
+
+// SOAP fault codes raised by the legacy CMS and the error types they map to
+const CMS_FAULT_ERROR_TYPES = {
+  "Client.InvalidClientId": "INVALID_CLIENT_ID",
+  "Client.AccountSuspended": "CLIENT_SUSPENDED",
+  "Contract.Expired": "CONTRACT_EXPIRED",
+  "Contract.NotFound": "CONTRACT_NOT_FOUND",
+  "Payment.InsufficientCredit": "CREDIT_LIMIT_EXCEEDED",
+};
+
+/**
+ * Escape a value for use as XML text content
+ */
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * SOAP fault returned by the legacy CMS
+ */
+export class CMSFaultError extends Error {
+  constructor(faultCode, faultString, detail = {}) {
+    super(`CMS SOAP Fault [${faultCode}]: ${faultString}`);
+    this.name = "CMSFaultError";
+    this.faultCode = faultCode;
+    this.faultString = faultString;
+    this.detail = detail;
+    this.errorType = CMS_FAULT_ERROR_TYPES[faultCode] || "SOAP_FAULT";
+  }
+}
 
 /**
  * CMS Adapter - Handles SOAP/XML protocol translation for legacy CMS system
@@ -8,7 +59,13 @@ export class CMSAdapter {
   constructor(baseUrl) {
     this.baseUrl = baseUrl;
     this.soapNamespace = "http://swiftlogistics.lk/cms/v1";
-    console.log(`CMS Adapter initialized for ${baseUrl}`);
+    this.xmlParser = new XMLParser({
+      removeNSPrefix: true,
+      ignoreAttributes: true,
+      parseTagValue: false,
+      trimValues: true,
+    });
+    logger.info(`CMS Adapter initialized for ${baseUrl}`);
   }
 
   /**
@@ -16,7 +73,7 @@ export class CMSAdapter {
    */
   convertToSoapXml(order) {
     const soapEnvelope = `<?xml version="1.0" encoding="UTF-8"?>
-<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"
+<soap:Envelope xmlns:soap="${SOAP_ENVELOPE_NAMESPACE}"
                xmlns:cms="${this.soapNamespace}">
   <soap:Header>
     <cms:Authentication>
@@ -26,18 +83,18 @@ export class CMSAdapter {
   </soap:Header>
   <soap:Body>
     <cms:VerifyContractRequest>
-      <cms:OrderId>${order.id}</cms:OrderId>
-      <cms:ClientId>${order.clientId}</cms:ClientId>
-      <cms:Priority>${order.priority}</cms:Priority>
+      <cms:OrderId>${escapeXml(order.id)}</cms:OrderId>
+      <cms:ClientId>${escapeXml(order.clientId)}</cms:ClientId>
+      <cms:Priority>${escapeXml(order.priority || "STANDARD")}</cms:Priority>
       <cms:PackageList>
         ${order.packages
           .map(
             (pkg) => `
         <cms:Package>
-          <cms:SKU>${pkg.sku}</cms:SKU>
-          <cms:Description>${pkg.description}</cms:Description>
-          <cms:Quantity>${pkg.quantity}</cms:Quantity>
-          <cms:Priority>${pkg.priority}</cms:Priority>
+          <cms:SKU>${escapeXml(pkg.sku)}</cms:SKU>
+          <cms:Description>${escapeXml(pkg.description)}</cms:Description>
+          <cms:Quantity>${escapeXml(pkg.quantity)}</cms:Quantity>
+          <cms:Priority>${escapeXml(pkg.priority || "STANDARD")}</cms:Priority>
         </cms:Package>`
           )
           .join("")}
@@ -46,7 +103,7 @@ export class CMSAdapter {
         ${order.deliveryAddresses
           .map(
             (addr) => `
-        <cms:Address>${addr}</cms:Address>`
+        <cms:Address>${escapeXml(formatDeliveryAddress(addr))}</cms:Address>`
           )
           .join("")}
       </cms:DeliveryAddresses>
@@ -58,67 +115,77 @@ export class CMSAdapter {
   }
 
   /**
-   * Parse SOAP XML response from legacy CMS
+   * Parse SOAP XML response from legacy CMS. A soap:Fault is thrown as a
+   * CMSFaultError.
    */
   parseSoapXmlResponse(soapResponse) {
-    console.log("CMS Adapter - Parsing SOAP XML response from legacy CMS", {
+    logger.info("CMS Adapter - Parsing SOAP XML response from legacy CMS", {
       responseLength: soapResponse.length,
-      contentType: "application/soap+xml",
+      contentType: "text/xml",
     });
 
-    // For this mock, we're receiving JSON from our CMS service
-    // In a real implementation, you'd use a proper XML parser
+    let document;
     try {
-      const jsonResponse = JSON.parse(soapResponse);
-
-      // Check if it's already a JSON response from our mock CMS
-      if (jsonResponse.ok !== undefined) {
-        return {
-          ok: jsonResponse.ok,
-          contractId: jsonResponse.contractId || `SWFT-CTR-${Date.now()}`,
-          billingStatus: jsonResponse.billingStatus || "ACTIVE",
-          creditLimit: jsonResponse.clientDetails?.creditLimit || 100000,
-          protocol: "SOAP/XML",
-          systemType: "LEGACY_CMS",
-          clientDetails: jsonResponse.clientDetails,
-          estimatedCost: jsonResponse.estimatedCost,
-        };
-      }
-    } catch (e) {
-      // If JSON parsing fails, fall back to XML parsing simulation
+      document = this.xmlParser.parse(soapResponse, true);
+    } catch (error) {
+      throw new Error(`Invalid SOAP response from CMS: ${error.message}`);
     }
 
-    // Legacy XML parsing simulation for demonstration
-    const isSuccess = soapResponse.includes("<cms:Status>SUCCESS</cms:Status>");
-    const contractId = this.extractXmlValue(soapResponse, "cms:ContractId");
-    const billingStatus = this.extractXmlValue(
-      soapResponse,
-      "cms:BillingStatus"
-    );
+    const body = document?.Envelope?.Body;
+    if (!body) {
+      throw new Error("Invalid SOAP response from CMS: missing soap:Body");
+    }
+
+    if (body.Fault) {
+      const { faultcode = "", faultstring = "", detail } = body.Fault;
+      const faultDetail = detail?.VerificationFault || {};
+      throw new CMSFaultError(
+        String(faultcode).replace(/^[^:]+:/, ""),
+        String(faultstring),
+        {
+          errorCode: faultDetail.ErrorCode,
+          clientId: faultDetail.ClientId,
+          estimatedCost: toNumber(faultDetail.EstimatedCost),
+          creditLimit: toNumber(faultDetail.CreditLimit),
+          availableCredit: toNumber(faultDetail.AvailableCredit),
+        }
+      );
+    }
 
+    const response = body.VerifyContractResponse;
+    if (!response) {
+      throw new Error(
+        "Invalid SOAP response from CMS: missing cms:VerifyContractResponse"
+      );
+    }
+
+    const clientDetails = response.ClientDetails || {};
     return {
-      ok: isSuccess,
-      contractId: contractId || `SWFT-CTR-${Date.now()}`,
-      billingStatus: billingStatus || "ACTIVE",
-      creditLimit: 100000,
+      ok: response.Status === "SUCCESS",
+      contractId: response.ContractId,
+      billingStatus: response.BillingStatus,
+      creditLimit: toNumber(clientDetails.CreditLimit),
       protocol: "SOAP/XML",
       systemType: "LEGACY_CMS",
+      clientDetails: {
+        name: clientDetails.Name,
+        status: clientDetails.Status,
+        contractType: clientDetails.ContractType,
+        creditLimit: toNumber(clientDetails.CreditLimit),
+        remainingCredit: toNumber(clientDetails.RemainingCredit),
+        billingCycle: clientDetails.BillingCycle,
+      },
+      estimatedCost: toNumber(response.EstimatedCost),
     };
   }
 
-  extractXmlValue(xml, tagName) {
-    const regex = new RegExp(`<${tagName}>(.*?)</${tagName}>`);
-    const match = xml.match(regex);
-    return match ? match[1] : null;
-  }
-
   /**
    * Main adapter method to handle CMS communication
    */
   async verifyContract(order) {
     const startTime = Date.now();
 
-    console.log("CMS Adapter - Starting SOAP/XML protocol translation", {
+    logger.info("CMS Adapter - Starting SOAP/XML protocol translation", {
       orderId: order.id,
       clientId: order.clientId,
       targetProtocol: "SOAP/XML",
@@ -129,29 +196,65 @@ export class CMSAdapter {
       // Step 1: Convert REST/JSON to SOAP/XML
       const soapXmlRequest = this.convertToSoapXml(order);
 
-      console.log("CMS Adapter - Converted to SOAP XML format", {
+      logger.info("CMS Adapter - Converted to SOAP XML format", {
         xmlLength: soapXmlRequest.length,
         namespace: this.soapNamespace,
         operation: "VerifyContractRequest",
       });
 
-      // Step 2: Send SOAP request to legacy CMS (simulated as REST for demo)
-      const { data } = await axios.post(`${this.baseUrl}/verify`, order, {
-        headers: {
-          "Content-Type": "application/json",
-          SOAPAction: `${this.soapNamespace}/VerifyContract`,
-          "X-Protocol-Adapter": "SOAP-TO-REST",
-          "X-Legacy-System": "CMS-v2.1",
-          "X-Original-Protocol": "SOAP/XML",
+      // Step 2: Send SOAP request to legacy CMS. SOAP 1.1 faults come back
+      // as HTTP 500 with a soap:Fault body, so every status is parsed.
+      const response = await traceSpan(
+        "CMS VerifyContract",
+        {
+          kind: "CLIENT",
+          attributes: {
+            "rpc.system": "soap",
+            "rpc.method": "VerifyContract",
+            "server.address": this.baseUrl,
+            "swifttrack.order_id": order.id,
+          },
         },
-      });
+        async (span) => {
+          const soapResponse = await axios.post(
+            `${this.baseUrl}/verify`,
+            soapXmlRequest,
+            {
+              headers: {
+                "Content-Type": "text/xml; charset=utf-8",
+                SOAPAction: `"${this.soapNamespace}/VerifyContract"`,
+                "X-Protocol-Adapter": "SOAP-TO-REST",
+                "X-Legacy-System": "CMS-v2.1",
+                ...traceHeaders(),
+              },
+              responseType: "text",
+              transformResponse: (data) => data,
+              validateStatus: () => true,
+            }
+          );
+          span.setAttributes({
+            "http.response.status_code": soapResponse.status,
+          });
+          if (soapResponse.status >= 400) {
+            span.setStatus("ERROR", `HTTP ${soapResponse.status}`);
+          }
+          return soapResponse;
+        }
+      );
 
-      // Step 3: Simulate SOAP XML response parsing
-      const parsedResponse = this.parseSoapXmlResponse(JSON.stringify(data));
+      if (
+        response.status >= 400 &&
+        !String(response.headers["content-type"]).includes("xml")
+      ) {
+        throw new Error(`Request failed with status code ${response.status}`);
+      }
+
+      // Step 3: Parse SOAP XML response
+      const parsedResponse = this.parseSoapXmlResponse(response.data);
 
       const duration = Date.now() - startTime;
 
-      console.log("CMS Adapter - SOAP/XML protocol translation completed", {
+      logger.info("CMS Adapter - SOAP/XML protocol translation completed", {
         orderId: order.id,
         duration,
         protocolConversion: "SOAP/XML ↔ REST/JSON",
@@ -175,47 +278,52 @@ export class CMSAdapter {
         suggestedAction: "Contact system administrator",
       };
 
-      // Parse specific error types from CMS response
-      if (error.response && error.response.data) {
-        const errorData = error.response.data;
+      // Map SOAP faults returned by the CMS to typed errors
+      if (error instanceof CMSFaultError) {
+        detailedError.protocolIssue = "SOAP fault returned by legacy CMS";
+        detailedError.errorType = error.errorType;
+        detailedError.faultCode = error.faultCode;
 
-        if (errorData.error && errorData.error.includes("Contract not found")) {
-          detailedError.errorType = "CONTRACT_NOT_FOUND";
+        if (error.errorType === "INVALID_CLIENT_ID") {
           detailedError.errorDetails = {
-            reason: "No valid contract found for client",
+            reason: "Client not found in legacy CMS",
             clientId: order.clientId,
-            contractStatus: errorData.contractStatus || "NOT_FOUND",
-            availableContracts: errorData.availableContracts || [],
           };
           detailedError.suggestedAction =
-            "Verify client has active contract or create new contract";
-        } else if (
-          errorData.error &&
-          errorData.error.includes("Credit limit exceeded")
-        ) {
-          detailedError.errorType = "CREDIT_LIMIT_EXCEEDED";
+            "Verify the client ID or register the client in the CMS";
+        } else if (error.errorType === "CREDIT_LIMIT_EXCEEDED") {
+          const { creditLimit, availableCredit, estimatedCost } = error.detail;
           detailedError.errorDetails = {
             reason: "Client has exceeded credit limit",
-            currentCredit: errorData.currentCredit || "Unknown",
-            creditLimit: errorData.creditLimit || "Unknown",
-            outstandingAmount: errorData.outstandingAmount || "Unknown",
-            estimatedOrderCost: errorData.estimatedCost || "Unknown",
+            creditLimit: creditLimit ?? "Unknown",
+            outstandingAmount:
+              creditLimit !== undefined && availableCredit !== undefined
+                ? creditLimit - availableCredit
+                : "Unknown",
+            estimatedOrderCost: estimatedCost ?? "Unknown",
           };
           detailedError.suggestedAction =
             "Process payment or request credit limit increase";
-        } else if (
-          errorData.error &&
-          errorData.error.includes("Client suspended")
-        ) {
-          detailedError.errorType = "CLIENT_SUSPENDED";
+        } else if (error.errorType === "CLIENT_SUSPENDED") {
           detailedError.errorDetails = {
             reason: "Client account is suspended",
-            suspensionReason: errorData.suspensionReason || "Payment overdue",
-            suspendedDate: errorData.suspendedDate || "Unknown",
-            reactivationRequirements: errorData.reactivationRequirements || [],
+            clientId: order.clientId,
+            suspensionReason: error.faultString,
           };
           detailedError.suggestedAction =
             "Contact accounts department to reactivate client";
+        } else if (error.errorType === "CONTRACT_EXPIRED") {
+          detailedError.errorDetails = {
+            reason: "Client contract has expired",
+            clientId: order.clientId,
+          };
+          detailedError.suggestedAction =
+            "Renew the client contract before submitting orders";
+        } else {
+          detailedError.errorDetails = {
+            reason: error.faultString,
+            faultCode: error.faultCode,
+          };
         }
       } else if (error.message.includes("401")) {
         detailedError.errorType = "AUTHENTICATION_FAILED";
@@ -239,17 +347,17 @@ export class CMSAdapter {
           "Service will retry automatically. Check CMS service health if issue persists";
       }
 
-      console.error(
-        "CMS Adapter - SOAP/XML protocol translation failed",
-        detailedError
-      );
+      logger.error("CMS Adapter - SOAP/XML protocol translation failed", {
+        serviceError: detailedError,
+      });
 
-      // Create enhanced error message
-      const enhancedError = new Error(
-        `CMS Service Error [${detailedError.errorType}]: ${
-          detailedError.errorDetails.reason || error.message
-        }`
-      );
+      // Create enhanced error message. SOAP faults keep their CMSFaultError
+      // type so that callers can tell them from transport failures.
+      const enhancedError =
+        error instanceof CMSFaultError ? error : new Error();
+      enhancedError.message = `CMS Service Error [${
+        detailedError.errorType
+      }]: ${detailedError.errorDetails.reason || error.message}`;
       enhancedError.serviceError = detailedError;
       enhancedError.errorType = detailedError.errorType;
       enhancedError.suggestedAction = detailedError.suggestedAction;
@@ -258,4 +366,88 @@ export class CMSAdapter {
       throw enhancedError;
     }
   }
+
+  /**
+   * Cancel a verified contract and release its credit hold (saga compensation).
+   * Falls back to the order ID when the verification result is unknown.
+   */
+  async cancelContract(order, verification, reason = "Saga compensation") {
+    const contractId = verification?.contractId || order.id;
+
+    logger.info("CMS Adapter - Cancelling contract in legacy CMS", {
+      orderId: order.id,
+      contractId,
+      reason,
+      operation: "CancelContractRequest",
+    });
+
+    try {
+      const { data } = await traceSpan(
+        "CMS CancelContract",
+        {
+          kind: "CLIENT",
+          attributes: {
+            "rpc.method": "CancelContract",
+            "server.address": this.baseUrl,
+            "swifttrack.order_id": order.id,
+          },
+        },
+        () =>
+          axios.post(
+            `${this.baseUrl}/contracts/${encodeURIComponent(
+              contractId
+            )}/cancel`,
+            { orderId: order.id, clientId: order.clientId, reason },
+            {
+              headers: {
+                "Content-Type": "application/json",
+                SOAPAction: `${this.soapNamespace}/CancelContract`,
+                "X-Protocol-Adapter": "SOAP-TO-REST",
+                "X-Legacy-System": "CMS-v2.1",
+                "X-Original-Protocol": "SOAP/XML",
+                ...traceHeaders(),
+              },
+            }
+          )
+      );
+
+      logger.info("CMS Adapter - Contract cancelled", {
+        orderId: order.id,
+        contractId: data.contractId,
+        releasedAmount: data.releasedAmount,
+        alreadyReleased: data.alreadyReleased,
+      });
+
+      return {
+        ok: true,
+        contractId: data.contractId,
+        contractStatus: data.contractStatus,
+        releasedAmount: data.releasedAmount,
+        alreadyReleased: data.alreadyReleased,
+      };
+    } catch (error) {
+      // Nothing was held for this order, so there is nothing to release
+      if (error.response?.status === 404) {
+        logger.warn("CMS Adapter - No contract to cancel", {
+          orderId: order.id,
+          contractId,
+        });
+        return { ok: true, contractId, nothingToRelease: true };
+      }
+
+      logger.error("CMS Adapter - Contract cancellation failed", {
+        orderId: order.id,
+        contractId,
+        error: error.message,
+      });
+
+      const enhancedError = new Error(
+        `CMS Service Error [COMPENSATION_FAILED]: Unable to cancel contract ${contractId}: ${error.message}`
+      );
+      enhancedError.errorType = "COMPENSATION_FAILED";
+      enhancedError.suggestedAction =
+        "Release the credit hold manually in the CMS";
+      throw enhancedError;
+    }
+  }
 }
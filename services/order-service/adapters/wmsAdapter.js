@@ -1,73 +1,91 @@
-import axios from "axios";
+import {
+  MESSAGE_TYPES,
+  PROTOCOL_VERSION,
+  WMSResponseError,
+  WMSTcpClient,
+  messageTypeName,
+} from "./wmsTcpClient.js";
+import { getLogger } from "@swifttrack/logger";
+
+const logger = getLogger("wms-adapter");
+
+const WMS_TCP_HOST = process.env.WMS_TCP_HOST;
+const WMS_TCP_PORT = parseInt(process.env.WMS_TCP_PORT) || 9001;
+const WMS_TCP_POOL_SIZE = parseInt(process.env.WMS_TCP_POOL_SIZE) || 4;
+const WMS_TCP_CONNECT_TIMEOUT_MS =
+  parseInt(process.env.WMS_TCP_CONNECT_TIMEOUT_MS) || 3000;
+const WMS_TCP_FRAME_TIMEOUT_MS =
+  parseInt(process.env.WMS_TCP_FRAME_TIMEOUT_MS) || 10000;
+const WMS_TCP_RECONNECT_ATTEMPTS =
+  parseInt(process.env.WMS_TCP_RECONNECT_ATTEMPTS) || 3;
+
+// Transport failures after which the WMS may simply be unreachable
+const CONNECTION_ERROR_CODES = ["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT"];
 
 /**
- * WMS Adapter - Handles proprietary TCP/IP protocol trans  parseTcpResponse(tcpResponse) {
-    console.log("WMS Adapter - Parsing TCP/IP binary response from WMS", {
-      messageType: tcpResponse.messageType || "PACKAGE_REGISTER_RESP",
-      payloadSize: tcpResponse.payloadLength || 0,
-      protocol: this.protocolVersion
-    });
- * Converts REST/JSON requests to TCP/IP messaging format and vice versa
+ * WMS Adapter - Handles proprietary TCP/IP protocol translation for WMS system
+ * Converts REST/JSON requests to framed binary TCP messages and vice versa
  */
 export class WMSAdapter {
   constructor(baseUrl) {
     this.baseUrl = baseUrl;
-    this.tcpPort = 9001;
+    this.tcpHost =
+      WMS_TCP_HOST || (baseUrl ? new URL(baseUrl).hostname : "localhost");
+    this.tcpPort = WMS_TCP_PORT;
     this.protocolVersion = "WMS_TCP_v3.2.1";
-    console.log(`WMS Adapter initialized for ${baseUrl}`);
+    this.tcpClient = new WMSTcpClient({
+      host: this.tcpHost,
+      port: this.tcpPort,
+      poolSize: WMS_TCP_POOL_SIZE,
+      connectTimeoutMs: WMS_TCP_CONNECT_TIMEOUT_MS,
+      frameTimeoutMs: WMS_TCP_FRAME_TIMEOUT_MS,
+      reconnectAttempts: WMS_TCP_RECONNECT_ATTEMPTS,
+    });
+    logger.info(
+      `WMS Adapter initialized for tcp://${this.tcpHost}:${this.tcpPort}`
+    );
   }
 
   /**
-   * Convert order data to proprietary TCP/IP message format
+   * Convert order data to a PACKAGE_REGISTER_REQ message
    */
   convertToTcpMessage(order) {
-    // Simulate proprietary TCP/IP message format with binary-like structure
-    const tcpMessage = {
-      header: {
-        messageType: "PACKAGE_REGISTER_REQ",
-        version: this.protocolVersion,
-        sequenceId: Date.now(),
-        payloadLength: 0, // Will be calculated
-        checksum: 0, // Will be calculated
-        timestamp: Date.now(),
-        sourceSystem: "SWIFTTRACK_MIDDLEWARE",
-        targetSystem: "WMS_PROPRIETARY",
-      },
+    const packages = order.packages.map((pkg, index) => ({
+      packageIndex: index + 1,
+      sku: pkg.sku,
+      description: pkg.description,
+      quantity: pkg.quantity,
+      priority: pkg.priority,
+      binaryFlags: this.generateBinaryFlags(pkg),
+    }));
+
+    return {
+      messageType: MESSAGE_TYPES.PACKAGE_REGISTER_REQ,
+      // The header carries the flags of every package combined
+      binaryFlags: packages.reduce((flags, pkg) => flags | pkg.binaryFlags, 0),
       payload: {
         orderId: order.id,
         clientId: order.clientId,
         priority: order.priority,
-        packageCount: order.packages.length,
-        packages: order.packages.map((pkg, index) => ({
-          packageIndex: index + 1,
-          sku: pkg.sku,
-          description: pkg.description,
-          quantity: pkg.quantity,
-          priority: pkg.priority,
-          binaryFlags: this.generateBinaryFlags(pkg),
-        })),
+        packageCount: packages.length,
+        packages,
         deliveryAddresses: order.deliveryAddresses.map((addr, index) => ({
           addressIndex: index + 1,
           address: addr,
-          encodedAddress: Buffer.from(JSON.stringify(addr)).toString("base64"),
         })),
+        sourceSystem: "SWIFTTRACK_MIDDLEWARE",
+        timestamp: Date.now(),
       },
     };
-
-    // Calculate payload length and checksum (simulated)
-    tcpMessage.header.payloadLength = JSON.stringify(tcpMessage.payload).length;
-    tcpMessage.header.checksum = this.calculateChecksum(tcpMessage);
-
-    return tcpMessage;
   }
 
   /**
-   * Generate binary flags for TCP/IP message (simulated)
+   * Generate binary flags for TCP/IP message
    */
   generateBinaryFlags(pkg) {
     const flags = {
       urgent: pkg.priority === "URGENT" ? 1 : 0,
-      fragile: pkg.description.toLowerCase().includes("fragile") ? 1 : 0,
+      fragile: pkg.description?.toLowerCase().includes("fragile") ? 1 : 0,
       heavy: pkg.quantity > 5 ? 1 : 0,
       reserved: 0,
     };
@@ -82,84 +100,37 @@ export class WMSAdapter {
   }
 
   /**
-   * Calculate checksum for TCP/IP message integrity (simulated)
-   */
-  calculateChecksum(message) {
-    const data = JSON.stringify(message.payload);
-    let checksum = 0;
-    for (let i = 0; i < data.length; i++) {
-      checksum += data.charCodeAt(i);
-    }
-    return checksum % 65536; // 16-bit checksum
-  }
-
-  /**
-   * Parse TCP/IP binary response from WMS
+   * Parse a PACKAGE_REGISTER_RESP frame from WMS
    */
-  parseTcpResponse(tcpResponse) {
-    console.log("Parsing TCP/IP binary response from WMS", {
-      messageType: tcpResponse.messageType || "PACKAGE_REGISTER_RESP",
-      payloadSize: tcpResponse.payloadLength || 0,
-      protocol: this.protocolVersion,
+  parseTcpResponse(frame) {
+    const { payload } = frame;
+
+    logger.info("WMS Adapter - Parsing TCP/IP binary response from WMS", {
+      messageType: messageTypeName(frame.messageType),
+      sequenceId: frame.sequenceId,
+      payloadSize: frame.payloadLength,
+      protocolVersion: frame.version,
     });
 
-    // Simulate parsing proprietary TCP/IP response
     return {
-      ok: tcpResponse.ok || true,
-      packageId: tcpResponse.packageId || `SWFT-PKG-${Date.now()}`,
-      warehouseLocation: tcpResponse.warehouseLocation || "A1-STAGING",
-      estimatedReadyTime:
-        tcpResponse.estimatedReadyTime ||
-        new Date(Date.now() + 15 * 60000).toISOString(),
+      ok: true,
+      packageId: payload.packageId,
+      warehouseLocation: payload.warehouseLocation,
+      estimatedReadyTime: payload.warehouseDetails?.estimatedReadyTime,
       protocol: "TCP/IP Proprietary",
       systemType: "WMS_PROPRIETARY",
-      tcpSequenceId: tcpResponse.sequenceId || Date.now(),
-      checksumVerified: true,
+      tcpSequenceId: frame.sequenceId,
+      checksumVerified: frame.checksumValid,
     };
   }
 
-  /**
-   * Simulate TCP/IP connection establishment
-   */
-  async establishTcpConnection() {
-    console.log("WMS Adapter - Establishing TCP/IP connection", {
-      targetHost: this.baseUrl,
-      targetPort: this.tcpPort,
-      protocol: this.protocolVersion,
-    });
-
-    // Simulate TCP handshake delay
-    await new Promise((resolve) => setTimeout(resolve, 50));
-
-    console.log("WMS Adapter - TCP/IP connection established", {
-      connectionId: `TCP-${Date.now()}`,
-      status: "CONNECTED",
-    });
-  }
-
-  /**
-   * Simulate TCP/IP connection teardown
-   */
-  async closeTcpConnection() {
-    console.log("WMS Adapter - Closing TCP/IP connection", {
-      status: "DISCONNECTING",
-    });
-
-    // Simulate connection close delay
-    await new Promise((resolve) => setTimeout(resolve, 25));
-
-    console.log("WMS Adapter - TCP/IP connection closed", {
-      status: "DISCONNECTED",
-    });
-  }
-
   /**
    * Main adapter method to handle WMS communication
    */
   async registerPackage(order) {
     const startTime = Date.now();
 
-    console.log("WMS Adapter - Starting TCP/IP protocol translation", {
+    logger.info("WMS Adapter - Starting TCP/IP protocol translation", {
       orderId: order.id,
       packageCount: order.packages.length,
       targetProtocol: "TCP/IP Proprietary",
@@ -167,41 +138,29 @@ export class WMSAdapter {
     });
 
     try {
-      // Step 1: Establish TCP/IP connection
-      await this.establishTcpConnection();
-
-      // Step 2: Convert REST/JSON to TCP/IP message format
+      // Step 1: Convert REST/JSON to a TCP/IP message
       const tcpMessage = this.convertToTcpMessage(order);
 
-      console.log("WMS Adapter - Converted to TCP/IP message format", {
-        messageType: tcpMessage.header.messageType,
-        sequenceId: tcpMessage.header.sequenceId,
-        payloadLength: tcpMessage.header.payloadLength,
-        checksum: tcpMessage.header.checksum,
-        binaryOptimization: "ENABLED",
-      });
-
-      // Step 3: Send TCP/IP message to WMS (simulated as REST for demo)
-      const { data } = await axios.post(`${this.baseUrl}/register`, order, {
-        headers: {
-          "Content-Type": "application/json",
-          "X-Protocol-Adapter": "TCP-TO-REST",
-          "X-TCP-Sequence-Id": tcpMessage.header.sequenceId.toString(),
-          "X-Message-Type": tcpMessage.header.messageType,
-          "X-Protocol-Version": this.protocolVersion,
-          "X-Checksum": tcpMessage.header.checksum.toString(),
-        },
+      logger.info("WMS Adapter - Converted to TCP/IP message format", {
+        messageType: messageTypeName(tcpMessage.messageType),
+        binaryFlags: tcpMessage.binaryFlags,
+        protocolVersion: PROTOCOL_VERSION,
+        target: `${this.tcpHost}:${this.tcpPort}`,
       });
 
-      // Step 4: Parse TCP/IP response
-      const parsedResponse = this.parseTcpResponse(data);
+      // Step 2: Exchange frames with WMS over a pooled TCP connection
+      const frame = await this.tcpClient.request(
+        tcpMessage.messageType,
+        tcpMessage.payload,
+        tcpMessage.binaryFlags
+      );
 
-      // Step 5: Close TCP/IP connection
-      await this.closeTcpConnection();
+      // Step 3: Parse TCP/IP response
+      const parsedResponse = this.parseTcpResponse(frame);
 
       const duration = Date.now() - startTime;
 
-      console.log("WMS Adapter - TCP/IP protocol translation completed", {
+      logger.info("WMS Adapter - TCP/IP protocol translation completed", {
         orderId: order.id,
         duration,
         protocolConversion: "TCP/IP ↔ REST/JSON",
@@ -226,27 +185,27 @@ export class WMSAdapter {
         suggestedAction: "Contact system administrator",
       };
 
-      // Parse specific error types from WMS response
-      if (error.response && error.response.data) {
-        const errorData = error.response.data;
+      // Parse specific error types from the WMS error frame
+      if (error instanceof WMSResponseError) {
+        const errorData = error.data;
 
-        if (
-          errorData.error &&
-          errorData.error.includes("Insufficient inventory")
-        ) {
+        if (errorData.error === "INVENTORY_SHORTAGE") {
+          const shortSKUs = (errorData.packageDetails || [])
+            .filter((pkg) => pkg.status === "OUT_OF_STOCK")
+            .map((pkg) => pkg.sku);
           detailedError.errorType = "INVENTORY_SHORTAGE";
           detailedError.errorDetails = {
             reason: "Insufficient inventory for requested items",
-            affectedSKUs: order.packages.map((pkg) => pkg.sku),
+            affectedSKUs:
+              shortSKUs.length > 0
+                ? shortSKUs
+                : order.packages.map((pkg) => pkg.sku),
             warehouseStatus: "INVENTORY_LOW",
             estimatedRestockTime: errorData.estimatedRestock || "Unknown",
           };
           detailedError.suggestedAction =
             "Check inventory levels or adjust quantities";
-        } else if (
-          errorData.error &&
-          errorData.error.includes("SKU not found")
-        ) {
+        } else if (errorData.error === "INVALID_SKU") {
           detailedError.errorType = "INVALID_SKU";
           detailedError.errorDetails = {
             reason: "One or more SKUs are not found in warehouse system",
@@ -256,10 +215,7 @@ export class WMSAdapter {
           };
           detailedError.suggestedAction =
             "Verify SKU codes or update product catalog";
-        } else if (
-          errorData.error &&
-          errorData.error.includes("Warehouse capacity")
-        ) {
+        } else if (errorData.error === "CAPACITY_EXCEEDED") {
           detailedError.errorType = "CAPACITY_EXCEEDED";
           detailedError.errorDetails = {
             reason: "Warehouse capacity exceeded",
@@ -269,41 +225,33 @@ export class WMSAdapter {
           };
           detailedError.suggestedAction =
             "Schedule delivery for later or use alternate warehouse";
+        } else {
+          detailedError.errorType = "BUSINESS_RULE_VIOLATION";
+          detailedError.errorDetails = {
+            reason: errorData.message || "Business rule validation failed",
+            wmsError: errorData.error,
+            tcpResponse: errorData.tcpResponse,
+          };
+          detailedError.suggestedAction =
+            "Review order details and inventory availability";
         }
-      } else if (error.message.includes("409")) {
-        detailedError.errorType = "BUSINESS_RULE_VIOLATION";
-        detailedError.errorDetails = {
-          reason: "Business rule validation failed",
-          statusCode: 409,
-          possibleCauses: [
-            "Insufficient inventory for requested quantities",
-            "SKU not available in selected warehouse",
-            "Delivery constraints not met",
-          ],
-        };
-        detailedError.suggestedAction =
-          "Review order details and inventory availability";
       } else if (
-        error.message.includes("timeout") ||
-        error.message.includes("ECONNREFUSED")
+        CONNECTION_ERROR_CODES.includes(error.code) ||
+        error.message.includes("timeout")
       ) {
         detailedError.errorType = "CONNECTION_FAILURE";
         detailedError.errorDetails = {
           reason: "WMS service is temporarily unavailable",
-          connectionAttempts: 1,
+          connectionAttempts: error.attempts || 1,
           lastAttempt: new Date().toISOString(),
         };
         detailedError.suggestedAction =
           "Service will retry automatically. Check WMS service health if issue persists";
       }
 
-      console.error(
-        "WMS Adapter - TCP/IP protocol translation failed",
-        detailedError
-      );
-
-      // Ensure connection is closed on error
-      await this.closeTcpConnection();
+      logger.error("WMS Adapter - TCP/IP protocol translation failed", {
+        serviceError: detailedError,
+      });
 
       // Create enhanced error message
       const enhancedError = new Error(
@@ -319,4 +267,71 @@ export class WMSAdapter {
       throw enhancedError;
     }
   }
+
+  /**
+   * Cancel a package registration and release its reserved stock (saga
+   * compensation). Falls back to the order ID when the registration result
+   * is unknown.
+   */
+  async cancelPackageRegistration(
+    order,
+    registration,
+    reason = "Saga compensation"
+  ) {
+    const packageId = registration?.packageId || order.id;
+
+    logger.info("WMS Adapter - Cancelling package registration", {
+      orderId: order.id,
+      packageId,
+      reason,
+      messageType: "PACKAGE_CANCEL_REQ",
+    });
+
+    try {
+      const { payload: data } = await this.tcpClient.request(
+        MESSAGE_TYPES.PACKAGE_CANCEL_REQ,
+        { packageId, orderId: order.id, reason }
+      );
+
+      logger.info("WMS Adapter - Package registration cancelled", {
+        orderId: order.id,
+        packageId: data.packageId,
+        releasedItems: data.releasedItems,
+        alreadyCancelled: data.alreadyCancelled,
+      });
+
+      return {
+        ok: true,
+        packageId: data.packageId,
+        releasedItems: data.releasedItems,
+        alreadyCancelled: data.alreadyCancelled,
+      };
+    } catch (error) {
+      // Nothing was reserved for this order, so there is nothing to release
+      if (
+        error instanceof WMSResponseError &&
+        error.data.error === "REGISTRATION_NOT_FOUND"
+      ) {
+        logger.warn("WMS Adapter - No package registration to cancel", {
+          orderId: order.id,
+          packageId,
+        });
+        return { ok: true, packageId, nothingToRelease: true };
+      }
+
+      logger.error("WMS Adapter - Package registration cancellation failed", {
+        orderId: order.id,
+        packageId,
+        error: error.message,
+      });
+
+      const enhancedError = new Error(
+        `WMS Service Error [COMPENSATION_FAILED]: Unable to cancel package registration ${packageId}: ${error.message}`
+      );
+      enhancedError.errorType = "COMPENSATION_FAILED";
+      enhancedError.suggestedAction =
+        "Release the reserved stock manually in the WMS";
+      throw enhancedError;
+    }
+  }
 }
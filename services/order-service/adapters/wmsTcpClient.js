@@ -0,0 +1,401 @@
+import net from "net";
+import { getLogger } from "@swifttrack/logger";
+import { traceHeaders, traceSpan } from "@swifttrack/tracing";
+
+const logger = getLogger("wms-tcp-client");
+
+// Frame layout of the WMS proprietary TCP protocol. Every frame is a 16-byte
+// big-endian header followed by a UTF-8 JSON payload of payloadLength bytes:
+//
+//   offset  size  field
+//        0     2  magic          0x5754 ("WT")
+//        2     1  version        3
+//        3     1  messageType    see MESSAGE_TYPES
+//        4     1  status         FRAME_STATUS, set on responses
+//        5     1  binaryFlags    OR of the package flags of a request
+//        6     4  sequenceId     echoed by the response to a request
+//       10     4  payloadLength
+//       14     2  checksum       sum of the payload bytes modulo 65536
+//
+// The header has no room for metadata, so request payloads carry the W3C
+// traceparent of the calling span in a traceparent field.
+export const FRAME_MAGIC = 0x5754;
+export const PROTOCOL_VERSION = 3;
+export const HEADER_LENGTH = 16;
+export const MAX_PAYLOAD_LENGTH = 1024 * 1024;
+
+export const MESSAGE_TYPES = {
+  PACKAGE_REGISTER_REQ: 0x01,
+  PACKAGE_CANCEL_REQ: 0x02,
+  PACKAGE_REGISTER_RESP: 0x81,
+  PACKAGE_CANCEL_RESP: 0x82,
+};
+
+export const FRAME_STATUS = {
+  OK: 0,
+  ERROR: 1,
+};
+
+const MESSAGE_TYPE_NAMES = Object.fromEntries(
+  Object.entries(MESSAGE_TYPES).map(([name, code]) => [code, name])
+);
+
+export function messageTypeName(code) {
+  return MESSAGE_TYPE_NAMES[code] || `UNKNOWN_0x${code.toString(16)}`;
+}
+
+// 16-bit additive checksum of the payload bytes
+export function calculateChecksum(payload) {
+  let checksum = 0;
+  for (const byte of payload) {
+    checksum = (checksum + byte) & 0xffff;
+  }
+  return checksum;
+}
+
+export function encodeFrame({
+  messageType,
+  status = FRAME_STATUS.OK,
+  binaryFlags = 0,
+  sequenceId,
+  payload = {},
+}) {
+  const body = Buffer.from(JSON.stringify(payload), "utf8");
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt16BE(FRAME_MAGIC, 0);
+  header.writeUInt8(PROTOCOL_VERSION, 2);
+  header.writeUInt8(messageType, 3);
+  header.writeUInt8(status, 4);
+  header.writeUInt8(binaryFlags & 0xff, 5);
+  header.writeUInt32BE(sequenceId >>> 0, 6);
+  header.writeUInt32BE(body.length, 10);
+  header.writeUInt16BE(calculateChecksum(body), 14);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Framing or transport failure of the WMS TCP protocol
+ */
+export class WMSProtocolError extends Error {
+  constructor(message, code = "EPROTO") {
+    super(message);
+    this.name = "WMSProtocolError";
+    this.code = code;
+  }
+}
+
+/**
+ * Error frame returned by the WMS; data holds its payload
+ */
+export class WMSResponseError extends Error {
+  constructor(frame) {
+    super(
+      `WMS rejected ${messageTypeName(frame.messageType)}: ${
+        frame.payload?.message || frame.payload?.error || "unknown error"
+      }`
+    );
+    this.name = "WMSResponseError";
+    this.messageType = messageTypeName(frame.messageType);
+    this.sequenceId = frame.sequenceId;
+    this.data = frame.payload || {};
+  }
+}
+
+// Split the complete frames off the front of a buffer. Returns the decoded
+// frames and the bytes of a frame that has not fully arrived yet.
+export function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= HEADER_LENGTH) {
+    if (buffer.readUInt16BE(offset) !== FRAME_MAGIC) {
+      throw new WMSProtocolError("Invalid frame magic from WMS");
+    }
+    const payloadLength = buffer.readUInt32BE(offset + 10);
+    if (payloadLength > MAX_PAYLOAD_LENGTH) {
+      throw new WMSProtocolError(
+        `WMS frame payload of ${payloadLength} bytes exceeds ${MAX_PAYLOAD_LENGTH}`
+      );
+    }
+    if (buffer.length - offset < HEADER_LENGTH + payloadLength) {
+      break;
+    }
+
+    const body = buffer.subarray(
+      offset + HEADER_LENGTH,
+      offset + HEADER_LENGTH + payloadLength
+    );
+    const frame = {
+      version: buffer.readUInt8(offset + 2),
+      messageType: buffer.readUInt8(offset + 3),
+      status: buffer.readUInt8(offset + 4),
+      binaryFlags: buffer.readUInt8(offset + 5),
+      sequenceId: buffer.readUInt32BE(offset + 6),
+      payloadLength,
+      checksum: buffer.readUInt16BE(offset + 14),
+      checksumValid:
+        calculateChecksum(body) === buffer.readUInt16BE(offset + 14),
+    };
+    try {
+      frame.payload = JSON.parse(body.toString("utf8"));
+    } catch (error) {
+      frame.payloadError = error.message;
+    }
+    frames.push(frame);
+    offset += HEADER_LENGTH + payloadLength;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * One socket to the WMS. Requests are multiplexed on it and their responses
+ * matched by sequence ID.
+ */
+class WMSConnection {
+  constructor(socket, onClose) {
+    this.socket = socket;
+    this.pending = new Map();
+    this.buffer = Buffer.alloc(0);
+    this.closed = false;
+
+    socket.setKeepAlive(true);
+    socket.setNoDelay(true);
+    socket.unref();
+    socket.on("data", (chunk) => this.handleData(chunk));
+    socket.on("error", (error) => this.close(error));
+    socket.on("close", () => {
+      this.close(
+        new WMSProtocolError("WMS TCP connection closed", "ECONNRESET")
+      );
+      onClose(this);
+    });
+  }
+
+  handleData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let decoded;
+    try {
+      decoded = decodeFrames(this.buffer);
+    } catch (error) {
+      // The stream can no longer be split into frames
+      this.socket.destroy(error);
+      return;
+    }
+    this.buffer = decoded.rest;
+
+    for (const frame of decoded.frames) {
+      const request = this.pending.get(frame.sequenceId);
+      if (!request) {
+        // Late response to a request that already timed out
+        continue;
+      }
+      this.settle(frame.sequenceId);
+
+      if (!frame.checksumValid || frame.payloadError) {
+        request.reject(
+          new WMSProtocolError(
+            frame.payloadError
+              ? `Unreadable WMS frame payload: ${frame.payloadError}`
+              : `WMS frame checksum mismatch for sequence ${frame.sequenceId}`
+          )
+        );
+      } else if (frame.status !== FRAME_STATUS.OK) {
+        request.reject(new WMSResponseError(frame));
+      } else {
+        request.resolve(frame);
+      }
+    }
+  }
+
+  send(frame, sequenceId, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      if (this.closed) {
+        reject(new WMSProtocolError("WMS TCP connection closed", "ECONNRESET"));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        this.settle(sequenceId);
+        reject(
+          new WMSProtocolError(
+            `WMS frame timeout after ${timeoutMs}ms (sequence ${sequenceId})`,
+            "ETIMEDOUT"
+          )
+        );
+      }, timeoutMs);
+
+      this.pending.set(sequenceId, { resolve, reject, timer });
+      // Keep the process alive only while a response is awaited
+      this.socket.ref();
+      this.socket.write(frame);
+    });
+  }
+
+  settle(sequenceId) {
+    const request = this.pending.get(sequenceId);
+    if (request) {
+      clearTimeout(request.timer);
+      this.pending.delete(sequenceId);
+    }
+    if (this.pending.size === 0 && !this.closed) {
+      this.socket.unref();
+    }
+  }
+
+  close(error) {
+    if (this.closed) return;
+    this.closed = true;
+    for (const [sequenceId, request] of this.pending) {
+      clearTimeout(request.timer);
+      request.reject(error);
+      this.pending.delete(sequenceId);
+    }
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Pool of TCP connections to the WMS. Connections are opened on demand up to
+ * poolSize, reopened after they drop, and each request waits for its response
+ * frame for at most frameTimeoutMs.
+ */
+export class WMSTcpClient {
+  constructor({
+    host,
+    port,
+    poolSize = 4,
+    connectTimeoutMs = 3000,
+    frameTimeoutMs = 10000,
+    reconnectAttempts = 3,
+    reconnectDelayMs = 200,
+  }) {
+    this.host = host;
+    this.port = port;
+    this.poolSize = poolSize;
+    this.connectTimeoutMs = connectTimeoutMs;
+    this.frameTimeoutMs = frameTimeoutMs;
+    this.reconnectAttempts = reconnectAttempts;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.connections = [];
+    this.connecting = null;
+    this.sequenceId = 0;
+  }
+
+  nextSequenceId() {
+    this.sequenceId = (this.sequenceId + 1) >>> 0 || 1;
+    return this.sequenceId;
+  }
+
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect({ host: this.host, port: this.port });
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(
+          new WMSProtocolError(
+            `WMS TCP connect timeout after ${this.connectTimeoutMs}ms`,
+            "ETIMEDOUT"
+          )
+        );
+      }, this.connectTimeoutMs);
+
+      socket.once("connect", () => {
+        clearTimeout(timer);
+        socket.removeAllListeners("error");
+        resolve(socket);
+      });
+      socket.once("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+      });
+    });
+  }
+
+  // Open a connection, retrying with exponential backoff
+  async connect() {
+    let lastError;
+    for (let attempt = 1; attempt <= this.reconnectAttempts; attempt++) {
+      try {
+        const socket = await this.openSocket();
+        const connection = new WMSConnection(socket, (closed) => {
+          this.connections = this.connections.filter((c) => c !== closed);
+        });
+        this.connections.push(connection);
+
+        logger.info("WMS TCP client - Connection established", {
+          host: this.host,
+          port: this.port,
+          attempt,
+          poolSize: this.connections.length,
+        });
+        return connection;
+      } catch (error) {
+        lastError = error;
+        logger.warn("WMS TCP client - Connection attempt failed", {
+          host: this.host,
+          port: this.port,
+          attempt,
+          error: error.message,
+        });
+        if (attempt < this.reconnectAttempts) {
+          await new Promise((resolve) =>
+            setTimeout(resolve, this.reconnectDelayMs * 2 ** (attempt - 1))
+          );
+        }
+      }
+    }
+    lastError.attempts = this.reconnectAttempts;
+    throw lastError;
+  }
+
+  // The least busy open connection; a new one is opened while the pool has
+  // room and every open connection has requests in flight
+  async acquire() {
+    const open = this.connections.filter((c) => !c.closed);
+    const idlest = open.sort((a, b) => a.pending.size - b.pending.size)[0];
+    if (idlest && (idlest.pending.size === 0 || open.length >= this.poolSize)) {
+      return idlest;
+    }
+
+    // Concurrent callers share one connection attempt
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * Send a request frame and resolve with the response frame. Error frames
+   * reject with a WMSResponseError.
+   */
+  request(messageType, payload, binaryFlags = 0) {
+    return traceSpan(
+      `WMS ${messageTypeName(messageType)}`,
+      {
+        kind: "CLIENT",
+        attributes: {
+          "network.transport": "tcp",
+          "server.address": this.host,
+          "server.port": this.port,
+          "swifttrack.order_id": payload.orderId,
+        },
+      },
+      async (span) => {
+        const connection = await this.acquire();
+        const sequenceId = this.nextSequenceId();
+        span.setAttributes({ "swifttrack.wms.sequence_id": sequenceId });
+        const frame = encodeFrame({
+          messageType,
+          binaryFlags,
+          sequenceId,
+          payload: { ...payload, ...traceHeaders() },
+        });
+        return connection.send(frame, sequenceId, this.frameTimeoutMs);
+      }
+    );
+  }
+}
@@ -0,0 +1,252 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import {
+  FRAME_STATUS,
+  HEADER_LENGTH,
+  MESSAGE_TYPES,
+  WMSTcpClient,
+  calculateChecksum,
+  decodeFrames,
+  encodeFrame,
+} from "./wmsTcpClient.js";
+
+describe("WMS frames", () => {
+  test("frames carry a header and a checksummed JSON payload", () => {
+    const frame = encodeFrame({
+      messageType: MESSAGE_TYPES.PACKAGE_REGISTER_REQ,
+      binaryFlags: 8 | 4,
+      sequenceId: 42,
+      payload: { orderId: "ORD-1" },
+    });
+    const body = Buffer.from('{"orderId":"ORD-1"}');
+
+    assert.equal(frame.length, HEADER_LENGTH + body.length);
+    assert.equal(frame.readUInt16BE(0), 0x5754);
+    assert.equal(frame.readUInt8(2), 3);
+    assert.equal(frame.readUInt8(3), 0x01);
+    assert.equal(frame.readUInt8(4), FRAME_STATUS.OK);
+    assert.equal(frame.readUInt8(5), 12);
+    assert.equal(frame.readUInt32BE(6), 42);
+    assert.equal(frame.readUInt32BE(10), body.length);
+    assert.equal(frame.readUInt16BE(14), calculateChecksum(body));
+    assert.deepEqual(frame.subarray(HEADER_LENGTH), body);
+  });
+
+  test("the checksum is the byte sum modulo 65536", () => {
+    assert.equal(calculateChecksum(Buffer.from([1, 2, 3])), 6);
+    assert.equal(calculateChecksum(Buffer.alloc(300, 0xff)), 76500 - 65536);
+    assert.equal(calculateChecksum(Buffer.alloc(0)), 0);
+  });
+
+  test("complete frames are split off and the rest kept", () => {
+    const first = encodeFrame({ messageType: 0x81, sequenceId: 1 });
+    const second = encodeFrame({
+      messageType: 0x82,
+      status: FRAME_STATUS.ERROR,
+      sequenceId: 2,
+      payload: { error: "NOT_FOUND" },
+    });
+    const buffer = Buffer.concat([first, second.subarray(0, 20)]);
+
+    const { frames, rest } = decodeFrames(buffer);
+    assert.equal(frames.length, 1);
+    assert.equal(frames[0].sequenceId, 1);
+    assert.equal(frames[0].checksumValid, true);
+    assert.deepEqual(frames[0].payload, {});
+    assert.deepEqual(rest, second.subarray(0, 20));
+
+    const [decoded] = decodeFrames(
+      Buffer.concat([rest, second.subarray(20)])
+    ).frames;
+    assert.equal(decoded.status, FRAME_STATUS.ERROR);
+    assert.deepEqual(decoded.payload, { error: "NOT_FOUND" });
+  });
+
+  test("corrupt frames are flagged, unreadable streams refused", () => {
+    const frame = encodeFrame({
+      messageType: 0x81,
+      sequenceId: 7,
+      payload: { ok: true },
+    });
+    frame[HEADER_LENGTH + 2] ^= 0x01;
+    const [corrupt] = decodeFrames(frame).frames;
+    assert.equal(corrupt.checksumValid, false);
+
+    const badMagic = Buffer.from(frame);
+    badMagic.writeUInt16BE(0x1234, 0);
+    assert.throws(() => decodeFrames(badMagic), {
+      name: "WMSProtocolError",
+      message: "Invalid frame magic from WMS",
+    });
+
+    const oversized = Buffer.from(frame);
+    oversized.writeUInt32BE(2 * 1024 * 1024, 10);
+    assert.throws(() => decodeFrames(oversized), {
+      name: "WMSProtocolError",
+    });
+  });
+});
+
+describe("WMS TCP client", () => {
+  // Local WMS answering each request frame with respond(frame, socket)
+  const wms = { respond: () => {}, connections: 0 };
+  let server;
+  let client;
+
+  before(async () => {
+    server = net.createServer((socket) => {
+      wms.connections++;
+      let buffer = Buffer.alloc(0);
+      socket.on("data", (chunk) => {
+        const decoded = decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = decoded.rest;
+        decoded.frames.forEach((frame) => wms.respond(frame, socket));
+      });
+      socket.on("error", () => {});
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    client = new WMSTcpClient({
+      host: "127.0.0.1",
+      port: server.address().port,
+      poolSize: 1,
+      frameTimeoutMs: 200,
+    });
+  });
+
+  after(async () => {
+    for (const connection of client.connections) {
+      connection.socket.destroy();
+    }
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  function reply(socket, request, options = {}) {
+    socket.write(
+      encodeFrame({
+        messageType: request.messageType | 0x80,
+        sequenceId: request.sequenceId,
+        payload: { orderId: request.payload.orderId },
+        ...options,
+      })
+    );
+  }
+
+  test("responses are matched to their requests by sequence ID", async () => {
+    // Reply to every second request first
+    let held;
+    wms.respond = (frame, socket) => {
+      if (!held) {
+        held = frame;
+        return;
+      }
+      reply(socket, frame);
+      reply(socket, held);
+      held = null;
+    };
+
+    const register = MESSAGE_TYPES.PACKAGE_REGISTER_REQ;
+    const responses = await Promise.all(
+      ["ORD-1", "ORD-2", "ORD-3", "ORD-4"].map((orderId) =>
+        client.request(register, { orderId })
+      )
+    );
+
+    assert.deepEqual(
+      responses.map((response) => response.payload.orderId),
+      ["ORD-1", "ORD-2", "ORD-3", "ORD-4"]
+    );
+    for (const response of responses) {
+      assert.equal(response.messageType, MESSAGE_TYPES.PACKAGE_REGISTER_RESP);
+    }
+    assert.equal(
+      new Set(responses.map((response) => response.sequenceId)).size,
+      4
+    );
+    assert.equal(wms.connections, 1, "requests share the pooled connection");
+  });
+
+  test("error frames reject with the WMS error", async () => {
+    wms.respond = (frame, socket) =>
+      reply(socket, frame, {
+        status: FRAME_STATUS.ERROR,
+        payload: { error: "DUPLICATE", message: "Package already registered" },
+      });
+
+    await assert.rejects(
+      client.request(MESSAGE_TYPES.PACKAGE_REGISTER_REQ, { orderId: "ORD-5" }),
+      {
+        name: "WMSResponseError",
+        message:
+          "WMS rejected PACKAGE_REGISTER_RESP: Package already registered",
+        data: { error: "DUPLICATE", message: "Package already registered" },
+      }
+    );
+  });
+
+  test("a response with a bad checksum is refused", async () => {
+    wms.respond = (frame, socket) => {
+      const response = encodeFrame({
+        messageType: 0x81,
+        sequenceId: frame.sequenceId,
+        payload: { ok: true },
+      });
+      response.writeUInt16BE(response.readUInt16BE(14) ^ 0xff, 14);
+      socket.write(response);
+    };
+
+    await assert.rejects(
+      client.request(MESSAGE_TYPES.PACKAGE_REGISTER_REQ, { orderId: "ORD-6" }),
+      {
+        name: "WMSProtocolError",
+        message: /^WMS frame checksum mismatch for sequence \d+$/,
+      }
+    );
+  });
+
+  test("requests time out per frame and late responses are dropped", async () => {
+    const unanswered = [];
+    wms.respond = (frame) => unanswered.push(frame);
+
+    const started = Date.now();
+    await assert.rejects(
+      client.request(MESSAGE_TYPES.PACKAGE_CANCEL_REQ, { orderId: "ORD-7" }),
+      {
+        name: "WMSProtocolError",
+        code: "ETIMEDOUT",
+        message: /^WMS frame timeout after 200ms \(sequence \d+\)$/,
+      }
+    );
+    assert.ok(Date.now() - started >= 190);
+
+    // The late response is ignored and the connection keeps serving
+    wms.respond = (frame, socket) => {
+      reply(socket, unanswered[0]);
+      reply(socket, frame);
+    };
+    const response = await client.request(MESSAGE_TYPES.PACKAGE_CANCEL_REQ, {
+      orderId: "ORD-8",
+    });
+    assert.equal(response.payload.orderId, "ORD-8");
+    assert.equal(wms.connections, 1);
+  });
+
+  test("requests carry the order and package flags", async () => {
+    let received;
+    wms.respond = (frame, socket) => {
+      received = frame;
+      reply(socket, frame);
+    };
+
+    await client.request(
+      MESSAGE_TYPES.PACKAGE_REGISTER_REQ,
+      { orderId: "ORD-9", packages: 2 },
+      8
+    );
+
+    assert.equal(received.binaryFlags, 8);
+    assert.equal(received.checksumValid, true);
+    assert.equal(received.payload.orderId, "ORD-9");
+    assert.equal(received.payload.packages, 2);
+  });
+});
@@ -0,0 +1,271 @@
+// Parsing of bulk order imports (POST /api/orders/bulk). A batch is a JSON
+// array of orders, JSON Lines with one order per line, or CSV with one row per
+// package. Every format is turned into a list of entries, each holding one
+// order (or the errors that kept it from being parsed) and the input rows it
+// came from, so that results can be reported per row.
+
+export const BULK_FORMATS = {
+  "application/json": "json",
+  "application/x-ndjson": "ndjson",
+  "application/jsonl": "ndjson",
+  "application/json-lines": "ndjson",
+  "text/csv": "csv",
+};
+
+// Columns of a CSV import. orderId and sku are required; the order-level
+// columns must agree between the rows of the same order.
+const CSV_ORDER_COLUMNS = ["clientId", "priority", "specialInstructions"];
+const CSV_PACKAGE_COLUMNS = {
+  sku: "sku",
+  description: "description",
+  quantity: "quantity",
+  packagePriority: "priority",
+  weight: "weight",
+  dimensions: "dimensions",
+};
+const CSV_ADDRESS_COLUMNS = [
+  "street",
+  "city",
+  "postalCode",
+  "country",
+  "latitude",
+  "longitude",
+];
+const CSV_NUMERIC_COLUMNS = ["quantity", "weight", "latitude", "longitude"];
+
+export class BulkImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BulkImportError";
+  }
+}
+
+export function detectBulkFormat(contentType = "") {
+  const mediaType = contentType.split(";")[0].trim().toLowerCase();
+  return BULK_FORMATS[mediaType] || null;
+}
+
+export function parseBulkOrders(format, body) {
+  switch (format) {
+    case "json":
+      return parseJsonArray(body);
+    case "ndjson":
+      return parseJsonLines(body);
+    case "csv":
+      return parseCsvOrders(body);
+    default:
+      throw new BulkImportError(`Unsupported import format: ${format}`);
+  }
+}
+
+// Rows of a JSON array are numbered from 1 in array order
+function parseJsonArray(body) {
+  if (!Array.isArray(body)) {
+    throw new BulkImportError("A JSON import must be an array of orders");
+  }
+  return body.map((order, index) => ({ rows: [index + 1], order }));
+}
+
+// Rows of JSON Lines are line numbers; blank lines are skipped
+function parseJsonLines(body) {
+  if (typeof body !== "string") {
+    throw new BulkImportError("A JSON Lines import must be sent as text");
+  }
+
+  const entries = [];
+  body.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === "") return;
+    try {
+      entries.push({ rows: [index + 1], order: JSON.parse(line) });
+    } catch (error) {
+      entries.push({
+        rows: [index + 1],
+        errors: [{ path: "", message: `invalid JSON: ${error.message}` }],
+      });
+    }
+  });
+  return entries;
+}
+
+// Split CSV text into records of fields (RFC 4180: quoted fields may contain
+// commas, line breaks and doubled quotes). Each record keeps the line it
+// starts on.
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push({ line: recordLine, fields: record });
+      record = [];
+      field = "";
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+  }
+
+  return records.filter(
+    ({ fields }) => !(fields.length === 1 && fields[0].trim() === "")
+  );
+}
+
+// Numeric columns become numbers when they look like one; anything else is
+// kept as text so that schema validation reports it
+function csvValue(column, value) {
+  if (CSV_NUMERIC_COLUMNS.includes(column) && /^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Rows of a CSV import are line numbers, the header being line 1
+function parseCsvOrders(body) {
+  if (typeof body !== "string") {
+    throw new BulkImportError("A CSV import must be sent as text");
+  }
+
+  const [header, ...records] = parseCsv(body);
+  if (!header) {
+    throw new BulkImportError("The CSV import is empty");
+  }
+
+  const columns = header.fields.map((name) => name.trim());
+  const missing = ["orderId", "sku"].filter((name) => !columns.includes(name));
+  if (missing.length > 0) {
+    throw new BulkImportError(
+      `The CSV header is missing the ${missing.join(", ")} column(s)`
+    );
+  }
+
+  const entries = [];
+  const entriesByOrderId = new Map();
+
+  for (const { line, fields } of records) {
+    if (fields.length !== columns.length) {
+      entries.push({
+        rows: [line],
+        errors: [
+          {
+            path: "",
+            message: `expected ${columns.length} columns, found ${fields.length}`,
+          },
+        ],
+      });
+      continue;
+    }
+
+    const row = {};
+    columns.forEach((column, index) => {
+      const value = fields[index].trim();
+      if (value !== "") {
+        row[column] = csvValue(column, value);
+      }
+    });
+
+    if (!row.orderId) {
+      entries.push({
+        rows: [line],
+        errors: [{ path: "orderId", message: "is required" }],
+      });
+      continue;
+    }
+
+    let entry = entriesByOrderId.get(row.orderId);
+    if (!entry) {
+      entry = {
+        rows: [],
+        order: { id: row.orderId, packages: [], deliveryAddresses: [] },
+        errors: [],
+      };
+      entriesByOrderId.set(row.orderId, entry);
+      entries.push(entry);
+    }
+    entry.rows.push(line);
+    addCsvRow(entry, row, line);
+  }
+
+  for (const entry of entriesByOrderId.values()) {
+    if (entry.errors.length === 0) {
+      delete entry.errors;
+    }
+  }
+
+  return entries;
+}
+
+function addCsvRow(entry, row, line) {
+  const { order } = entry;
+
+  for (const column of CSV_ORDER_COLUMNS) {
+    if (row[column] === undefined) continue;
+    if (order[column] === undefined) {
+      order[column] = row[column];
+    } else if (order[column] !== row[column]) {
+      entry.errors.push({
+        path: column,
+        message: `line ${line} has a different ${column} than earlier lines of the order`,
+      });
+    }
+  }
+
+  const pkg = {};
+  for (const [column, field] of Object.entries(CSV_PACKAGE_COLUMNS)) {
+    if (row[column] !== undefined) {
+      pkg[field] = row[column];
+    }
+  }
+  order.packages.push(pkg);
+
+  // A row names its delivery address either on one line or by its parts;
+  // rows of the same order that repeat an address add it only once
+  let address;
+  if (row.deliveryAddress !== undefined) {
+    address = row.deliveryAddress;
+  } else if (CSV_ADDRESS_COLUMNS.some((column) => row[column] !== undefined)) {
+    address = {};
+    for (const column of CSV_ADDRESS_COLUMNS) {
+      if (row[column] !== undefined) {
+        address[column] = row[column];
+      }
+    }
+  }
+
+  if (
+    address !== undefined &&
+    !order.deliveryAddresses.some(
+      (existing) => JSON.stringify(existing) === JSON.stringify(address)
+    )
+  ) {
+    order.deliveryAddresses.push(address);
+  }
+}
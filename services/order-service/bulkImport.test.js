@@ -0,0 +1,199 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BulkImportError,
+  detectBulkFormat,
+  parseBulkOrders,
+} from "./bulkImport.js";
+
+const HEADER =
+  "orderId,clientId,priority,sku,description,quantity,deliveryAddress";
+
+function csv(...lines) {
+  return [HEADER, ...lines].join("\r\n");
+}
+
+describe("bulk import formats", () => {
+  test("formats are detected from the content type", () => {
+    assert.equal(detectBulkFormat("application/json"), "json");
+    assert.equal(detectBulkFormat("application/x-ndjson"), "ndjson");
+    assert.equal(detectBulkFormat("text/csv; charset=utf-8"), "csv");
+    assert.equal(detectBulkFormat("TEXT/CSV"), "csv");
+    assert.equal(detectBulkFormat("application/xml"), null);
+    assert.equal(detectBulkFormat(), null);
+  });
+
+  test("JSON arrays are numbered in array order", () => {
+    assert.deepEqual(parseBulkOrders("json", [{ id: "A" }, { id: "B" }]), [
+      { rows: [1], order: { id: "A" } },
+      { rows: [2], order: { id: "B" } },
+    ]);
+    assert.throws(() => parseBulkOrders("json", { id: "A" }), {
+      name: "BulkImportError",
+      message: "A JSON import must be an array of orders",
+    });
+  });
+
+  test("JSON Lines report invalid lines by line number", () => {
+    const entries = parseBulkOrders(
+      "ndjson",
+      '{"id":"A"}\n\n{"id":\r\n{"id":"C"}\n'
+    );
+
+    assert.deepEqual(entries[0], { rows: [1], order: { id: "A" } });
+    assert.deepEqual(entries[1].rows, [3]);
+    assert.equal(entries[1].order, undefined);
+    assert.match(entries[1].errors[0].message, /^invalid JSON: /);
+    assert.deepEqual(entries[2], { rows: [4], order: { id: "C" } });
+    assert.equal(entries.length, 3);
+  });
+
+  test("unknown formats are refused", () => {
+    assert.throws(
+      () => parseBulkOrders("xml", "<orders/>"),
+      (error) =>
+        error instanceof BulkImportError &&
+        error.message === "Unsupported import format: xml"
+    );
+  });
+});
+
+describe("CSV imports", () => {
+  test("rows of an order are grouped into one order with their line numbers", () => {
+    const entries = parseBulkOrders(
+      "csv",
+      csv(
+        "ORD-1,CLIENT-001,HIGH,BOOK-001,Books,2,12 Main Street",
+        "ORD-2,CLIENT-002,,LAMP-001,Lamp,1,5 Lake Road",
+        "ORD-1,CLIENT-001,HIGH,PEN-001,Pens,10,12 Main Street"
+      )
+    );
+
+    assert.deepEqual(entries, [
+      {
+        rows: [2, 4],
+        order: {
+          id: "ORD-1",
+          clientId: "CLIENT-001",
+          priority: "HIGH",
+          packages: [
+            { sku: "BOOK-001", description: "Books", quantity: 2 },
+            { sku: "PEN-001", description: "Pens", quantity: 10 },
+          ],
+          deliveryAddresses: ["12 Main Street"],
+        },
+      },
+      {
+        rows: [3],
+        order: {
+          id: "ORD-2",
+          clientId: "CLIENT-002",
+          packages: [{ sku: "LAMP-001", description: "Lamp", quantity: 1 }],
+          deliveryAddresses: ["5 Lake Road"],
+        },
+      },
+    ]);
+  });
+
+  test("quoted fields may hold commas, doubled quotes and line breaks", () => {
+    const entries = parseBulkOrders(
+      "csv",
+      csv(
+        'ORD-1,CLIENT-001,,BOOK-001,"Books, ""signed"" copies",2,"12 Main Street,',
+        'Colombo 07"',
+        'ORD-2,CLIENT-001,,"LAMP-001",Lamp,1,5 Lake Road'
+      )
+    );
+
+    assert.deepEqual(entries[0].order.packages, [
+      { sku: "BOOK-001", description: 'Books, "signed" copies', quantity: 2 },
+    ]);
+    assert.deepEqual(entries[0].order.deliveryAddresses, [
+      "12 Main Street,\r\nColombo 07",
+    ]);
+    // A record spanning lines is reported by the line it starts on
+    assert.deepEqual(entries[0].rows, [2]);
+    assert.deepEqual(entries[1].rows, [4]);
+    assert.equal(entries[1].order.packages[0].sku, "LAMP-001");
+  });
+
+  test("addresses may be given by their parts", () => {
+    const [entry] = parseBulkOrders(
+      "csv",
+      [
+        "orderId,clientId,sku,description,quantity,weight,street,city,latitude,longitude",
+        "ORD-1,CLIENT-001,BOOK-001,Books,2,1.5,12 Main Street,Colombo,6.9,79.85",
+        "ORD-1,CLIENT-001,PEN-001,Pens,1,0.2,12 Main Street,Colombo,6.9,79.85",
+        "ORD-1,CLIENT-001,CUP-001,Cups,4,two,5 Lake Road,Kandy,,",
+      ].join("\n")
+    );
+
+    assert.deepEqual(entry.order.deliveryAddresses, [
+      {
+        street: "12 Main Street",
+        city: "Colombo",
+        latitude: 6.9,
+        longitude: 79.85,
+      },
+      { street: "5 Lake Road", city: "Kandy" },
+    ]);
+    // Numeric columns that are not numbers are left for the schema to report
+    assert.deepEqual(
+      entry.order.packages.map((pkg) => pkg.weight),
+      [1.5, 0.2, "two"]
+    );
+  });
+
+  test("errors are reported with the rows they come from", () => {
+    const entries = parseBulkOrders(
+      "csv",
+      csv(
+        "ORD-1,CLIENT-001,HIGH,BOOK-001,Books,2,12 Main Street",
+        "ORD-2,CLIENT-001,,LAMP-001,Lamp,1",
+        ",CLIENT-001,,PEN-001,Pens,1,12 Main Street",
+        "ORD-1,CLIENT-002,HIGH,PEN-001,Pens,1,12 Main Street",
+        "",
+        "ORD-3,CLIENT-001,,CUP-001,Cups,1,5 Lake Road"
+      )
+    );
+
+    assert.deepEqual(
+      entries.map(({ rows, errors }) => ({ rows, errors })),
+      [
+        {
+          rows: [2, 5],
+          errors: [
+            {
+              path: "clientId",
+              message:
+                "line 5 has a different clientId than earlier lines of the order",
+            },
+          ],
+        },
+        {
+          rows: [3],
+          errors: [{ path: "", message: "expected 7 columns, found 6" }],
+        },
+        {
+          rows: [4],
+          errors: [{ path: "orderId", message: "is required" }],
+        },
+        // The blank line 6 is skipped
+        { rows: [7], errors: undefined },
+      ]
+    );
+  });
+
+  test("the header must name the orderId and sku columns", () => {
+    assert.throws(() => parseBulkOrders("csv", "id,clientId\nORD-1,C"), {
+      name: "BulkImportError",
+      message: "The CSV header is missing the orderId, sku column(s)",
+    });
+    assert.throws(() => parseBulkOrders("csv", "\n"), {
+      message: "The CSV import is empty",
+    });
+    assert.throws(() => parseBulkOrders("csv", { rows: [] }), {
+      message: "A CSV import must be sent as text",
+    });
+  });
+});
@@ -0,0 +1,414 @@
+import crypto from "crypto";
+
+// Three-state circuit breaker guarding the calls to one external service.
+//
+// CLOSED     Calls go through and their outcomes are counted in a rolling
+//            window of windowMs. Once the window holds at least minimumCalls
+//            outcomes and the share of failures reaches errorRateThreshold,
+//            the breaker opens.
+// OPEN       Calls are rejected with a CircuitOpenError until openDurationMs
+//            has passed, then the breaker is half-open.
+// HALF_OPEN  At most halfOpenMaxCalls trial calls are let through at a time;
+//            the others are still rejected. When that many trials have
+//            succeeded the breaker closes; a failed trial opens it again.
+//
+// The state is a plain object kept in a store. With a RedisCircuitStore every
+// order-service instance reads and updates the same state, so all of them
+// agree on whether a service is open and share its half-open trial calls.
+
+export const CIRCUIT_STATES = {
+  CLOSED: "CLOSED",
+  OPEN: "OPEN",
+  HALF_OPEN: "HALF_OPEN",
+};
+
+export const DEFAULT_CIRCUIT_POLICY = {
+  windowMs: 60000,
+  minimumCalls: 5,
+  errorRateThreshold: 0.5,
+  openDurationMs: 30000,
+  halfOpenMaxCalls: 1,
+};
+
+// The rolling window is counted in this many buckets
+const WINDOW_BUCKETS = 12;
+
+export class CircuitOpenError extends Error {
+  constructor(service, state, retryAfterMs) {
+    super(`${service} service circuit breaker is open`);
+    this.name = "CircuitOpenError";
+    this.errorType = "CIRCUIT_OPEN";
+    this.service = service;
+    this.state = state;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+function initialState(now) {
+  return {
+    state: CIRCUIT_STATES.CLOSED,
+    // Bumped on every transition, so that a trial started before a
+    // transition does not count towards the new state
+    generation: 0,
+    openedAt: null,
+    lastFailure: null,
+    lastStateChange: now,
+    // Trial calls in flight while half-open, by ID, with their start time
+    trials: {},
+    trialSuccesses: 0,
+    // [bucketStart, calls, failures]
+    buckets: [],
+  };
+}
+
+/**
+ * Breaker state held in process memory; each instance has its own
+ */
+export class MemoryCircuitStore {
+  constructor() {
+    this.states = new Map();
+  }
+
+  async get(key) {
+    return this.states.get(key) || null;
+  }
+
+  /**
+   * Apply mutate to the stored state. mutate receives a copy of the stored
+   * state (or null) and returns { state, result }; resolves with result.
+   */
+  async update(key, mutate) {
+    const { state, result } = mutate(this.states.get(key) || null);
+    this.states.set(key, state);
+    return result;
+  }
+}
+
+// Replace the value of a key only if it still holds the value it was read
+// with; an empty string stands for a missing key
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call("GET", KEYS[1])
+if (current or "") == ARGV[1] then
+  redis.call("SET", KEYS[1], ARGV[2])
+  return 1
+end
+return 0
+`;
+
+/**
+ * Breaker state shared by every instance through Redis. Updates read the
+ * state, apply the change and write it back with a compare-and-set, starting
+ * over when another instance changed it in between. While Redis is
+ * unreachable the breakers fall back to state local to this instance.
+ */
+export class RedisCircuitStore {
+  constructor(redis, logger, options = {}) {
+    this.redis = redis;
+    this.logger = logger;
+    this.keyPrefix = options.keyPrefix || "swifttrack:circuit:";
+    this.maxAttempts = options.maxAttempts || 10;
+    this.fallback = new MemoryCircuitStore();
+    this.degraded = false;
+
+    this.redis.defineCommand("circuitCompareAndSet", {
+      numberOfKeys: 1,
+      lua: COMPARE_AND_SET_SCRIPT,
+    });
+  }
+
+  async get(key) {
+    try {
+      const raw = await this.redis.get(this.keyPrefix + key);
+      this.markHealthy();
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      this.markDegraded(error);
+      return this.fallback.get(key);
+    }
+  }
+
+  async update(key, mutate) {
+    try {
+      for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+        const raw = await this.redis.get(this.keyPrefix + key);
+        const { state, result } = mutate(raw ? JSON.parse(raw) : null);
+        const next = JSON.stringify(state);
+
+        if (
+          next === raw ||
+          (await this.redis.circuitCompareAndSet(
+            this.keyPrefix + key,
+            raw || "",
+            next
+          )) === 1
+        ) {
+          this.markHealthy();
+          return result;
+        }
+      }
+      throw new Error(
+        `Circuit state for ${key} kept changing during ${this.maxAttempts} update attempts`
+      );
+    } catch (error) {
+      this.markDegraded(error);
+      return this.fallback.update(key, mutate);
+    }
+  }
+
+  markDegraded(error) {
+    if (!this.degraded) {
+      this.degraded = true;
+      this.logger.warn(
+        "Circuit breaker state store unavailable, using local state",
+        { error: error.message }
+      );
+    }
+  }
+
+  markHealthy() {
+    if (this.degraded) {
+      this.degraded = false;
+      this.logger.info("Circuit breaker state store available again");
+    }
+  }
+}
+
+export class CircuitBreaker {
+  constructor(service, policy = {}, options = {}) {
+    this.service = service;
+    this.policy = { ...DEFAULT_CIRCUIT_POLICY, ...policy };
+    this.store = options.store || new MemoryCircuitStore();
+    this.onStateChange = options.onStateChange || (() => {});
+    this.bucketMs = Math.max(
+      1000,
+      Math.ceil(this.policy.windowMs / WINDOW_BUCKETS)
+    );
+  }
+
+  /**
+   * Run a call through the breaker. Throws CircuitOpenError without calling
+   * it when the breaker rejects the call.
+   */
+  async execute(call) {
+    const permit = await this.acquire();
+    let result;
+    try {
+      result = await call();
+    } catch (error) {
+      await this.record(permit, false);
+      throw error;
+    }
+    await this.record(permit, true);
+    return result;
+  }
+
+  async acquire() {
+    const { permit, rejection } = await this.update(
+      (state, now, transition) => {
+        if (state.state === CIRCUIT_STATES.OPEN) {
+          const retryAfterMs =
+            state.openedAt + this.policy.openDurationMs - now;
+          if (retryAfterMs > 0) {
+            return { rejection: { state: state.state, retryAfterMs } };
+          }
+          transition(CIRCUIT_STATES.HALF_OPEN, "Open duration elapsed");
+        }
+
+        if (state.state === CIRCUIT_STATES.HALF_OPEN) {
+          this.expireTrials(state, now);
+          if (
+            Object.keys(state.trials).length >= this.policy.halfOpenMaxCalls
+          ) {
+            return { rejection: { state: state.state, retryAfterMs: 0 } };
+          }
+          const trialId = crypto.randomUUID();
+          state.trials[trialId] = now;
+          return { permit: { trialId, generation: state.generation } };
+        }
+
+        return { permit: { generation: state.generation } };
+      }
+    );
+
+    if (rejection) {
+      throw new CircuitOpenError(
+        this.service,
+        rejection.state,
+        rejection.retryAfterMs
+      );
+    }
+    return permit;
+  }
+
+  async record(permit, success) {
+    await this.update((state, now, transition) => {
+      this.countOutcome(state, success, now);
+      if (!success) {
+        state.lastFailure = now;
+      }
+
+      const isTrial =
+        permit.trialId &&
+        permit.generation === state.generation &&
+        state.state === CIRCUIT_STATES.HALF_OPEN &&
+        state.trials[permit.trialId] !== undefined;
+
+      if (isTrial) {
+        delete state.trials[permit.trialId];
+        if (!success) {
+          transition(CIRCUIT_STATES.OPEN, "Trial call failed");
+        } else if (++state.trialSuccesses >= this.policy.halfOpenMaxCalls) {
+          transition(CIRCUIT_STATES.CLOSED, "Trial calls succeeded");
+        }
+        return;
+      }
+
+      if (!success && state.state === CIRCUIT_STATES.CLOSED) {
+        const { calls, errorRate } = this.windowStats(state, now);
+        if (
+          calls >= this.policy.minimumCalls &&
+          errorRate >= this.policy.errorRateThreshold
+        ) {
+          transition(
+            CIRCUIT_STATES.OPEN,
+            `Error rate ${Math.round(
+              errorRate * 100
+            )}% over the last ${calls} calls`
+          );
+        }
+      }
+    });
+  }
+
+  /**
+   * Close the breaker and forget the counted outcomes (manual recovery).
+   * With a shared store this applies to every instance.
+   */
+  async reset(reason = "Manual reset") {
+    await this.update((state, now, transition) => {
+      if (state.state === CIRCUIT_STATES.CLOSED) {
+        state.buckets = [];
+      } else {
+        transition(CIRCUIT_STATES.CLOSED, reason);
+      }
+    });
+  }
+
+  async snapshot() {
+    const now = Date.now();
+    const state = (await this.store.get(this.service)) || initialState(now);
+    this.expireTrials(state, now);
+    const { calls, failures, errorRate } = this.windowStats(state, now);
+
+    return {
+      service: this.service,
+      state: state.state,
+      // An open breaker whose open duration has passed lets the next call
+      // through as a trial
+      available:
+        state.state !== CIRCUIT_STATES.OPEN ||
+        now >= state.openedAt + this.policy.openDurationMs,
+      calls,
+      failures,
+      errorRate,
+      trialsInFlight: Object.keys(state.trials).length,
+      openedAt: state.openedAt ? new Date(state.openedAt).toISOString() : null,
+      nextAttemptAt: this.nextAttemptAt(state),
+      lastFailure: state.lastFailure
+        ? new Date(state.lastFailure).toISOString()
+        : null,
+      lastStateChange: new Date(state.lastStateChange).toISOString(),
+      policy: this.policy,
+    };
+  }
+
+  // Apply mutate(state, now, transition) through the store. The store may
+  // run it more than once, so state changes are only published once the
+  // update is in.
+  async update(mutate) {
+    let changes;
+    const result = await this.store.update(this.service, (stored) => {
+      const now = Date.now();
+      const state = stored ? structuredClone(stored) : initialState(now);
+      changes = [];
+      const transition = (to, reason) =>
+        changes.push(this.applyTransition(state, to, reason, now));
+      return { state, result: mutate(state, now, transition) };
+    });
+
+    for (const change of changes) {
+      this.onStateChange(change);
+    }
+    return result;
+  }
+
+  applyTransition(state, to, reason, now) {
+    const from = state.state;
+    const stats = this.windowStats(state, now);
+
+    state.state = to;
+    state.generation++;
+    state.lastStateChange = now;
+    state.trials = {};
+    state.trialSuccesses = 0;
+    if (to === CIRCUIT_STATES.OPEN) {
+      state.openedAt = now;
+    } else if (to === CIRCUIT_STATES.CLOSED) {
+      state.openedAt = null;
+      state.buckets = [];
+    }
+
+    return {
+      service: this.service,
+      from,
+      to,
+      reason,
+      ...stats,
+      nextAttemptAt: this.nextAttemptAt(state),
+    };
+  }
+
+  // A trial whose outcome was never recorded (its instance stopped) gives up
+  // its slot after openDurationMs
+  expireTrials(state, now) {
+    for (const [trialId, startedAt] of Object.entries(state.trials)) {
+      if (now - startedAt > this.policy.openDurationMs) {
+        delete state.trials[trialId];
+      }
+    }
+  }
+
+  countOutcome(state, success, now) {
+    const bucketStart = now - (now % this.bucketMs);
+    let bucket = state.buckets[state.buckets.length - 1];
+    if (!bucket || bucket[0] !== bucketStart) {
+      bucket = [bucketStart, 0, 0];
+      state.buckets.push(bucket);
+    }
+    bucket[1]++;
+    if (!success) {
+      bucket[2]++;
+    }
+    state.buckets = state.buckets.filter(
+      ([start]) => start + this.bucketMs > now - this.policy.windowMs
+    );
+  }
+
+  windowStats(state, now) {
+    let calls = 0;
+    let failures = 0;
+    for (const [start, bucketCalls, bucketFailures] of state.buckets) {
+      if (start + this.bucketMs > now - this.policy.windowMs) {
+        calls += bucketCalls;
+        failures += bucketFailures;
+      }
+    }
+    return { calls, failures, errorRate: calls > 0 ? failures / calls : 0 };
+  }
+
+  nextAttemptAt(state) {
+    return state.state === CIRCUIT_STATES.OPEN
+      ? new Date(state.openedAt + this.policy.openDurationMs).toISOString()
+      : null;
+  }
+}
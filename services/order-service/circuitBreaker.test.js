@@ -0,0 +1,322 @@
+import { beforeEach, describe, mock, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CIRCUIT_STATES,
+  CircuitBreaker,
+  CircuitOpenError,
+  MemoryCircuitStore,
+  RedisCircuitStore,
+} from "./circuitBreaker.js";
+
+const { CLOSED, OPEN, HALF_OPEN } = CIRCUIT_STATES;
+
+const POLICY = {
+  windowMs: 60000,
+  minimumCalls: 4,
+  errorRateThreshold: 0.5,
+  openDurationMs: 30000,
+  halfOpenMaxCalls: 2,
+};
+
+let clock;
+mock.method(Date, "now", () => clock);
+
+const succeed = async () => "ok";
+const fail = async () => {
+  throw new Error("Service unavailable");
+};
+
+// A call that stays in flight until settled with resolve() or reject()
+function pendingCall() {
+  let settle;
+  const promise = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  return { call: () => promise, ...settle };
+}
+
+function createBreaker(options = {}) {
+  const transitions = [];
+  const breaker = new CircuitBreaker("ROS", POLICY, {
+    onStateChange: (change) => transitions.push(change),
+    ...options,
+  });
+  return { breaker, transitions };
+}
+
+async function run(breaker, calls) {
+  for (const call of calls) {
+    await breaker.execute(call).catch(() => {});
+  }
+}
+
+async function open(breaker) {
+  await run(breaker, [fail, fail, fail, fail]);
+  assert.equal((await breaker.snapshot()).state, OPEN);
+}
+
+describe("circuit breaker", () => {
+  beforeEach(() => {
+    clock = 1_000_000;
+  });
+
+  test("opens once enough calls in the window failed", async () => {
+    const { breaker, transitions } = createBreaker();
+
+    // Under minimumCalls nothing happens, however many failed
+    await run(breaker, [fail, fail, fail]);
+    assert.equal((await breaker.snapshot()).state, CLOSED);
+
+    await run(breaker, [succeed]);
+    assert.deepEqual(
+      (({ state, calls, failures }) => ({ state, calls, failures }))(
+        await breaker.snapshot()
+      ),
+      { state: CLOSED, calls: 4, failures: 3 }
+    );
+
+    await run(breaker, [fail]);
+    const snapshot = await breaker.snapshot();
+    assert.equal(snapshot.state, OPEN);
+    assert.equal(snapshot.available, false);
+    assert.equal(
+      snapshot.nextAttemptAt,
+      new Date(clock + POLICY.openDurationMs).toISOString()
+    );
+    assert.deepEqual(
+      transitions.map(({ from, to, reason }) => ({ from, to, reason })),
+      [
+        {
+          from: CLOSED,
+          to: OPEN,
+          reason: "Error rate 80% over the last 5 calls",
+        },
+      ]
+    );
+  });
+
+  test("outcomes older than the window are forgotten", async () => {
+    const { breaker } = createBreaker();
+    await run(breaker, [fail, fail, fail]);
+
+    clock += POLICY.windowMs + 5000;
+    await run(breaker, [succeed, fail]);
+
+    const snapshot = await breaker.snapshot();
+    assert.equal(snapshot.state, CLOSED);
+    assert.equal(snapshot.calls, 2);
+  });
+
+  test("rejects calls while open without making them", async () => {
+    const { breaker } = createBreaker();
+    await open(breaker);
+
+    clock += 10000;
+    const call = mock.fn(succeed);
+    await assert.rejects(breaker.execute(call), (error) => {
+      assert.ok(error instanceof CircuitOpenError);
+      assert.equal(error.errorType, "CIRCUIT_OPEN");
+      assert.equal(error.service, "ROS");
+      assert.equal(error.state, OPEN);
+      assert.equal(error.retryAfterMs, POLICY.openDurationMs - 10000);
+      return true;
+    });
+    assert.equal(call.mock.callCount(), 0);
+  });
+
+  test("lets at most halfOpenMaxCalls trials through once the open duration passed", async () => {
+    const { breaker, transitions } = createBreaker();
+    await open(breaker);
+    clock += POLICY.openDurationMs;
+    assert.equal((await breaker.snapshot()).available, true);
+
+    const first = pendingCall();
+    const second = pendingCall();
+    const trials = [breaker.execute(first.call), breaker.execute(second.call)];
+    await assert.rejects(breaker.execute(succeed), {
+      name: "CircuitOpenError",
+      state: HALF_OPEN,
+      retryAfterMs: 0,
+    });
+    assert.equal((await breaker.snapshot()).trialsInFlight, 2);
+
+    // The breaker closes once every trial has succeeded
+    first.resolve("ok");
+    await trials[0];
+    assert.equal((await breaker.snapshot()).state, HALF_OPEN);
+    second.resolve("ok");
+    await trials[1];
+
+    const snapshot = await breaker.snapshot();
+    assert.equal(snapshot.state, CLOSED);
+    assert.equal(snapshot.calls, 0);
+    assert.deepEqual(
+      transitions.map(({ to, reason }) => `${to}: ${reason}`),
+      [
+        "OPEN: Error rate 100% over the last 4 calls",
+        "HALF_OPEN: Open duration elapsed",
+        "CLOSED: Trial calls succeeded",
+      ]
+    );
+  });
+
+  test("opens again when a trial fails", async () => {
+    const { breaker, transitions } = createBreaker();
+    await open(breaker);
+    clock += POLICY.openDurationMs;
+
+    const trial = pendingCall();
+    const execution = breaker.execute(trial.call);
+    await breaker.execute(succeed);
+    trial.reject(new Error("Still down"));
+    await assert.rejects(execution, { message: "Still down" });
+
+    const snapshot = await breaker.snapshot();
+    assert.equal(snapshot.state, OPEN);
+    assert.equal(
+      snapshot.openedAt,
+      new Date(clock).toISOString(),
+      "the open duration starts over"
+    );
+    assert.equal(transitions.at(-1).reason, "Trial call failed");
+  });
+
+  test("a trial from before a transition does not count", async () => {
+    const { breaker } = createBreaker();
+    await open(breaker);
+    clock += POLICY.openDurationMs;
+
+    const stale = pendingCall();
+    const execution = breaker.execute(stale.call);
+    await breaker.reset();
+    await open(breaker);
+    clock += POLICY.openDurationMs;
+    const current = pendingCall();
+    const trial = breaker.execute(current.call);
+
+    // The stale trial's failure neither reopens the breaker nor frees a slot
+    stale.reject(new Error("Timed out"));
+    await assert.rejects(execution);
+    let snapshot = await breaker.snapshot();
+    assert.equal(snapshot.state, HALF_OPEN);
+    assert.equal(snapshot.trialsInFlight, 1);
+
+    current.resolve("ok");
+    await trial;
+    snapshot = await breaker.snapshot();
+    assert.equal(snapshot.state, HALF_OPEN);
+    assert.equal(snapshot.trialsInFlight, 0);
+  });
+
+  test("a trial whose outcome never comes gives up its slot", async () => {
+    const { breaker } = createBreaker();
+    await open(breaker);
+    clock += POLICY.openDurationMs;
+    breaker.execute(pendingCall().call);
+    breaker.execute(pendingCall().call);
+    await assert.rejects(breaker.execute(succeed), {
+      name: "CircuitOpenError",
+    });
+
+    clock += POLICY.openDurationMs + 1;
+    assert.equal(await breaker.execute(succeed), "ok");
+    assert.equal((await breaker.snapshot()).trialsInFlight, 0);
+  });
+
+  test("reset closes the breaker and forgets the outcomes", async () => {
+    const { breaker, transitions } = createBreaker();
+    await open(breaker);
+
+    await breaker.reset("Service fixed");
+
+    const snapshot = await breaker.snapshot();
+    assert.equal(snapshot.state, CLOSED);
+    assert.equal(snapshot.calls, 0);
+    assert.equal(transitions.at(-1).reason, "Service fixed");
+    assert.equal(await breaker.execute(succeed), "ok");
+  });
+
+  test("breakers sharing a store share their state", async () => {
+    const store = new MemoryCircuitStore();
+    const { breaker: first } = createBreaker({ store });
+    const { breaker: second } = createBreaker({ store });
+
+    await run(first, [fail, fail]);
+    await run(second, [fail, fail]);
+
+    assert.equal((await first.snapshot()).state, OPEN);
+    await assert.rejects(second.execute(succeed), {
+      name: "CircuitOpenError",
+    });
+  });
+});
+
+describe("redis circuit store", () => {
+  const silentLogger = { info() {}, warn() {} };
+
+  // Just enough of ioredis for the store, over a Map
+  function fakeRedis() {
+    const values = new Map();
+    return {
+      values,
+      down: false,
+      defineCommand() {},
+      async get(key) {
+        if (this.down) throw new Error("Connection refused");
+        return values.get(key) ?? null;
+      },
+      async circuitCompareAndSet(key, expected, next) {
+        if (this.down) throw new Error("Connection refused");
+        if ((values.get(key) ?? "") !== expected) return 0;
+        values.set(key, next);
+        return 1;
+      },
+    };
+  }
+
+  test("updates are written with a compare-and-set", async () => {
+    const redis = fakeRedis();
+    const store = new RedisCircuitStore(redis, silentLogger);
+
+    const result = await store.update("ROS", (state) => ({
+      state: { count: (state?.count || 0) + 1 },
+      result: "done",
+    }));
+
+    assert.equal(result, "done");
+    assert.deepEqual(JSON.parse(redis.values.get("swifttrack:circuit:ROS")), {
+      count: 1,
+    });
+  });
+
+  test("an update changed in between is applied again", async () => {
+    const redis = fakeRedis();
+    const store = new RedisCircuitStore(redis, silentLogger);
+    let interfered = false;
+
+    await store.update("ROS", (state) => {
+      // Another instance writes between this read and the compare-and-set
+      if (!interfered) {
+        interfered = true;
+        redis.values.set("swifttrack:circuit:ROS", '{"count":5}');
+      }
+      return { state: { count: (state?.count || 0) + 1 }, result: null };
+    });
+
+    assert.equal(redis.values.get("swifttrack:circuit:ROS"), '{"count":6}');
+  });
+
+  test("falls back to local state while Redis is down", async () => {
+    const redis = fakeRedis();
+    const store = new RedisCircuitStore(redis, silentLogger);
+    redis.down = true;
+
+    await store.update("ROS", () => ({ state: { count: 1 }, result: null }));
+
+    assert.equal(store.degraded, true);
+    assert.deepEqual(await store.get("ROS"), { count: 1 });
+    redis.down = false;
+    assert.equal(await store.get("ROS"), null);
+    assert.equal(store.degraded, false);
+  });
+});
@@ -1,30 +1,108 @@
 import express from "express";
 import dotenv from "dotenv";
 import http from "http";
+import os from "os";
+import crypto from "crypto";
 import {
   startProducer,
   ensureTopic,
-  emitEvent,
+  publishEvents,
   startConsumer,
+  startGroupConsumer,
+  redriveMessage,
 } from "./kafka.js";
 import { CMSAdapter } from "./adapters/cmsAdapter.js";
 import { WMSAdapter } from "./adapters/wmsAdapter.js";
 import { ROSAdapter } from "./adapters/rosAdapter.js";
+import { WebhookDispatcher } from "./webhookDispatcher.js";
+import { OutboxRelay } from "./outboxRelay.js";
+import {
+  PERMISSIONS,
+  authenticate,
+  canActForClient,
+  clientScope,
+  requireAccess,
+  requirePermission,
+} from "@swifttrack/auth";
+import {
+  register as metricsRegister,
+  compensations as compensationsMetric,
+  observeCircuitBreakers,
+  observeOutbox,
+  orderOutcomes,
+  sagaStepDuration,
+  serviceCallRetries,
+} from "./metrics.js";
+import {
+  CircuitBreaker,
+  CircuitOpenError,
+  CIRCUIT_STATES,
+  DEFAULT_CIRCUIT_POLICY,
+  MemoryCircuitStore,
+  RedisCircuitStore,
+} from "./circuitBreaker.js";
+import {
+  ORDER_SCHEMA,
+  ORDER_AMENDMENT_SCHEMA,
+  PRIORITIES,
+  validateOrder,
+  validateAgainst,
+} from "./orderSchema.js";
+import {
+  BULK_FORMATS,
+  BulkImportError,
+  detectBulkFormat,
+  parseBulkOrders,
+} from "./bulkImport.js";
 import { getLogger } from "@swifttrack/logger";
-import { DatabaseClient, OrderRepository } from "@swifttrack/database";
+import {
+  activeSpan,
+  initTracing,
+  traceHeaders,
+  traceHttpRequests,
+  traceSpan,
+} from "@swifttrack/tracing";
+import { RedisClient } from "@swifttrack/redis-client";
+import {
+  deadLetterInfo,
+  deadLetterTopic,
+  originalHeaders,
+} from "@swifttrack/kafka-client";
+import {
+  DatabaseClient,
+  OrderRepository,
+  SagaRepository,
+  WebhookRepository,
+  NotificationRepository,
+  IdempotencyRepository,
+  OrderImportRepository,
+  OutboxRepository,
+  ProcessedEventRepository,
+  DeadLetterRepository,
+  ORDER_SORT_COLUMNS,
+  formatDeliveryAddress,
+} from "@swifttrack/database";
 
 dotenv.config();
 const logger = getLogger("order-service");
+initTracing("order-service");
 const app = express();
 
+// Run every request in a span that continues the caller's traceparent
+app.use(traceHttpRequests());
+
 // Enable CORS for all routes
 app.use((req, res, next) => {
   res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.header(
+    "Access-Control-Allow-Methods",
+    "GET, POST, PUT, PATCH, DELETE, OPTIONS"
+  );
   res.header(
     "Access-Control-Allow-Headers",
-    "Origin, X-Requested-With, Content-Type, Accept, Authorization"
+    "Origin, X-Requested-With, Content-Type, Accept, Authorization, Idempotency-Key, traceparent"
   );
+  res.header("Access-Control-Expose-Headers", "X-Trace-Id");
 
   // Handle preflight requests
   if (req.method === "OPTIONS") {
@@ -45,6 +123,47 @@ app.use((req, res, next) => {
   next();
 });
 
+// Every route but the health check, metrics and order schema requires a
+// bearer token; see @swifttrack/auth for the roles and their permissions
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET;
+app.use(
+  authenticate(AUTH_JWT_SECRET, {
+    publicPaths: ["/health", "/metrics", "/api/schema/order"],
+  })
+);
+
+// Client users change their own client's data, which dispatchers only read
+app.use(
+  ["/api/orders", "/api/webhooks", "/api/notification-recipients"],
+  requireAccess({
+    read: PERMISSIONS.READ_ORDERS,
+    write: PERMISSIONS.WRITE_ORDERS,
+  })
+);
+// Operator endpoints; dispatchers may read the service health
+app.use(
+  "/api/services",
+  requireAccess({
+    read: PERMISSIONS.READ_OPERATIONS,
+    write: PERMISSIONS.WRITE_OPERATIONS,
+  })
+);
+app.use("/api/admin", requirePermission(PERMISSIONS.WRITE_OPERATIONS));
+
+// Bulk imports are larger than other requests and may also be sent as JSON
+// Lines or CSV text
+const BULK_IMPORT_BODY_LIMIT = process.env.BULK_IMPORT_BODY_LIMIT || "10mb";
+app.use(
+  "/api/orders/bulk",
+  express.json({ limit: BULK_IMPORT_BODY_LIMIT }),
+  express.text({
+    type: Object.keys(BULK_FORMATS).filter(
+      (type) => type !== "application/json"
+    ),
+    limit: BULK_IMPORT_BODY_LIMIT,
+  })
+);
+
 app.use(express.json());
 
 const PORT = process.env.PORT || 4000;
@@ -59,6 +178,14 @@ const DATABASE_URL =
 // Initialize database connection
 const dbClient = new DatabaseClient(DATABASE_URL);
 const orderRepo = new OrderRepository(dbClient);
+const sagaRepo = new SagaRepository(dbClient);
+const webhookRepo = new WebhookRepository(dbClient);
+const notificationRepo = new NotificationRepository(dbClient);
+const idempotencyRepo = new IdempotencyRepository(dbClient);
+const importRepo = new OrderImportRepository(dbClient);
+const outboxRepo = new OutboxRepository(dbClient);
+const processedEventRepo = new ProcessedEventRepository(dbClient);
+const deadLetterRepo = new DeadLetterRepository(dbClient);
 
 // Test database connection
 dbClient.testConnection().then((result) => {
@@ -76,18 +203,159 @@ const cmsAdapter = new CMSAdapter(CMS_URL);
 const wmsAdapter = new WMSAdapter(WMS_URL);
 const rosAdapter = new ROSAdapter(ROS_URL);
 
-// Circuit breaker state for service availability
-const serviceHealth = {
-  cms: { available: true, lastFailure: null, consecutiveFailures: 0 },
-  wms: { available: true, lastFailure: null, consecutiveFailures: 0 },
-  ros: { available: true, lastFailure: null, consecutiveFailures: 0 },
+// Circuit breaker policy per external service. Every setting can be
+// overridden per service, e.g. WMS_CIRCUIT_OPEN_DURATION_MS=20000.
+const CIRCUIT_BREAKER_POLICIES = {
+  // The legacy CMS is slow to recover, so it gets a longer cool-down
+  cms: { ...DEFAULT_CIRCUIT_POLICY, openDurationMs: 45000 },
+  wms: { ...DEFAULT_CIRCUIT_POLICY, halfOpenMaxCalls: 2 },
+  ros: { ...DEFAULT_CIRCUIT_POLICY, errorRateThreshold: 0.6 },
 };
 
-const CIRCUIT_BREAKER_THRESHOLD = 3; // Failures before circuit opens
-const CIRCUIT_BREAKER_TIMEOUT = 30000; // 30 seconds before retry
+const CIRCUIT_POLICY_SETTINGS = {
+  windowMs: "WINDOW_MS",
+  minimumCalls: "MINIMUM_CALLS",
+  errorRateThreshold: "ERROR_RATE_THRESHOLD",
+  openDurationMs: "OPEN_DURATION_MS",
+  halfOpenMaxCalls: "HALF_OPEN_MAX_CALLS",
+};
+
+function circuitBreakerPolicy(service) {
+  const policy = { ...CIRCUIT_BREAKER_POLICIES[service] };
+  for (const [setting, suffix] of Object.entries(CIRCUIT_POLICY_SETTINGS)) {
+    const value = parseFloat(
+      process.env[`${service.toUpperCase()}_CIRCUIT_${suffix}`]
+    );
+    if (value > 0) {
+      policy[setting] = value;
+    }
+  }
+  return policy;
+}
+
+// State changes are logged and published, so that dashboards and other
+// instances can see a service degrade and recover
+function publishCircuitStateChange(change) {
+  const log = change.to === CIRCUIT_STATES.CLOSED ? logger.info : logger.warn;
+  log.call(
+    logger,
+    `Circuit breaker for ${change.service} service ${change.from} -> ${change.to}`,
+    change
+  );
+
+  queueEvent({
+    eventType: "CIRCUIT_BREAKER_STATE_CHANGED",
+    orderId: null,
+    timestamp: now(),
+    data: {
+      serviceName: change.service,
+      ...change,
+    },
+  }).catch((error) => {
+    logger.error("Failed to publish circuit breaker state change", {
+      service: change.service,
+      error: error.message,
+    });
+  });
+}
+
+// With REDIS_URL set, breaker state and counters live in Redis and are
+// shared by every order-service instance; otherwise each instance keeps its
+// own
+const REDIS_URL = process.env.REDIS_URL;
+const circuitStore = REDIS_URL
+  ? new RedisCircuitStore(
+      new RedisClient(REDIS_URL, {
+        retryStrategy: (times) => Math.min(times * 50, 2000),
+        // Fail fast while Redis is down so breakers fall back to local state
+        // instead of holding up service calls
+        maxRetriesPerRequest: 1,
+        enableOfflineQueue: false,
+      }).getInstance(),
+      logger
+    )
+  : new MemoryCircuitStore();
+
+const circuitBreakers = Object.fromEntries(
+  Object.keys(CIRCUIT_BREAKER_POLICIES).map((service) => [
+    service,
+    new CircuitBreaker(service, circuitBreakerPolicy(service), {
+      store: circuitStore,
+      onStateChange: publishCircuitStateChange,
+    }),
+  ])
+);
+
+// Circuit breaker of a service named in a request or event. Names like
+// "constructor" must not resolve to what the object inherits.
+function findCircuitBreaker(service) {
+  return Object.hasOwn(circuitBreakers, service)
+    ? circuitBreakers[service]
+    : undefined;
+}
+
 const MAX_RETRY_ATTEMPTS = 5;
 const RETRY_DELAY_MS = 2000;
 
+// Saga recovery settings
+const INSTANCE_ID = process.env.INSTANCE_ID || os.hostname();
+const SAGA_RECOVERY_INTERVAL_MS =
+  parseInt(process.env.SAGA_RECOVERY_INTERVAL_MS) || 60000;
+const SAGA_STALE_AFTER_MS = parseInt(process.env.SAGA_STALE_AFTER_MS) || 120000;
+const SAGA_RESUME_MAX_AGE_MS =
+  parseInt(process.env.SAGA_RESUME_MAX_AGE_MS) || 15 * 60000;
+const SAGA_RETRY_POLL_INTERVAL_MS =
+  parseInt(process.env.SAGA_RETRY_POLL_INTERVAL_MS) || 5000;
+
+// Orders can be cancelled or amended until a driver has picked them up
+const PRE_DISPATCH_STATUSES = [
+  "SUBMITTED",
+  "CMS_VERIFIED",
+  "WMS_REGISTERED",
+  "ROS_OPTIMIZED",
+  "READY_FOR_DELIVERY",
+];
+const DISPATCHED_STATUSES = ["OUT_FOR_DELIVERY", "DELIVERED"];
+const ORDER_STATUSES = [
+  ...PRE_DISPATCH_STATUSES,
+  ...DISPATCHED_STATUSES,
+  "FAILED",
+  "CANCELLED",
+];
+
+// Idempotent order submission settings
+const IDEMPOTENCY_KEY_TTL_MS =
+  parseInt(process.env.IDEMPOTENCY_KEY_TTL_MS) || 24 * 60 * 60000;
+const IDEMPOTENCY_LOCK_MS = parseInt(process.env.IDEMPOTENCY_LOCK_MS) || 30000;
+const IDEMPOTENCY_PURGE_INTERVAL_MS =
+  parseInt(process.env.IDEMPOTENCY_PURGE_INTERVAL_MS) || 60 * 60000;
+const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+// Bulk order import settings
+const BULK_IMPORT_MAX_ORDERS =
+  parseInt(process.env.BULK_IMPORT_MAX_ORDERS) || 1000;
+const BULK_IMPORT_CHUNK_SIZE =
+  parseInt(process.env.BULK_IMPORT_CHUNK_SIZE) || 50;
+
+// Outbox relay settings
+const outboxRelay = new OutboxRelay(outboxRepo, publishEvents, logger, {
+  batchSize: parseInt(process.env.OUTBOX_BATCH_SIZE) || 100,
+  pollIntervalMs: parseInt(process.env.OUTBOX_POLL_INTERVAL_MS) || 1000,
+});
+const OUTBOX_RETENTION_MS =
+  parseInt(process.env.OUTBOX_RETENTION_MS) || 7 * 24 * 60 * 60000;
+const OUTBOX_PURGE_INTERVAL_MS =
+  parseInt(process.env.OUTBOX_PURGE_INTERVAL_MS) || 60 * 60000;
+
+// Webhook delivery settings
+const webhookDispatcher = new WebhookDispatcher(webhookRepo, logger, {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+  retryDelayMs: parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || 5000,
+  pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 2000,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  allowPrivateAddresses: process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === "true",
+});
+
 logger.info("SwiftTrack Middleware - Protocol adapters initialized", {
   cmsAdapter: "SOAP/XML Legacy System",
   wmsAdapter: "TCP/IP Proprietary System",
@@ -99,10 +367,24 @@ function now() {
   return new Date().toISOString();
 }
 
+// Order events go through the outbox table: they are written in the same
+// transaction as the change they announce, and the outbox relay publishes
+// them to Kafka once it has committed. outboxEvent builds an entry for the
+// repositories; the traceparent lets consumers continue the current trace.
+function outboxEvent(event) {
+  return { topic: TOPIC, event, headers: traceHeaders() };
+}
+
+// Queue an event that does not go with a database change
+async function queueEvent(event) {
+  await outboxRepo.addEvents([outboxEvent(event)]);
+  outboxRelay.wake();
+}
+
 // Helper function to make HTTP requests
-function makeHttpRequest(url) {
+function makeHttpRequest(url, headers = {}) {
   return new Promise((resolve, reject) => {
-    const request = http.get(url, (response) => {
+    const request = http.get(url, { headers }, (response) => {
       let data = "";
 
       response.on("data", (chunk) => {
@@ -134,47 +416,10 @@ function makeHttpRequest(url) {
   });
 }
 
-// Circuit breaker functions
-function isServiceAvailable(service) {
-  const health = serviceHealth[service];
-  if (!health.available) {
-    // Check if circuit breaker should reset
-    if (Date.now() - health.lastFailure > CIRCUIT_BREAKER_TIMEOUT) {
-      health.available = true;
-      health.consecutiveFailures = 0;
-      logger.info(`Circuit breaker reset for ${service} service`);
-    }
-  }
-  return health.available;
-}
-
-function recordServiceFailure(service) {
-  const health = serviceHealth[service];
-  health.consecutiveFailures++;
-  health.lastFailure = Date.now();
-
-  if (health.consecutiveFailures >= CIRCUIT_BREAKER_THRESHOLD) {
-    health.available = false;
-    logger.warn(`Circuit breaker opened for ${service} service`, {
-      consecutiveFailures: health.consecutiveFailures,
-      willRetryAfter: CIRCUIT_BREAKER_TIMEOUT,
-    });
-  }
-}
-
-function recordServiceSuccess(service) {
-  const health = serviceHealth[service];
-  if (!health.available || health.consecutiveFailures > 0) {
-    logger.info(`Service ${service} recovered`, {
-      previousFailures: health.consecutiveFailures,
-    });
-  }
-  health.available = true;
-  health.consecutiveFailures = 0;
-  health.lastFailure = null;
-}
-
-// Asynchronous service call with retry and circuit breaker
+// Service call guarded by the circuit breaker. A failed call with attempts
+// left is not retried in-process: the error is marked with the retry to
+// schedule, the saga persists it and the retry scheduler executes it at
+// nextRetryAt on whichever instance claims it.
 async function callServiceWithRetry(
   serviceName,
   serviceCall,
@@ -182,16 +427,8 @@ async function callServiceWithRetry(
   retryCount = 0
 ) {
   try {
-    if (!isServiceAvailable(serviceName)) {
-      throw new Error(`${serviceName} service circuit breaker is open`);
-    }
-
-    const result = await serviceCall();
-    recordServiceSuccess(serviceName);
-    return result;
+    return await circuitBreakers[serviceName].execute(serviceCall);
   } catch (error) {
-    recordServiceFailure(serviceName);
-
     // Extract enhanced error details if available
     const errorDetails = {
       orderId,
@@ -208,37 +445,22 @@ async function callServiceWithRetry(
     logger.warn(`Service call failed for ${serviceName}`, errorDetails);
 
     if (retryCount < MAX_RETRY_ATTEMPTS) {
-      // Enhanced retry event with detailed error info
-      await emitEvent(TOPIC, {
-        eventType: `${serviceName.toUpperCase()}_RETRY_SCHEDULED`,
-        orderId,
-        timestamp: now(),
-        data: {
-          serviceName,
-          retryCount: retryCount + 1,
-          nextRetryAt: new Date(
-            Date.now() + RETRY_DELAY_MS * Math.pow(2, retryCount)
-          ).toISOString(),
-          error: error.message,
-          errorType: error.errorType,
-          errorDetails: error.serviceError?.errorDetails || {},
-          suggestedAction: error.suggestedAction,
-          retryReason: "Automatic retry due to service failure",
-        },
-      });
-
-      // Wait and retry
-      await new Promise((resolve) =>
-        setTimeout(resolve, RETRY_DELAY_MS * Math.pow(2, retryCount))
+      // A rejected call is not retried before the breaker lets calls through
+      // again
+      const retryDelay = Math.max(
+        RETRY_DELAY_MS * Math.pow(2, retryCount),
+        error instanceof CircuitOpenError ? error.retryAfterMs : 0
       );
-      return await callServiceWithRetry(
+      error.retry = {
         serviceName,
-        serviceCall,
-        orderId,
-        retryCount + 1
-      );
+        retryCount: retryCount + 1,
+        nextRetryAt: new Date(Date.now() + retryDelay).toISOString(),
+      };
+      serviceCallRetries.inc({ target: serviceName, outcome: "scheduled" });
+      throw error;
     } else {
       // Max retries exceeded - create enhanced error for saga compensation
+      serviceCallRetries.inc({ target: serviceName, outcome: "exhausted" });
       const enhancedErrorMessage = createEnhancedErrorMessage(
         serviceName,
         error,
@@ -371,11 +593,106 @@ function createEnhancedErrorMessage(serviceName, error, retryCount) {
 }
 
 // Saga pattern implementation for distributed transactions
+// Every step start, step result and compensation is written to the saga log
+// so that an interrupted saga can be resumed or compensated after a restart.
 class OrderProcessingSaga {
   constructor(orderId) {
     this.orderId = orderId;
     this.completedSteps = [];
     this.compensationActions = [];
+    this.stepResults = {};
+    this.retryCounts = {};
+    // traceparent of the saga's first run; resumed runs continue its trace
+    this.traceparent = null;
+  }
+
+  // Returns false when the order was cancelled before its saga started
+  async start(order) {
+    try {
+      this.traceparent = traceHeaders().traceparent || null;
+      const sagaRecord = await sagaRepo.startSaga(
+        this.orderId,
+        order,
+        INSTANCE_ID,
+        this.traceparent
+      );
+      return sagaRecord !== null;
+    } catch (error) {
+      logger.error(`Failed to persist saga start for order ${this.orderId}`, {
+        orderId: this.orderId,
+        error: error.message,
+      });
+      return true;
+    }
+  }
+
+  // Saga log writes are best effort: a logging failure must not fail the step
+  async record(entryType, { stepName, payload, status } = {}) {
+    try {
+      await sagaRepo.recordEntry(this.orderId, entryType, {
+        stepName,
+        payload,
+        status,
+        ownerInstance: INSTANCE_ID,
+      });
+    } catch (error) {
+      logger.error(`Failed to write saga log entry ${entryType}`, {
+        orderId: this.orderId,
+        stepName,
+        error: error.message,
+      });
+    }
+  }
+
+  // Register a completed step, also used when restoring a saga from its log
+  registerCompletedStep(stepName, result, compensationAction) {
+    this.completedSteps.push(stepName);
+    this.stepResults[stepName] = result;
+
+    if (compensationAction) {
+      this.compensationActions.push({
+        stepName,
+        action: compensationAction,
+        timestamp: now(),
+      });
+    }
+  }
+
+  hasCompleted(stepName) {
+    return this.completedSteps.includes(stepName);
+  }
+
+  // Drop a completed step so that it runs again
+  forgetStep(stepName) {
+    this.completedSteps = this.completedSteps.filter((s) => s !== stepName);
+    this.compensationActions = this.compensationActions.filter(
+      (c) => c.stepName !== stepName
+    );
+    delete this.stepResults[stepName];
+    delete this.retryCounts[stepName];
+  }
+
+  // Undo completed steps whose input has changed so that they run again.
+  // Steps are rolled back in reverse order; a failed rollback stops and is
+  // rethrown, leaving the remaining steps completed.
+  async rollbackSteps(stepNames, reason) {
+    const rollbacks = this.compensationActions
+      .filter((c) => stepNames.includes(c.stepName))
+      .reverse();
+
+    for (const rollback of rollbacks) {
+      await rollback.action(reason);
+      await this.record("STEP_ROLLED_BACK", {
+        stepName: rollback.stepName,
+        payload: { reason },
+      });
+      this.forgetStep(rollback.stepName);
+
+      logger.info(`Saga step rolled back: ${rollback.stepName}`, {
+        orderId: this.orderId,
+        reason,
+      });
+    }
   }
 
   async executeStep(stepName, serviceCall, compensationAction) {
@@ -384,16 +701,15 @@ class OrderProcessingSaga {
         orderId: this.orderId,
       });
 
-      const result = await serviceCall();
-      this.completedSteps.push(stepName);
+      await this.record("STEP_STARTED", { stepName });
 
-      if (compensationAction) {
-        this.compensationActions.push({
-          stepName,
-          action: compensationAction,
-          timestamp: now(),
-        });
-      }
+      const result = await serviceCall();
+      await this.record("STEP_COMPLETED", { stepName, payload: result });
+      this.registerCompletedStep(
+        stepName,
+        result,
+        compensationAction && ((reason) => compensationAction(result, reason))
+      );
 
       logger.info(`Saga step completed: ${stepName}`, {
         orderId: this.orderId,
@@ -402,28 +718,139 @@ class OrderProcessingSaga {
 
       return result;
     } catch (error) {
+      // Retryable failures park the saga instead of compensating it
+      if (error.retry && (await this.scheduleRetry(stepName, error))) {
+        throw error;
+      }
+
       logger.error(`Saga step failed: ${stepName}`, {
         orderId: this.orderId,
         error: error.message,
         completedSteps: this.completedSteps,
       });
 
+      await this.record("STEP_FAILED", {
+        stepName,
+        payload: { error: error.message, errorType: error.errorType },
+      });
+
+      // The failed call may still have taken effect remotely (e.g. a timeout
+      // after the service committed), so compensate the failed step as well.
+      // Without a result the adapters cancel by order ID, which is a no-op
+      // when nothing was reserved.
+      if (compensationAction) {
+        this.compensationActions.push({
+          stepName,
+          action: (reason) => compensationAction(null, reason),
+          timestamp: now(),
+        });
+      }
+
       // Trigger compensation
       await this.compensate();
       throw error;
     }
   }
 
-  async compensate() {
+  // Persist a retry of the failed step and announce it on the order topic.
+  // Returns false when the retry could not be persisted: nothing would ever
+  // resume the saga, so the caller treats the step as failed instead.
+  async scheduleRetry(stepName, error) {
+    const { serviceName, retryCount, nextRetryAt } = error.retry;
+
+    try {
+      await sagaRepo.scheduleRetry(this.orderId, stepName, nextRetryAt, {
+        payload: {
+          retryCount,
+          error: error.message,
+          errorType: error.errorType,
+        },
+        ownerInstance: INSTANCE_ID,
+      });
+    } catch (persistError) {
+      logger.error(`Failed to schedule retry of saga step ${stepName}`, {
+        orderId: this.orderId,
+        error: persistError.message,
+      });
+      return false;
+    }
+
+    this.retryCounts[stepName] = retryCount;
+    error.retryScheduled = true;
+
+    logger.info(`Saga step ${stepName} scheduled for retry`, {
+      orderId: this.orderId,
+      retryCount,
+      nextRetryAt,
+    });
+
+    // The retry is already durable, so a lost event only delays it until the
+    // next poll of the retry scheduler
+    try {
+      await queueEvent({
+        eventType: `${serviceName.toUpperCase()}_RETRY_SCHEDULED`,
+        orderId: this.orderId,
+        timestamp: now(),
+        data: {
+          serviceName,
+          stepName,
+          retryCount,
+          maxRetries: MAX_RETRY_ATTEMPTS,
+          nextRetryAt,
+          completedSteps: this.completedSteps,
+          error: error.message,
+          errorType: error.errorType,
+          errorDetails: error.serviceError?.errorDetails || {},
+          suggestedAction: error.suggestedAction,
+          retryReason: "Automatic retry due to service failure",
+        },
+      });
+    } catch (emitError) {
+      logger.warn(`Failed to emit retry event for order ${this.orderId}`, {
+        stepName,
+        error: emitError.message,
+      });
+    }
+
+    return true;
+  }
+
+  async complete() {
+    await this.record("SAGA_COMPLETED", {
+      payload: { completedSteps: this.completedSteps },
+      status: "COMPLETED",
+    });
+  }
+
+  async compensate(reason = "Service failure during processing") {
     logger.warn(`Starting saga compensation for order ${this.orderId}`, {
       stepsToCompensate: this.compensationActions.length,
     });
 
+    await this.record("COMPENSATION_STARTED", {
+      payload: {
+        reason,
+        steps: this.compensationActions.map((c) => c.stepName),
+      },
+      status: "COMPENSATING",
+    });
+
     // Execute compensation actions in reverse order
     for (let i = this.compensationActions.length - 1; i >= 0; i--) {
       const compensation = this.compensationActions[i];
       try {
-        await compensation.action();
+        await traceSpan(
+          `saga compensate ${compensation.stepName}`,
+          { attributes: { "swifttrack.order_id": this.orderId } },
+          () => compensation.action(reason)
+        );
+        compensationsMetric.inc({
+          step: compensation.stepName,
+          outcome: "success",
+        });
+        await this.record("COMPENSATION_COMPLETED", {
+          stepName: compensation.stepName,
+        });
         logger.info(
           `Compensation executed for step: ${compensation.stepName}`,
           {
@@ -431,6 +858,14 @@ class OrderProcessingSaga {
           }
         );
       } catch (compensationError) {
+        compensationsMetric.inc({
+          step: compensation.stepName,
+          outcome: "failure",
+        });
+        await this.record("COMPENSATION_FAILED", {
+          stepName: compensation.stepName,
+          payload: { error: compensationError.message },
+        });
         logger.error(`Compensation failed for step: ${compensation.stepName}`, {
           orderId: this.orderId,
           error: compensationError.message,
@@ -438,42 +873,210 @@ class OrderProcessingSaga {
       }
     }
 
-    await emitEvent(TOPIC, {
+    await this.record("SAGA_COMPENSATED", {
+      payload: { reason },
+      status: "COMPENSATED",
+    });
+
+    await queueEvent({
       eventType: "ORDER_SAGA_COMPENSATED",
       orderId: this.orderId,
       timestamp: now(),
       data: {
         compensatedSteps: this.compensationActions.map((c) => c.stepName),
-        reason: "Service failure during processing",
+        reason,
       },
     });
   }
 }
 
-// Compensation actions for each service
+// Compensation actions for each service. Each one undoes the effect of its
+// step in the external system and records the outcome in the order audit
+// trail. The step result is null when the step was interrupted before its
+// outcome was known; the adapters then cancel by order ID.
 const compensationActions = {
-  cms: async (orderId) => {
-    logger.info(`Compensating CMS verification for order ${orderId}`);
-    // In real system: cancel contract, release credit hold
-    await orderRepo.updateOrderStatus(orderId, "CMS_COMPENSATION_EXECUTED");
+  cms: async (order, cmsResult, reason) => {
+    logger.info(`Compensating CMS verification for order ${order.id}`);
+    const result = await cmsAdapter.cancelContract(order, cmsResult, reason);
+    await orderRepo.recordOrderEvent(order.id, "CMS_COMPENSATION_EXECUTED", {
+      contractId: result.contractId,
+      releasedAmount: result.releasedAmount,
+      nothingToRelease: result.nothingToRelease || false,
+      reason,
+    });
   },
 
-  wms: async (orderId) => {
-    logger.info(`Compensating WMS registration for order ${orderId}`);
-    // In real system: cancel package registration, release warehouse space
-    await orderRepo.updateOrderStatus(orderId, "WMS_COMPENSATION_EXECUTED");
+  wms: async (order, wmsResult, reason) => {
+    logger.info(`Compensating WMS registration for order ${order.id}`);
+    const result = await wmsAdapter.cancelPackageRegistration(
+      order,
+      wmsResult,
+      reason
+    );
+    await orderRepo.recordOrderEvent(order.id, "WMS_COMPENSATION_EXECUTED", {
+      packageId: result.packageId,
+      releasedItems: result.releasedItems,
+      nothingToRelease: result.nothingToRelease || false,
+      reason,
+    });
   },
 
-  ros: async (orderId) => {
-    logger.info(`Compensating ROS optimization for order ${orderId}`);
-    // In real system: cancel route, release driver/vehicle assignment
-    await orderRepo.updateOrderStatus(orderId, "ROS_COMPENSATION_EXECUTED");
+  ros: async (order, rosResult, reason) => {
+    logger.info(`Compensating ROS optimization for order ${order.id}`);
+    const result = await rosAdapter.cancelRoute(order, rosResult, reason);
+    await orderRepo.recordOrderEvent(order.id, "ROS_COMPENSATION_EXECUTED", {
+      routeId: result.routeId,
+      releasedVehicle: result.releasedVehicle,
+      nothingToRelease: result.nothingToRelease || false,
+      reason,
+    });
   },
 };
 
+// Serialize a value with object keys in sorted order, so that the same order
+// submitted with its fields in a different order hashes the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function hashOrderRequest(order) {
+  return crypto.createHash("sha256").update(canonicalJson(order)).digest("hex");
+}
+
+// Decide what to do with an order submission: process it, replay the response
+// of an earlier identical submission, or reject it as a conflict. Submissions
+// are matched on the Idempotency-Key header and on order.id.
+async function resolveOrderSubmission(order, idempotencyKey) {
+  const requestHash = hashOrderRequest(order);
+  const { claimed, record } = await idempotencyRepo.claimSubmission({
+    clientId: order.clientId,
+    idempotencyKey,
+    orderId: order.id,
+    requestHash,
+    ttlMs: IDEMPOTENCY_KEY_TTL_MS,
+    lockMs: IDEMPOTENCY_LOCK_MS,
+  });
+
+  if (claimed) {
+    return { process: true, submission: record, resumed: false };
+  }
+
+  // The earlier submission went away between the insert and the lookup
+  if (!record) {
+    return {
+      conflict: {
+        error: "A request for this order is already being processed",
+        retryAfter: Math.ceil(IDEMPOTENCY_LOCK_MS / 1000),
+      },
+    };
+  }
+
+  if (record.request_hash !== requestHash) {
+    const keyReused =
+      idempotencyKey && record.idempotency_key === idempotencyKey;
+    return {
+      conflict: {
+        error: keyReused
+          ? "Idempotency-Key has already been used with a different request payload"
+          : "order.id has already been submitted with a different payload",
+        orderId: record.order_id,
+      },
+    };
+  }
+
+  if (record.response_status !== null) {
+    return { replay: record };
+  }
+
+  // Identical submission still in progress: take it over if its request gave
+  // up without a response, otherwise ask the client to retry later
+  const takenOver = await idempotencyRepo.takeOverSubmission(
+    record.id,
+    IDEMPOTENCY_LOCK_MS
+  );
+  if (takenOver) {
+    return { process: true, submission: takenOver, resumed: true };
+  }
+
+  return {
+    conflict: {
+      error: "A request for this order is already being processed",
+      orderId: record.order_id,
+      retryAfter: Math.ceil(IDEMPOTENCY_LOCK_MS / 1000),
+    },
+  };
+}
+
+async function purgeExpiredIdempotencyKeys() {
+  try {
+    const purged = await idempotencyRepo.purgeExpired();
+    if (purged > 0) {
+      logger.info(`Purged ${purged} expired idempotency keys`);
+    }
+  } catch (error) {
+    logger.error("Failed to purge expired idempotency keys", {
+      error: error.message,
+    });
+  }
+}
+
+// Forget published outbox events and the processed event IDs kept for
+// de-duplication once they are older than OUTBOX_RETENTION_MS
+async function purgeDeliveredEvents() {
+  try {
+    const published = await outboxRepo.purgePublished(OUTBOX_RETENTION_MS);
+    const processed = await processedEventRepo.purgeProcessed(
+      OUTBOX_RETENTION_MS
+    );
+    if (published > 0 || processed > 0) {
+      logger.info(
+        `Purged ${published} published outbox events and ${processed} processed event IDs`
+      );
+    }
+  } catch (error) {
+    logger.error("Failed to purge delivered events", {
+      error: error.message,
+    });
+  }
+}
+
+// Serve the order schema so that clients can validate orders before submitting
+app.get("/api/schema/order", (_, res) => {
+  res.type("application/schema+json").send(JSON.stringify(ORDER_SCHEMA));
+});
+
 app.post("/api/orders", async (req, res) => {
   const order = req.body;
   const submissionTime = Date.now();
+  const idempotencyKey = req.get("Idempotency-Key");
+
+  // Client users submit orders for their own client only; they may leave
+  // clientId out
+  const callerClientId = clientScope(req.identity);
+  if (callerClientId && order && typeof order === "object") {
+    order.clientId ??= callerClientId;
+    if (order.clientId !== callerClientId) {
+      logger.warn(`Order submission refused: clientId of another client`, {
+        orderId: order.id,
+        clientId: order.clientId,
+        callerClientId,
+      });
+      return res.status(403).json({
+        error: "Orders can only be submitted for your own client",
+        clientId: order.clientId,
+      });
+    }
+  }
 
   logger.info(`Processing new e-commerce order submission`, {
     orderId: order?.id,
@@ -481,40 +1084,68 @@ app.post("/api/orders", async (req, res) => {
     itemCount: order?.packages?.length || 0,
     deliveryAddresses: order?.deliveryAddresses?.length || 0,
     priority: order?.priority || "STANDARD",
+    idempotencyKey,
   });
 
-  // Validate required fields for Swift Logistics order processing
-  if (!order?.id) {
-    logger.warn(`Order submission failed: missing order ID`, {
-      body: req.body,
+  // Validate the order against the order schema for Swift Logistics processing
+  const validationErrors = validateOrder(order);
+  if (validationErrors.length > 0) {
+    logger.warn(`Order submission failed: invalid order payload`, {
+      orderId: order?.id,
+      errors: validationErrors,
     });
-    return res.status(400).json({ error: "order.id is required" });
-  }
-
-  if (!order?.clientId) {
-    logger.warn(`Order submission failed: missing client ID`, {
-      orderId: order.id,
+    return res.status(400).json({
+      error: "Order validation failed",
+      details: validationErrors,
+      schema: "/api/schema/order",
     });
-    return res
-      .status(400)
-      .json({ error: "clientId is required for Swift Logistics processing" });
-  }
-
-  if (!order?.packages || order.packages.length === 0) {
-    logger.warn(`Order submission failed: no packages`, { orderId: order.id });
-    return res.status(400).json({ error: "At least one package is required" });
   }
 
-  if (!order?.deliveryAddresses || order.deliveryAddresses.length === 0) {
-    logger.warn(`Order submission failed: no delivery addresses`, {
+  if (
+    idempotencyKey !== undefined &&
+    (idempotencyKey.length === 0 ||
+      idempotencyKey.length > IDEMPOTENCY_KEY_MAX_LENGTH)
+  ) {
+    logger.warn(`Order submission failed: invalid Idempotency-Key`, {
       orderId: order.id,
     });
-    return res
-      .status(400)
-      .json({ error: "At least one delivery address is required" });
+    return res.status(400).json({
+      error: `Idempotency-Key must be between 1 and ${IDEMPOTENCY_KEY_MAX_LENGTH} characters`,
+    });
   }
 
+  let submission = null;
+  let orderSaved = false;
+
   try {
+    const resolution = await resolveOrderSubmission(order, idempotencyKey);
+
+    if (resolution.conflict) {
+      logger.warn(`Order submission rejected: ${resolution.conflict.error}`, {
+        orderId: order.id,
+        clientId: order.clientId,
+        idempotencyKey,
+      });
+      if (resolution.conflict.retryAfter) {
+        res.set("Retry-After", String(resolution.conflict.retryAfter));
+      }
+      return res.status(409).json(resolution.conflict);
+    }
+
+    if (resolution.replay) {
+      logger.info(`Replaying original response for order ${order.id}`, {
+        orderId: order.id,
+        idempotencyKey,
+        originalStatus: resolution.replay.response_status,
+      });
+      res.set("Idempotent-Replayed", "true");
+      return res
+        .status(resolution.replay.response_status)
+        .json(resolution.replay.response_body);
+    }
+
+    submission = resolution.submission;
+
     logger.info(
       `Accepting order for asynchronous distributed processing: ${order.id}`,
       {
@@ -525,49 +1156,65 @@ app.post("/api/orders", async (req, res) => {
         processingMode: "ASYNCHRONOUS",
         distributedTransaction: true,
         sagaPattern: true,
+        resumedSubmission: resolution.resumed,
       }
     );
 
-    // Save order to database with PROCESSING status
-    const savedOrder = await orderRepo.createOrder(order);
-    logger.info(`Order ${order.id} accepted and queued for processing`, {
-      orderId: savedOrder.id,
-      status: savedOrder.status,
-      queuedAt: new Date().toISOString(),
-    });
+    // A resumed submission may have saved the order before its request
+    // failed; its events were queued along with it
+    const existingOrder = resolution.resumed
+      ? await orderRepo.getOrderById(order.id)
+      : null;
 
-    // Emit order acceptance event
-    await emitEvent(TOPIC, {
-      eventType: "ORDER_ACCEPTED",
-      orderId: order.id,
-      timestamp: now(),
-      data: {
-        order,
-        status: "PROCESSING",
-        stage: "QUEUED_FOR_PROCESSING",
-        distributedTransaction: true,
-        processingMode: "ASYNCHRONOUS",
-        estimatedProcessingTime: "2-5 minutes",
-      },
-    });
-
-    // Trigger asynchronous distributed transaction processing
-    await emitEvent(TOPIC, {
-      eventType: "DISTRIBUTED_TRANSACTION_START",
-      orderId: order.id,
-      timestamp: now(),
-      data: {
-        order,
-        processingSteps: [
-          "CMS_VERIFICATION",
-          "WMS_REGISTRATION",
-          "ROS_OPTIMIZATION",
-        ],
-        sagaPattern: true,
-        faultTolerance: true,
-        submittedAt: submissionTime,
-      },
-    });
+    if (existingOrder) {
+      orderSaved = true;
+      logger.info(`Order ${order.id} already saved, resuming acceptance`, {
+        orderId: order.id,
+        status: existingOrder.status,
+      });
+    } else {
+      // Save order to database with PROCESSING status, queueing the order
+      // acceptance event and the event that triggers asynchronous
+      // distributed transaction processing
+      const savedOrder = await orderRepo.createOrder(order, [
+        outboxEvent({
+          eventType: "ORDER_ACCEPTED",
+          orderId: order.id,
+          timestamp: now(),
+          data: {
+            order,
+            status: "PROCESSING",
+            stage: "QUEUED_FOR_PROCESSING",
+            distributedTransaction: true,
+            processingMode: "ASYNCHRONOUS",
+            estimatedProcessingTime: "2-5 minutes",
+          },
+        }),
+        outboxEvent({
+          eventType: "DISTRIBUTED_TRANSACTION_START",
+          orderId: order.id,
+          timestamp: now(),
+          data: {
+            order,
+            processingSteps: [
+              "CMS_VERIFICATION",
+              "WMS_REGISTRATION",
+              "ROS_OPTIMIZATION",
+            ],
+            sagaPattern: true,
+            faultTolerance: true,
+            submittedAt: submissionTime,
+          },
+        }),
+      ]);
+      outboxRelay.wake();
+      orderSaved = true;
+      logger.info(`Order ${order.id} accepted and queued for processing`, {
+        orderId: savedOrder.id,
+        status: savedOrder.status,
+        queuedAt: new Date().toISOString(),
+      });
+    }
 
     // Return immediate response - order is now processing asynchronously
     const responseTime = Date.now() - submissionTime;
@@ -577,7 +1224,7 @@ app.post("/api/orders", async (req, res) => {
       nextSteps: "Distributed transaction saga initiated",
     });
 
-    res.status(202).json({
+    const responseBody = {
       // 202 Accepted for asynchronous processing
       status: "accepted",
       orderId: order.id,
@@ -599,10 +1246,41 @@ app.post("/api/orders", async (req, res) => {
         submittedAt: new Date(submissionTime).toISOString(),
         currentStage: "QUEUED",
         nextStage: "CMS_VERIFICATION",
+        traceId: activeSpan()?.traceId,
       },
-    });
+    };
+
+    // Remember the response so that retries of this submission replay it
+    try {
+      await idempotencyRepo.saveResponse(submission.id, 202, responseBody);
+    } catch (error) {
+      logger.error(`Failed to store idempotent response for ${order.id}`, {
+        error: error.message,
+      });
+    }
+
+    res.status(202).json(responseBody);
   } catch (err) {
     const responseTime = Date.now() - submissionTime;
+
+    // The order ID was taken before the idempotency key table knew about it,
+    // e.g. by a submission whose key has since expired
+    if (
+      !orderSaved &&
+      err.code === "23505" &&
+      err.constraint === "orders_pkey"
+    ) {
+      await idempotencyRepo.deleteSubmission(submission.id).catch(() => {});
+      logger.warn(`Order submission rejected: duplicate order ID`, {
+        orderId: order.id,
+        clientId: order.clientId,
+      });
+      return res.status(409).json({
+        error: "order.id has already been submitted",
+        orderId: order.id,
+      });
+    }
+
     logger.error(`Order acceptance failed for order ${order.id}`, {
       error: err.message,
       responseTime,
@@ -610,6 +1288,19 @@ app.post("/api/orders", async (req, res) => {
       clientId: order.clientId,
     });
 
+    // Let a retry of the submission start over (nothing was saved) or
+    // resume it (the order was saved but not fully accepted)
+    if (submission) {
+      const settle = orderSaved
+        ? idempotencyRepo.releaseSubmission(submission.id)
+        : idempotencyRepo.deleteSubmission(submission.id);
+      await settle.catch((error) =>
+        logger.error(`Failed to release submission of order ${order.id}`, {
+          error: error.message,
+        })
+      );
+    }
+
     res.status(500).json({
       error: "Order acceptance failed",
       orderId: order.id,
@@ -619,281 +1310,1077 @@ app.post("/api/orders", async (req, res) => {
   }
 });
 
-// Background distributed transaction processor
-async function processDistributedTransaction(order) {
-  const startTime = Date.now();
-
-  logger.info(
-    `Starting background distributed transaction processing for order ${order.id}`,
-    {
-      orderId: order.id,
-      clientId: order.clientId,
-      processingMode: "BACKGROUND_ASYNC",
-      distributedTransaction: true,
-      sagaPattern: true,
-    }
-  );
-
-  try {
-    // Initialize saga for distributed transaction management
-    const saga = new OrderProcessingSaga(order.id);
+// Bulk order import: every order of a batch is validated up front, then the
+// valid ones are created and started in chunks in the background. Progress is
+// tracked per input row in the order_import_rows table.
+function toImportRowResponse(row) {
+  return {
+    row: row.rowNumber ?? row.row_number,
+    orderId: row.orderId ?? row.order_id,
+    status: row.status,
+    ...(row.errors && { errors: row.errors }),
+    ...(row.order_status && { orderStatus: row.order_status }),
+  };
+}
 
-    // Step 1: CMS Contract Verification with fault tolerance
-    await emitEvent(TOPIC, {
-      eventType: "CMS_VERIFICATION_STARTED",
+async function acceptImportedOrder(order, batchId, submittedAt) {
+  await orderRepo.createOrder(order, [
+    outboxEvent({
+      eventType: "ORDER_ACCEPTED",
       orderId: order.id,
       timestamp: now(),
-      data: { stage: "CMS_PROCESSING", step: 1, totalSteps: 3 },
-    });
-
-    const cmsResult = await saga.executeStep(
-      "CMS_VERIFICATION",
-      async () => {
-        return await callServiceWithRetry(
-          "cms",
-          () => cmsAdapter.verifyContract(order),
-          order.id
-        );
-      },
-      () => compensationActions.cms(order.id)
-    );
-
-    // Update order in database with CMS data
-    await orderRepo.updateOrderStatus(order.id, "CMS_VERIFIED", {
-      cms: {
-        contractId: cmsResult.contractId,
-        billingStatus: cmsResult.billingStatus,
-        estimatedCost: cmsResult.estimatedCost || 0,
+      data: {
+        order,
+        status: "PROCESSING",
+        stage: "QUEUED_FOR_PROCESSING",
+        distributedTransaction: true,
+        processingMode: "ASYNCHRONOUS",
+        importBatchId: batchId,
       },
-    });
-
-    await emitEvent(TOPIC, {
-      eventType: "CMS_VERIFIED",
+    }),
+    outboxEvent({
+      eventType: "DISTRIBUTED_TRANSACTION_START",
       orderId: order.id,
       timestamp: now(),
       data: {
-        ...cmsResult,
-        status: "CONTRACT_VERIFIED",
-        stage: "CMS_PROCESSING",
-        sagaStep: "COMPLETED",
-        progress: { completed: 1, total: 3 },
+        order,
+        processingSteps: [
+          "CMS_VERIFICATION",
+          "WMS_REGISTRATION",
+          "ROS_OPTIMIZATION",
+        ],
+        sagaPattern: true,
+        faultTolerance: true,
+        submittedAt,
+        importBatchId: batchId,
       },
-    });
-
-    // Step 2: WMS Package Registration with fault tolerance
-    await emitEvent(TOPIC, {
-      eventType: "WMS_REGISTRATION_STARTED",
-      orderId: order.id,
-      timestamp: now(),
-      data: { stage: "WMS_PROCESSING", step: 2, totalSteps: 3 },
-    });
+    }),
+  ]);
+  outboxRelay.wake();
+}
 
-    const wmsResult = await saga.executeStep(
-      "WMS_REGISTRATION",
-      async () => {
-        return await callServiceWithRetry(
-          "wms",
-          () => wmsAdapter.registerPackage(order),
-          order.id
-        );
-      },
-      () => compensationActions.wms(order.id)
+async function processImportBatch(batchId, orders, submittedAt) {
+  for (let i = 0; i < orders.length; i += BULK_IMPORT_CHUNK_SIZE) {
+    const chunk = orders.slice(i, i + BULK_IMPORT_CHUNK_SIZE);
+    const results = await Promise.allSettled(
+      chunk.map((order) => acceptImportedOrder(order, batchId, submittedAt))
     );
 
-    // Update order in database with WMS data
-    await orderRepo.updateOrderStatus(order.id, "WMS_REGISTERED", {
-      wms: {
-        packageId: wmsResult.packageId,
-        warehouseLocation: wmsResult.warehouseLocation,
-        estimatedReadyTime: wmsResult.estimatedReadyTime,
-      },
-    });
+    const createdOrderIds = [];
+    for (const [index, result] of results.entries()) {
+      const order = chunk[index];
+      if (result.status === "fulfilled") {
+        createdOrderIds.push(order.id);
+        continue;
+      }
 
-    await emitEvent(TOPIC, {
-      eventType: "WMS_REGISTERED",
-      orderId: order.id,
-      timestamp: now(),
-      data: {
-        ...wmsResult,
-        status: "PACKAGES_REGISTERED",
-        stage: "WMS_PROCESSING",
-        sagaStep: "COMPLETED",
-        progress: { completed: 2, total: 3 },
-      },
-    });
+      const error = result.reason;
+      const message =
+        error.code === "23505" && error.constraint === "orders_pkey"
+          ? "order.id has already been submitted"
+          : error.message;
+      logger.error(`Bulk import of order ${order.id} failed`, {
+        batchId,
+        error: error.message,
+      });
+      await importRepo.updateOrderRows(batchId, [order.id], "FAILED", [
+        { path: "", message },
+      ]);
+    }
 
-    // Step 3: ROS Route Optimization with fault tolerance
-    await emitEvent(TOPIC, {
-      eventType: "ROS_OPTIMIZATION_STARTED",
-      orderId: order.id,
-      timestamp: now(),
-      data: { stage: "ROS_PROCESSING", step: 3, totalSteps: 3 },
+    if (createdOrderIds.length > 0) {
+      await importRepo.updateOrderRows(batchId, createdOrderIds, "CREATED");
+    }
+    logger.info(`Bulk import batch ${batchId} progress`, {
+      processed: i + chunk.length,
+      total: orders.length,
+      created: createdOrderIds.length,
+      failed: chunk.length - createdOrderIds.length,
     });
+  }
 
-    const rosResult = await saga.executeStep(
-      "ROS_OPTIMIZATION",
-      async () => {
-        return await callServiceWithRetry(
-          "ros",
-          () => rosAdapter.optimizeRoute(order),
-          order.id
-        );
-      },
-      () => compensationActions.ros(order.id)
-    );
+  await importRepo.completeBatch(batchId);
+  logger.info(`Bulk import batch ${batchId} completed`, {
+    orders: orders.length,
+  });
+}
 
-    // Update order in database with ROS data
-    await orderRepo.updateOrderStatus(order.id, "ROS_OPTIMIZED", {
-      ros: {
-        routeId: rosResult.routeId,
-        assignedDriver: rosResult.assignedDriver,
-        assignedVehicle: rosResult.assignedVehicle,
-        optimizedStops: rosResult.optimizedStops,
-        estimatedDelivery: rosResult.estimatedDelivery,
-        etaMinutes: rosResult.etaMinutes,
-      },
-    });
+// Import a batch of orders as a JSON array, JSON Lines or CSV (one row per
+// package, grouped by orderId)
+app.post("/api/orders/bulk", async (req, res) => {
+  const submittedAt = Date.now();
+  const format = detectBulkFormat(req.get("Content-Type"));
 
-    await emitEvent(TOPIC, {
-      eventType: "ROS_OPTIMIZED",
-      orderId: order.id,
-      timestamp: now(),
-      data: {
-        ...rosResult,
-        status: "ROUTE_OPTIMIZED",
-        stage: "ROS_PROCESSING",
-        sagaStep: "COMPLETED",
-        progress: { completed: 3, total: 3 },
-      },
+  if (!format) {
+    return res.status(415).json({
+      error: "Unsupported import format",
+      supportedContentTypes: Object.keys(BULK_FORMATS),
     });
+  }
 
-    // Final completion event and database update
-    await orderRepo.updateOrderStatus(order.id, "READY_FOR_DELIVERY");
+  let entries;
+  try {
+    entries = parseBulkOrders(format, req.body);
+  } catch (error) {
+    if (!(error instanceof BulkImportError)) {
+      logger.error("Bulk import could not be parsed", {
+        format,
+        error: error.message,
+      });
+      return res.status(500).json({
+        error: "Bulk import failed",
+        message: error.message,
+      });
+    }
+    logger.warn(`Bulk import rejected: ${error.message}`, { format });
+    return res.status(400).json({ error: error.message });
+  }
 
-    await emitEvent(TOPIC, {
-      eventType: "ORDER_READY_FOR_DELIVERY",
-      orderId: order.id,
-      timestamp: now(),
-      data: {
-        ok: true,
-        status: "READY_FOR_DELIVERY",
-        stage: "PROCESSING_COMPLETE",
-        sagaCompleted: true,
-        completedSteps: saga.completedSteps,
-        progress: { completed: 3, total: 3 },
-        manifest: {
-          contractId: cmsResult.contractId,
-          packageId: wmsResult.packageId,
-          routeId: rosResult.routeId,
-          assignedDriver: rosResult.assignedDriver,
-          estimatedDelivery: rosResult.estimatedDelivery,
-        },
-      },
+  if (entries.length === 0) {
+    return res.status(400).json({ error: "The import contains no orders" });
+  }
+
+  if (entries.length > BULK_IMPORT_MAX_ORDERS) {
+    return res.status(413).json({
+      error: `An import may contain at most ${BULK_IMPORT_MAX_ORDERS} orders`,
+      orders: entries.length,
     });
+  }
 
-    const totalDuration = Date.now() - startTime;
-    logger.info(
-      `Background distributed transaction completed successfully for order ${order.id}`,
-      {
-        totalDuration,
-        sagaSteps: saga.completedSteps,
-        serviceHealth: Object.keys(serviceHealth).map((service) => ({
-          service,
-          available: serviceHealth[service].available,
-          failures: serviceHealth[service].consecutiveFailures,
-        })),
-        faultTolerance: "ENABLED",
-        consistencyModel: "EVENTUAL_CONSISTENCY",
-        processingMode: "BACKGROUND_ASYNC",
+  // Validate every order against the order schema; an order ID may only
+  // appear once per batch. Client users import orders for their own client
+  // only, and may leave clientId out.
+  const callerClientId = clientScope(req.identity);
+  const seenOrderIds = new Set();
+  for (const entry of entries) {
+    if (!("order" in entry)) continue;
+
+    const clientErrors = [];
+    if (callerClientId && entry.order && typeof entry.order === "object") {
+      entry.order.clientId ??= callerClientId;
+      if (entry.order.clientId !== callerClientId) {
+        clientErrors.push({
+          path: "clientId",
+          message: "must be your own client",
+        });
       }
+    }
+
+    const errors = [
+      ...(entry.errors || []),
+      ...validateOrder(entry.order),
+      ...clientErrors,
+    ];
+    const orderId = entry.order?.id;
+    if (seenOrderIds.has(orderId)) {
+      errors.push({
+        path: "id",
+        message: "appears more than once in the batch",
+      });
+    } else if (typeof orderId === "string") {
+      seenOrderIds.add(orderId);
+    }
+    entry.errors = errors.length > 0 ? errors : undefined;
+  }
+
+  const validOrders = entries
+    .filter((entry) => !entry.errors)
+    .map((entry) => entry.order);
+  const rows = entries
+    .flatMap((entry) =>
+      entry.rows.map((rowNumber) => ({
+        rowNumber,
+        orderId:
+          typeof entry.order?.id === "string"
+            ? entry.order.id.slice(0, 50)
+            : null,
+        status: entry.errors ? "REJECTED" : "QUEUED",
+        errors: entry.errors,
+      }))
+    )
+    .sort((a, b) => a.rowNumber - b.rowNumber);
+
+  try {
+    const batch = await importRepo.createBatch({
+      format,
+      totalOrders: entries.length,
+      rows,
+      clientId: callerClientId,
+    });
+
+    logger.info(`Bulk import batch ${batch.id} accepted`, {
+      format,
+      rows: rows.length,
+      orders: entries.length,
+      validOrders: validOrders.length,
+      rejectedOrders: entries.length - validOrders.length,
+    });
+
+    processImportBatch(batch.id, validOrders, submittedAt).catch((error) =>
+      logger.error(`Bulk import batch ${batch.id} failed`, {
+        error: error.message,
+        stack: error.stack,
+      })
     );
-  } catch (err) {
-    const totalDuration = Date.now() - startTime;
 
-    // Extract detailed error information for better user experience
-    const errorInfo = {
-      orderId: order.id,
+    res.status(202).json({
+      batchId: batch.id,
+      status: batch.status,
+      format,
+      totalRows: rows.length,
+      totalOrders: entries.length,
+      acceptedOrders: validOrders.length,
+      rejectedOrders: entries.length - validOrders.length,
+      statusEndpoint: `/api/orders/bulk/${batch.id}`,
+      rows: rows.map(toImportRowResponse),
+    });
+  } catch (err) {
+    logger.error("Bulk import failed", {
       error: err.message,
-      duration: totalDuration,
       stack: err.stack,
-      clientId: order.clientId,
-      failureStage: err.serviceName || "UNKNOWN",
-      processingMode: "BACKGROUND_ASYNC",
-      serviceHealth: Object.keys(serviceHealth).map((service) => ({
-        service,
-        available: serviceHealth[service].available,
-        failures: serviceHealth[service].consecutiveFailures,
-      })),
-      enhancedErrorDetails: {
-        errorType: err.errorType || "UNKNOWN",
-        suggestedAction: err.suggestedAction || "Contact system administrator",
-        serviceError: err.serviceError || null,
-        retryAttempts: err.retryAttempts || 0,
-      },
-    };
+    });
+    res.status(500).json({
+      error: "Bulk import failed",
+      message: err.message,
+    });
+  }
+});
 
-    logger.error(
-      `Background distributed transaction failed for order ${order.id}`,
-      errorInfo
-    );
+// Track the progress of a bulk import batch and of the orders it created
+app.get("/api/orders/bulk/:batchId", async (req, res) => {
+  const { batchId } = req.params;
 
-    // Update order status to failed with detailed error info
-    await orderRepo.updateOrderStatus(order.id, "FAILED", {
-      error: err.message,
-      errorType: err.errorType,
-      failedAt: new Date().toISOString(),
-      canRetry: true,
-      suggestedAction: err.suggestedAction,
-      serviceErrorDetails: err.serviceError,
-      retryAttempts: err.retryAttempts,
+  if (!UUID_PATTERN.test(batchId)) {
+    return res.status(404).json({ error: "Import batch not found", batchId });
+  }
+
+  try {
+    const batch = await importRepo.getBatch(batchId, {
+      clientId: clientScope(req.identity),
     });
 
-    // Emit detailed failure event for real-time tracking
-    await emitEvent(TOPIC, {
-      eventType: "ORDER_FAILED",
-      orderId: order.id,
-      timestamp: now(),
-      data: {
-        error: err.message,
-        status: "FAILED",
-        stage: "ERROR_HANDLING",
-        sagaCompensated: true,
-        requiresManualIntervention: false,
-        canRetryLater: true,
-        processingMode: "BACKGROUND_ASYNC",
-        errorDetails: {
-          errorType: err.errorType || "UNKNOWN",
-          suggestedAction:
-            err.suggestedAction || "Contact system administrator",
-          failedService: err.serviceName || "UNKNOWN",
-          retryAttempts: err.retryAttempts || 0,
-          serviceSpecificDetails: err.serviceError?.errorDetails || {},
-          userFriendlyMessage: createUserFriendlyErrorMessage(err),
-        },
+    if (!batch) {
+      return res.status(404).json({ error: "Import batch not found", batchId });
+    }
+
+    // Orders span several rows in CSV imports, so count them by order ID
+    const orderStates = new Map();
+    for (const row of batch.rows) {
+      if (row.status !== "REJECTED") {
+        orderStates.set(row.order_id, row);
+      }
+    }
+    const countOrders = (status) =>
+      [...orderStates.values()].filter((row) => row.status === status).length;
+    const queued = countOrders("QUEUED");
+    const created = countOrders("CREATED");
+    const failed = countOrders("FAILED");
+
+    const orderStatuses = {};
+    for (const row of orderStates.values()) {
+      if (row.order_status) {
+        orderStatuses[row.order_status] =
+          (orderStatuses[row.order_status] || 0) + 1;
+      }
+    }
+
+    res.json({
+      batchId: batch.id,
+      status: batch.status,
+      format: batch.format,
+      createdAt: batch.created_at,
+      completedAt: batch.completed_at,
+      progress: {
+        totalRows: batch.total_rows,
+        totalOrders: batch.total_orders,
+        rejectedOrders: batch.total_orders - orderStates.size,
+        queuedOrders: queued,
+        createdOrders: created,
+        failedOrders: failed,
+        percentage:
+          orderStates.size > 0
+            ? Math.round(((created + failed) / orderStates.size) * 100)
+            : 100,
       },
+      orderStatuses,
+      rows: batch.rows.map(toImportRowResponse),
+    });
+  } catch (err) {
+    logger.error(`Failed to retrieve import batch ${batchId}`, {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Failed to retrieve import batch",
+      message: err.message,
     });
   }
+});
+
+// Saga steps in execution order. Each step knows how to call its service,
+// how to persist its result and how to compensate it, so that a saga restored
+// from the saga log can pick up at any step.
+const SAGA_STEPS = [
+  {
+    name: "CMS_VERIFICATION",
+    service: "cms",
+    stage: "CMS_PROCESSING",
+    startedEvent: "CMS_VERIFICATION_STARTED",
+    invoke: (order) => cmsAdapter.verifyContract(order),
+    compensate: (order, result, reason) =>
+      compensationActions.cms(order, result, reason),
+    onCompleted: async (order, cmsResult, progress) => {
+      // Update order in database with CMS data
+      await orderRepo.updateOrderStatus(
+        order.id,
+        "CMS_VERIFIED",
+        {
+          cms: {
+            contractId: cmsResult.contractId,
+            billingStatus: cmsResult.billingStatus,
+            estimatedCost: cmsResult.estimatedCost || 0,
+          },
+        },
+        [
+          outboxEvent({
+            eventType: "CMS_VERIFIED",
+            orderId: order.id,
+            timestamp: now(),
+            data: {
+              ...cmsResult,
+              status: "CONTRACT_VERIFIED",
+              stage: "CMS_PROCESSING",
+              sagaStep: "COMPLETED",
+              progress,
+            },
+          }),
+        ]
+      );
+      outboxRelay.wake();
+    },
+  },
+  {
+    name: "WMS_REGISTRATION",
+    service: "wms",
+    stage: "WMS_PROCESSING",
+    startedEvent: "WMS_REGISTRATION_STARTED",
+    invoke: (order) => wmsAdapter.registerPackage(order),
+    compensate: (order, result, reason) =>
+      compensationActions.wms(order, result, reason),
+    onCompleted: async (order, wmsResult, progress) => {
+      // Update order in database with WMS data
+      await orderRepo.updateOrderStatus(
+        order.id,
+        "WMS_REGISTERED",
+        {
+          wms: {
+            packageId: wmsResult.packageId,
+            warehouseLocation: wmsResult.warehouseLocation,
+            estimatedReadyTime: wmsResult.estimatedReadyTime,
+          },
+        },
+        [
+          outboxEvent({
+            eventType: "WMS_REGISTERED",
+            orderId: order.id,
+            timestamp: now(),
+            data: {
+              ...wmsResult,
+              status: "PACKAGES_REGISTERED",
+              stage: "WMS_PROCESSING",
+              sagaStep: "COMPLETED",
+              progress,
+            },
+          }),
+        ]
+      );
+      outboxRelay.wake();
+    },
+  },
+  {
+    name: "ROS_OPTIMIZATION",
+    service: "ros",
+    stage: "ROS_PROCESSING",
+    startedEvent: "ROS_OPTIMIZATION_STARTED",
+    invoke: (order) => rosAdapter.optimizeRoute(order),
+    compensate: (order, result, reason) =>
+      compensationActions.ros(order, result, reason),
+    onCompleted: async (order, rosResult, progress) => {
+      // Update order in database with ROS data
+      await orderRepo.updateOrderStatus(
+        order.id,
+        "ROS_OPTIMIZED",
+        {
+          ros: {
+            routeId: rosResult.routeId,
+            assignedDriver: rosResult.assignedDriver,
+            assignedVehicle: rosResult.assignedVehicle,
+            optimizedStops: rosResult.optimizedStops,
+            estimatedDelivery: rosResult.estimatedDelivery,
+            etaMinutes: rosResult.etaMinutes,
+          },
+        },
+        [
+          outboxEvent({
+            eventType: "ROS_OPTIMIZED",
+            orderId: order.id,
+            timestamp: now(),
+            data: {
+              ...rosResult,
+              status: "ROUTE_OPTIMIZED",
+              stage: "ROS_PROCESSING",
+              sagaStep: "COMPLETED",
+              progress,
+            },
+          }),
+        ]
+      );
+      outboxRelay.wake();
+    },
+  },
+];
+
+function getSagaStep(stepName) {
+  return SAGA_STEPS.find((step) => step.name === stepName);
 }
 
-// Get order details by ID
-app.get("/api/orders/:orderId", async (req, res) => {
-  try {
-    const { orderId } = req.params;
+function circuitSnapshots() {
+  return Promise.all(
+    Object.values(circuitBreakers).map((breaker) => breaker.snapshot())
+  );
+}
 
-    logger.info(`Retrieving order details for ${orderId}`);
+observeCircuitBreakers(circuitSnapshots);
+observeOutbox(() => outboxRepo.getBacklog());
 
-    const order = await orderRepo.getOrderById(orderId);
+async function serviceHealthSnapshot() {
+  return (await circuitSnapshots()).map(
+    ({ service, state, available, failures, errorRate }) => ({
+      service,
+      state,
+      available,
+      failures,
+      errorRate,
+    })
+  );
+}
 
-    if (!order) {
-      logger.warn(`Order not found: ${orderId}`);
-      return res.status(404).json({
-        error: "Order not found",
-        orderId,
-      });
-    }
+// Sagas currently being driven by this instance, keyed by order ID
+const activeSagas = new Map();
 
-    logger.info(`Order details retrieved for ${orderId}`, {
-      status: order.status,
+// Background distributed transaction processor.
+// A saga restored from the saga log may be passed in to resume after its
+// last completed step; otherwise a new saga is started. Each run is traced
+// as one span, and a resumed saga continues the trace it was started in.
+function processDistributedTransaction(order, restoredSaga = null) {
+  return traceSpan(
+    restoredSaga ? "saga resume" : "saga start",
+    {
+      parent: restoredSaga?.traceparent,
+      attributes: {
+        "swifttrack.order_id": order.id,
+        "swifttrack.client_id": order.clientId,
+        "swifttrack.completed_steps": restoredSaga?.completedSteps.join(","),
+      },
+    },
+    () => runDistributedTransaction(order, restoredSaga)
+  );
+}
+
+// Run a saga without waiting for it. A failure the saga could not record
+// itself (e.g. compensating while the database is down) is only logged.
+function processInBackground(order, saga) {
+  processDistributedTransaction(order, saga).catch((error) => {
+    logger.error(`Background processing of order ${order.id} failed`, {
+      orderId: order.id,
+      error: error.message,
+    });
+  });
+}
+
+async function runDistributedTransaction(order, restoredSaga) {
+  const startTime = Date.now();
+  const totalSteps = SAGA_STEPS.length;
+
+  logger.info(
+    `${
+      restoredSaga ? "Resuming" : "Starting"
+    } background distributed transaction processing for order ${order.id}`,
+    {
+      orderId: order.id,
+      clientId: order.clientId,
+      processingMode: "BACKGROUND_ASYNC",
+      distributedTransaction: true,
+      sagaPattern: true,
+      resumedAfter: restoredSaga ? restoredSaga.completedSteps : undefined,
+    }
+  );
+
+  // Initialize saga for distributed transaction management
+  const saga = restoredSaga || new OrderProcessingSaga(order.id);
+  activeSagas.set(order.id, saga);
+
+  try {
+    if (!restoredSaga && !(await saga.start(order))) {
+      logger.warn(`Order ${order.id} was cancelled before processing started`, {
+        orderId: order.id,
+      });
+      return;
+    }
+
+    for (const [index, step] of SAGA_STEPS.entries()) {
+      if (saga.hasCompleted(step.name)) {
+        continue;
+      }
+
+      await throwIfCancelled(order.id);
+
+      await queueEvent({
+        eventType: step.startedEvent,
+        orderId: order.id,
+        timestamp: now(),
+        data: { stage: step.stage, step: index + 1, totalSteps },
+      });
+
+      // Execute step with fault tolerance
+      const stopStepTimer = sagaStepDuration.startTimer({ step: step.name });
+      let result;
+      try {
+        result = await traceSpan(
+          `saga step ${step.name}`,
+          {
+            attributes: {
+              "swifttrack.order_id": order.id,
+              "swifttrack.retry_count": saga.retryCounts[step.name] || 0,
+            },
+          },
+          () =>
+            saga.executeStep(
+              step.name,
+              async () => {
+                return await callServiceWithRetry(
+                  step.service,
+                  () => step.invoke(order),
+                  order.id,
+                  saga.retryCounts[step.name] || 0
+                );
+              },
+              (stepResult, reason) => step.compensate(order, stepResult, reason)
+            )
+        );
+      } catch (stepError) {
+        stopStepTimer({
+          outcome: stepError.retryScheduled ? "retry_scheduled" : "failure",
+        });
+        throw stepError;
+      }
+      stopStepTimer({ outcome: "success" });
+
+      await step.onCompleted(order, result, {
+        completed: index + 1,
+        total: totalSteps,
+      });
+    }
+
+    await throwIfCancelled(order.id);
+
+    const cmsResult = saga.stepResults.CMS_VERIFICATION;
+    const wmsResult = saga.stepResults.WMS_REGISTRATION;
+    const rosResult = saga.stepResults.ROS_OPTIMIZATION;
+
+    // Final database update with its completion event
+    await orderRepo.updateOrderStatus(order.id, "READY_FOR_DELIVERY", {}, [
+      outboxEvent({
+        eventType: "ORDER_READY_FOR_DELIVERY",
+        orderId: order.id,
+        timestamp: now(),
+        data: {
+          ok: true,
+          status: "READY_FOR_DELIVERY",
+          stage: "PROCESSING_COMPLETE",
+          sagaCompleted: true,
+          completedSteps: saga.completedSteps,
+          progress: { completed: totalSteps, total: totalSteps },
+          manifest: {
+            contractId: cmsResult.contractId,
+            packageId: wmsResult.packageId,
+            routeId: rosResult.routeId,
+            assignedDriver: rosResult.assignedDriver,
+            estimatedDelivery: rosResult.estimatedDelivery,
+          },
+        },
+      }),
+    ]);
+    outboxRelay.wake();
+    await saga.complete();
+    orderOutcomes.inc({ outcome: "completed", error_type: "NONE" });
+
+    const totalDuration = Date.now() - startTime;
+    logger.info(
+      `Background distributed transaction completed successfully for order ${order.id}`,
+      {
+        totalDuration,
+        sagaSteps: saga.completedSteps,
+        serviceHealth: await serviceHealthSnapshot(),
+        faultTolerance: "ENABLED",
+        consistencyModel: "EVENTUAL_CONSISTENCY",
+        processingMode: "BACKGROUND_ASYNC",
+      }
+    );
+  } catch (err) {
+    if (err.retryScheduled) {
+      logger.info(`Saga for order ${order.id} suspended until retry`, {
+        orderId: order.id,
+        failedService: err.retry.serviceName,
+        retryCount: err.retry.retryCount,
+        nextRetryAt: err.retry.nextRetryAt,
+      });
+      return;
+    }
+
+    if (err.cancelled) {
+      const compensatedSteps = saga.compensationActions.map((c) => c.stepName);
+      await saga.compensate(err.message);
+      await recordOrderCancellation(order, err.message, compensatedSteps);
+      return;
+    }
+
+    await recordOrderFailure(order, err, Date.now() - startTime);
+  } finally {
+    activeSagas.delete(order.id);
+  }
+}
+
+// Stop a saga whose order has been cancelled. The flag lives in the sagas
+// table so that a cancellation received by any instance is honoured.
+async function throwIfCancelled(orderId) {
+  let sagaRecord;
+  try {
+    sagaRecord = await sagaRepo.getSaga(orderId);
+  } catch (error) {
+    logger.warn(`Failed to check cancellation of order ${orderId}`, {
+      error: error.message,
+    });
+    return;
+  }
+
+  if (sagaRecord?.cancel_requested_at) {
+    const cancellation = new Error(sagaRecord.cancel_reason);
+    cancellation.cancelled = true;
+    throw cancellation;
+  }
+}
+
+// Mark an order as cancelled once its saga has been rolled back
+async function recordOrderCancellation(order, reason, compensatedSteps = []) {
+  const cancelledAt = now();
+
+  logger.info(`Order ${order.id} cancelled`, {
+    orderId: order.id,
+    clientId: order.clientId,
+    reason,
+    compensatedSteps,
+  });
+  orderOutcomes.inc({ outcome: "cancelled", error_type: "NONE" });
+
+  await orderRepo.updateOrderStatus(
+    order.id,
+    "CANCELLED",
+    {
+      reason,
+      cancelledAt,
+      compensatedSteps,
+    },
+    [
+      outboxEvent({
+        eventType: "ORDER_CANCELLED",
+        orderId: order.id,
+        timestamp: cancelledAt,
+        data: {
+          status: "CANCELLED",
+          stage: "CANCELLED",
+          reason,
+          cancelledAt,
+          sagaCompensated: compensatedSteps.length > 0,
+          compensatedSteps,
+        },
+      }),
+    ]
+  );
+  outboxRelay.wake();
+}
+
+// Roll back a cancelled saga claimed with claimForCancellation, i.e. one that
+// was waiting for a retry or had already completed
+async function cancelClaimedSaga(sagaRecord) {
+  const { order, saga } = await restoreSaga(sagaRecord);
+  const reason = sagaRecord.cancel_reason;
+
+  // The step waiting for a retry may have partially taken effect remotely
+  const pendingStep = sagaRecord.current_step;
+  if (pendingStep && !saga.hasCompleted(pendingStep)) {
+    const step = getSagaStep(pendingStep);
+    saga.compensationActions.push({
+      stepName: pendingStep,
+      action: (compensationReason) =>
+        step.compensate(order, null, compensationReason),
+      timestamp: now(),
+    });
+  }
+
+  const compensatedSteps = saga.compensationActions.map((c) => c.stepName);
+
+  activeSagas.set(order.id, saga);
+  try {
+    await saga.compensate(reason);
+    await recordOrderCancellation(order, reason, compensatedSteps);
+  } finally {
+    activeSagas.delete(order.id);
+  }
+
+  return compensatedSteps;
+}
+
+// Mark an order as failed after its saga has been compensated
+async function recordOrderFailure(order, err, totalDuration) {
+  // Extract detailed error information for better user experience
+  const errorInfo = {
+    orderId: order.id,
+    error: err.message,
+    duration: totalDuration,
+    stack: err.stack,
+    clientId: order.clientId,
+    failureStage: err.serviceName || "UNKNOWN",
+    processingMode: "BACKGROUND_ASYNC",
+    serviceHealth: await serviceHealthSnapshot(),
+    enhancedErrorDetails: {
+      errorType: err.errorType || "UNKNOWN",
+      suggestedAction: err.suggestedAction || "Contact system administrator",
+      serviceError: err.serviceError || null,
+      retryAttempts: err.retryAttempts || 0,
+    },
+  };
+
+  logger.error(
+    `Background distributed transaction failed for order ${order.id}`,
+    errorInfo
+  );
+  activeSpan()?.recordError(err);
+  orderOutcomes.inc({
+    outcome: "failed",
+    error_type: err.errorType || "UNKNOWN",
+  });
+
+  // Update order status to failed with detailed error info, along with a
+  // detailed failure event for real-time tracking
+  await orderRepo.updateOrderStatus(
+    order.id,
+    "FAILED",
+    {
+      error: err.message,
+      errorType: err.errorType,
+      failedAt: new Date().toISOString(),
+      canRetry: true,
+      suggestedAction: err.suggestedAction,
+      serviceErrorDetails: err.serviceError,
+      retryAttempts: err.retryAttempts,
+    },
+    [
+      outboxEvent({
+        eventType: "ORDER_FAILED",
+        orderId: order.id,
+        timestamp: now(),
+        data: {
+          error: err.message,
+          status: "FAILED",
+          stage: "ERROR_HANDLING",
+          sagaCompensated: true,
+          requiresManualIntervention: false,
+          canRetryLater: true,
+          processingMode: "BACKGROUND_ASYNC",
+          errorDetails: {
+            errorType: err.errorType || "UNKNOWN",
+            suggestedAction:
+              err.suggestedAction || "Contact system administrator",
+            failedService: err.serviceName || "UNKNOWN",
+            retryAttempts: err.retryAttempts || 0,
+            serviceSpecificDetails: err.serviceError?.errorDetails || {},
+            userFriendlyMessage: createUserFriendlyErrorMessage(err),
+          },
+        },
+      }),
+    ]
+  );
+  outboxRelay.wake();
+}
+
+// Rebuild a saga from its persisted log
+async function restoreSaga(sagaRecord) {
+  const order = sagaRecord.order_data;
+  const logEntries = await sagaRepo.getSagaLog(sagaRecord.order_id);
+  const saga = new OrderProcessingSaga(sagaRecord.order_id);
+  saga.traceparent = sagaRecord.trace_parent;
+
+  const compensatedSteps = new Set();
+  let inFlightStep = null;
+  let failedStep = null;
+
+  for (const entry of logEntries) {
+    switch (entry.entry_type) {
+      case "STEP_STARTED":
+        inFlightStep = entry.step_name;
+        break;
+      case "STEP_COMPLETED": {
+        const step = getSagaStep(entry.step_name);
+        saga.registerCompletedStep(entry.step_name, entry.payload, (reason) =>
+          step.compensate(order, entry.payload, reason)
+        );
+        inFlightStep = null;
+        break;
+      }
+      case "STEP_ROLLED_BACK":
+        saga.forgetStep(entry.step_name);
+        break;
+      case "STEP_RETRY_SCHEDULED":
+        saga.retryCounts[entry.step_name] = entry.payload?.retryCount || 0;
+        inFlightStep = null;
+        break;
+      case "STEP_FAILED":
+        failedStep = entry.step_name;
+        inFlightStep = null;
+        break;
+      case "COMPENSATION_COMPLETED":
+        compensatedSteps.add(entry.step_name);
+        break;
+    }
+  }
+
+  // Never compensate the same step twice
+  saga.compensationActions = saga.compensationActions.filter(
+    (c) => !compensatedSteps.has(c.stepName)
+  );
+
+  return { order, saga, compensatedSteps, inFlightStep, failedStep };
+}
+
+// Rebuild an unfinished saga and either resume or compensate it.
+// Sagas that were interrupted between steps are resumed at the next step.
+// Sagas that were interrupted in the middle of a step (the outcome of the
+// service call is unknown), that were already compensating, that are older
+// than SAGA_RESUME_MAX_AGE_MS or whose order was cancelled are compensated
+// instead.
+async function recoverSaga(sagaRecord) {
+  const { order, saga, compensatedSteps, inFlightStep, failedStep } =
+    await restoreSaga(sagaRecord);
+
+  const sagaAge = Date.now() - new Date(sagaRecord.started_at).getTime();
+  const shouldCompensate =
+    sagaRecord.cancel_requested_at !== null ||
+    sagaRecord.status === "COMPENSATING" ||
+    failedStep !== null ||
+    inFlightStep !== null ||
+    sagaAge > SAGA_RESUME_MAX_AGE_MS;
+
+  logger.warn(`Recovering unfinished saga for order ${order.id}`, {
+    orderId: order.id,
+    sagaStatus: sagaRecord.status,
+    completedSteps: saga.completedSteps,
+    inFlightStep,
+    failedStep,
+    sagaAge,
+    decision: shouldCompensate ? "COMPENSATE" : "RESUME",
+  });
+
+  if (!shouldCompensate) {
+    await saga.record("SAGA_RESUMED", {
+      payload: { completedSteps: saga.completedSteps },
+    });
+    await processDistributedTransaction(order, saga);
+    return;
+  }
+
+  // The interrupted step may have succeeded remotely, so compensate it as well
+  const interruptedStep = inFlightStep || failedStep;
+  if (interruptedStep && !compensatedSteps.has(interruptedStep)) {
+    const step = getSagaStep(interruptedStep);
+    saga.compensationActions.push({
+      stepName: interruptedStep,
+      action: (reason) => step.compensate(order, null, reason),
+      timestamp: now(),
+    });
+  }
+
+  activeSagas.set(order.id, saga);
+  try {
+    if (sagaRecord.cancel_requested_at) {
+      const compensatedSteps = saga.compensationActions.map((c) => c.stepName);
+      await saga.compensate(sagaRecord.cancel_reason);
+      await recordOrderCancellation(
+        order,
+        sagaRecord.cancel_reason,
+        compensatedSteps
+      );
+      return;
+    }
+
+    await saga.compensate("Saga interrupted by an order-service restart");
+
+    const interruptedError = new Error(
+      `Order processing was interrupted${
+        interruptedStep ? ` during ${interruptedStep}` : ""
+      } and has been rolled back`
+    );
+    interruptedError.errorType = "SAGA_INTERRUPTED";
+    interruptedError.suggestedAction = "Resubmit the order";
+    interruptedError.serviceName = interruptedStep || "UNKNOWN";
+
+    await recordOrderFailure(
+      order,
+      interruptedError,
+      Date.now() - new Date(sagaRecord.started_at).getTime()
+    );
+  } finally {
+    activeSagas.delete(order.id);
+  }
+}
+
+// Find unfinished sagas in the saga log and resume or compensate them
+async function recoverUnfinishedSagas({ includeOwned = false } = {}) {
+  let claimedSagas;
+  try {
+    claimedSagas = await sagaRepo.claimUnfinishedSagas(INSTANCE_ID, {
+      staleAfterMs: SAGA_STALE_AFTER_MS,
+      includeOwned,
+    });
+  } catch (error) {
+    logger.error("Failed to query unfinished sagas", { error: error.message });
+    return;
+  }
+
+  const sagasToRecover = claimedSagas.filter(
+    (sagaRecord) => !activeSagas.has(sagaRecord.order_id)
+  );
+
+  if (sagasToRecover.length > 0) {
+    logger.info(`Recovering ${sagasToRecover.length} unfinished sagas`, {
+      orderIds: sagasToRecover.map((sagaRecord) => sagaRecord.order_id),
+      instanceId: INSTANCE_ID,
+    });
+  }
+
+  for (const sagaRecord of sagasToRecover) {
+    try {
+      await recoverSaga(sagaRecord);
+    } catch (error) {
+      logger.error(`Saga recovery failed for order ${sagaRecord.order_id}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  }
+}
+
+// Durable retry scheduler. A retry lives in the sagas table (status
+// RETRY_SCHEDULED with next_retry_at) rather than in memory, so it survives
+// restarts and can run on any instance. Every instance polls for due retries;
+// the RETRY_SCHEDULED event also arms a wake-up timer on the instance that
+// consumes it, so that retries run on time between polls.
+const retryWakeups = new Map();
+
+function armRetryWakeup(orderId, nextRetryAt) {
+  clearTimeout(retryWakeups.get(orderId));
+
+  const delay = Math.max(0, new Date(nextRetryAt).getTime() - Date.now());
+  retryWakeups.set(
+    orderId,
+    setTimeout(() => {
+      retryWakeups.delete(orderId);
+      runDueRetries({ orderId });
+    }, delay)
+  );
+}
+
+// Claim due retries and resume each saga at its failed step
+async function runDueRetries({ orderId = null } = {}) {
+  let dueSagas;
+  try {
+    dueSagas = await sagaRepo.claimDueRetries(INSTANCE_ID, { orderId });
+  } catch (error) {
+    logger.error("Failed to query scheduled saga retries", {
+      error: error.message,
+    });
+    return;
+  }
+
+  for (const sagaRecord of dueSagas) {
+    // Sagas run in the background so that one slow retry does not hold up
+    // the others
+    resumeScheduledRetry(sagaRecord).catch((error) => {
+      logger.error(`Scheduled retry failed for order ${sagaRecord.order_id}`, {
+        error: error.message,
+        stack: error.stack,
+      });
+    });
+  }
+}
+
+async function resumeScheduledRetry(sagaRecord) {
+  const { order, saga } = await restoreSaga(sagaRecord);
+  const stepName = sagaRecord.current_step;
+
+  logger.info(`Executing scheduled retry for order ${order.id}`, {
+    orderId: order.id,
+    step: stepName,
+    retryCount: saga.retryCounts[stepName],
+    completedSteps: saga.completedSteps,
+    instanceId: INSTANCE_ID,
+  });
+
+  await processDistributedTransaction(order, saga);
+}
+
+// Get order details by ID
+// Client users only see their own client's orders; any other order is
+// reported as not found, so that order IDs of other clients are not revealed
+app.param("orderId", async (req, res, next, orderId) => {
+  const clientId = clientScope(req.identity);
+  if (!clientId) {
+    return next();
+  }
+
+  try {
+    if ((await orderRepo.getOrderClientId(orderId)) !== clientId) {
+      return res.status(404).json({ error: "Order not found", orderId });
+    }
+    next();
+  } catch (err) {
+    logger.error(`Failed to look up the client of order ${orderId}`, {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Failed to retrieve order",
+      message: err.message,
+    });
+  }
+});
+
+app.get("/api/orders/:orderId", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    logger.info(`Retrieving order details for ${orderId}`);
+
+    const order = await orderRepo.getOrderById(orderId);
+
+    if (!order) {
+      logger.warn(`Order not found: ${orderId}`);
+      return res.status(404).json({
+        error: "Order not found",
+        orderId,
+      });
+    }
+
+    logger.info(`Order details retrieved for ${orderId}`, {
+      status: order.status,
       clientId: order.client_id,
       packageCount: order.packages.length,
       deliveryCount: order.deliveryAddresses.length,
@@ -934,8 +2421,10 @@ app.get("/api/orders/:orderId", async (req, res) => {
         logger.info(
           `Fetching proof of delivery for order ${orderId} from driver service`
         );
+        // The driver service checks the caller's access again
         const proofResponse = await makeHttpRequest(
-          `http://localhost:4001/api/orders/${orderId}/proof-of-delivery`
+          `http://localhost:4001/api/orders/${orderId}/proof-of-delivery`,
+          { Authorization: req.get("Authorization") }
         );
 
         logger.info(
@@ -961,274 +2450,1819 @@ app.get("/api/orders/:orderId", async (req, res) => {
     // Send the final response with or without proof of delivery
     res.json({
       ok: true,
-      order: orderResponse,
+      order: orderResponse,
+    });
+  } catch (err) {
+    logger.error(`Failed to retrieve order ${req.params.orderId}`, {
+      error: err.message,
+      stack: err.stack,
+    });
+
+    res.status(500).json({
+      error: "Failed to retrieve order",
+      message: err.message,
+    });
+  }
+});
+
+// Event history of an order: the events published for it, in order, as
+// consumers and the notification service receive them. lastEventId or since
+// returns only the events after it, e.g. those a client missed while
+// disconnected. Events are kept for OUTBOX_RETENTION_MS.
+app.get("/api/orders/:orderId/events", async (req, res) => {
+  const { orderId } = req.params;
+  const { lastEventId, since } = req.query;
+
+  if (lastEventId && !UUID_PATTERN.test(lastEventId)) {
+    return res.status(400).json({ error: "lastEventId must be an event ID" });
+  }
+  if (since && Number.isNaN(Date.parse(since))) {
+    return res.status(400).json({ error: "since must be an ISO timestamp" });
+  }
+
+  try {
+    const order = await orderRepo.getOrderById(orderId);
+    if (!order) {
+      return res.status(404).json({ error: "Order not found", orderId });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 500, 1000);
+    const rows = await outboxRepo.listOrderEvents(orderId, {
+      afterEventId: lastEventId || null,
+      since: since ? new Date(since) : null,
+      limit,
+    });
+
+    res.json({
+      ok: true,
+      orderId,
+      events: rows.map((row) => row.payload),
+      // More events follow; ask again with the last eventId
+      hasMore: rows.length === limit,
+    });
+  } catch (err) {
+    logger.error(`Failed to retrieve events of order ${orderId}`, {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Failed to retrieve order events",
+      message: err.message,
+    });
+  }
+});
+
+// Cancel an order before it is dispatched. The saga is stopped and its
+// completed CMS/WMS/ROS steps are compensated before the order is CANCELLED.
+app.post("/api/orders/:orderId/cancel", async (req, res) => {
+  const { orderId } = req.params;
+  const reason = req.body?.reason || "Cancelled by client";
+
+  try {
+    logger.info(`Processing cancellation request for order ${orderId}`, {
+      reason,
+    });
+
+    const order = await orderRepo.getOrderById(orderId);
+
+    if (!order) {
+      logger.warn(`Order not found: ${orderId}`);
+      return res.status(404).json({
+        error: "Order not found",
+        orderId,
+      });
+    }
+
+    if (order.status === "CANCELLED") {
+      return res.json({
+        ok: true,
+        orderId,
+        status: "CANCELLED",
+        alreadyCancelled: true,
+      });
+    }
+
+    if (!PRE_DISPATCH_STATUSES.includes(order.status)) {
+      const rejectionReason = DISPATCHED_STATUSES.includes(order.status)
+        ? order.status === "DELIVERED"
+          ? "Order has already been delivered"
+          : "Order has already been dispatched and is out for delivery"
+        : "Order processing has already failed and was rolled back";
+
+      logger.warn(`Order cancellation rejected for ${orderId}`, {
+        status: order.status,
+        reason: rejectionReason,
+      });
+
+      return res.status(409).json({
+        error: "Order cannot be cancelled",
+        orderId,
+        status: order.status,
+        reason: rejectionReason,
+      });
+    }
+
+    let sagaRecord = await sagaRepo.requestCancellation(orderId, reason);
+
+    if (!sagaRecord) {
+      // Processing has not started yet: record a cancelled saga so that the
+      // pending start event is ignored
+      const orderData = { id: order.id, clientId: order.client_id };
+      const cancelledSaga = await sagaRepo.createCancelledSaga(
+        orderId,
+        orderData,
+        reason,
+        INSTANCE_ID
+      );
+
+      if (cancelledSaga) {
+        await recordOrderCancellation(orderData, reason);
+        return res.json({
+          ok: true,
+          orderId,
+          status: "CANCELLED",
+          compensatedSteps: [],
+        });
+      }
+
+      // The saga started in the meantime
+      sagaRecord = await sagaRepo.requestCancellation(orderId, reason);
+    }
+
+    // Sagas waiting for a retry or already completed are rolled back here;
+    // a running saga is rolled back by its instance before the next step
+    const claimedSaga = await sagaRepo.claimForCancellation(
+      orderId,
+      INSTANCE_ID
+    );
+
+    if (claimedSaga) {
+      const compensatedSteps = await cancelClaimedSaga(claimedSaga);
+      return res.json({
+        ok: true,
+        orderId,
+        status: "CANCELLED",
+        compensatedSteps,
+      });
+    }
+
+    logger.info(`Cancellation of order ${orderId} handed over to its saga`, {
+      sagaStatus: sagaRecord.status,
+      ownerInstance: sagaRecord.owner_instance,
+    });
+
+    res.status(202).json({
+      ok: true,
+      orderId,
+      status: "CANCELLATION_PENDING",
+      message:
+        "Cancellation accepted, the order will be cancelled once in-flight processing has been rolled back",
+      statusEndpoint: `/api/orders/${orderId}/status`,
+    });
+  } catch (err) {
+    logger.error(`Failed to cancel order ${orderId}`, {
+      error: err.message,
+      stack: err.stack,
+    });
+
+    res.status(500).json({
+      error: "Failed to cancel order",
+      orderId,
+      message: err.message,
+    });
+  }
+});
+
+// Diff amended packages against the stored ones, matching them by SKU
+function diffPackages(storedPackages, packages) {
+  const changes = [];
+  const storedBySku = new Map(storedPackages.map((pkg) => [pkg.sku, pkg]));
+
+  for (const pkg of packages) {
+    const previous = storedBySku.get(pkg.sku);
+
+    if (!previous) {
+      changes.push({
+        field: "packages",
+        type: "PACKAGE_ADDED",
+        sku: pkg.sku,
+        to: { description: pkg.description, quantity: pkg.quantity },
+      });
+      continue;
+    }
+
+    if (previous.quantity !== pkg.quantity) {
+      changes.push({
+        field: "packages",
+        type: "QUANTITY_CHANGED",
+        sku: pkg.sku,
+        from: previous.quantity,
+        to: pkg.quantity,
+      });
+    }
+
+    const before = {
+      description: previous.description,
+      priority: previous.priority,
+      weight: parseFloat(previous.weight_kg),
+    };
+    const after = {
+      description: pkg.description,
+      priority: pkg.priority || "STANDARD",
+      weight: pkg.weight || 1.0,
+    };
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({
+        field: "packages",
+        type: "PACKAGE_UPDATED",
+        sku: pkg.sku,
+        from: before,
+        to: after,
+      });
+    }
+  }
+
+  const amendedSkus = new Set(packages.map((pkg) => pkg.sku));
+  for (const previous of storedPackages) {
+    if (!amendedSkus.has(previous.sku)) {
+      changes.push({
+        field: "packages",
+        type: "PACKAGE_REMOVED",
+        sku: previous.sku,
+        from: {
+          description: previous.description,
+          quantity: previous.quantity,
+        },
+      });
+    }
+  }
+
+  return changes;
+}
+
+// Diff amended delivery addresses against the stored stops, by stop sequence
+function diffDeliveryAddresses(storedAddresses, deliveryAddresses) {
+  const changes = [];
+  const coordinate = (value) =>
+    value === null || value === undefined ? null : Number(value);
+
+  for (
+    let i = 0;
+    i < Math.max(storedAddresses.length, deliveryAddresses.length);
+    i++
+  ) {
+    const previous = storedAddresses[i];
+    const addr = deliveryAddresses[i];
+    const stop = i + 1;
+
+    if (!previous) {
+      changes.push({
+        field: "deliveryAddresses",
+        type: "ADDRESS_ADDED",
+        stop,
+        to: formatDeliveryAddress(addr),
+      });
+    } else if (addr === undefined) {
+      changes.push({
+        field: "deliveryAddresses",
+        type: "ADDRESS_REMOVED",
+        stop,
+        from: previous.address,
+      });
+    } else {
+      const address = formatDeliveryAddress(addr);
+      const latitude = typeof addr === "object" ? addr.latitude : null;
+      const longitude = typeof addr === "object" ? addr.longitude : null;
+
+      if (
+        previous.address !== address ||
+        coordinate(previous.latitude) !== coordinate(latitude) ||
+        coordinate(previous.longitude) !== coordinate(longitude)
+      ) {
+        changes.push({
+          field: "deliveryAddresses",
+          type: "ADDRESS_CHANGED",
+          stop,
+          from: previous.address,
+          to: address,
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+// Diff amended special instructions against the ones stored with the stops
+function diffSpecialInstructions(storedAddresses, specialInstructions) {
+  const previous = storedAddresses[0]?.special_instructions || null;
+  if (previous === specialInstructions) {
+    return [];
+  }
+
+  return [
+    {
+      field: "specialInstructions",
+      type: "INSTRUCTIONS_CHANGED",
+      from: previous,
+      to: specialInstructions,
+    },
+  ];
+}
+
+// Saga steps to run again for an amendment, in saga order. Packages feed the
+// WMS registration and addresses the ROS route; a different number of
+// packages or stops also changes the CMS cost estimate, and a different
+// number of packages the vehicle load planned by ROS.
+function affectedSagaSteps(storedOrder, amendment, changes) {
+  const steps = new Set();
+
+  if (changes.some((change) => change.field === "packages")) {
+    steps.add("WMS_REGISTRATION");
+    if (amendment.packages.length !== storedOrder.packages.length) {
+      steps.add("CMS_VERIFICATION");
+      steps.add("ROS_OPTIMIZATION");
+    }
+  }
+
+  if (changes.some((change) => change.field === "deliveryAddresses")) {
+    steps.add("ROS_OPTIMIZATION");
+    if (
+      amendment.deliveryAddresses.length !==
+      storedOrder.deliveryAddresses.length
+    ) {
+      steps.add("CMS_VERIFICATION");
+    }
+  }
+
+  return SAGA_STEPS.map((step) => step.name).filter((name) => steps.has(name));
+}
+
+// Apply an amendment to a saga claimed with claimForAmendment: roll back the
+// affected steps, store the amended order and run the steps again
+async function amendClaimedSaga(sagaRecord, amendment, changes, rerunSteps) {
+  const { order, saga } = await restoreSaga(sagaRecord);
+  const amendmentId = `AMD-${order.id}-${Date.now()}`;
+  const amendedOrder = { ...order, ...amendment.order };
+
+  activeSagas.set(order.id, saga);
+  try {
+    await saga.rollbackSteps(rerunSteps, `Order amended: ${amendment.reason}`);
+
+    await orderRepo.amendOrder(
+      order.id,
+      {
+        ...amendment.order,
+        specialInstructions: amendedOrder.specialInstructions,
+      },
+      changes,
+      { amendmentId, reason: amendment.reason, rerunSteps }
+    );
+    await sagaRepo.amendOrderData(order.id, amendedOrder, {
+      payload: { amendmentId, changes, rerunSteps },
+      ownerInstance: INSTANCE_ID,
+    });
+  } catch (error) {
+    logger.error(`Amendment of order ${order.id} failed`, {
+      amendmentId,
+      error: error.message,
+    });
+
+    // Bring the saga back in line with the unchanged order: a completed saga
+    // goes back to COMPLETED, otherwise the steps still missing run again
+    const sagaComplete = SAGA_STEPS.every((step) =>
+      saga.hasCompleted(step.name)
+    );
+    await saga.record("AMENDMENT_FAILED", {
+      payload: { amendmentId, error: error.message },
+      status: sagaComplete ? "COMPLETED" : undefined,
+    });
+    activeSagas.delete(order.id);
+    if (!sagaComplete) {
+      processInBackground(order, saga);
+    }
+    throw error;
+  }
+
+  try {
+    await queueEvent({
+      eventType: "ORDER_AMENDED",
+      orderId: order.id,
+      timestamp: now(),
+      data: {
+        amendmentId,
+        reason: amendment.reason,
+        changes,
+        rerunSteps,
+        stage: "AMENDMENT_PROCESSING",
+      },
+    });
+  } catch (error) {
+    logger.warn(`Failed to emit amendment event for order ${order.id}`, {
+      amendmentId,
+      error: error.message,
+    });
+  }
+
+  // Run the rolled back steps (and a step waiting for a retry) in the
+  // background with the amended order. A completed saga with no steps to run
+  // again, as for new special instructions, is just completed again.
+  if (SAGA_STEPS.every((step) => saga.hasCompleted(step.name))) {
+    await saga.complete();
+    activeSagas.delete(order.id);
+  } else {
+    processInBackground(amendedOrder, saga);
+  }
+
+  return amendmentId;
+}
+
+// Amend the packages, delivery addresses and/or special instructions of an
+// order before dispatch. Only the saga steps that depend on the changed data
+// are run again, and every change is recorded in order_events as an
+// ORDER_AMENDED event.
+app.patch("/api/orders/:orderId", async (req, res) => {
+  const { orderId } = req.params;
+  const { packages, deliveryAddresses, specialInstructions } = req.body || {};
+  const reason = req.body?.reason || "Amended by client";
+
+  logger.info(`Processing amendment for order ${orderId}`, {
+    packageCount: packages?.length,
+    deliveryCount: deliveryAddresses?.length,
+    reason,
+  });
+
+  if (
+    packages === undefined &&
+    deliveryAddresses === undefined &&
+    specialInstructions === undefined
+  ) {
+    return res.status(400).json({
+      error: "packages, deliveryAddresses or specialInstructions is required",
+    });
+  }
+
+  const validationErrors = validateAgainst(ORDER_AMENDMENT_SCHEMA, req.body);
+  if (validationErrors.length > 0) {
+    logger.warn(`Order amendment failed: invalid payload`, {
+      orderId,
+      errors: validationErrors,
+    });
+    return res.status(400).json({
+      error: "Order amendment validation failed",
+      details: validationErrors,
+      schema: "/api/schema/order",
+    });
+  }
+
+  if (packages) {
+    const skus = packages.map((pkg) => pkg.sku);
+    if (new Set(skus).size !== skus.length) {
+      return res
+        .status(400)
+        .json({ error: "Each sku may only appear once per order" });
+    }
+  }
+
+  try {
+    const storedOrder = await orderRepo.getOrderById(orderId);
+
+    if (!storedOrder) {
+      logger.warn(`Order not found: ${orderId}`);
+      return res.status(404).json({
+        error: "Order not found",
+        orderId,
+      });
+    }
+
+    if (!PRE_DISPATCH_STATUSES.includes(storedOrder.status)) {
+      logger.warn(`Order amendment rejected for ${orderId}`, {
+        status: storedOrder.status,
+      });
+      return res.status(409).json({
+        error: "Order cannot be modified",
+        orderId,
+        status: storedOrder.status,
+        reason: DISPATCHED_STATUSES.includes(storedOrder.status)
+          ? "Order has already been dispatched"
+          : `Order is ${storedOrder.status.toLowerCase()}`,
+      });
+    }
+
+    // Packages keep their stored description unless a new one is given
+    const amendedPackages = packages?.map((pkg) => ({
+      ...pkg,
+      description:
+        pkg.description ||
+        storedOrder.packages.find((stored) => stored.sku === pkg.sku)
+          ?.description,
+    }));
+    if (amendedPackages?.some((pkg) => !pkg.description)) {
+      return res.status(400).json({ error: "New packages need a description" });
+    }
+
+    const amendment = {
+      reason,
+      order: {
+        ...(amendedPackages && { packages: amendedPackages }),
+        ...(deliveryAddresses && { deliveryAddresses }),
+        ...(specialInstructions !== undefined && {
+          specialInstructions: specialInstructions || null,
+        }),
+      },
+    };
+
+    const changes = [
+      ...(amendedPackages
+        ? diffPackages(storedOrder.packages, amendedPackages)
+        : []),
+      ...(deliveryAddresses
+        ? diffDeliveryAddresses(
+            storedOrder.deliveryAddresses,
+            deliveryAddresses
+          )
+        : []),
+      ...(specialInstructions !== undefined
+        ? diffSpecialInstructions(
+            storedOrder.deliveryAddresses,
+            amendment.order.specialInstructions
+          )
+        : []),
+    ];
+
+    if (changes.length === 0) {
+      return res.json({
+        ok: true,
+        orderId,
+        changes: [],
+        rerunSteps: [],
+        message: "Order already matches the requested values",
+      });
+    }
+
+    const rerunSteps = affectedSagaSteps(storedOrder, amendment.order, changes);
+
+    // Only a saga that is not driving a step right now can be amended
+    const sagaRecord = await sagaRepo.claimForAmendment(orderId, INSTANCE_ID);
+    if (!sagaRecord) {
+      return res.status(409).json({
+        error: "Order is being processed",
+        orderId,
+        reason:
+          "A processing step is in progress, please retry the amendment shortly",
+        retryable: true,
+      });
+    }
+
+    const amendmentId = await amendClaimedSaga(
+      sagaRecord,
+      amendment,
+      changes,
+      rerunSteps
+    );
+
+    logger.info(`Order ${orderId} amended`, {
+      amendmentId,
+      changes: changes.length,
+      rerunSteps,
+    });
+
+    res.status(202).json({
+      ok: true,
+      orderId,
+      amendmentId,
+      status: "AMENDMENT_ACCEPTED",
+      changes,
+      rerunSteps,
+      statusEndpoint: `/api/orders/${orderId}/status`,
+    });
+  } catch (err) {
+    logger.error(`Failed to amend order ${orderId}`, {
+      error: err.message,
+      stack: err.stack,
+    });
+
+    res.status(500).json({
+      error: "Failed to amend order",
+      orderId,
+      message: err.message,
+    });
+  }
+});
+
+// Get order status by ID
+app.get("/api/orders/:orderId/status", async (req, res) => {
+  try {
+    const { orderId } = req.params;
+
+    logger.info(`Retrieving order status for ${orderId}`);
+
+    const order = await orderRepo.getOrderById(orderId);
+
+    if (!order) {
+      logger.warn(`Order not found: ${orderId}`);
+      return res.status(404).json({
+        error: "Order not found",
+        orderId,
+      });
+    }
+
+    // Get order events to show processing steps
+    const events = await orderRepo.getOrderEvents(orderId);
+
+    // Calculate processing progress
+    const totalSteps = 3; // CMS, WMS, ROS
+    let completedSteps = 0;
+    let currentStage = "QUEUED";
+    let estimatedCompletion = "2-5 minutes";
+
+    if (order.cms_verified_at) completedSteps++;
+    if (order.wms_registered_at) completedSteps++;
+    if (order.ros_optimized_at) completedSteps++;
+
+    // Determine current processing stage
+    if (order.status === "CANCELLED") {
+      currentStage = "CANCELLED";
+      estimatedCompletion = "CANCELLED";
+    } else if (order.ready_for_delivery_at) {
+      currentStage = "READY_FOR_DELIVERY";
+      estimatedCompletion = "COMPLETED";
+    } else if (order.ros_optimized_at) {
+      currentStage = "FINALIZING";
+      estimatedCompletion = "< 1 minute";
+    } else if (order.wms_registered_at) {
+      currentStage = "ROS_PROCESSING";
+      estimatedCompletion = "1-2 minutes";
+    } else if (order.cms_verified_at) {
+      currentStage = "WMS_PROCESSING";
+      estimatedCompletion = "1-3 minutes";
+    } else if (order.status === "PROCESSING") {
+      currentStage = "CMS_PROCESSING";
+      estimatedCompletion = "2-4 minutes";
+    }
+
+    const progressPercentage = Math.round((completedSteps / totalSteps) * 100);
+
+    logger.info(`Order status retrieved for ${orderId}`, {
+      status: order.status,
+      currentStage,
+      progress: `${completedSteps}/${totalSteps}`,
+      eventsCount: events.length,
+    });
+
+    res.json({
+      ok: true,
+      orderId: order.id,
+      status: order.status,
+      priority: order.priority,
+
+      // Asynchronous processing information
+      processing: {
+        mode: "ASYNCHRONOUS",
+        currentStage,
+        progress: {
+          completed: completedSteps,
+          total: totalSteps,
+          percentage: progressPercentage,
+        },
+        estimatedCompletion,
+        distributedTransaction: {
+          sagaPattern: true,
+          faultTolerance: "enabled",
+          eventualConsistency: true,
+        },
+      },
+
+      // Detailed step tracking
+      steps: [
+        {
+          step: "CMS_VERIFICATION",
+          name: "Contract Verification",
+          status: order.cms_verified_at
+            ? "COMPLETED"
+            : currentStage === "CMS_PROCESSING"
+            ? "IN_PROGRESS"
+            : "PENDING",
+          timestamp: order.cms_verified_at,
+          estimatedDuration: "30-90 seconds",
+        },
+        {
+          step: "WMS_REGISTRATION",
+          name: "Package Registration",
+          status: order.wms_registered_at
+            ? "COMPLETED"
+            : currentStage === "WMS_PROCESSING"
+            ? "IN_PROGRESS"
+            : "PENDING",
+          timestamp: order.wms_registered_at,
+          estimatedDuration: "45-120 seconds",
+        },
+        {
+          step: "ROS_OPTIMIZATION",
+          name: "Route Optimization",
+          status: order.ros_optimized_at
+            ? "COMPLETED"
+            : currentStage === "ROS_PROCESSING"
+            ? "IN_PROGRESS"
+            : "PENDING",
+          timestamp: order.ros_optimized_at,
+          estimatedDuration: "60-180 seconds",
+        },
+      ],
+
+      // Service-specific results (if available)
+      results: {
+        cms: order.cms_verified_at
+          ? {
+              contractId: order.contract_id,
+              billingStatus: order.billing_status,
+              estimatedCost: order.estimated_cost,
+              verifiedAt: order.cms_verified_at,
+            }
+          : null,
+
+        wms: order.wms_registered_at
+          ? {
+              packageId: order.warehouse_package_id,
+              warehouseLocation: order.warehouse_location,
+              registeredAt: order.wms_registered_at,
+            }
+          : null,
+
+        ros: order.ros_optimized_at
+          ? {
+              routeId: order.route_id,
+              assignedDriver: order.assigned_driver_id,
+              assignedVehicle: order.assigned_vehicle_id,
+              estimatedDelivery: order.estimated_delivery_time,
+              optimizedAt: order.ros_optimized_at,
+            }
+          : null,
+      },
+
+      // Real-time tracking
+      tracking: {
+        submittedAt: order.submitted_at,
+        lastUpdated: order.updated_at,
+        processingEvents: events.length,
+        realTimeUpdates: "available",
+        webhookSupport: "enabled",
+      },
+
+      // Actions available to client
+      actions: {
+        cancel: PRE_DISPATCH_STATUSES.includes(order.status)
+          ? "available"
+          : "not_available",
+        modify: PRE_DISPATCH_STATUSES.includes(order.status)
+          ? "available"
+          : "not_available",
+        track: "real_time_available",
+        estimate: "dynamic_updates",
+      },
+    });
+  } catch (err) {
+    logger.error(`Failed to retrieve order status ${req.params.orderId}`, {
+      error: err.message,
+      stack: err.stack,
+    });
+
+    res.status(500).json({
+      error: "Failed to retrieve order status",
+      message: err.message,
+    });
+  }
+});
+
+// Order listing: sort fields accepted by GET /api/orders and the columns they
+// map to, and the page size limits
+const ORDER_LIST_SORTS = {
+  submittedAt: "submitted_at",
+  updatedAt: "updated_at",
+  id: "id",
+};
+const ORDER_LIST_DEFAULT_LIMIT = 50;
+const ORDER_LIST_MAX_LIMIT = 200;
+
+// Cursors are opaque to clients: the sort they were issued for plus the sort
+// value and ID of the last order on the page
+function encodeOrderCursor(sort, direction, order) {
+  return Buffer.from(
+    JSON.stringify({ sort, direction, value: order.cursor_value, id: order.id })
+  ).toString("base64url");
+}
+
+function decodeOrderCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (decoded && typeof decoded.id === "string") {
+      return decoded;
+    }
+  } catch (error) {
+    // Fall through to the invalid cursor result
+  }
+  return null;
+}
+
+// Accept both repeated and comma-separated query parameters
+function queryList(value) {
+  if (value === undefined) return [];
+  return []
+    .concat(value)
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Parse the query of GET /api/orders into listOrders() options, collecting an
+// error per invalid parameter
+function parseOrderListQuery(query) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+
+  const limit =
+    query.limit === undefined ? ORDER_LIST_DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > ORDER_LIST_MAX_LIMIT) {
+    fail("limit", `must be an integer between 1 and ${ORDER_LIST_MAX_LIMIT}`);
+  }
+
+  const sortField = query.sort || "submittedAt";
+  const sort = ORDER_LIST_SORTS[sortField];
+  if (!sort || !ORDER_SORT_COLUMNS.includes(sort)) {
+    fail("sort", `must be one of ${Object.keys(ORDER_LIST_SORTS).join(", ")}`);
+  }
+
+  const direction = (query.order || "desc").toLowerCase();
+  if (direction !== "asc" && direction !== "desc") {
+    fail("order", "must be asc or desc");
+  }
+
+  const statuses = queryList(query.status).map((s) => s.toUpperCase());
+  const unknownStatuses = statuses.filter((s) => !ORDER_STATUSES.includes(s));
+  if (unknownStatuses.length > 0) {
+    fail("status", `must be one of ${ORDER_STATUSES.join(", ")}`);
+  }
+
+  const priorities = queryList(query.priority).map((p) => p.toUpperCase());
+  if (priorities.some((p) => !PRIORITIES.includes(p))) {
+    fail("priority", `must be one of ${PRIORITIES.join(", ")}`);
+  }
+
+  // submittedTo is inclusive; a plain date covers that whole day
+  const parseDate = (name) => {
+    if (query[name] === undefined) return null;
+    const date = new Date(query[name]);
+    if (Number.isNaN(date.getTime())) {
+      fail(name, "must be an ISO 8601 date or timestamp");
+      return null;
+    }
+    return date;
+  };
+  const submittedFrom = parseDate("submittedFrom");
+  const submittedTo = parseDate("submittedTo");
+  let submittedBefore = null;
+  if (submittedTo) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(query.submittedTo);
+    submittedBefore = new Date(
+      submittedTo.getTime() + (dateOnly ? 24 * 60 * 60000 : 1)
+    );
+  }
+
+  let after = null;
+  if (query.cursor !== undefined) {
+    after = decodeOrderCursor(String(query.cursor));
+    if (!after) {
+      fail("cursor", "is not a valid cursor");
+    } else if (after.sort !== sort || after.direction !== direction) {
+      fail("cursor", "was issued for a different sort order");
+    }
+  }
+
+  return {
+    errors,
+    options: {
+      statuses,
+      clientId: query.clientId || null,
+      priorities,
+      assignedDriver: query.assignedDriver || null,
+      submittedFrom,
+      submittedBefore,
+      search: query.q ? String(query.q).trim() || null : null,
+      sort,
+      direction,
+      limit,
+      after,
+    },
+  };
+}
+
+// The clientId filter of a listing: the clientId query parameter, or for
+// client users always their own client. Undefined when a client user asks
+// for another client.
+function listedClientId(req) {
+  const callerClientId = clientScope(req.identity);
+  const requested = req.query.clientId || null;
+  if (!callerClientId) {
+    return requested;
+  }
+  return !requested || requested === callerClientId
+    ? callerClientId
+    : undefined;
+}
+
+app.get("/api/orders", async (req, res) => {
+  const { errors, options } = parseOrderListQuery(req.query);
+
+  if (errors.length > 0) {
+    logger.warn("Order listing rejected: invalid query", { errors });
+    return res.status(400).json({
+      error: "Invalid order listing query",
+      details: errors,
+    });
+  }
+
+  // Client users only list their own client's orders
+  options.clientId = listedClientId(req);
+  if (options.clientId === undefined) {
+    return res.status(403).json({
+      error: "Cannot list the data of another client",
+      clientId: req.query.clientId,
+    });
+  }
+
+  try {
+    logger.info("Retrieving orders", {
+      filters: {
+        status: options.statuses,
+        clientId: options.clientId,
+        priority: options.priorities,
+        assignedDriver: options.assignedDriver,
+        search: options.search,
+      },
+      sort: options.sort,
+      direction: options.direction,
+      limit: options.limit,
+      paged: Boolean(options.after),
+    });
+
+    const { orders, hasMore, totalCount, statusCounts } =
+      await orderRepo.listOrders(options);
+
+    logger.info(
+      `Retrieved ${orders.length} of ${totalCount} orders from database`
+    );
+
+    res.json({
+      ok: true,
+      orders: orders.map((order) => ({
+        order_id: order.id,
+        client_id: order.client_id,
+        status: order.status,
+        priority: order.priority,
+        total_packages: order.total_packages,
+        total_delivery_addresses: order.total_delivery_addresses,
+        assigned_driver_id: order.assigned_driver_id,
+        submitted_at: order.submitted_at,
+        created_at: order.created_at,
+        updated_at: order.updated_at,
+        customer_name: order.customer_name || "Unknown", // Fallback for missing field
+      })),
+      pagination: {
+        limit: options.limit,
+        sort: req.query.sort || "submittedAt",
+        order: options.direction,
+        hasMore,
+        nextCursor:
+          hasMore && orders.length > 0
+            ? encodeOrderCursor(
+                options.sort,
+                options.direction,
+                orders[orders.length - 1]
+              )
+            : null,
+      },
+      totalCount,
+      statusCounts,
+    });
+  } catch (err) {
+    logger.error("Failed to retrieve orders", {
+      error: err.message,
+      stack: err.stack,
+    });
+
+    res.status(500).json({
+      error: "Failed to retrieve orders",
+      message: err.message,
+    });
+  }
+});
+
+// Webhook subscriptions: clients register a URL, the event types they want
+// (all when empty) and a signing secret; deliveries are HMAC-signed
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function toWebhookResponse(subscription) {
+  return {
+    id: subscription.id,
+    clientId: subscription.client_id,
+    url: subscription.url,
+    eventTypes: subscription.event_types,
+    active: subscription.active,
+    createdAt: subscription.created_at,
+    updatedAt: subscription.updated_at,
+  };
+}
+
+function toDeliveryResponse(delivery) {
+  return {
+    id: delivery.id,
+    subscriptionId: delivery.subscription_id,
+    eventType: delivery.event_type,
+    orderId: delivery.order_id,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt:
+      delivery.status === "PENDING" || delivery.status === "RETRYING"
+        ? delivery.next_attempt_at
+        : null,
+    lastStatusCode: delivery.last_status_code,
+    lastError: delivery.last_error,
+    deliveredAt: delivery.delivered_at,
+    createdAt: delivery.created_at,
+    attemptLog: delivery.attempt_log?.map((attempt) => ({
+      attempt: attempt.attempt_number,
+      statusCode: attempt.status_code,
+      error: attempt.error,
+      durationMs: attempt.duration_ms,
+      attemptedAt: attempt.attempted_at,
+    })),
+  };
+}
+
+// Register a webhook subscription
+app.post("/api/webhooks", async (req, res) => {
+  const {
+    clientId = clientScope(req.identity),
+    url,
+    eventTypes = [],
+    secret,
+  } = req.body || {};
+
+  if (!clientId) {
+    return res.status(400).json({ error: "clientId is required" });
+  }
+  if (!canActForClient(req.identity, clientId)) {
+    return res.status(403).json({
+      error: "Webhooks can only be registered for your own client",
+      clientId,
+    });
+  }
+
+  // Webhooks may not target the services' own network
+  let parsedUrl;
+  try {
+    parsedUrl = await webhookDispatcher.validateUrl(url);
+  } catch (error) {
+    return res.status(400).json({ error: error.message, url });
+  }
+
+  if (
+    !Array.isArray(eventTypes) ||
+    eventTypes.some((eventType) => typeof eventType !== "string")
+  ) {
+    return res
+      .status(400)
+      .json({ error: "eventTypes must be an array of event type names" });
+  }
+
+  if (
+    secret !== undefined &&
+    (typeof secret !== "string" || secret.length < 16)
+  ) {
+    return res
+      .status(400)
+      .json({ error: "secret must be a string of at least 16 characters" });
+  }
+
+  try {
+    const subscription = await webhookRepo.createSubscription({
+      clientId,
+      url: parsedUrl.toString(),
+      eventTypes,
+      secret: secret || crypto.randomBytes(32).toString("hex"),
+    });
+
+    logger.info(`Webhook registered for client ${clientId}`, {
+      webhookId: subscription.id,
+      url: subscription.url,
+      eventTypes,
+    });
+
+    // The signing secret is only ever returned here
+    res.status(201).json({
+      ok: true,
+      webhook: {
+        ...toWebhookResponse(subscription),
+        secret: subscription.secret,
+      },
+      signature: {
+        header: "X-SwiftTrack-Signature",
+        algorithm: "HMAC-SHA256",
+        signedContent: "<X-SwiftTrack-Timestamp>.<raw request body>",
+      },
+    });
+  } catch (err) {
+    // foreign_key_violation: the client does not exist
+    if (err.code === "23503") {
+      return res.status(400).json({ error: "Unknown clientId", clientId });
+    }
+
+    logger.error("Failed to register webhook", {
+      error: err.message,
+      stack: err.stack,
+    });
+    res.status(500).json({
+      error: "Failed to register webhook",
+      message: err.message,
+    });
+  }
+});
+
+// List webhook subscriptions
+app.get("/api/webhooks", async (req, res) => {
+  const clientId = listedClientId(req);
+  if (clientId === undefined) {
+    return res.status(403).json({
+      error: "Cannot list the data of another client",
+      clientId: req.query.clientId,
+    });
+  }
+
+  try {
+    const subscriptions = await webhookRepo.listSubscriptions(clientId);
+    res.json({ ok: true, webhooks: subscriptions.map(toWebhookResponse) });
+  } catch (err) {
+    logger.error("Failed to list webhooks", { error: err.message });
+    res.status(500).json({
+      error: "Failed to list webhooks",
+      message: err.message,
+    });
+  }
+});
+
+// List dead-lettered deliveries that have not been replayed
+app.get("/api/webhooks/dead-letters", async (req, res) => {
+  const { webhookId } = req.query;
+  if (webhookId && !UUID_PATTERN.test(webhookId)) {
+    return res.status(400).json({ error: "Invalid webhookId" });
+  }
+
+  try {
+    const deadLetters = await webhookRepo.listDeadLetters({
+      subscriptionId: webhookId || null,
+      clientId: clientScope(req.identity),
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+    });
+
+    res.json({
+      ok: true,
+      deadLetters: deadLetters.map((deadLetter) => ({
+        id: deadLetter.id,
+        deliveryId: deadLetter.delivery_id,
+        webhookId: deadLetter.subscription_id,
+        eventType: deadLetter.event_type,
+        orderId: deadLetter.order_id,
+        attempts: deadLetter.attempts,
+        lastError: deadLetter.last_error,
+        deadLetteredAt: deadLetter.dead_lettered_at,
+        replay: `/api/webhooks/deliveries/${deadLetter.delivery_id}/replay`,
+      })),
+    });
+  } catch (err) {
+    logger.error("Failed to list webhook dead letters", {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Failed to list webhook dead letters",
+      message: err.message,
+    });
+  }
+});
+
+// Deactivate a webhook subscription
+app.delete("/api/webhooks/:webhookId", async (req, res) => {
+  const { webhookId } = req.params;
+
+  try {
+    const subscription = UUID_PATTERN.test(webhookId)
+      ? await webhookRepo.deactivateSubscription(webhookId, {
+          clientId: clientScope(req.identity),
+        })
+      : null;
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Webhook not found", webhookId });
+    }
+
+    logger.info(`Webhook ${webhookId} deactivated`);
+    res.json({ ok: true, webhook: toWebhookResponse(subscription) });
+  } catch (err) {
+    logger.error(`Failed to deactivate webhook ${webhookId}`, {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Failed to deactivate webhook",
+      message: err.message,
+    });
+  }
+});
+
+// List the deliveries of a webhook with every attempt
+app.get("/api/webhooks/:webhookId/deliveries", async (req, res) => {
+  const { webhookId } = req.params;
+  const status = req.query.status?.toUpperCase() || null;
+
+  if (
+    status &&
+    !["PENDING", "RETRYING", "DELIVERED", "DEAD"].includes(status)
+  ) {
+    return res.status(400).json({
+      error: "status must be one of PENDING, RETRYING, DELIVERED, DEAD",
+    });
+  }
+
+  try {
+    const subscription = UUID_PATTERN.test(webhookId)
+      ? await webhookRepo.getSubscription(webhookId, {
+          clientId: clientScope(req.identity),
+        })
+      : null;
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Webhook not found", webhookId });
+    }
+
+    const deliveries = await webhookRepo.listDeliveries(webhookId, {
+      status,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+    });
+
+    res.json({
+      ok: true,
+      webhook: toWebhookResponse(subscription),
+      deliveries: deliveries.map(toDeliveryResponse),
+    });
+  } catch (err) {
+    logger.error(`Failed to list deliveries for webhook ${webhookId}`, {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Failed to list webhook deliveries",
+      message: err.message,
+    });
+  }
+});
+
+// Send a delivery again, e.g. after the receiver has been fixed
+app.post("/api/webhooks/deliveries/:deliveryId/replay", async (req, res) => {
+  const { deliveryId } = req.params;
+
+  try {
+    const delivery = UUID_PATTERN.test(deliveryId)
+      ? await webhookRepo.replayDelivery(deliveryId, {
+          clientId: clientScope(req.identity),
+        })
+      : null;
+
+    if (!delivery) {
+      return res
+        .status(404)
+        .json({ error: "Webhook delivery not found", deliveryId });
+    }
+
+    logger.info(`Webhook delivery ${deliveryId} queued for replay`, {
+      eventType: delivery.event_type,
+      orderId: delivery.order_id,
+    });
+
+    webhookDispatcher.deliverDue();
+
+    res.status(202).json({
+      ok: true,
+      delivery: toDeliveryResponse(delivery),
+    });
+  } catch (err) {
+    logger.error(`Failed to replay webhook delivery ${deliveryId}`, {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Failed to replay webhook delivery",
+      message: err.message,
+    });
+  }
+});
+
+// Notification recipients: the email addresses and phone numbers a client
+// wants order events sent to, in their language. The notification service
+// sends them from its templates.
+const NOTIFICATION_CHANNELS = ["EMAIL", "SMS"];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// E.164, e.g. +94771234567
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/;
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+function toRecipientResponse(recipient) {
+  return {
+    id: recipient.id,
+    clientId: recipient.client_id,
+    channel: recipient.channel,
+    address: recipient.address,
+    language: recipient.language,
+    eventTypes: recipient.event_types,
+    active: recipient.active,
+    createdAt: recipient.created_at,
+    updatedAt: recipient.updated_at,
+  };
+}
+
+// Register an email or SMS recipient
+app.post("/api/notification-recipients", async (req, res) => {
+  const {
+    clientId = clientScope(req.identity),
+    channel,
+    address,
+    language = "en",
+    eventTypes = [],
+  } = req.body || {};
+
+  if (!clientId) {
+    return res.status(400).json({ error: "clientId is required" });
+  }
+  if (!canActForClient(req.identity, clientId)) {
+    return res.status(403).json({
+      error: "Recipients can only be registered for your own client",
+      clientId,
+    });
+  }
+  if (!NOTIFICATION_CHANNELS.includes(channel)) {
+    return res.status(400).json({ error: "channel must be one of EMAIL, SMS" });
+  }
+  const addressPattern = channel === "EMAIL" ? EMAIL_PATTERN : PHONE_PATTERN;
+  if (typeof address !== "string" || !addressPattern.test(address)) {
+    return res.status(400).json({
+      error:
+        channel === "EMAIL"
+          ? "address must be an email address"
+          : "address must be a phone number in E.164 format, e.g. +94771234567",
+    });
+  }
+  if (typeof language !== "string" || !LANGUAGE_PATTERN.test(language)) {
+    return res
+      .status(400)
+      .json({ error: "language must be a language code such as en or si" });
+  }
+  if (
+    !Array.isArray(eventTypes) ||
+    eventTypes.some((eventType) => typeof eventType !== "string")
+  ) {
+    return res
+      .status(400)
+      .json({ error: "eventTypes must be an array of event type names" });
+  }
+
+  try {
+    const recipient = await notificationRepo.createRecipient({
+      clientId,
+      channel,
+      address,
+      language,
+      eventTypes,
+    });
+
+    logger.info(`Notification recipient registered for client ${clientId}`, {
+      recipientId: recipient.id,
+      channel,
+      language,
+      eventTypes,
+    });
+    res
+      .status(201)
+      .json({ ok: true, recipient: toRecipientResponse(recipient) });
+  } catch (err) {
+    // foreign_key_violation: the client does not exist
+    if (err.code === "23503") {
+      return res.status(400).json({ error: "Unknown clientId", clientId });
+    }
+    // unique_violation: the address is already an active recipient
+    if (err.code === "23505") {
+      return res.status(409).json({
+        error: "Address is already registered for this client",
+        clientId,
+        channel,
+      });
+    }
+
+    logger.error("Failed to register notification recipient", {
+      error: err.message,
+      stack: err.stack,
+    });
+    res.status(500).json({
+      error: "Failed to register notification recipient",
+      message: err.message,
+    });
+  }
+});
+
+// List notification recipients
+app.get("/api/notification-recipients", async (req, res) => {
+  const clientId = listedClientId(req);
+  if (clientId === undefined) {
+    return res.status(403).json({
+      error: "Cannot list the data of another client",
+      clientId: req.query.clientId,
+    });
+  }
+
+  try {
+    const recipients = await notificationRepo.listRecipients(clientId);
+    res.json({ ok: true, recipients: recipients.map(toRecipientResponse) });
+  } catch (err) {
+    logger.error("Failed to list notification recipients", {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Failed to list notification recipients",
+      message: err.message,
+    });
+  }
+});
+
+// Stop sending notifications to a recipient
+app.delete("/api/notification-recipients/:recipientId", async (req, res) => {
+  const { recipientId } = req.params;
+
+  try {
+    const recipient = UUID_PATTERN.test(recipientId)
+      ? await notificationRepo.deactivateRecipient(recipientId, {
+          clientId: clientScope(req.identity),
+        })
+      : null;
+
+    if (!recipient) {
+      return res
+        .status(404)
+        .json({ error: "Notification recipient not found", recipientId });
+    }
+
+    logger.info(`Notification recipient ${recipientId} deactivated`);
+    res.json({ ok: true, recipient: toRecipientResponse(recipient) });
+  } catch (err) {
+    logger.error(`Failed to deactivate notification recipient ${recipientId}`, {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Failed to deactivate notification recipient",
+      message: err.message,
+    });
+  }
+});
+
+// List the notifications sent to a recipient
+app.get(
+  "/api/notification-recipients/:recipientId/deliveries",
+  async (req, res) => {
+    const { recipientId } = req.params;
+
+    try {
+      const recipient = UUID_PATTERN.test(recipientId)
+        ? await notificationRepo.getRecipient(recipientId, {
+            clientId: clientScope(req.identity),
+          })
+        : null;
+
+      if (!recipient) {
+        return res
+          .status(404)
+          .json({ error: "Notification recipient not found", recipientId });
+      }
+
+      const deliveries = await notificationRepo.listDeliveries(recipientId, {
+        limit: Math.min(parseInt(req.query.limit) || 50, 500),
+      });
+
+      res.json({
+        ok: true,
+        recipient: toRecipientResponse(recipient),
+        deliveries: deliveries.map((delivery) => ({
+          id: delivery.id,
+          eventId: delivery.event_id,
+          eventType: delivery.event_type,
+          orderId: delivery.order_id,
+          status: delivery.status,
+          attempts: delivery.attempts,
+          providerMessageId: delivery.provider_message_id,
+          lastError: delivery.last_error,
+          sentAt: delivery.sent_at,
+          createdAt: delivery.created_at,
+        })),
+      });
+    } catch (err) {
+      logger.error(
+        `Failed to list deliveries for notification recipient ${recipientId}`,
+        { error: err.message }
+      );
+      res.status(500).json({
+        error: "Failed to list notification deliveries",
+        message: err.message,
+      });
+    }
+  }
+);
+
+// Dead-lettered Kafka events: messages a consumer group gave up on after its
+// retries, archived from the dead-letter topic so that they can be inspected
+// and re-driven onto the topic they came from
+async function archiveDeadLetter(message, { topic, partition }) {
+  const info = deadLetterInfo(message.headers);
+  const value = message.value?.toString() ?? null;
+
+  let event = {};
+  try {
+    event = JSON.parse(value) || {};
+  } catch {
+    // Unparseable messages are kept as they are
+  }
+
+  const deadLetter = await deadLetterRepo.archive({
+    dlqTopic: topic,
+    dlqPartition: partition,
+    dlqOffset: message.offset,
+    originalTopic: info.originalTopic || TOPIC,
+    originalPartition: Number.isNaN(info.originalPartition)
+      ? null
+      : info.originalPartition,
+    originalOffset: info.originalOffset || null,
+    consumerGroup: info.consumerGroup || "unknown",
+    eventId: UUID_PATTERN.test(message.headers?.["event-id"]?.toString())
+      ? message.headers["event-id"].toString()
+      : null,
+    eventType: typeof event.eventType === "string" ? event.eventType : null,
+    orderId: message.key?.toString() || null,
+    messageKey: message.key?.toString() ?? null,
+    messageValue: value,
+    headers: originalHeaders(message.headers),
+    attempts: info.attempts || 1,
+    errorName: info.errorName || null,
+    errorMessage: info.errorMessage || null,
+    failedAt: info.failedAt || null,
+  });
+
+  if (deadLetter) {
+    logger.warn(`Dead-lettered event archived`, {
+      deadLetterId: deadLetter.id,
+      consumerGroup: deadLetter.consumer_group,
+      eventType: deadLetter.event_type,
+      orderId: deadLetter.order_id,
+      error: deadLetter.error_message,
+    });
+  }
+}
+
+function toDeadLetterResponse(deadLetter, { withMessage = false } = {}) {
+  const response = {
+    id: deadLetter.id,
+    consumerGroup: deadLetter.consumer_group,
+    eventId: deadLetter.event_id,
+    eventType: deadLetter.event_type,
+    orderId: deadLetter.order_id,
+    original: {
+      topic: deadLetter.original_topic,
+      partition: deadLetter.original_partition,
+      offset: deadLetter.original_offset,
+    },
+    attempts: deadLetter.attempts,
+    error: {
+      name: deadLetter.error_name,
+      message: deadLetter.error_message,
+    },
+    failedAt: deadLetter.failed_at,
+    deadLetteredAt: deadLetter.dead_lettered_at,
+    redrivenAt: deadLetter.redriven_at,
+    redriveCount: deadLetter.redrive_count,
+    redrive: `/api/admin/dead-letters/${deadLetter.id}/redrive`,
+  };
+  if (!withMessage) {
+    return response;
+  }
+
+  // The value is returned parsed when it is JSON, raw otherwise
+  let value = deadLetter.message_value;
+  try {
+    value = JSON.parse(value);
+  } catch {
+    // Left as the raw string
+  }
+  return {
+    ...response,
+    message: {
+      key: deadLetter.message_key,
+      headers: deadLetter.headers,
+      value,
+    },
+  };
+}
+
+// List dead-lettered events, newest first
+app.get("/api/admin/dead-letters", async (req, res) => {
+  const { consumerGroup, orderId, redriven } = req.query;
+  if (redriven && !["true", "false"].includes(redriven)) {
+    return res.status(400).json({ error: "redriven must be true or false" });
+  }
+
+  try {
+    const deadLetters = await deadLetterRepo.listDeadLetters({
+      consumerGroup: consumerGroup || null,
+      orderId: orderId || null,
+      redriven: redriven ? redriven === "true" : null,
+      limit: Math.min(parseInt(req.query.limit) || 50, 500),
+    });
+
+    res.json({
+      ok: true,
+      deadLetters: deadLetters.map((deadLetter) =>
+        toDeadLetterResponse(deadLetter)
+      ),
     });
   } catch (err) {
-    logger.error(`Failed to retrieve order ${req.params.orderId}`, {
+    logger.error("Failed to list dead-lettered events", {
       error: err.message,
-      stack: err.stack,
     });
-
     res.status(500).json({
-      error: "Failed to retrieve order",
+      error: "Failed to list dead-lettered events",
       message: err.message,
     });
   }
 });
 
-// Get order status by ID
-app.get("/api/orders/:orderId/status", async (req, res) => {
-  try {
-    const { orderId } = req.params;
-
-    logger.info(`Retrieving order status for ${orderId}`);
-
-    const order = await orderRepo.getOrderById(orderId);
-
-    if (!order) {
-      logger.warn(`Order not found: ${orderId}`);
-      return res.status(404).json({
-        error: "Order not found",
-        orderId,
-      });
-    }
-
-    // Get order events to show processing steps
-    const events = await orderRepo.getOrderEvents(orderId);
-
-    // Calculate processing progress
-    const totalSteps = 3; // CMS, WMS, ROS
-    let completedSteps = 0;
-    let currentStage = "QUEUED";
-    let estimatedCompletion = "2-5 minutes";
-
-    if (order.cms_verified_at) completedSteps++;
-    if (order.wms_registered_at) completedSteps++;
-    if (order.ros_optimized_at) completedSteps++;
+// Inspect a dead-lettered event, including the message as it was consumed
+app.get("/api/admin/dead-letters/:deadLetterId", async (req, res) => {
+  const { deadLetterId } = req.params;
 
-    // Determine current processing stage
-    if (order.ready_for_delivery_at) {
-      currentStage = "READY_FOR_DELIVERY";
-      estimatedCompletion = "COMPLETED";
-    } else if (order.ros_optimized_at) {
-      currentStage = "FINALIZING";
-      estimatedCompletion = "< 1 minute";
-    } else if (order.wms_registered_at) {
-      currentStage = "ROS_PROCESSING";
-      estimatedCompletion = "1-2 minutes";
-    } else if (order.cms_verified_at) {
-      currentStage = "WMS_PROCESSING";
-      estimatedCompletion = "1-3 minutes";
-    } else if (order.status === "PROCESSING") {
-      currentStage = "CMS_PROCESSING";
-      estimatedCompletion = "2-4 minutes";
+  try {
+    const deadLetter = UUID_PATTERN.test(deadLetterId)
+      ? await deadLetterRepo.getDeadLetter(deadLetterId)
+      : null;
+
+    if (!deadLetter) {
+      return res
+        .status(404)
+        .json({ error: "Dead-lettered event not found", deadLetterId });
     }
 
-    const progressPercentage = Math.round((completedSteps / totalSteps) * 100);
-
-    logger.info(`Order status retrieved for ${orderId}`, {
-      status: order.status,
-      currentStage,
-      progress: `${completedSteps}/${totalSteps}`,
-      eventsCount: events.length,
-    });
-
     res.json({
       ok: true,
-      orderId: order.id,
-      status: order.status,
-      priority: order.priority,
-
-      // Asynchronous processing information
-      processing: {
-        mode: "ASYNCHRONOUS",
-        currentStage,
-        progress: {
-          completed: completedSteps,
-          total: totalSteps,
-          percentage: progressPercentage,
-        },
-        estimatedCompletion,
-        distributedTransaction: {
-          sagaPattern: true,
-          faultTolerance: "enabled",
-          eventualConsistency: true,
-        },
-      },
-
-      // Detailed step tracking
-      steps: [
-        {
-          step: "CMS_VERIFICATION",
-          name: "Contract Verification",
-          status: order.cms_verified_at
-            ? "COMPLETED"
-            : currentStage === "CMS_PROCESSING"
-            ? "IN_PROGRESS"
-            : "PENDING",
-          timestamp: order.cms_verified_at,
-          estimatedDuration: "30-90 seconds",
-        },
-        {
-          step: "WMS_REGISTRATION",
-          name: "Package Registration",
-          status: order.wms_registered_at
-            ? "COMPLETED"
-            : currentStage === "WMS_PROCESSING"
-            ? "IN_PROGRESS"
-            : "PENDING",
-          timestamp: order.wms_registered_at,
-          estimatedDuration: "45-120 seconds",
-        },
-        {
-          step: "ROS_OPTIMIZATION",
-          name: "Route Optimization",
-          status: order.ros_optimized_at
-            ? "COMPLETED"
-            : currentStage === "ROS_PROCESSING"
-            ? "IN_PROGRESS"
-            : "PENDING",
-          timestamp: order.ros_optimized_at,
-          estimatedDuration: "60-180 seconds",
-        },
-      ],
-
-      // Service-specific results (if available)
-      results: {
-        cms: order.cms_verified_at
-          ? {
-              contractId: order.contract_id,
-              billingStatus: order.billing_status,
-              estimatedCost: order.estimated_cost,
-              verifiedAt: order.cms_verified_at,
-            }
-          : null,
-
-        wms: order.wms_registered_at
-          ? {
-              packageId: order.warehouse_package_id,
-              warehouseLocation: order.warehouse_location,
-              registeredAt: order.wms_registered_at,
-            }
-          : null,
-
-        ros: order.ros_optimized_at
-          ? {
-              routeId: order.route_id,
-              assignedDriver: order.assigned_driver_id,
-              assignedVehicle: order.assigned_vehicle_id,
-              estimatedDelivery: order.estimated_delivery_time,
-              optimizedAt: order.ros_optimized_at,
-            }
-          : null,
-      },
-
-      // Real-time tracking
-      tracking: {
-        submittedAt: order.submitted_at,
-        lastUpdated: order.updated_at,
-        processingEvents: events.length,
-        realTimeUpdates: "available",
-        webhookSupport: "enabled",
-      },
-
-      // Actions available to client
-      actions: {
-        cancel: order.status === "PROCESSING" ? "available" : "not_available",
-        modify: "not_available_during_processing",
-        track: "real_time_available",
-        estimate: "dynamic_updates",
-      },
+      deadLetter: toDeadLetterResponse(deadLetter, { withMessage: true }),
     });
   } catch (err) {
-    logger.error(`Failed to retrieve order status ${req.params.orderId}`, {
+    logger.error(`Failed to retrieve dead-lettered event ${deadLetterId}`, {
       error: err.message,
-      stack: err.stack,
     });
-
     res.status(500).json({
-      error: "Failed to retrieve order status",
+      error: "Failed to retrieve dead-lettered event",
       message: err.message,
     });
   }
 });
 
-// Get all orders
-app.get("/api/orders", async (req, res) => {
+// Publish a dead-lettered event on its original topic again, e.g. after the
+// failing consumer has been fixed. Every consumer group receives it again;
+// those that already processed it skip it by its event ID.
+app.post("/api/admin/dead-letters/:deadLetterId/redrive", async (req, res) => {
+  const { deadLetterId } = req.params;
+
   try {
-    logger.info("Retrieving all orders");
+    const deadLetter = UUID_PATTERN.test(deadLetterId)
+      ? await deadLetterRepo.getDeadLetter(deadLetterId)
+      : null;
+
+    if (!deadLetter) {
+      return res
+        .status(404)
+        .json({ error: "Dead-lettered event not found", deadLetterId });
+    }
 
-    const orders = await orderRepo.getAllOrders();
+    await redriveMessage({
+      topic: deadLetter.original_topic,
+      key: deadLetter.message_key,
+      value: deadLetter.message_value,
+      headers: deadLetter.headers,
+      eventType: deadLetter.event_type,
+    });
+    const redriven = await deadLetterRepo.markRedriven(deadLetterId);
 
-    logger.info(`Retrieved ${orders.length} orders from database`);
+    logger.info(`Dead-lettered event ${deadLetterId} re-driven`, {
+      topic: deadLetter.original_topic,
+      consumerGroup: deadLetter.consumer_group,
+      eventType: deadLetter.event_type,
+      orderId: deadLetter.order_id,
+    });
 
-    res.json({
+    res.status(202).json({
       ok: true,
-      orders: orders.map((order) => ({
-        order_id: order.id,
-        client_id: order.client_id,
-        status: order.status,
-        priority: order.priority,
-        total_packages: order.total_packages,
-        total_delivery_addresses: order.total_delivery_addresses,
-        created_at: order.created_at,
-        updated_at: order.updated_at,
-        customer_name: order.customer_name || "Unknown", // Fallback for missing field
-      })),
+      deadLetter: toDeadLetterResponse(redriven),
     });
   } catch (err) {
-    logger.error("Failed to retrieve orders", {
+    logger.error(`Failed to re-drive dead-lettered event ${deadLetterId}`, {
       error: err.message,
-      stack: err.stack,
     });
-
     res.status(500).json({
-      error: "Failed to retrieve orders",
+      error: "Failed to re-drive dead-lettered event",
       message: err.message,
     });
   }
 });
 
-app.get("/health", (_, res) => {
+// Prometheus scrape endpoint
+app.get("/metrics", async (_, res) => {
+  try {
+    res.set("Content-Type", metricsRegister.contentType);
+    res.end(await metricsRegister.metrics());
+  } catch (err) {
+    logger.error("Failed to collect metrics", { error: err.message });
+    res.status(500).end(err.message);
+  }
+});
+
+app.get("/health", async (_, res) => {
   logger.debug("Health check endpoint called");
-  res.json({
-    status: "ok",
-    distributedTransactions: "enabled",
-    serviceHealth: Object.keys(serviceHealth).map((service) => ({
-      service,
-      available: serviceHealth[service].available,
-      consecutiveFailures: serviceHealth[service].consecutiveFailures,
-      lastFailure: serviceHealth[service].lastFailure,
-    })),
-    faultTolerance: {
-      circuitBreakerThreshold: CIRCUIT_BREAKER_THRESHOLD,
-      circuitBreakerTimeout: CIRCUIT_BREAKER_TIMEOUT,
-      maxRetryAttempts: MAX_RETRY_ATTEMPTS,
-      retryDelay: RETRY_DELAY_MS,
-    },
-  });
+  try {
+    res.json({
+      status: "ok",
+      distributedTransactions: "enabled",
+      serviceHealth: await serviceHealthSnapshot(),
+      faultTolerance: {
+        circuitStateStore: REDIS_URL ? "redis" : "memory",
+        circuitBreakerPolicies: Object.fromEntries(
+          Object.values(circuitBreakers).map((breaker) => [
+            breaker.service,
+            breaker.policy,
+          ])
+        ),
+        maxRetryAttempts: MAX_RETRY_ATTEMPTS,
+        retryDelay: RETRY_DELAY_MS,
+        retryMode: "DURABLE_SCHEDULED",
+        retryPollInterval: SAGA_RETRY_POLL_INTERVAL_MS,
+      },
+    });
+  } catch (err) {
+    logger.error("Health check failed", { error: err.message });
+    res.status(500).json({
+      error: "Health check failed",
+      message: err.message,
+    });
+  }
 });
 
+const CIRCUIT_SERVICE_STATUS = {
+  [CIRCUIT_STATES.CLOSED]: "available",
+  [CIRCUIT_STATES.HALF_OPEN]: "half_open",
+  [CIRCUIT_STATES.OPEN]: "circuit_open",
+};
+
 // Service health monitoring endpoint
-app.get("/api/services/health", (_, res) => {
+app.get("/api/services/health", async (_, res) => {
   logger.debug("Service health monitoring endpoint called");
 
+  let snapshots;
+  try {
+    snapshots = await circuitSnapshots();
+  } catch (err) {
+    logger.error("Failed to read circuit breaker states", {
+      error: err.message,
+    });
+    return res.status(500).json({
+      error: "Failed to read service health",
+      message: err.message,
+    });
+  }
   const healthSummary = {
-    overall: Object.values(serviceHealth).every((s) => s.available)
+    overall: snapshots.every((s) => s.state === CIRCUIT_STATES.CLOSED)
       ? "healthy"
       : "degraded",
-    services: Object.keys(serviceHealth).map((service) => {
-      const health = serviceHealth[service];
-      return {
-        service: service.toUpperCase(),
-        status: health.available ? "available" : "circuit_open",
-        consecutiveFailures: health.consecutiveFailures,
-        lastFailure: health.lastFailure,
-        nextRetryAllowed: health.lastFailure
-          ? new Date(health.lastFailure + CIRCUIT_BREAKER_TIMEOUT).toISOString()
-          : null,
-      };
-    }),
+    services: snapshots.map((snapshot) => ({
+      service: snapshot.service.toUpperCase(),
+      status: CIRCUIT_SERVICE_STATUS[snapshot.state],
+      circuitState: snapshot.state,
+      errorRate: snapshot.errorRate,
+      callsInWindow: snapshot.calls,
+      failuresInWindow: snapshot.failures,
+      trialsInFlight: snapshot.trialsInFlight,
+      lastFailure: snapshot.lastFailure,
+      openedAt: snapshot.openedAt,
+      nextRetryAllowed: snapshot.nextAttemptAt,
+      lastStateChange: snapshot.lastStateChange,
+      policy: snapshot.policy,
+    })),
     distributedTransactions: {
       enabled: true,
       sagaPattern: true,
@@ -1240,23 +4274,36 @@ app.get("/api/services/health", (_, res) => {
   res.json(healthSummary);
 });
 
-// Manual service recovery endpoint for testing
-app.post("/api/services/:service/recover", (req, res) => {
+// Manual service recovery endpoint. With a shared circuit store the breaker
+// is closed for every instance.
+app.post("/api/services/:service/recover", async (req, res) => {
   const { service } = req.params;
 
-  if (!serviceHealth[service]) {
+  const breaker = findCircuitBreaker(service);
+  if (!breaker) {
     return res.status(404).json({ error: "Service not found" });
   }
 
-  recordServiceSuccess(service);
+  try {
+    await breaker.reset("Manual recovery");
 
-  logger.info(`Manual service recovery triggered for ${service}`);
+    logger.info(`Manual service recovery triggered for ${service}`);
 
-  res.json({
-    message: `Service ${service} manually recovered`,
-    service: service,
-    newStatus: serviceHealth[service],
-  });
+    res.json({
+      message: `Service ${service} manually recovered`,
+      service: service,
+      newStatus: await breaker.snapshot(),
+    });
+  } catch (err) {
+    logger.error(`Manual recovery of ${service} failed`, {
+      error: err.message,
+    });
+    res.status(500).json({
+      error: "Service recovery failed",
+      service,
+      message: err.message,
+    });
+  }
 });
 
 app.listen(PORT, async () => {
@@ -1270,17 +4317,35 @@ app.listen(PORT, async () => {
     faultTolerance: "ENABLED",
     consistencyModel: "EVENTUAL_CONSISTENCY",
   });
+  if (!AUTH_JWT_SECRET) {
+    logger.warn("AUTH_JWT_SECRET is not set; every API request is refused");
+  }
 
   try {
-    await ensureTopic(TOPIC);
-    logger.info(`Kafka topic '${TOPIC}' ensured`);
+    const partitions = await ensureTopic(TOPIC);
+    logger.info(`Kafka topic '${TOPIC}' ensured`, { partitions });
+    await ensureTopic(deadLetterTopic(TOPIC));
 
     await startProducer();
     logger.info("Kafka producer started successfully");
 
-    // Start Kafka consumer for handling retry events and distributed transaction coordination
-    await startConsumer(TOPIC, async (message) => {
-      try {
+    // Publish the events queued in the outbox, including those written
+    // while Kafka or this instance was down
+    outboxRelay.start();
+    purgeDeliveredEvents();
+    setInterval(() => purgeDeliveredEvents(), OUTBOX_PURGE_INTERVAL_MS);
+    logger.info("Outbox relay started", {
+      batchSize: outboxRelay.batchSize,
+      pollInterval: outboxRelay.pollIntervalMs,
+      retention: OUTBOX_RETENTION_MS,
+    });
+
+    // Start Kafka consumer for handling retry events and distributed transaction coordination.
+    // Redelivered events are skipped by their event ID; events the handler
+    // keeps failing on are dead-lettered.
+    await startConsumer(
+      TOPIC,
+      async (message) => {
         const event = JSON.parse(message.value.toString());
 
         // Handle distributed transaction start events
@@ -1296,6 +4361,18 @@ app.listen(PORT, async () => {
           // Process distributed transaction in background (non-blocking)
           setImmediate(async () => {
             try {
+              // A redelivered start event must not restart a saga that the
+              // saga log already tracks; recovery takes care of those
+              if (
+                activeSagas.has(event.orderId) ||
+                (await sagaRepo.getSaga(event.orderId))
+              ) {
+                logger.warn(`Saga already exists, ignoring start event`, {
+                  orderId: event.orderId,
+                });
+                return;
+              }
+
               await processDistributedTransaction(event.data.order);
             } catch (error) {
               logger.error(`Background transaction processing failed`, {
@@ -1312,16 +4389,21 @@ app.listen(PORT, async () => {
             eventType: event.eventType,
             orderId: event.orderId,
             retryCount: event.data.retryCount,
+            stepName: event.data.stepName,
+            nextRetryAt: event.data.nextRetryAt,
           });
 
-          // Retry logic would be implemented here
-          // For now, just log the retry attempt
+          // The saga log already holds the retry; just make sure this
+          // instance wakes up for it on time
+          armRetryWakeup(event.orderId, event.data.nextRetryAt);
         }
 
         // Handle service recovery events
         if (event.eventType.includes("SERVICE_RECOVERED")) {
           const serviceName = event.data.serviceName;
-          recordServiceSuccess(serviceName);
+          await findCircuitBreaker(serviceName)?.reset(
+            "Service recovery event"
+          );
           logger.info(`Service recovery processed`, {
             service: serviceName,
             orderId: event.orderId,
@@ -1350,17 +4432,71 @@ app.listen(PORT, async () => {
             progress: event.data.progress,
           });
         }
-      } catch (error) {
-        logger.error(`Error processing Kafka message`, {
-          error: error.message,
-          message: message.value.toString(),
-        });
-      }
-    });
+      },
+      { processedEvents: processedEventRepo }
+    );
     logger.info(
       "Kafka consumer started for distributed transaction coordination"
     );
 
+    // Deliver order events to client webhooks. The dispatcher has its own
+    // consumer group so that it sees every event on the topic.
+    await startGroupConsumer(
+      "webhook-dispatcher-group",
+      TOPIC,
+      (message) => webhookDispatcher.handleEvent(message),
+      { processedEvents: processedEventRepo }
+    );
+    webhookDispatcher.start();
+    logger.info("Webhook dispatcher started", {
+      consumerGroup: "webhook-dispatcher-group",
+      maxAttempts: webhookDispatcher.maxAttempts,
+      retryDelay: webhookDispatcher.retryDelayMs,
+    });
+
+    // Keep every dead-lettered event, from this service and from the
+    // notification service, for the admin endpoints
+    await startGroupConsumer(
+      "dead-letter-archiver",
+      deadLetterTopic(TOPIC),
+      archiveDeadLetter,
+      { fromBeginning: true }
+    );
+    logger.info("Dead-letter archiver started", {
+      topic: deadLetterTopic(TOPIC),
+    });
+
+    // Resume or compensate sagas left unfinished by a previous run of this
+    // instance, then keep sweeping for sagas abandoned by other instances
+    recoverUnfinishedSagas({ includeOwned: true });
+    setInterval(() => recoverUnfinishedSagas(), SAGA_RECOVERY_INTERVAL_MS);
+    logger.info("Saga recovery enabled", {
+      instanceId: INSTANCE_ID,
+      recoveryInterval: SAGA_RECOVERY_INTERVAL_MS,
+      staleAfter: SAGA_STALE_AFTER_MS,
+      resumeMaxAge: SAGA_RESUME_MAX_AGE_MS,
+    });
+
+    // Execute retries that fell due while no instance was running, then
+    // keep polling for retries whose wake-up event went to another instance
+    runDueRetries();
+    setInterval(() => runDueRetries(), SAGA_RETRY_POLL_INTERVAL_MS);
+    logger.info("Saga retry scheduler started", {
+      instanceId: INSTANCE_ID,
+      pollInterval: SAGA_RETRY_POLL_INTERVAL_MS,
+    });
+
+    // Forget order submissions once their idempotency keys have expired
+    purgeExpiredIdempotencyKeys();
+    setInterval(
+      () => purgeExpiredIdempotencyKeys(),
+      IDEMPOTENCY_PURGE_INTERVAL_MS
+    );
+    logger.info("Idempotency key purge enabled", {
+      keyTtl: IDEMPOTENCY_KEY_TTL_MS,
+      purgeInterval: IDEMPOTENCY_PURGE_INTERVAL_MS,
+    });
+
     logger.info(
       `Order Service is ready with distributed transaction support on ${PORT}`
     );
@@ -1,50 +1,322 @@
-import { Kafka, logLevel } from "kafkajs";
+import { Kafka, logLevel, Partitioners } from "kafkajs";
 import dotenv from "dotenv";
+import { getLogger } from "@swifttrack/logger";
+import { startSpan, traceSpan } from "@swifttrack/tracing";
+import { DEAD_LETTERED, retryWithDeadLetter } from "@swifttrack/kafka-client";
+import { kafkaMessagesConsumed, kafkaMessagesProduced } from "./metrics.js";
 dotenv.config();
 
+const logger = getLogger("order-service-kafka");
+
 const kafka = new Kafka({
   clientId: "order-service",
   brokers: process.env.KAFKA_BROKERS.split(","),
   logLevel: logLevel.NOTHING,
 });
 
-const producer = kafka.producer();
+// Order events are keyed by order ID, so all events of one order go to the
+// same partition and are consumed in the order they were published. The
+// consumers handle up to CONSUMER_CONCURRENCY partitions, and so orders, in
+// parallel.
+const TOPIC_PARTITIONS = parseInt(process.env.ORDER_EVENTS_PARTITIONS) || 6;
+const CONSUMER_CONCURRENCY =
+  parseInt(process.env.ORDER_EVENTS_CONSUMER_CONCURRENCY) || TOPIC_PARTITIONS;
+
+// A message the order-service-group handler keeps failing on is retried with
+// exponential backoff, then published to <topic>.DLQ instead of being dropped
+const CONSUMER_MAX_ATTEMPTS = parseInt(process.env.CONSUMER_MAX_ATTEMPTS) || 5;
+const CONSUMER_RETRY_DELAY_MS =
+  parseInt(process.env.CONSUMER_RETRY_DELAY_MS) || 1000;
+
+// One request in flight, so that a retried send cannot overtake the next one
+// and reorder the events of an order
+const producer = kafka.producer({
+  createPartitioner: Partitioners.DefaultPartitioner,
+  maxInFlightRequests: 1,
+});
 const consumer = kafka.consumer({ groupId: "order-service-group" });
 
+/**
+ * Create the topic with ORDER_EVENTS_PARTITIONS partitions, or add
+ * partitions to an existing topic that has fewer. Resolves with the number
+ * of partitions of the topic.
+ */
 export async function ensureTopic(topic) {
   const admin = kafka.admin();
   await admin.connect();
-  const existing = await admin.listTopics();
-  if (!existing.includes(topic)) {
-    await admin.createTopics({
-      topics: [{ topic, numPartitions: 1, replicationFactor: 1 }],
+  try {
+    const existing = await admin.listTopics();
+    if (!existing.includes(topic)) {
+      await admin.createTopics({
+        topics: [
+          { topic, numPartitions: TOPIC_PARTITIONS, replicationFactor: 1 },
+        ],
+      });
+      return TOPIC_PARTITIONS;
+    }
+
+    const metadata = await admin.fetchTopicMetadata({ topics: [topic] });
+    const partitions = metadata.topics[0].partitions.length;
+    if (partitions >= TOPIC_PARTITIONS) {
+      return partitions;
+    }
+
+    // Keys are mapped to partitions by the partition count, so orders in
+    // flight may move to another partition and have their next events
+    // consumed before the ones still queued on the old one
+    await admin.createPartitions({
+      topicPartitions: [{ topic, count: TOPIC_PARTITIONS }],
     });
+    logger.warn(
+      `Increased partitions of topic '${topic}' from ${partitions} to ${TOPIC_PARTITIONS}; events of orders in flight may be consumed out of order`
+    );
+    return TOPIC_PARTITIONS;
+  } finally {
+    await admin.disconnect();
   }
-  await admin.disconnect();
 }
 
 export async function startProducer() {
   await producer.connect();
 }
 
-export async function startConsumer(topic, messageHandler) {
+// Handle a message in a CONSUMER span continuing the trace of its producer
+function traceMessage({ topic, partition, message }, groupId, handler) {
+  return traceSpan(
+    `${topic} process`,
+    {
+      kind: "CONSUMER",
+      parent: message.headers?.traceparent,
+      attributes: {
+        "messaging.system": "kafka",
+        "messaging.destination.name": topic,
+        "messaging.consumer.group.name": groupId,
+        "messaging.kafka.destination.partition": partition,
+        "messaging.kafka.message.key": message.key?.toString(),
+        "messaging.kafka.offset": Number(message.offset),
+      },
+    },
+    handler
+  );
+}
+
+// Events are published at least once, so a consumer group may receive one
+// more than once. With processedEvents (a ProcessedEventRepository) the
+// handler only runs for events the group has not processed yet; resolves
+// with false for a skipped duplicate. The handler also receives the topic and
+// partition the message was read from.
+async function handleOnce(groupId, payload, handler, processedEvents) {
+  const { topic, partition, message } = payload;
+  const eventId = message.headers?.["event-id"]?.toString();
+  if (!processedEvents || !eventId) {
+    await handler(message, { topic, partition });
+    return true;
+  }
+
+  if (!(await processedEvents.claim(groupId, eventId))) {
+    logger.debug("Skipping already processed event", { groupId, eventId });
+    return false;
+  }
+  try {
+    await handler(message, { topic, partition });
+  } catch (error) {
+    await processedEvents.release(groupId, eventId).catch((releaseError) =>
+      logger.error("Failed to release processed event", {
+        groupId,
+        eventId,
+        error: releaseError.message,
+      })
+    );
+    throw error;
+  }
+  return true;
+}
+
+function consumedOutcome(handled) {
+  if (handled === DEAD_LETTERED) {
+    return "dead_lettered";
+  }
+  return handled ? "success" : "duplicate";
+}
+
+// Handler errors are retried up to CONSUMER_MAX_ATTEMPTS times before the
+// message is dead-lettered. Only a failure to dead-letter it reaches kafkajs,
+// which then redelivers the message.
+export async function startConsumer(
+  topic,
+  messageHandler,
+  { processedEvents } = {}
+) {
   await consumer.connect();
   await consumer.subscribe({ topic });
 
+  const handleWithRetries = retryWithDeadLetter(
+    producer,
+    (payload) =>
+      handleOnce(
+        "order-service-group",
+        payload,
+        messageHandler,
+        processedEvents
+      ),
+    {
+      groupId: "order-service-group",
+      maxAttempts: CONSUMER_MAX_ATTEMPTS,
+      retryDelayMs: CONSUMER_RETRY_DELAY_MS,
+    }
+  );
+
   await consumer.run({
-    eachMessage: async ({ topic, partition, message }) => {
+    partitionsConsumedConcurrently: CONSUMER_CONCURRENCY,
+    eachMessage: async (payload) => {
+      const { topic, partition, message } = payload;
+      let handled;
+      try {
+        handled = await traceMessage(payload, "order-service-group", () =>
+          handleWithRetries(payload)
+        );
+      } catch (error) {
+        kafkaMessagesConsumed.inc({
+          topic,
+          group: "order-service-group",
+          outcome: "failure",
+        });
+        logger.error("Failed to dead-letter message", {
+          topic,
+          partition,
+          offset: message.offset,
+          error: error.message,
+        });
+        throw error;
+      }
+      kafkaMessagesConsumed.inc({
+        topic,
+        group: "order-service-group",
+        outcome: consumedOutcome(handled),
+      });
+    },
+  });
+}
+
+// Consumer with its own group, so that it receives every event on the topic
+// independently of the order-service-group consumer. Handler errors are not
+// swallowed: kafkajs retries the message instead of skipping it. A new group
+// starts at the end of the topic unless fromBeginning is set.
+export async function startGroupConsumer(
+  groupId,
+  topic,
+  messageHandler,
+  { processedEvents, fromBeginning = false } = {}
+) {
+  const groupConsumer = kafka.consumer({ groupId });
+  await groupConsumer.connect();
+  await groupConsumer.subscribe({ topic, fromBeginning });
+
+  await groupConsumer.run({
+    partitionsConsumedConcurrently: CONSUMER_CONCURRENCY,
+    eachMessage: async (payload) => {
+      const { topic } = payload;
+      let handled;
       try {
-        await messageHandler(message);
+        handled = await traceMessage(payload, groupId, () =>
+          handleOnce(groupId, payload, messageHandler, processedEvents)
+        );
       } catch (error) {
-        console.error(`Error processing message: ${error.message}`);
+        kafkaMessagesConsumed.inc({
+          topic,
+          group: groupId,
+          outcome: "failure",
+        });
+        throw error;
       }
+      kafkaMessagesConsumed.inc({
+        topic,
+        group: groupId,
+        outcome: consumedOutcome(handled),
+      });
     },
   });
+
+  return groupConsumer;
 }
 
-export async function emitEvent(topic, event) {
-  await producer.send({
-    topic,
-    messages: [{ value: JSON.stringify(event) }],
+// Publish outbox events in one batch, keeping their order. Each event is
+// keyed by its order ID (events without an order are not keyed), sent in a
+// PRODUCER span continuing the trace it was written in, and carries its ID in
+// the event-id header.
+export async function publishEvents(outboxEvents) {
+  const spans = outboxEvents.map((outboxEvent) =>
+    startSpan(`${outboxEvent.topic} publish`, {
+      kind: "PRODUCER",
+      parent: outboxEvent.headers.traceparent || null,
+      attributes: {
+        "messaging.system": "kafka",
+        "messaging.destination.name": outboxEvent.topic,
+        "messaging.message.id": outboxEvent.event_id,
+        "messaging.kafka.message.key": outboxEvent.order_id,
+        "swifttrack.event_type": outboxEvent.event_type,
+        "swifttrack.order_id": outboxEvent.order_id,
+      },
+    })
+  );
+
+  const topicMessages = [];
+  outboxEvents.forEach((outboxEvent, index) => {
+    let batch = topicMessages.find((t) => t.topic === outboxEvent.topic);
+    if (!batch) {
+      batch = { topic: outboxEvent.topic, messages: [] };
+      topicMessages.push(batch);
+    }
+    batch.messages.push({
+      key: outboxEvent.order_id,
+      value: JSON.stringify(outboxEvent.payload),
+      headers: {
+        ...outboxEvent.headers,
+        "event-id": outboxEvent.event_id,
+        traceparent: spans[index].traceparent(),
+      },
+    });
   });
+
+  let outcome = "success";
+  try {
+    await producer.sendBatch({ topicMessages });
+  } catch (error) {
+    outcome = "failure";
+    spans.forEach((span) => span.recordError(error));
+    throw error;
+  } finally {
+    spans.forEach((span) => span.end());
+    for (const outboxEvent of outboxEvents) {
+      kafkaMessagesProduced.inc({
+        topic: outboxEvent.topic,
+        event_type: outboxEvent.event_type,
+        outcome,
+      });
+    }
+  }
+}
+
+// Publish a dead-lettered message on its original topic again, keeping its
+// key and headers so that it reaches the same partition and trace
+export async function redriveMessage({
+  topic,
+  key,
+  value,
+  headers,
+  eventType,
+}) {
+  let outcome = "success";
+  try {
+    await producer.send({ topic, messages: [{ key, value, headers }] });
+  } catch (error) {
+    outcome = "failure";
+    throw error;
+  } finally {
+    kafkaMessagesProduced.inc({
+      topic,
+      event_type: eventType || "unknown",
+      outcome,
+    });
+  }
 }
@@ -0,0 +1,212 @@
+import { test, mock } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { Kafka } from "kafkajs";
+
+const PARTITIONS = 6;
+const TOPIC = "order-events";
+
+process.env.KAFKA_BROKERS ||= "localhost:9092";
+process.env.ORDER_EVENTS_PARTITIONS = String(PARTITIONS);
+process.env.ORDER_EVENTS_CONSUMER_CONCURRENCY = String(PARTITIONS);
+
+// In-memory stand-in for a Kafka broker. Messages are assigned to partitions
+// by the partitioner the producer was created with, and a consumer runs
+// eachMessage one message at a time per partition, for up to
+// partitionsConsumedConcurrently partitions at once, as kafkajs does.
+class InMemoryBroker {
+  constructor(partitions) {
+    this.partitions = partitions;
+    this.topics = new Map();
+    this.consumers = [];
+  }
+
+  log(topic) {
+    if (!this.topics.has(topic)) {
+      this.topics.set(
+        topic,
+        Array.from({ length: this.partitions }, () => [])
+      );
+    }
+    return this.topics.get(topic);
+  }
+
+  producer({ createPartitioner }) {
+    const partitioner = createPartitioner();
+    const partitionMetadata = Array.from(
+      { length: this.partitions },
+      (_, partitionId) => ({ partitionId, leader: 0 })
+    );
+
+    const append = (topic, messages) => {
+      for (const message of messages) {
+        const log =
+          this.log(topic)[partitioner({ topic, partitionMetadata, message })];
+        log.push({
+          key: message.key == null ? null : Buffer.from(message.key),
+          value: Buffer.from(message.value),
+          headers: Object.fromEntries(
+            Object.entries(message.headers || {}).map(([name, value]) => [
+              name,
+              Buffer.from(value),
+            ])
+          ),
+          offset: String(log.length),
+        });
+      }
+      this.consumers.forEach((consumer) => consumer.wake());
+    };
+
+    return {
+      connect: async () => {},
+      send: async ({ topic, messages }) => append(topic, messages),
+      sendBatch: async ({ topicMessages }) =>
+        topicMessages.forEach(({ topic, messages }) => append(topic, messages)),
+    };
+  }
+
+  consumer() {
+    const broker = this;
+    const offsets = new Map();
+    const busy = new Set();
+    let topic;
+    let run;
+
+    async function consumePartition(partition, log) {
+      while ((offsets.get(partition) || 0) < log.length) {
+        const message = log[offsets.get(partition) || 0];
+        await run.eachMessage({
+          topic,
+          partition,
+          message,
+          heartbeat: async () => {},
+        });
+        offsets.set(partition, Number(message.offset) + 1);
+      }
+    }
+
+    const consumer = {
+      connect: async () => {},
+      subscribe: async (options) => {
+        topic = options.topic;
+      },
+      run: async ({ partitionsConsumedConcurrently = 1, eachMessage }) => {
+        run = { limit: partitionsConsumedConcurrently, eachMessage };
+        consumer.wake();
+      },
+      wake() {
+        if (!run) {
+          return;
+        }
+        broker.log(topic).forEach((log, partition) => {
+          if (
+            busy.size >= run.limit ||
+            busy.has(partition) ||
+            (offsets.get(partition) || 0) >= log.length
+          ) {
+            return;
+          }
+          busy.add(partition);
+          consumePartition(partition, log).finally(() => {
+            busy.delete(partition);
+            consumer.wake();
+          });
+        });
+      },
+    };
+    broker.consumers.push(consumer);
+    return consumer;
+  }
+}
+
+const broker = new InMemoryBroker(PARTITIONS);
+mock.method(Kafka.prototype, "producer", (options) => broker.producer(options));
+mock.method(Kafka.prototype, "consumer", () => broker.consumer());
+
+const { publishEvents, startConsumer } = await import("./kafka.js");
+
+function outboxEvent(orderId, sequence) {
+  return {
+    topic: TOPIC,
+    event_id: `${orderId}-${sequence}`,
+    event_type: "ORDER_UPDATED",
+    order_id: orderId,
+    payload: { orderId, sequence },
+    headers: {},
+  };
+}
+
+test(
+  "events of one order are handled in order, different orders in parallel",
+  { timeout: 10000 },
+  async () => {
+    const orderIds = Array.from({ length: 8 }, (_, i) => `ORD-${i + 1}`);
+    const eventsPerOrder = 5;
+    const total = orderIds.length * eventsPerOrder;
+
+    const handled = new Map(orderIds.map((orderId) => [orderId, []]));
+    const partitionOf = new Map();
+    const inFlight = new Map();
+    // Handler errors are retried by startConsumer, so they are only recorded
+    const violations = [];
+    let maxPartitionsInFlight = 0;
+    let count = 0;
+    let allHandled;
+    const done = new Promise((resolve) => {
+      allHandled = resolve;
+    });
+
+    await startConsumer(TOPIC, async (message, { partition }) => {
+      const { orderId, sequence } = JSON.parse(message.value.toString());
+      if (message.key.toString() !== orderId) {
+        violations.push(`${orderId} was keyed ${message.key}`);
+      }
+      if (inFlight.get(partition)) {
+        violations.push(
+          `two messages of partition ${partition} handled at once`
+        );
+      }
+
+      inFlight.set(partition, 1);
+      const partitionsInFlight = [...inFlight.values()].filter(Boolean).length;
+      maxPartitionsInFlight = Math.max(
+        maxPartitionsInFlight,
+        partitionsInFlight
+      );
+      // Later events of an order finish sooner, so reordering would show
+      await sleep(2 * (eventsPerOrder - sequence) + 1);
+      inFlight.set(partition, 0);
+
+      if ((partitionOf.get(orderId) ?? partition) !== partition) {
+        violations.push(`${orderId} was consumed from several partitions`);
+      }
+      partitionOf.set(orderId, partition);
+      handled.get(orderId).push(sequence);
+      if (++count === total) {
+        allHandled();
+      }
+    });
+
+    // Interleave the orders: every batch holds the next event of each order
+    for (let sequence = 1; sequence <= eventsPerOrder; sequence++) {
+      await publishEvents(
+        orderIds.map((orderId) => outboxEvent(orderId, sequence))
+      );
+    }
+    await done;
+
+    assert.deepEqual(violations, []);
+    const expected = Array.from({ length: eventsPerOrder }, (_, i) => i + 1);
+    for (const orderId of orderIds) {
+      assert.deepEqual(handled.get(orderId), expected, orderId);
+    }
+    assert.ok(
+      new Set(partitionOf.values()).size > 1,
+      "orders should be spread over several partitions"
+    );
+    assert.ok(
+      maxPartitionsInFlight > 1,
+      "handlers of different partitions should overlap"
+    );
+  }
+);
@@ -0,0 +1,96 @@
+import client from "prom-client";
+import { CIRCUIT_STATES } from "./circuitBreaker.js";
+
+// Prometheus metrics of the order service, served in text format by
+// GET /metrics. Every metric carries a service="order-service" label.
+
+export const register = new client.Registry();
+register.setDefaultLabels({ service: "order-service" });
+client.collectDefaultMetrics({ register });
+
+export const sagaStepDuration = new client.Histogram({
+  name: "swifttrack_saga_step_duration_seconds",
+  help: "Duration of saga steps, including the adapter call and persisting its result",
+  labelNames: ["step", "outcome"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [register],
+});
+
+export const serviceCallRetries = new client.Counter({
+  name: "swifttrack_service_call_retries_total",
+  help: "Failed external service calls by whether a retry was scheduled or the attempts were exhausted",
+  labelNames: ["target", "outcome"],
+  registers: [register],
+});
+
+export const compensations = new client.Counter({
+  name: "swifttrack_saga_compensations_total",
+  help: "Compensation actions executed by saga step",
+  labelNames: ["step", "outcome"],
+  registers: [register],
+});
+
+export const orderOutcomes = new client.Counter({
+  name: "swifttrack_order_outcomes_total",
+  help: "Orders whose saga finished, by outcome and error type",
+  labelNames: ["outcome", "error_type"],
+  registers: [register],
+});
+
+export const kafkaMessagesProduced = new client.Counter({
+  name: "swifttrack_kafka_messages_produced_total",
+  help: "Kafka messages sent by the producer",
+  labelNames: ["topic", "event_type", "outcome"],
+  registers: [register],
+});
+
+export const kafkaMessagesConsumed = new client.Counter({
+  name: "swifttrack_kafka_messages_consumed_total",
+  help: "Kafka messages handled by the consumers",
+  labelNames: ["topic", "group", "outcome"],
+  registers: [register],
+});
+
+const outboxPendingEvents = new client.Gauge({
+  name: "swifttrack_outbox_pending_events",
+  help: "Order events written to the outbox and not yet published to Kafka",
+  registers: [register],
+});
+
+const circuitBreakerState = new client.Gauge({
+  name: "swifttrack_circuit_breaker_state",
+  help: "Circuit breaker state per external service; 1 for the current state, 0 otherwise",
+  labelNames: ["target", "state"],
+  registers: [register],
+});
+
+/**
+ * Report the outbox backlog on every scrape. backlog resolves with
+ * { pending }; while it fails the last value is kept.
+ */
+export function observeOutbox(backlog) {
+  outboxPendingEvents.collect = async function () {
+    try {
+      this.set((await backlog()).pending);
+    } catch {
+      // Database unreachable; the scrape still succeeds
+    }
+  };
+}
+
+/**
+ * Report the breaker states on every scrape. snapshots resolves with the
+ * breaker snapshots, read from the shared store when there is one.
+ */
+export function observeCircuitBreakers(snapshots) {
+  circuitBreakerState.collect = async function () {
+    for (const { service, state } of await snapshots()) {
+      for (const candidate of Object.values(CIRCUIT_STATES)) {
+        this.set(
+          { target: service, state: candidate },
+          candidate === state ? 1 : 0
+        );
+      }
+    }
+  };
+}
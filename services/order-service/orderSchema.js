@@ -0,0 +1,257 @@
+// Declarative schema for order payloads. It is written as JSON Schema (draft
+// 2020-12) so that clients can fetch it from GET /api/schema/order and
+// validate orders up front with any JSON Schema library; validateAgainst()
+// interprets the subset of keywords used here.
+
+export const PRIORITIES = ["STANDARD", "HIGH", "URGENT"];
+
+const $defs = {
+  priority: {
+    type: "string",
+    enum: PRIORITIES,
+  },
+  dimensions: {
+    description:
+      'Package dimensions in centimetres, as an object or an "L x W x H" string',
+    type: ["object", "string"],
+    pattern: "^\\d+(\\.\\d+)?\\s*x\\s*\\d+(\\.\\d+)?\\s*x\\s*\\d+(\\.\\d+)?$",
+    required: ["length", "width", "height"],
+    properties: {
+      length: { type: "number", exclusiveMinimum: 0 },
+      width: { type: "number", exclusiveMinimum: 0 },
+      height: { type: "number", exclusiveMinimum: 0 },
+    },
+  },
+  package: {
+    type: "object",
+    required: ["sku", "description", "quantity"],
+    properties: {
+      sku: { type: "string", minLength: 1, maxLength: 100 },
+      description: { type: "string", minLength: 1 },
+      quantity: { type: "integer", minimum: 1 },
+      priority: { $ref: "#/$defs/priority" },
+      weight: {
+        description: "Weight in kilograms",
+        type: "number",
+        exclusiveMinimum: 0,
+        maximum: 99999.999,
+      },
+      dimensions: { $ref: "#/$defs/dimensions" },
+    },
+  },
+  timeWindow: {
+    type: "object",
+    required: ["start", "end"],
+    properties: {
+      start: { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d$" },
+      end: { type: "string", pattern: "^([01]\\d|2[0-3]):[0-5]\\d$" },
+    },
+  },
+  deliveryAddress: {
+    description: "A one-line address, or a structured address",
+    type: ["string", "object"],
+    minLength: 1,
+    required: ["street", "city"],
+    properties: {
+      street: { type: "string", minLength: 1 },
+      city: { type: "string", minLength: 1 },
+      postalCode: { type: "string" },
+      country: { type: "string" },
+      latitude: { type: "number", minimum: -90, maximum: 90 },
+      longitude: { type: "number", minimum: -180, maximum: 180 },
+      timeWindow: { $ref: "#/$defs/timeWindow" },
+    },
+    dependentRequired: {
+      latitude: ["longitude"],
+      longitude: ["latitude"],
+    },
+  },
+};
+
+export const ORDER_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "SwiftTrack order submission",
+  type: "object",
+  required: ["id", "clientId", "packages", "deliveryAddresses"],
+  properties: {
+    id: { type: "string", minLength: 1, maxLength: 50 },
+    clientId: { type: "string", minLength: 1, maxLength: 50 },
+    priority: { $ref: "#/$defs/priority" },
+    specialInstructions: { type: "string" },
+    packages: {
+      type: "array",
+      minItems: 1,
+      items: { $ref: "#/$defs/package" },
+    },
+    deliveryAddresses: {
+      type: "array",
+      minItems: 1,
+      items: { $ref: "#/$defs/deliveryAddress" },
+    },
+  },
+  $defs,
+};
+
+// Amendments (PATCH /api/orders/:orderId) may leave out the description of
+// packages the order already has
+export const ORDER_AMENDMENT_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  type: "object",
+  properties: {
+    packages: {
+      type: "array",
+      minItems: 1,
+      items: {
+        ...$defs.package,
+        required: ["sku", "quantity"],
+      },
+    },
+    deliveryAddresses: ORDER_SCHEMA.properties.deliveryAddresses,
+    specialInstructions: { type: "string" },
+    reason: { type: "string" },
+  },
+  $defs,
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function resolveRef(root, ref) {
+  return ref
+    .replace(/^#\//, "")
+    .split("/")
+    .reduce((schema, key) => schema[key], root);
+}
+
+function validateNode(schema, value, path, root, errors) {
+  if (schema.$ref) {
+    return validateNode(
+      resolveRef(root, schema.$ref),
+      value,
+      path,
+      root,
+      errors
+    );
+  }
+
+  const fail = (message) => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      return fail(`must be of type ${types.join(" or ")}`);
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of ${schema.enum.join(", ")}`);
+  }
+
+  const kind = typeOf(value);
+
+  if (kind === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(
+        schema.minLength === 1
+          ? "must not be empty"
+          : `must be at least ${schema.minLength} characters`
+      );
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (kind === "integer" || kind === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (kind === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), message: "is required" });
+      }
+    }
+    for (const [key, dependencies] of Object.entries(
+      schema.dependentRequired || {}
+    )) {
+      if (value[key] === undefined) continue;
+      for (const dependency of dependencies) {
+        if (value[dependency] === undefined) {
+          errors.push({
+            path: childPath(path, dependency),
+            message: `is required when ${key} is given`,
+          });
+        }
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(
+      schema.properties || {}
+    )) {
+      if (value[key] !== undefined) {
+        validateNode(
+          propertySchema,
+          value[key],
+          childPath(path, key),
+          root,
+          errors
+        );
+      }
+    }
+  }
+
+  if (kind === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(
+        schema.minItems === 1
+          ? "must contain at least one item"
+          : `must contain at least ${schema.minItems} items`
+      );
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validateNode(schema.items, item, childPath(path, index), root, errors)
+      );
+    }
+  }
+}
+
+// Validate a payload against a schema, returning every failing field as
+// { path, message }; an empty list means the payload is valid
+export function validateAgainst(schema, payload) {
+  const errors = [];
+  validateNode(schema, payload, "", schema, errors);
+  return errors;
+}
+
+export function validateOrder(order) {
+  return validateAgainst(ORDER_SCHEMA, order);
+}
@@ -0,0 +1,212 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ORDER_AMENDMENT_SCHEMA,
+  validateAgainst,
+  validateOrder,
+} from "./orderSchema.js";
+
+const validOrder = {
+  id: "ORD-TEST-001",
+  clientId: "CLIENT-001",
+  priority: "HIGH",
+  packages: [
+    {
+      sku: "BOOK-001",
+      description: "Books",
+      quantity: 2,
+      weight: 1.5,
+      dimensions: "30 x 20 x 10",
+    },
+    {
+      sku: "LAMP-001",
+      description: "Desk lamp",
+      quantity: 1,
+      dimensions: { length: 40, width: 15, height: 15 },
+    },
+  ],
+  deliveryAddresses: [
+    "123 Main Street, Colombo 07",
+    {
+      street: "45 Galle Road",
+      city: "Colombo 03",
+      latitude: 6.9,
+      longitude: 79.85,
+      timeWindow: { start: "09:00", end: "17:30" },
+    },
+  ],
+  specialInstructions: "Leave at the front desk",
+};
+
+// validateOrder on a copy of the valid order changed by change()
+function errorsWith(change) {
+  const order = structuredClone(validOrder);
+  change(order);
+  return validateOrder(order);
+}
+
+describe("order schema", () => {
+  test("a complete order is valid", () => {
+    assert.deepEqual(validateOrder(validOrder), []);
+  });
+
+  test("every missing required field is reported", () => {
+    assert.deepEqual(validateOrder({}), [
+      { path: "id", message: "is required" },
+      { path: "clientId", message: "is required" },
+      { path: "packages", message: "is required" },
+      { path: "deliveryAddresses", message: "is required" },
+    ]);
+    assert.deepEqual(validateOrder(null), [
+      { path: "", message: "must be of type object" },
+    ]);
+  });
+
+  test("fields are reported by path", () => {
+    assert.deepEqual(
+      errorsWith((order) => {
+        order.priority = "LOW";
+        order.packages[0].quantity = 0;
+        delete order.packages[1].description;
+        order.deliveryAddresses[1].timeWindow.end = "24:00";
+      }),
+      [
+        {
+          path: "priority",
+          message: "must be one of STANDARD, HIGH, URGENT",
+        },
+        { path: "packages[0].quantity", message: "must be at least 1" },
+        { path: "packages[1].description", message: "is required" },
+        {
+          path: "deliveryAddresses[1].timeWindow.end",
+          message: "must match the pattern ^([01]\\d|2[0-3]):[0-5]\\d$",
+        },
+      ]
+    );
+  });
+
+  test("types, lengths and bounds are checked", () => {
+    assert.deepEqual(
+      errorsWith((order) => {
+        order.id = "";
+        order.clientId = "C".repeat(51);
+        order.packages[0].quantity = 1.5;
+        order.packages[0].weight = 0;
+        order.deliveryAddresses[1].latitude = 91;
+      }),
+      [
+        { path: "id", message: "must not be empty" },
+        { path: "clientId", message: "must be at most 50 characters" },
+        {
+          path: "packages[0].quantity",
+          message: "must be of type integer",
+        },
+        { path: "packages[0].weight", message: "must be greater than 0" },
+        {
+          path: "deliveryAddresses[1].latitude",
+          message: "must be at most 90",
+        },
+      ]
+    );
+  });
+
+  test("dimensions are an object or an L x W x H string", () => {
+    assert.deepEqual(
+      errorsWith((order) => {
+        order.packages[0].dimensions = "30 by 20";
+        order.packages[1].dimensions = { length: 40, width: 15 };
+      }),
+      [
+        {
+          path: "packages[0].dimensions",
+          message:
+            "must match the pattern ^\\d+(\\.\\d+)?\\s*x\\s*\\d+(\\.\\d+)?\\s*x\\s*\\d+(\\.\\d+)?$",
+        },
+        { path: "packages[1].dimensions.height", message: "is required" },
+      ]
+    );
+  });
+
+  test("addresses are a non-empty string or a structured address", () => {
+    assert.deepEqual(
+      errorsWith((order) => {
+        order.deliveryAddresses = [
+          "",
+          { street: "45 Galle Road", latitude: 6.9 },
+          42,
+        ];
+      }),
+      [
+        { path: "deliveryAddresses[0]", message: "must not be empty" },
+        { path: "deliveryAddresses[1].city", message: "is required" },
+        {
+          path: "deliveryAddresses[1].longitude",
+          message: "is required when latitude is given",
+        },
+        {
+          path: "deliveryAddresses[2]",
+          message: "must be of type string or object",
+        },
+      ]
+    );
+    assert.deepEqual(
+      errorsWith((order) => {
+        order.deliveryAddresses = [];
+        order.packages = [];
+      }),
+      [
+        { path: "packages", message: "must contain at least one item" },
+        {
+          path: "deliveryAddresses",
+          message: "must contain at least one item",
+        },
+      ]
+    );
+  });
+});
+
+describe("order amendment schema", () => {
+  test("packages may leave out their description", () => {
+    assert.deepEqual(
+      validateAgainst(ORDER_AMENDMENT_SCHEMA, {
+        packages: [{ sku: "BOOK-001", quantity: 3 }],
+        reason: "Customer wants more",
+      }),
+      []
+    );
+    assert.deepEqual(
+      validateAgainst(ORDER_AMENDMENT_SCHEMA, {
+        packages: [{ description: "Books" }],
+      }),
+      [
+        { path: "packages[0].sku", message: "is required" },
+        { path: "packages[0].quantity", message: "is required" },
+      ]
+    );
+  });
+
+  test("special instructions and addresses are checked", () => {
+    assert.deepEqual(
+      validateAgainst(ORDER_AMENDMENT_SCHEMA, {
+        specialInstructions: "Call before delivery",
+      }),
+      []
+    );
+    assert.deepEqual(
+      validateAgainst(ORDER_AMENDMENT_SCHEMA, {
+        specialInstructions: 5,
+        deliveryAddresses: [],
+      }),
+      [
+        {
+          path: "deliveryAddresses",
+          message: "must contain at least one item",
+        },
+        {
+          path: "specialInstructions",
+          message: "must be of type string",
+        },
+      ]
+    );
+  });
+});
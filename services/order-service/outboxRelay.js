@@ -0,0 +1,85 @@
+/**
+ * Outbox Relay - publishes the events written to the outbox table to Kafka
+ * Events are published in the order they were written and only marked as
+ * published once Kafka has them. An event whose outcome was lost (e.g. the
+ * instance stopped in between) is published again, so delivery is
+ * at-least-once and consumers skip events by ID.
+ */
+export class OutboxRelay {
+  constructor(outboxRepo, publish, logger, options = {}) {
+    this.outboxRepo = outboxRepo;
+    this.publish = publish;
+    this.logger = logger;
+    this.batchSize = options.batchSize || 100;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.pollTimer = null;
+    this.relaying = false;
+    this.relayAgain = false;
+    this.failing = false;
+  }
+
+  /**
+   * Start polling for unpublished events
+   */
+  start() {
+    this.pollTimer = setInterval(() => this.relay(), this.pollIntervalMs);
+    this.relay();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Publish new events without waiting for the next poll
+   */
+  wake() {
+    if (this.pollTimer) {
+      this.relay();
+    }
+  }
+
+  /**
+   * Publish every unpublished event. Calls made while a sweep is running
+   * trigger one more sweep afterwards instead of running concurrently.
+   */
+  async relay() {
+    if (this.relaying) {
+      this.relayAgain = true;
+      return;
+    }
+
+    this.relaying = true;
+    try {
+      do {
+        this.relayAgain = false;
+        let published;
+        do {
+          published = await this.outboxRepo.publishPending(this.publish, {
+            limit: this.batchSize,
+          });
+          if (published > 0) {
+            this.logger.debug(`Published ${published} outbox events`);
+          }
+        } while (published === this.batchSize);
+      } while (this.relayAgain);
+
+      if (this.failing) {
+        this.failing = false;
+        this.logger.info("Outbox relay publishing again");
+      }
+    } catch (error) {
+      // Logged once per outage; the events stay in the outbox until the
+      // next sweep succeeds
+      if (!this.failing) {
+        this.failing = true;
+        this.logger.error("Outbox relay failed to publish events", {
+          error: error.message,
+        });
+      }
+    } finally {
+      this.relaying = false;
+    }
+  }
+}
@@ -0,0 +1,221 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { OutboxRepository } from "@swifttrack/database";
+import {
+  TEST_DATABASE_URL,
+  createTestDatabase,
+} from "@swifttrack/database/testing.js";
+import { OutboxRelay } from "./outboxRelay.js";
+
+// Logger keeping what was logged at info level and above
+function recordingLogger() {
+  const logged = [];
+  return {
+    logged,
+    debug() {},
+    info: (message) => logged.push(`info: ${message}`),
+    warn: (message) => logged.push(`warn: ${message}`),
+    error: (message) => logged.push(`error: ${message}`),
+  };
+}
+
+function orderEvent(orderId, sequence) {
+  return {
+    topic: "order-events",
+    event: { eventType: "ORDER_UPDATED", orderId, data: { sequence } },
+  };
+}
+
+describe("outbox relay", () => {
+  // Outbox stand-in handing out pending events in batches
+  function memoryOutbox(count) {
+    const outbox = { pending: count, batches: [], failures: 0 };
+    outbox.publishPending = async (publish, { limit }) => {
+      if (outbox.failures > 0) {
+        outbox.failures--;
+        throw new Error("Broker unavailable");
+      }
+      const batch = Math.min(limit, outbox.pending);
+      outbox.pending -= batch;
+      outbox.batches.push(batch);
+      return batch;
+    };
+    return outbox;
+  }
+
+  test("sweeps in batches until the outbox is empty", async () => {
+    const outbox = memoryOutbox(250);
+    const relay = new OutboxRelay(outbox, null, recordingLogger(), {
+      batchSize: 100,
+    });
+
+    await relay.relay();
+
+    assert.deepEqual(outbox.batches, [100, 100, 50]);
+  });
+
+  test("a relay requested during a sweep runs once afterwards", async () => {
+    const outbox = memoryOutbox(0);
+    const relay = new OutboxRelay(outbox, null, recordingLogger());
+
+    const sweep = relay.relay();
+    outbox.pending = 5;
+    await Promise.all([relay.relay(), relay.relay()]);
+    await sweep;
+
+    assert.deepEqual(outbox.batches, [0, 5]);
+  });
+
+  test("an outage is logged once and its end reported", async () => {
+    const outbox = memoryOutbox(3);
+    outbox.failures = 2;
+    const logger = recordingLogger();
+    const relay = new OutboxRelay(outbox, null, logger);
+
+    await relay.relay();
+    await relay.relay();
+    assert.equal(outbox.pending, 3);
+    await relay.relay();
+
+    assert.equal(outbox.pending, 0);
+    assert.deepEqual(logger.logged, [
+      "error: Outbox relay failed to publish events",
+      "info: Outbox relay publishing again",
+    ]);
+  });
+});
+
+describe(
+  "outbox publishing",
+  { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL is not set" },
+  () => {
+    let database;
+    let outboxRepo;
+
+    before(async () => {
+      database = await createTestDatabase();
+      outboxRepo = new OutboxRepository(database.db);
+    });
+
+    after(async () => {
+      await database?.drop();
+    });
+
+    async function outboxRows() {
+      const result = await database.db.query(
+        "SELECT * FROM outbox_events ORDER BY id"
+      );
+      return result.rows;
+    }
+
+    test("events are published in the order they were written", async () => {
+      await outboxRepo.addEvents([
+        orderEvent("ORD-2025-002", 1),
+        orderEvent("ORD-2025-001", 1),
+      ]);
+      await outboxRepo.addEvents([orderEvent("ORD-2025-002", 2)]);
+
+      const batches = [];
+      const relay = new OutboxRelay(
+        outboxRepo,
+        async (rows) => batches.push(rows),
+        recordingLogger(),
+        { batchSize: 2 }
+      );
+      await relay.relay();
+
+      assert.deepEqual(
+        batches.map((rows) =>
+          rows.map(({ order_id, payload }) => [order_id, payload.data.sequence])
+        ),
+        [
+          [
+            ["ORD-2025-002", 1],
+            ["ORD-2025-001", 1],
+          ],
+          [["ORD-2025-002", 2]],
+        ]
+      );
+      // Payloads carry their event ID and the client of the order
+      assert.equal(batches[0][0].payload.eventId, batches[0][0].event_id);
+      assert.equal(batches[0][0].payload.clientId, "CLIENT-001");
+
+      for (const row of await outboxRows()) {
+        assert.ok(row.published_at, `event ${row.id} is published`);
+        assert.equal(row.attempts, 1);
+      }
+    });
+
+    test("a failed publish is recorded and retried on the next sweep", async () => {
+      await outboxRepo.addEvents([
+        orderEvent("ORD-2025-002", 3),
+        orderEvent("ORD-2025-002", 4),
+      ]);
+      const logger = recordingLogger();
+      let failing = true;
+      const published = [];
+      const relay = new OutboxRelay(
+        outboxRepo,
+        async (rows) => {
+          if (failing) {
+            throw new Error("Broker unavailable");
+          }
+          published.push(...rows.map(({ payload }) => payload.data.sequence));
+        },
+        logger
+      );
+
+      await relay.relay();
+      let pending = (await outboxRows()).filter((row) => !row.published_at);
+      assert.deepEqual(
+        pending.map(({ attempts, last_error }) => ({ attempts, last_error })),
+        [
+          { attempts: 1, last_error: "Broker unavailable" },
+          { attempts: 1, last_error: "Broker unavailable" },
+        ]
+      );
+      assert.equal((await outboxRepo.getBacklog()).pending, 2);
+
+      failing = false;
+      await relay.relay();
+      assert.deepEqual(published, [3, 4]);
+      const ids = pending.map((row) => row.id);
+      pending = (await outboxRows()).filter((row) => ids.includes(row.id));
+      for (const row of pending) {
+        assert.ok(row.published_at);
+        assert.equal(row.attempts, 2);
+        assert.equal(row.last_error, null);
+      }
+      assert.deepEqual(logger.logged, [
+        "error: Outbox relay failed to publish events",
+        "info: Outbox relay publishing again",
+      ]);
+    });
+
+    test("only one relay publishes at a time", async () => {
+      await outboxRepo.addEvents([orderEvent("ORD-2025-002", 5)]);
+
+      let release;
+      let started;
+      const publishing = new Promise((resolve) => {
+        started = resolve;
+      });
+      const first = outboxRepo.publishPending(async () => {
+        started();
+        await new Promise((resolve) => {
+          release = resolve;
+        });
+      });
+      await publishing;
+
+      // Another instance finds the relay busy and publishes nothing
+      const other = new OutboxRepository(database.db);
+      const publish = async () => assert.fail("published twice");
+      assert.equal(await other.publishPending(publish), 0);
+
+      release();
+      assert.equal(await first, 1);
+      assert.equal((await outboxRepo.getBacklog()).pending, 0);
+    });
+  }
+);
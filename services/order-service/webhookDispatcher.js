@@ -0,0 +1,343 @@
+import axios from "axios";
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+
+// Addresses webhooks are never sent to, so that a webhook cannot reach the
+// services' own network: unspecified, loopback, private, shared (CGNAT),
+// link-local (including cloud metadata endpoints), benchmarking, multicast
+// and reserved ranges. IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are
+// checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+export class WebhookUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WebhookUrlError";
+  }
+}
+
+/**
+ * Whether address is an IP address webhooks may be sent to
+ */
+export function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return (
+    family !== 0 &&
+    !BLOCKED_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6")
+  );
+}
+
+function assertPublicAddresses(hostname, addresses) {
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new WebhookUrlError(
+      `Webhook host ${hostname} is not a public address (${blocked.address})`
+    );
+  }
+}
+
+// Hostname of a URL, without the brackets of an IPv6 address
+function urlHostname(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, "$1");
+}
+
+// dns.lookup that fails for hosts resolving to a blocked address. Deliveries
+// connect to the address it checked, so a host cannot be pointed at an
+// internal address after its webhook was registered.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    try {
+      assertPublicAddresses(
+        hostname,
+        Array.isArray(address) ? address : [{ address, family }]
+      );
+    } catch (blockedError) {
+      return callback(blockedError);
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Webhook Dispatcher - delivers order lifecycle events to client webhooks
+ * Events are first queued in PostgreSQL and then sent by a polling worker,
+ * so deliveries survive restarts and can be inspected and replayed.
+ */
+export class WebhookDispatcher {
+  constructor(webhookRepo, logger, options = {}) {
+    this.webhookRepo = webhookRepo;
+    this.logger = logger;
+    this.maxAttempts = options.maxAttempts || 6;
+    this.retryDelayMs = options.retryDelayMs || 5000;
+    this.pollIntervalMs = options.pollIntervalMs || 2000;
+    this.timeoutMs = options.timeoutMs || 5000;
+    // For development only: lets webhooks reach localhost and private networks
+    this.allowPrivateAddresses = options.allowPrivateAddresses || false;
+    this.pollTimer = null;
+    this.delivering = false;
+    this.deliverAgain = false;
+  }
+
+  /**
+   * HMAC-SHA256 signature sent in X-SwiftTrack-Signature. Receivers compute
+   * it over "<X-SwiftTrack-Timestamp>.<raw body>" with their signing secret.
+   */
+  static sign(secret, timestamp, body) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex");
+  }
+
+  /**
+   * Check a webhook url: http or https, and unless allowPrivateAddresses, a
+   * host that is or resolves to public addresses only. Resolves with the
+   * parsed URL; throws a WebhookUrlError otherwise.
+   */
+  async validateUrl(url) {
+    let parsedUrl;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      throw new WebhookUrlError("A valid webhook url is required");
+    }
+    if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+      throw new WebhookUrlError("Webhook url must use http or https");
+    }
+    if (this.allowPrivateAddresses) {
+      return parsedUrl;
+    }
+
+    const hostname = urlHostname(parsedUrl);
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+    } catch {
+      throw new WebhookUrlError(
+        `Webhook host ${hostname} could not be resolved`
+      );
+    }
+    assertPublicAddresses(hostname, addresses);
+    return parsedUrl;
+  }
+
+  /**
+   * Queue an order event for every subscription that wants it
+   */
+  async handleEvent(message) {
+    let event;
+    try {
+      event = JSON.parse(message.value.toString());
+    } catch (error) {
+      this.logger.warn("Skipping unparseable event for webhook delivery", {
+        error: error.message,
+      });
+      return;
+    }
+
+    if (!event.orderId || !event.eventType) {
+      return;
+    }
+
+    const subscriptions = await this.webhookRepo.findSubscriptionsForOrderEvent(
+      event.orderId,
+      event.eventType
+    );
+    if (subscriptions.length === 0) {
+      return;
+    }
+
+    // A redelivered event yields the same key, so it is not queued twice.
+    // Events carry their outbox event ID; older ones are keyed by a hash of
+    // the message.
+    const eventKey =
+      event.eventId ||
+      crypto.createHash("sha256").update(message.value).digest("hex");
+
+    for (const subscription of subscriptions) {
+      await this.webhookRepo.enqueueDelivery({
+        subscriptionId: subscription.id,
+        eventKey,
+        eventType: event.eventType,
+        orderId: event.orderId,
+        payload: event,
+      });
+    }
+
+    this.logger.debug(`Queued webhook deliveries for ${event.eventType}`, {
+      orderId: event.orderId,
+      subscriptions: subscriptions.map((s) => s.id),
+    });
+
+    this.deliverDue();
+  }
+
+  /**
+   * Start polling for due deliveries
+   */
+  start() {
+    this.pollTimer = setInterval(() => this.deliverDue(), this.pollIntervalMs);
+    this.deliverDue();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Send every delivery that is due. Calls made while a sweep is running
+   * trigger one more sweep afterwards instead of running concurrently.
+   */
+  async deliverDue() {
+    if (this.delivering) {
+      this.deliverAgain = true;
+      return;
+    }
+
+    this.delivering = true;
+    try {
+      do {
+        this.deliverAgain = false;
+        let deliveries;
+        do {
+          deliveries = await this.webhookRepo.claimDueDeliveries({
+            leaseMs: this.timeoutMs * 2,
+          });
+          await Promise.all(
+            deliveries.map((delivery) => this.attemptDelivery(delivery))
+          );
+        } while (deliveries.length > 0);
+      } while (this.deliverAgain);
+    } catch (error) {
+      this.logger.error("Webhook delivery sweep failed", {
+        error: error.message,
+      });
+    } finally {
+      this.delivering = false;
+    }
+  }
+
+  /**
+   * POST one signed delivery and record the attempt. Failures are retried
+   * with exponential backoff until maxAttempts, then dead-lettered.
+   */
+  async attemptDelivery(delivery) {
+    const attemptNumber = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const body = JSON.stringify({
+      deliveryId: delivery.id,
+      eventType: delivery.event_type,
+      orderId: delivery.order_id,
+      attempt: attemptNumber,
+      event: delivery.payload,
+    });
+
+    const startTime = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      // Hosts are checked again on every delivery; IP addresses are connected
+      // to without a lookup, so they are checked here
+      const hostname = urlHostname(new URL(delivery.url));
+      if (!this.allowPrivateAddresses && net.isIP(hostname)) {
+        assertPublicAddresses(hostname, [{ address: hostname }]);
+      }
+
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "SwiftTrack-Webhooks/1.0",
+          "X-SwiftTrack-Event": delivery.event_type,
+          "X-SwiftTrack-Delivery": delivery.id,
+          "X-SwiftTrack-Timestamp": timestamp,
+          "X-SwiftTrack-Signature": `sha256=${WebhookDispatcher.sign(
+            delivery.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        lookup: this.allowPrivateAddresses ? undefined : publicLookup,
+        validateStatus: () => true,
+      });
+
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Receiver responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    let outcome;
+    if (!error) {
+      outcome = { status: "DELIVERED" };
+    } else if (attemptNumber >= this.maxAttempts) {
+      outcome = { status: "DEAD" };
+    } else {
+      outcome = {
+        status: "RETRYING",
+        nextAttemptAt: new Date(
+          Date.now() + this.retryDelayMs * Math.pow(2, attemptNumber - 1)
+        ),
+      };
+    }
+
+    await this.webhookRepo.recordAttempt(
+      delivery.id,
+      { statusCode, error, durationMs: Date.now() - startTime },
+      outcome
+    );
+
+    const details = {
+      deliveryId: delivery.id,
+      subscriptionId: delivery.subscription_id,
+      eventType: delivery.event_type,
+      orderId: delivery.order_id,
+      attempt: attemptNumber,
+      statusCode,
+      error,
+      nextAttemptAt: outcome.nextAttemptAt,
+    };
+
+    if (outcome.status === "DELIVERED") {
+      this.logger.info(`Webhook delivered`, details);
+    } else if (outcome.status === "DEAD") {
+      this.logger.error(`Webhook delivery dead-lettered`, details);
+    } else {
+      this.logger.warn(`Webhook delivery failed, retry scheduled`, details);
+    }
+  }
+}
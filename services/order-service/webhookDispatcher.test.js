@@ -0,0 +1,343 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import http from "node:http";
+import { setTimeout as sleep } from "node:timers/promises";
+import { WebhookRepository } from "@swifttrack/database";
+import {
+  TEST_DATABASE_URL,
+  createTestDatabase,
+} from "@swifttrack/database/testing.js";
+import { WebhookDispatcher, isPublicAddress } from "./webhookDispatcher.js";
+
+const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+// Local webhook receiver answering with statuses in turn, repeating the last
+async function startReceiver(statuses) {
+  const receiver = { statuses, requests: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      receiver.requests.push({ headers: req.headers, body, at: Date.now() });
+      const index = Math.min(receiver.requests.length, statuses.length) - 1;
+      res.writeHead(receiver.statuses[index]).end();
+    });
+  });
+  await new Promise((resolve) =>
+    receiver.server.listen(0, "127.0.0.1", resolve)
+  );
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+  receiver.close = () =>
+    new Promise((resolve) => receiver.server.close(resolve));
+  return receiver;
+}
+
+async function waitFor(condition, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await sleep(10);
+  }
+}
+
+function kafkaMessage(event) {
+  return { value: Buffer.from(JSON.stringify(event)) };
+}
+
+describe("webhook url checks", () => {
+  test("only public addresses are allowed", () => {
+    for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700::1111"]) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+    for (const address of [
+      "127.0.0.1",
+      "10.1.2.3",
+      "172.16.0.1",
+      "192.168.1.1",
+      "169.254.169.254",
+      "100.64.0.1",
+      "0.0.0.0",
+      "::1",
+      "::",
+      "fd00::1",
+      "fe80::1",
+      "::ffff:127.0.0.1",
+      "not-an-address",
+    ]) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+  });
+
+  test("registration refuses internal hosts", async () => {
+    const dispatcher = new WebhookDispatcher(null, silentLogger);
+    for (const url of [
+      "http://localhost:9999/hooks",
+      "http://127.0.0.1/hooks",
+      "http://169.254.169.254/latest/meta-data",
+      "http://[::1]/hooks",
+      "http://[::ffff:127.0.0.1]/hooks",
+      "http://2130706433/hooks",
+      "http://10.0.0.5/hooks",
+    ]) {
+      await assert.rejects(
+        dispatcher.validateUrl(url),
+        { name: "WebhookUrlError", message: /not a public address/ },
+        url
+      );
+    }
+    await assert.rejects(dispatcher.validateUrl("ftp://example.com/"), {
+      message: "Webhook url must use http or https",
+    });
+    await assert.rejects(dispatcher.validateUrl("not a url"), {
+      message: "A valid webhook url is required",
+    });
+
+    const parsed = await dispatcher.validateUrl("https://93.184.216.34/hooks");
+    assert.equal(parsed.href, "https://93.184.216.34/hooks");
+  });
+
+  test("allowPrivateAddresses accepts internal hosts", async () => {
+    const dispatcher = new WebhookDispatcher(null, silentLogger, {
+      allowPrivateAddresses: true,
+    });
+    const parsed = await dispatcher.validateUrl("http://localhost:9999/hooks");
+    assert.equal(parsed.hostname, "localhost");
+  });
+
+  test("deliveries to internal hosts fail without connecting", async () => {
+    const receiver = await startReceiver([200]);
+    const outcomes = [];
+    const dispatcher = new WebhookDispatcher(
+      { recordAttempt: async (...args) => outcomes.push(args) },
+      silentLogger
+    );
+    const delivery = {
+      id: crypto.randomUUID(),
+      attempts: 0,
+      event_type: "ORDER_DELIVERED",
+      order_id: "ORD-1",
+      payload: {},
+      secret: "0123456789abcdef",
+    };
+
+    try {
+      // By name, checked on lookup, and by address, checked before connecting
+      for (const url of [
+        receiver.url.replace("127.0.0.1", "localhost"),
+        receiver.url,
+      ]) {
+        await dispatcher.attemptDelivery({ ...delivery, url });
+      }
+    } finally {
+      await receiver.close();
+    }
+
+    assert.equal(receiver.requests.length, 0);
+    for (const [, attempt, outcome] of outcomes) {
+      assert.match(attempt.error, /not a public address/);
+      assert.equal(outcome.status, "RETRYING");
+    }
+  });
+});
+
+describe(
+  "webhook delivery",
+  { skip: !TEST_DATABASE_URL && "TEST_DATABASE_URL is not set" },
+  () => {
+    const SECRET = "receiver-signing-secret";
+    const RETRY_DELAY_MS = 100;
+    const MAX_ATTEMPTS = 3;
+    let database;
+    let webhookRepo;
+    let dispatcher;
+    let outcomes;
+
+    before(async () => {
+      database = await createTestDatabase();
+      webhookRepo = new WebhookRepository(database.db);
+
+      // Record every outcome the dispatcher decides on
+      outcomes = [];
+      const recordAttempt = webhookRepo.recordAttempt.bind(webhookRepo);
+      webhookRepo.recordAttempt = (deliveryId, attempt, outcome) => {
+        outcomes.push({ deliveryId, ...outcome, at: Date.now() });
+        return recordAttempt(deliveryId, attempt, outcome);
+      };
+
+      dispatcher = new WebhookDispatcher(webhookRepo, silentLogger, {
+        maxAttempts: MAX_ATTEMPTS,
+        retryDelayMs: RETRY_DELAY_MS,
+        pollIntervalMs: 20,
+        timeoutMs: 1000,
+        allowPrivateAddresses: true,
+      });
+      dispatcher.start();
+    });
+
+    after(async () => {
+      dispatcher?.stop();
+      await waitFor(() => !dispatcher?.delivering);
+      await database?.drop();
+    });
+
+    // Subscribe a receiver of CLIENT-001 and publish an event of its order
+    // ORD-2025-002; resolves once the delivery is queued
+    async function deliverTo(receiver) {
+      const subscription = await webhookRepo.createSubscription({
+        clientId: "CLIENT-001",
+        url: receiver.url,
+        eventTypes: [],
+        secret: SECRET,
+      });
+      await dispatcher.handleEvent(
+        kafkaMessage({
+          eventId: crypto.randomUUID(),
+          eventType: "ORDER_DELIVERED",
+          orderId: "ORD-2025-002",
+          data: { status: "DELIVERED" },
+        })
+      );
+      return subscription;
+    }
+
+    async function latestDelivery(subscriptionId) {
+      const [delivery] = await webhookRepo.listDeliveries(subscriptionId);
+      return delivery;
+    }
+
+    test("deliveries are signed over the timestamp and raw body", async () => {
+      const receiver = await startReceiver([200]);
+      const subscription = await deliverTo(receiver);
+      try {
+        await waitFor(
+          async () =>
+            (await latestDelivery(subscription.id))?.status === "DELIVERED"
+        );
+      } finally {
+        await webhookRepo.deactivateSubscription(subscription.id);
+        await receiver.close();
+      }
+
+      assert.equal(receiver.requests.length, 1);
+      const { headers, body } = receiver.requests[0];
+      const expected = crypto
+        .createHmac("sha256", SECRET)
+        .update(`${headers["x-swifttrack-timestamp"]}.${body}`)
+        .digest("hex");
+      assert.equal(headers["x-swifttrack-signature"], `sha256=${expected}`);
+      assert.equal(headers["x-swifttrack-event"], "ORDER_DELIVERED");
+
+      const delivery = await latestDelivery(subscription.id);
+      assert.equal(headers["x-swifttrack-delivery"], delivery.id);
+      assert.deepEqual(
+        {
+          ...JSON.parse(body),
+          event: undefined,
+        },
+        {
+          deliveryId: delivery.id,
+          eventType: "ORDER_DELIVERED",
+          orderId: "ORD-2025-002",
+          attempt: 1,
+          event: undefined,
+        }
+      );
+    });
+
+    test("failing deliveries are retried with backoff, then dead-lettered and replayed", async () => {
+      const receiver = await startReceiver([503]);
+      const subscription = await deliverTo(receiver);
+      let delivery;
+      try {
+        await waitFor(
+          async () => (await latestDelivery(subscription.id))?.status === "DEAD"
+        );
+        delivery = await latestDelivery(subscription.id);
+
+        // Every attempt but the last is retried after a doubling delay
+        const attempts = outcomes.filter(
+          ({ deliveryId }) => deliveryId === delivery.id
+        );
+        assert.deepEqual(
+          attempts.map(({ status }) => status),
+          ["RETRYING", "RETRYING", "DEAD"]
+        );
+        attempts.slice(0, -1).forEach(({ nextAttemptAt, at }, index) => {
+          const delay = nextAttemptAt.getTime() - at;
+          const expected = RETRY_DELAY_MS * 2 ** index;
+          assert.ok(
+            delay >= expected - 5 && delay <= expected + 50,
+            `retry ${index + 1} after ${delay}ms, expected ${expected}ms`
+          );
+        });
+        assert.equal(receiver.requests.length, MAX_ATTEMPTS);
+        assert.ok(
+          receiver.requests[2].at - receiver.requests[1].at >=
+            2 * RETRY_DELAY_MS - 5
+        );
+
+        assert.equal(delivery.attempts, MAX_ATTEMPTS);
+        assert.equal(delivery.last_status_code, 503);
+        assert.deepEqual(
+          delivery.attempt_log.map((attempt) => attempt.status_code),
+          [503, 503, 503]
+        );
+
+        const deadLetters = await webhookRepo.listDeadLetters({
+          subscriptionId: subscription.id,
+        });
+        assert.equal(deadLetters.length, 1);
+        assert.equal(deadLetters[0].delivery_id, delivery.id);
+        assert.equal(deadLetters[0].attempts, MAX_ATTEMPTS);
+        assert.equal(
+          deadLetters[0].last_error,
+          "Receiver responded with HTTP 503"
+        );
+
+        // POST /api/webhooks/deliveries/:deliveryId/replay, as a client of
+        // another client and then as the delivery's own client
+        assert.equal(
+          await webhookRepo.replayDelivery(delivery.id, {
+            clientId: "CLIENT-002",
+          }),
+          null
+        );
+        receiver.statuses = [200];
+        const replayed = await webhookRepo.replayDelivery(delivery.id, {
+          clientId: "CLIENT-001",
+        });
+        assert.equal(replayed.status, "PENDING");
+        assert.equal(replayed.attempts, 0);
+        assert.deepEqual(
+          await webhookRepo.listDeadLetters({
+            subscriptionId: subscription.id,
+          }),
+          []
+        );
+
+        dispatcher.deliverDue();
+        await waitFor(
+          async () =>
+            (await latestDelivery(subscription.id)).status === "DELIVERED"
+        );
+      } finally {
+        await webhookRepo.deactivateSubscription(subscription.id);
+        await receiver.close();
+      }
+
+      assert.equal(receiver.requests.length, MAX_ATTEMPTS + 1);
+      const replay = receiver.requests[MAX_ATTEMPTS];
+      assert.equal(replay.headers["x-swifttrack-delivery"], delivery.id);
+      assert.equal(JSON.parse(replay.body).attempt, 1);
+      assert.equal((await latestDelivery(subscription.id)).attempts, 1);
+    });
+  }
+);
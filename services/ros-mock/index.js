@@ -1,8 +1,12 @@
 import express from "express";
 import { getLogger } from "@swifttrack/logger";
+import { initTracing, traceHttpRequests } from "@swifttrack/tracing";
 
 const logger = getLogger("ros-mock");
+initTracing("ros-mock");
 const app = express();
+// Continue the trace of the calling adapter
+app.use(traceHttpRequests());
 app.use(express.json());
 
 // Mock delivery zones in Sri Lanka with realistic data
@@ -103,6 +107,9 @@ const vehicleFleet = {
   },
 };
 
+// Optimized routes and the vehicle capacity they hold, keyed by route ID
+const routes = {};
+
 // Request logging middleware
 app.use((req, res, next) => {
   logger.info(`ROS Cloud API - Incoming ${req.method} request to ${req.path}`, {
@@ -120,12 +127,7 @@ app.post("/optimize-route", async (req, res) => {
   const startTime = Date.now();
   const { orderId, deliveryAddresses, packages, priority, clientId } = req.body;
 
-  console.log("=== ROS DEBUG INFO ===");
-  console.log("Full request body:", JSON.stringify(req.body, null, 2));
-  console.log("Extracted deliveryAddresses:", deliveryAddresses);
-  console.log("DeliveryAddresses type:", typeof deliveryAddresses);
-  console.log("DeliveryAddresses length:", deliveryAddresses?.length);
-  console.log("========================");
+  logger.debug("Route optimization request", { request: req.body });
 
   logger.info(`ROS Cloud API - Processing route optimization request`, {
     orderId,
@@ -238,8 +240,18 @@ app.post("/optimize-route", async (req, res) => {
   };
 
   // Update vehicle status (in real system this would be in database)
+  const assignedLoad = packages?.length || 1;
+  routes[routeId] = {
+    routeId,
+    orderId,
+    vehicleId: optimalVehicle.vehicleId,
+    previousVehicleStatus: vehicleFleet[optimalVehicle.vehicleId].status,
+    assignedLoad,
+    status: "ASSIGNED",
+    assignedAt: new Date().toISOString(),
+  };
   vehicleFleet[optimalVehicle.vehicleId].status = "ASSIGNED";
-  vehicleFleet[optimalVehicle.vehicleId].currentLoad += packages?.length || 1;
+  vehicleFleet[optimalVehicle.vehicleId].currentLoad += assignedLoad;
 
   logger.info(`ROS Cloud API - Route optimization successful`, {
     orderId,
@@ -256,6 +268,79 @@ app.post("/optimize-route", async (req, res) => {
   res.json(response);
 });
 
+// Cancel an optimized route and free its vehicle (saga compensation).
+// Accepts the route ID returned by /optimize-route, or the order ID when the
+// optimization response never reached the caller.
+app.post("/routes/:routeId/cancel", async (req, res) => {
+  const { routeId } = req.params;
+  const reason = req.body?.reason || "Order cancelled";
+
+  logger.info(`ROS Cloud API - Processing route cancellation`, {
+    routeId,
+    reason,
+    requestId: req.get("X-Request-ID") || "NONE",
+  });
+
+  const route =
+    routes[routeId] ||
+    Object.values(routes)
+      .filter((r) => r.orderId === routeId)
+      .sort((a, b) => b.assignedAt.localeCompare(a.assignedAt))[0];
+
+  if (!route) {
+    logger.warn(`ROS Cloud API - Route not found for cancellation`, {
+      routeId,
+    });
+    return res.status(404).json({
+      ok: false,
+      message: "ROS Cloud: Route not found",
+      error: "ROUTE_NOT_FOUND",
+    });
+  }
+
+  const alreadyCancelled = route.status === "CANCELLED";
+  if (!alreadyCancelled) {
+    const vehicle = vehicleFleet[route.vehicleId];
+    vehicle.currentLoad = Math.max(0, vehicle.currentLoad - route.assignedLoad);
+
+    // Free the vehicle unless another route still holds it
+    const stillAssigned = Object.values(routes).some(
+      (r) =>
+        r !== route &&
+        r.vehicleId === route.vehicleId &&
+        r.status === "ASSIGNED"
+    );
+    if (!stillAssigned) {
+      vehicle.status = route.previousVehicleStatus;
+    }
+
+    route.status = "CANCELLED";
+    route.cancelledAt = new Date().toISOString();
+    route.cancelReason = reason;
+  }
+
+  logger.info(`ROS Cloud API - Route cancelled`, {
+    routeId: route.routeId,
+    orderId: route.orderId,
+    vehicleId: route.vehicleId,
+    vehicleStatus: vehicleFleet[route.vehicleId].status,
+    alreadyCancelled,
+  });
+
+  res.json({
+    ok: true,
+    message: alreadyCancelled
+      ? "ROS Cloud: Route already cancelled"
+      : "ROS Cloud: Route cancelled and vehicle released",
+    routeId: route.routeId,
+    orderId: route.orderId,
+    releasedVehicle: route.vehicleId,
+    vehicleStatus: vehicleFleet[route.vehicleId].status,
+    alreadyCancelled,
+    cancelledAt: route.cancelledAt,
+  });
+});
+
 // Analyze delivery route and calculate metrics
 function analyzeDeliveryRoute(addresses, packages) {
   let totalTime = 15; // Base warehouse time
@@ -279,8 +364,6 @@ function analyzeDeliveryRoute(addresses, packages) {
         addressString = "";
       }
 
-      console.log("Trying to match address:", addressString);
-
       // Improved zone matching logic
       const zone = Object.keys(deliveryZones).find((zoneName) => {
         const normalizedZone = zoneName.toLowerCase().replace(/\s/g, "");
@@ -288,10 +371,6 @@ function analyzeDeliveryRoute(addresses, packages) {
           .toLowerCase()
           .replace(/\s/g, "");
 
-        console.log(
-          `Checking zone "${zoneName}" (${normalizedZone}) against address (${normalizedAddress})`
-        );
-
         // Try multiple matching strategies
         const matches =
           normalizedAddress.includes(normalizedZone) || // Original logic
@@ -301,11 +380,13 @@ function analyzeDeliveryRoute(addresses, packages) {
           (zoneName.startsWith("Colombo") &&
             addressString.toLowerCase().includes("colombo"));
 
-        console.log(`Match result: ${matches}`);
         return matches;
       });
 
-      console.log("Selected zone:", zone);
+      logger.debug("Matched delivery address to zone", {
+        address: addressString,
+        zone: zone || null,
+      });
       return zone ? deliveryZones[zone] : null;
     })
     .filter(Boolean);
@@ -505,6 +586,7 @@ app.listen(5003, () => {
     protocol: "RESTful API (Cloud-based)",
     endpoints: [
       "/optimize-route",
+      "/routes/:routeId/cancel",
       "/vehicles",
       "/zones",
       "/track",
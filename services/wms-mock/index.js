@@ -1,14 +1,20 @@
 import express from "express";
 import { getLogger } from "@swifttrack/logger";
+import { initTracing, traceHttpRequests } from "@swifttrack/tracing";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { MESSAGE_TYPES, startTcpServer } from "./tcpProtocol.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const logger = getLogger("wms-mock");
+initTracing("wms-mock");
+const WMS_TCP_PORT = parseInt(process.env.WMS_TCP_PORT) || 9001;
 const app = express();
+// Continue the trace of the calling adapter
+app.use(traceHttpRequests());
 app.use(express.json());
 
 // Load data from JSON files
@@ -41,6 +47,9 @@ try {
 // Dynamic inventory reference (for runtime modifications)
 const inventory = inventoryData.items;
 
+// Package registrations and the stock they reserved, keyed by package ID
+const registrations = {};
+
 // Utility functions for data persistence
 function saveInventoryData() {
   try {
@@ -111,27 +120,23 @@ app.use((req, res, next) => {
   next();
 });
 
-// Simulate proprietary TCP/IP messaging endpoint for package registration
-app.post("/register", async (req, res) => {
+// Register the packages of an order and reserve their stock. Shared by the
+// TCP PACKAGE_REGISTER_REQ handler and the HTTP /register endpoint; resolves
+// with the HTTP status and body of the outcome.
+async function registerPackages(request, protocolInfo) {
   const startTime = Date.now();
-  const { orderId, packages, deliveryAddresses, clientId } = req.body;
+  const { packages, deliveryAddresses, clientId } = request;
+  // HTTP callers may forward the order itself, which carries its ID as "id"
+  const orderId = request.orderId || request.id;
 
-  console.log("=== WMS DEBUG INFO ===");
-  console.log("Full request body:", JSON.stringify(req.body, null, 2));
-  console.log("Extracted packages:", packages);
-  console.log("Packages type:", typeof packages);
-  console.log("Packages length:", packages?.length);
-  console.log("========================");
+  logger.debug("Package registration request", { request });
 
   logger.info(`WMS Proprietary System - Processing package registration`, {
     orderId,
     clientId,
     packageCount: packages?.length || 0,
     deliveryCount: deliveryAddresses?.length || 0,
-    incomingProtocol: req.get("X-Protocol-Adapter") || "NATIVE",
-    tcpSequenceId: req.get("X-TCP-Sequence-Id") || "NONE",
-    messageType: req.get("X-Message-Type") || "DIRECT_CALL",
-    protocolVersion: req.get("X-Protocol-Version") || "UNKNOWN",
+    ...protocolInfo,
   });
 
   // Simulate proprietary TCP/IP messaging delay
@@ -145,12 +150,15 @@ app.post("/register", async (req, res) => {
       orderId,
       reason: "Empty packages array",
     });
-    return res.status(400).json({
-      ok: false,
-      message: "WMS Proprietary: No packages to register",
-      error: "EMPTY_PACKAGE_LIST",
-      tcpResponse: "ERROR_NO_PACKAGES",
-    });
+    return {
+      status: 400,
+      body: {
+        ok: false,
+        message: "WMS Proprietary: No packages to register",
+        error: "EMPTY_PACKAGE_LIST",
+        tcpResponse: "ERROR_NO_PACKAGES",
+      },
+    };
   }
 
   // Mock inventory checking with detailed tracking
@@ -198,12 +206,6 @@ app.post("/register", async (req, res) => {
       location: stock.location,
       status: isAvailable ? "AVAILABLE" : "OUT_OF_STOCK",
     });
-
-    // Update mock inventory if available
-    if (isAvailable) {
-      stock.available -= requestedQty;
-      stock.reserved += requestedQty;
-    }
   }
 
   if (!allPackagesAvailable) {
@@ -212,16 +214,39 @@ app.post("/register", async (req, res) => {
       packageId,
       packageDetails: packageDetails.filter((p) => p.status === "OUT_OF_STOCK"),
     });
-    return res.status(409).json({
-      ok: false,
-      message: "WMS Proprietary: Insufficient inventory",
-      error: "INVENTORY_SHORTAGE",
-      packageId,
-      packageDetails,
-      tcpResponse: "ERROR_INSUFFICIENT_STOCK",
-    });
+    return {
+      status: 409,
+      body: {
+        ok: false,
+        message: "WMS Proprietary: Insufficient inventory",
+        error: "INVENTORY_SHORTAGE",
+        packageId,
+        packageDetails,
+        tcpResponse: "ERROR_INSUFFICIENT_STOCK",
+      },
+    };
+  }
+
+  // Reserve stock only once every package is known to be available, so a
+  // rejected registration never leaves a partial reservation behind
+  const reservedItems = [];
+  for (const pkg of packages) {
+    const stock = inventory[pkg.sku];
+    const requestedQty = pkg.quantity || 1;
+    stock.available -= requestedQty;
+    stock.reserved += requestedQty;
+    reservedItems.push({ sku: pkg.sku, quantity: requestedQty });
   }
 
+  registrations[packageId] = {
+    packageId,
+    orderId,
+    clientId,
+    items: reservedItems,
+    status: "REGISTERED",
+    registeredAt: new Date().toISOString(),
+  };
+
   // Determine optimal warehouse zone
   const optimalZone = Object.entries(warehouseZones).sort(
     (a, b) => a[1].currentLoad - b[1].currentLoad
@@ -270,7 +295,99 @@ app.post("/register", async (req, res) => {
     duration,
   });
 
-  res.json(response);
+  return { status: 200, body: response };
+}
+
+app.post("/register", async (req, res) => {
+  const { status, body } = await registerPackages(req.body, {
+    incomingProtocol: req.get("X-Protocol-Adapter") || "NATIVE",
+    messageType: req.get("X-Message-Type") || "DIRECT_CALL",
+  });
+  res.status(status).json(body);
+});
+
+// Cancel a package registration and release its reserved stock (saga
+// compensation). Accepts the package ID returned by /register, or the order ID
+// when the registration response never reached the caller.
+async function cancelRegistration(packageId, reason, protocolInfo) {
+  logger.info(`WMS Proprietary System - Processing registration cancellation`, {
+    packageId,
+    reason,
+    ...protocolInfo,
+  });
+
+  // Simulate proprietary TCP/IP messaging delay
+  await new Promise((r) => setTimeout(r, Math.random() * 200 + 100));
+
+  const registration =
+    registrations[packageId] ||
+    Object.values(registrations)
+      .filter((r) => r.orderId === packageId)
+      .sort((a, b) => b.registeredAt.localeCompare(a.registeredAt))[0];
+
+  if (!registration) {
+    logger.warn(`WMS Proprietary System - Registration not found`, {
+      packageId,
+    });
+    return {
+      status: 404,
+      body: {
+        ok: false,
+        message: "WMS Proprietary: Package registration not found",
+        error: "REGISTRATION_NOT_FOUND",
+        tcpResponse: "ERROR_PACKAGE_NOT_FOUND",
+      },
+    };
+  }
+
+  const alreadyCancelled = registration.status === "CANCELLED";
+  if (!alreadyCancelled) {
+    for (const item of registration.items) {
+      const stock = inventory[item.sku];
+      if (stock) {
+        stock.available += item.quantity;
+        stock.reserved = Math.max(0, stock.reserved - item.quantity);
+      }
+    }
+    registration.status = "CANCELLED";
+    registration.cancelledAt = new Date().toISOString();
+    registration.cancelReason = reason;
+  }
+
+  logger.info(`WMS Proprietary System - Registration cancelled`, {
+    packageId: registration.packageId,
+    orderId: registration.orderId,
+    releasedItems: registration.items,
+    alreadyCancelled,
+  });
+
+  return {
+    status: 200,
+    body: {
+      ok: true,
+      message: alreadyCancelled
+        ? "WMS Proprietary: Registration already cancelled"
+        : "WMS Proprietary: Registration cancelled and stock released",
+      packageId: registration.packageId,
+      orderId: registration.orderId,
+      releasedItems: registration.items,
+      alreadyCancelled,
+      cancelledAt: registration.cancelledAt,
+      tcpResponse: "PACKAGE_CANCEL_ACK",
+    },
+  };
+}
+
+app.post("/register/:packageId/cancel", async (req, res) => {
+  const { status, body } = await cancelRegistration(
+    req.params.packageId,
+    req.body?.reason || "Order cancelled",
+    {
+      incomingProtocol: req.get("X-Protocol-Adapter") || "NATIVE",
+      messageType: req.get("X-Message-Type") || "DIRECT_CALL",
+    }
+  );
+  res.status(status).json(body);
 });
 
 // Calculate picking time based on package count and weight
@@ -599,13 +716,40 @@ app.get("/alerts/low-stock", (req, res) => {
   });
 });
 
+// Proprietary TCP/IP interface used by the WMS adapter
+startTcpServer(
+  WMS_TCP_PORT,
+  {
+    [MESSAGE_TYPES.PACKAGE_REGISTER_REQ]: (payload, frame) =>
+      registerPackages(payload, {
+        incomingProtocol: "TCP_BINARY",
+        tcpSequenceId: frame.sequenceId,
+        binaryFlags: frame.binaryFlags,
+        messageType: "PACKAGE_REGISTER_REQ",
+      }),
+    [MESSAGE_TYPES.PACKAGE_CANCEL_REQ]: (payload, frame) =>
+      cancelRegistration(
+        payload.packageId,
+        payload.reason || "Order cancelled",
+        {
+          incomingProtocol: "TCP_BINARY",
+          tcpSequenceId: frame.sequenceId,
+          messageType: "PACKAGE_CANCEL_REQ",
+        }
+      ),
+  },
+  logger
+);
+
 app.listen(5002, () => {
   logger.info("Swift Logistics WMS Proprietary Mock Service started", {
     port: 5002,
+    tcpPort: WMS_TCP_PORT,
     protocol: wmsConfig.system.protocol,
     dataSource: "JSON Files",
     endpoints: [
       "/register",
+      "/register/:packageId/cancel",
       "/inventory",
       "/inventory/category/:category",
       "/categories",
@@ -0,0 +1,228 @@
+import net from "net";
+import { traceSpan } from "@swifttrack/tracing";
+
+// Framing of the WMS proprietary TCP protocol. Every frame is a 16-byte
+// big-endian header followed by a UTF-8 JSON payload of payloadLength bytes:
+//
+//   offset  size  field
+//        0     2  magic          0x5754 ("WT")
+//        2     1  version        3
+//        3     1  messageType    see MESSAGE_TYPES; responses set bit 0x80
+//        4     1  status         0 = OK, 1 = ERROR (responses)
+//        5     1  binaryFlags    package flags: urgent 8, fragile 4, heavy 2
+//        6     4  sequenceId     echoed by the response
+//       10     4  payloadLength
+//       14     2  checksum       sum of the payload bytes modulo 65536
+//
+// Request payloads may carry the W3C traceparent of the caller in a
+// traceparent field.
+export const FRAME_MAGIC = 0x5754;
+export const PROTOCOL_VERSION = 3;
+export const HEADER_LENGTH = 16;
+export const MAX_PAYLOAD_LENGTH = 1024 * 1024;
+
+export const MESSAGE_TYPES = {
+  PACKAGE_REGISTER_REQ: 0x01,
+  PACKAGE_CANCEL_REQ: 0x02,
+  PACKAGE_REGISTER_RESP: 0x81,
+  PACKAGE_CANCEL_RESP: 0x82,
+};
+
+const RESPONSE_FLAG = 0x80;
+const STATUS_OK = 0;
+const STATUS_ERROR = 1;
+
+const MESSAGE_TYPE_NAMES = Object.fromEntries(
+  Object.entries(MESSAGE_TYPES).map(([name, code]) => [code, name])
+);
+
+function messageTypeName(code) {
+  return MESSAGE_TYPE_NAMES[code] || `UNKNOWN_0x${code.toString(16)}`;
+}
+
+function calculateChecksum(payload) {
+  let checksum = 0;
+  for (const byte of payload) {
+    checksum = (checksum + byte) & 0xffff;
+  }
+  return checksum;
+}
+
+function encodeFrame({ messageType, status, sequenceId, payload }) {
+  const body = Buffer.from(JSON.stringify(payload), "utf8");
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt16BE(FRAME_MAGIC, 0);
+  header.writeUInt8(PROTOCOL_VERSION, 2);
+  header.writeUInt8(messageType, 3);
+  header.writeUInt8(status, 4);
+  header.writeUInt8(0, 5);
+  header.writeUInt32BE(sequenceId, 6);
+  header.writeUInt32BE(body.length, 10);
+  header.writeUInt16BE(calculateChecksum(body), 14);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Serve the WMS TCP protocol. handlers maps a request message type to an
+ * async function (payload, frame) resolving with the { status, body } of the
+ * outcome, as the HTTP endpoints produce it; a status of 400 or above is sent
+ * back as an error frame.
+ */
+export function startTcpServer(port, handlers, logger) {
+  const server = net.createServer((socket) => {
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+    let buffer = Buffer.alloc(0);
+
+    logger.info("WMS TCP - Connection accepted", { remote });
+
+    const reply = (request, status, body) => {
+      if (socket.destroyed) return;
+      socket.write(
+        encodeFrame({
+          messageType: request.messageType | RESPONSE_FLAG,
+          status: status >= 400 ? STATUS_ERROR : STATUS_OK,
+          sequenceId: request.sequenceId,
+          payload: body,
+        })
+      );
+    };
+
+    const handleFrame = async (frame, body) => {
+      const handler = handlers[frame.messageType];
+      const frameInfo = {
+        remote,
+        messageType: messageTypeName(frame.messageType),
+        sequenceId: frame.sequenceId,
+        payloadLength: body.length,
+        binaryFlags: frame.binaryFlags,
+      };
+
+      if (calculateChecksum(body) !== frame.checksum) {
+        logger.warn("WMS TCP - Checksum mismatch", frameInfo);
+        return reply(frame, 400, {
+          ok: false,
+          error: "CHECKSUM_MISMATCH",
+          message: "WMS Proprietary: Frame checksum mismatch",
+          tcpResponse: "ERROR_CHECKSUM",
+        });
+      }
+      if (!handler) {
+        logger.warn("WMS TCP - Unsupported message type", frameInfo);
+        return reply(frame, 400, {
+          ok: false,
+          error: "UNSUPPORTED_MESSAGE_TYPE",
+          message: `WMS Proprietary: Unsupported message type ${frameInfo.messageType}`,
+          tcpResponse: "ERROR_MESSAGE_TYPE",
+        });
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body.toString("utf8"));
+      } catch (error) {
+        return reply(frame, 400, {
+          ok: false,
+          error: "MALFORMED_PAYLOAD",
+          message: `WMS Proprietary: Malformed payload: ${error.message}`,
+          tcpResponse: "ERROR_PAYLOAD",
+        });
+      }
+
+      try {
+        // Requests carry the traceparent of the calling adapter's span
+        const { status, body: responseBody } = await traceSpan(
+          `WMS ${frameInfo.messageType}`,
+          {
+            kind: "SERVER",
+            parent: payload.traceparent,
+            attributes: {
+              "network.transport": "tcp",
+              "network.peer.address": remote,
+              "swifttrack.wms.sequence_id": frame.sequenceId,
+            },
+          },
+          async (span) => {
+            logger.debug("WMS TCP - Frame received", frameInfo);
+            const outcome = await handler(payload, frame);
+            if (outcome.status >= 400) {
+              span.setStatus("ERROR", outcome.body?.error);
+            }
+            return outcome;
+          }
+        );
+        reply(frame, status, responseBody);
+      } catch (error) {
+        logger.error("WMS TCP - Handler failed", {
+          ...frameInfo,
+          error: error.message,
+        });
+        reply(frame, 500, {
+          ok: false,
+          error: "INTERNAL_ERROR",
+          message: `WMS Proprietary: ${error.message}`,
+          tcpResponse: "ERROR_INTERNAL",
+        });
+      }
+    };
+
+    socket.on("data", (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      while (buffer.length >= HEADER_LENGTH) {
+        const payloadLength = buffer.readUInt32BE(10);
+        if (
+          buffer.readUInt16BE(0) !== FRAME_MAGIC ||
+          payloadLength > MAX_PAYLOAD_LENGTH
+        ) {
+          // The stream can no longer be split into frames
+          logger.warn("WMS TCP - Invalid frame header, closing connection", {
+            remote,
+          });
+          socket.destroy();
+          return;
+        }
+        if (buffer.length < HEADER_LENGTH + payloadLength) {
+          break;
+        }
+
+        const frame = {
+          messageType: buffer.readUInt8(3),
+          binaryFlags: buffer.readUInt8(5),
+          sequenceId: buffer.readUInt32BE(6),
+          checksum: buffer.readUInt16BE(14),
+        };
+        const body = buffer.subarray(
+          HEADER_LENGTH,
+          HEADER_LENGTH + payloadLength
+        );
+        buffer = buffer.subarray(HEADER_LENGTH + payloadLength);
+
+        // Frames are handled concurrently; responses may come back in any
+        // order and are matched by their sequence ID
+        handleFrame(frame, body);
+      }
+    });
+
+    socket.on("error", (error) => {
+      logger.warn("WMS TCP - Connection error", {
+        remote,
+        error: error.message,
+      });
+    });
+    socket.on("close", () => {
+      logger.info("WMS TCP - Connection closed", { remote });
+    });
+  });
+
+  server.listen(port, () => {
+    logger.info("WMS TCP - Listening for framed binary messages", {
+      port,
+      protocolVersion: PROTOCOL_VERSION,
+      messageTypes: Object.keys(handlers).map((code) =>
+        messageTypeName(Number(code))
+      ),
+    });
+  });
+
+  return server;
+}
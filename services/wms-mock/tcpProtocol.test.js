@@ -0,0 +1,225 @@
+import { after, before, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import net from "node:net";
+import { setTimeout as sleep } from "node:timers/promises";
+import { MESSAGE_TYPES, startTcpServer } from "./tcpProtocol.js";
+
+const silentLogger = {
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+// Request frames are built here byte by byte, independently of the server
+function checksum(body) {
+  return body.reduce((sum, byte) => (sum + byte) & 0xffff, 0);
+}
+
+function requestFrame(messageType, sequenceId, payload, options = {}) {
+  const body = Buffer.isBuffer(payload)
+    ? payload
+    : Buffer.from(JSON.stringify(payload));
+  const header = Buffer.alloc(16);
+  header.writeUInt16BE(options.magic ?? 0x5754, 0);
+  header.writeUInt8(3, 2);
+  header.writeUInt8(messageType, 3);
+  header.writeUInt8(0, 4);
+  header.writeUInt8(options.binaryFlags ?? 0, 5);
+  header.writeUInt32BE(sequenceId, 6);
+  header.writeUInt32BE(body.length, 10);
+  header.writeUInt16BE(options.checksum ?? checksum(body), 14);
+  return Buffer.concat([header, body]);
+}
+
+// Client connection collecting the response frames by sequence ID
+async function connect(port) {
+  const socket = net.connect({ host: "127.0.0.1", port });
+  await new Promise((resolve) => socket.once("connect", resolve));
+
+  const connection = { socket, responses: [], closed: false };
+  let buffer = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (
+      buffer.length >= 16 &&
+      buffer.length >= 16 + buffer.readUInt32BE(10)
+    ) {
+      const length = buffer.readUInt32BE(10);
+      const body = buffer.subarray(16, 16 + length);
+      connection.responses.push({
+        messageType: buffer.readUInt8(3),
+        status: buffer.readUInt8(4),
+        sequenceId: buffer.readUInt32BE(6),
+        checksumValid: checksum(body) === buffer.readUInt16BE(14),
+        payload: JSON.parse(body.toString()),
+      });
+      buffer = buffer.subarray(16 + length);
+    }
+  });
+  socket.on("close", () => {
+    connection.closed = true;
+  });
+
+  connection.response = async (sequenceId) => {
+    const deadline = Date.now() + 2000;
+    for (;;) {
+      const response = connection.responses.find(
+        (frame) => frame.sequenceId === sequenceId
+      );
+      if (response) return response;
+      if (Date.now() > deadline) {
+        throw new Error(`No response to sequence ${sequenceId}`);
+      }
+      await sleep(5);
+    }
+  };
+  return connection;
+}
+
+describe("WMS TCP protocol", () => {
+  const received = [];
+  let server;
+  let port;
+  let connection;
+
+  before(async () => {
+    server = startTcpServer(
+      0,
+      {
+        [MESSAGE_TYPES.PACKAGE_REGISTER_REQ]: async (payload, frame) => {
+          received.push({ payload, frame });
+          await sleep(payload.delayMs || 0);
+          if (payload.fail) {
+            throw new Error("Storage unavailable");
+          }
+          return payload.orderId
+            ? { status: 200, body: { ok: true, orderId: payload.orderId } }
+            : { status: 400, body: { ok: false, error: "ORDER_ID_REQUIRED" } };
+        },
+      },
+      silentLogger
+    );
+    await new Promise((resolve) => server.once("listening", resolve));
+    port = server.address().port;
+    connection = await connect(port);
+  });
+
+  after(async () => {
+    connection.socket.destroy();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test("requests are answered with a response frame of the same sequence ID", async () => {
+    connection.socket.write(
+      requestFrame(
+        MESSAGE_TYPES.PACKAGE_REGISTER_REQ,
+        101,
+        { orderId: "ORD-1" },
+        { binaryFlags: 8 }
+      )
+    );
+
+    const response = await connection.response(101);
+    assert.deepEqual(response, {
+      messageType: MESSAGE_TYPES.PACKAGE_REGISTER_RESP,
+      status: 0,
+      sequenceId: 101,
+      checksumValid: true,
+      payload: { ok: true, orderId: "ORD-1" },
+    });
+    assert.equal(received.at(-1).frame.binaryFlags, 8);
+  });
+
+  test("concurrent requests are answered as they finish", async () => {
+    connection.socket.write(
+      Buffer.concat([
+        requestFrame(MESSAGE_TYPES.PACKAGE_REGISTER_REQ, 201, {
+          orderId: "SLOW",
+          delayMs: 100,
+        }),
+        requestFrame(MESSAGE_TYPES.PACKAGE_REGISTER_REQ, 202, {
+          orderId: "FAST",
+        }),
+      ])
+    );
+
+    const slow = await connection.response(201);
+    const fast = await connection.response(202);
+    assert.equal(slow.payload.orderId, "SLOW");
+    assert.equal(fast.payload.orderId, "FAST");
+    assert.ok(
+      connection.responses.indexOf(fast) < connection.responses.indexOf(slow)
+    );
+  });
+
+  test("frames may arrive split over several chunks", async () => {
+    const frame = requestFrame(MESSAGE_TYPES.PACKAGE_REGISTER_REQ, 301, {
+      orderId: "ORD-3",
+    });
+    // Part of the header, the rest of it, part of the payload, the rest
+    const splits = [0, 3, 16, 20, frame.length];
+    for (let i = 1; i < splits.length; i++) {
+      connection.socket.write(frame.subarray(splits[i - 1], splits[i]));
+      await sleep(10);
+    }
+
+    const response = await connection.response(301);
+    assert.equal(response.payload.orderId, "ORD-3");
+  });
+
+  test("failures are answered with error frames", async () => {
+    const register = MESSAGE_TYPES.PACKAGE_REGISTER_REQ;
+    connection.socket.write(
+      Buffer.concat([
+        requestFrame(register, 401, { orderId: "ORD-4" }, { checksum: 1 }),
+        requestFrame(MESSAGE_TYPES.PACKAGE_CANCEL_REQ, 402, {}),
+        requestFrame(register, 403, Buffer.from("{not json")),
+        requestFrame(register, 404, { orderId: "ORD-4", fail: true }),
+        requestFrame(register, 405, {}),
+      ])
+    );
+
+    const errors = {};
+    for (const sequenceId of [401, 402, 403, 404, 405]) {
+      const response = await connection.response(sequenceId);
+      assert.equal(response.status, 1, `sequence ${sequenceId}`);
+      assert.equal(response.checksumValid, true);
+      errors[sequenceId] = response.payload.error;
+    }
+    assert.deepEqual(errors, {
+      401: "CHECKSUM_MISMATCH",
+      402: "UNSUPPORTED_MESSAGE_TYPE",
+      403: "MALFORMED_PAYLOAD",
+      404: "INTERNAL_ERROR",
+      405: "ORDER_ID_REQUIRED",
+    });
+    assert.equal(
+      (await connection.response(402)).messageType,
+      MESSAGE_TYPES.PACKAGE_CANCEL_RESP
+    );
+    assert.equal(
+      (await connection.response(404)).payload.message,
+      "WMS Proprietary: Storage unavailable"
+    );
+  });
+
+  test("a connection that sends an invalid header is closed", async () => {
+    const other = await connect(port);
+    other.socket.write(
+      requestFrame(
+        MESSAGE_TYPES.PACKAGE_REGISTER_REQ,
+        501,
+        { orderId: "ORD-5" },
+        { magic: 0x1234 }
+      )
+    );
+
+    const deadline = Date.now() + 2000;
+    while (!other.closed && Date.now() < deadline) {
+      await sleep(5);
+    }
+    assert.equal(other.closed, true);
+    assert.deepEqual(other.responses, []);
+  });
+});